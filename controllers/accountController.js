@@ -8,33 +8,147 @@
 
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
-const dal = require('../dal.js'); // Data Access Layer for database operations
+const { repository, ROLES, ACCOUNT_TYPES } = require('../repositories'); // Storage backend (see repositories/index.js)
+const logger = require('../logger');
+const tokenService = require('../services/tokenService.js'); // Access and refresh token lifecycle
+const userTokens = require('../services/userTokens.js'); // Email verification and password reset links
+const twoFactor = require('../services/twoFactor.js'); // TOTP enrollment, two-step login and step-up checks
+const loginThrottle = require('../services/loginThrottle.js'); // Lockouts after repeated failed logins
+const { authenticateToken, authorize } = require('../middlewares/authMiddleware.js');
+const { rateLimit } = require('../middlewares/rateLimitMiddleware.js');
+const { idempotent } = require('../middlewares/idempotencyMiddleware.js');
+const { validate } = require('../middlewares/validationMiddleware.js');
+const { requireStorageFeature } = require('../middlewares/storageMiddleware.js');
+const accountAccess = require('../services/accountAccess.js'); // Which user/account a request may act on
+const interest = require('../services/interest.js'); // Interest accrual and posting
+const { parseAmount, formatAmount } = require('../utils/money.js');
+const { serializeUser, serializeAccount } = require('../utils/serializers.js'); // API shapes; never send raw documents
+const { STATEMENT_FORMATS } = require('../utils/statementFormats.js'); // CSV, OFX and JSON statement renderers
+const { MAX_PAGE_SIZE } = require('../utils/pagination.js');
+const { ACCOUNT_TRANSITIONS } = require('../utils/accountStatus.js');
+const { ValidationError, ConflictError } = require('../middlewares/errorMiddleware.js');
 const saltRounds = 10; // Configuration for bcrypt password hashing
+// Hash checked for logins with an unknown email, so they take as long as a wrong password (computed once, on first use)
+let dummyHash = null;
+// Whether accounts opened through POST /open wait for an admin to activate them
+const approvalRequired = process.env.ACCOUNT_APPROVAL_REQUIRED === 'true';
+// Whether users must verify their email address before they can log in
+const verificationRequired = process.env.EMAIL_VERIFICATION_REQUIRED === 'true';
+
+// Request schemas for the routes below; undeclared fields are stripped before the handler runs
+const amountRule = { type: 'amount', required: true, min: '0.01', max: '1000000.00' };
+const schemas = {
+    create: { body: {
+        name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+        email: { type: 'email', required: true },
+        password: { type: 'password', required: true },
+    } },
+    login: { body: {
+        email: { type: 'email', required: true },
+        password: { type: 'string', required: true, maxLength: 128 },
+    } },
+    loginTwoFactor: { body: {
+        challengeToken: { type: 'string', required: true, maxLength: 256 },
+        code: { type: 'string', required: true, maxLength: 20 },
+    } },
+    twoFactorCode: { body: { code: { type: 'string', required: true, maxLength: 20 } } },
+    lockouts: { query: { locked: { type: 'boolean' } } },
+    clearLockout: { body: {
+        email: { type: 'email' },
+        ip: { type: 'string', minLength: 1, maxLength: 45 },
+    } },
+    refresh: { body: { refreshToken: { type: 'string', required: true, maxLength: 256 } } },
+    verifyEmail: { body: { token: { type: 'string', required: true, maxLength: 256 } } },
+    emailOnly: { body: { email: { type: 'email', required: true } } },
+    resetPassword: { body: {
+        token: { type: 'string', required: true, maxLength: 256 },
+        password: { type: 'password', required: true },
+    } },
+    findUser: { body: { email: { type: 'email' } } },
+    update: { body: {
+        email: { type: 'email' },
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        password: { type: 'password' },
+        currentPassword: { type: 'string', maxLength: 128 },
+    } },
+    open: { body: { type: { type: 'enum', values: ACCOUNT_TYPES, required: true } } },
+    account: { params: { accountNumber: { type: 'accountNumber', required: true } } },
+    statement: {
+        params: { accountNumber: { type: 'accountNumber', required: true } },
+        query: { from: { type: 'date' }, to: { type: 'date' } },
+    },
+    deposit: { body: { accountNumber: { type: 'accountNumber' }, amount: amountRule } },
+    withdraw: { body: { accountNumber: { type: 'accountNumber' }, amount: amountRule } },
+    transfer: { body: {
+        source: { type: 'accountNumber' },
+        destination: { type: 'accountNumber', required: true },
+        amount: amountRule,
+        memo: { type: 'string', maxLength: 140 },
+        otp: { type: 'string', maxLength: 20 },
+    } },
+    role: { body: {
+        email: { type: 'email', required: true },
+        role: { type: 'enum', values: ROLES, required: true },
+    } },
+    limits: { body: {
+        accountNumber: { type: 'accountNumber', required: true },
+        overdraft: { type: 'amount', min: '0', nullable: true },
+        overdraftFee: { type: 'amount', min: '0', nullable: true },
+        dailyWithdrawal: { type: 'amount', min: '0', nullable: true },
+        monthlyWithdrawal: { type: 'amount', min: '0', nullable: true },
+        perTransaction: { type: 'amount', min: '0', nullable: true },
+    } },
+    status: {
+        params: {
+            accountNumber: { type: 'accountNumber', required: true },
+            transition: { type: 'enum', values: Object.keys(ACCOUNT_TRANSITIONS), required: true },
+        },
+        body: {
+            reason: { type: 'string', required: true, minLength: 1, maxLength: 500 },
+            payoutTo: { type: 'accountNumber' },
+        },
+    },
+    interestRun: { body: {
+        from: { type: 'date', required: true },
+        to: { type: 'date', required: true },
+    } },
+    listUsers: { query: {
+        role: { type: 'enum', values: ROLES },
+        limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+        cursor: { type: 'string', maxLength: 512 },
+    } },
+};
 
 /**
  * POST /create
  * Route to create a new user account. It checks if the user already exists, hashes the password,
- * and then creates the user in the database.
+ * and then creates the user in the database with a checking account. A link to verify the email
+ * address is sent to it.
  */
-router.post('/create', async (req, res) => {
+router.post('/create', rateLimit('auth'), validate(schemas.create), async (req, res) => {
     const { name, email, password } = req.body;
     try {
-        const users = await dal.find(email);
+        const users = await repository.find(email);
         if (users.length > 0) {
             return res.status(409).json({ message: 'User already exists' });
         }
 
-        bcrypt.hash(password, saltRounds, async (err, hash) => {
-            if (err) {
-                return res.status(500).json({ message: 'Error hashing password' });
-            }
-            const user = await dal.create(name, email, hash);
-            res.status(201).json(user);
-        });
+        const hash = await bcrypt.hash(password, saltRounds);
+        const user = await repository.create(name, email, hash);
+        try {
+            await userTokens.sendVerificationEmail(user);
+        } catch (error) {
+            // The user exists either way; they can ask for the link again through POST /verify-email/resend
+            logger.error(`Error sending verification email: ${error.message}`, { stack: error.stack });
+        }
+        res.status(201).json(serializeUser(user));
     } catch (error) {
-        console.error('Error creating user:', error);
+        // Another sign-up with the same email got in after the check above
+        if (error instanceof ConflictError) {
+            return res.status(409).json({ message: 'User already exists' });
+        }
+        logger.error(`Error creating user: ${error.message}`, { stack: error.stack });
         res.status(500).json({ message: 'Internal server error' });
     }
 });
@@ -42,27 +156,252 @@ router.post('/create', async (req, res) => {
 /**
  * POST /login
  * Authenticates a user by comparing the provided password with the hashed password stored in the database.
- * On successful authentication, generates a JWT token for the session.
+ * On successful authentication, starts a session: a short-lived JWT access token (also sent in the
+ * Authorization header) and a refresh token for POST /token/refresh.
+ * With EMAIL_VERIFICATION_REQUIRED=true, users must have verified their email address first.
+ * Users with two-factor authentication enabled get a challenge token instead (`twoFactorRequired`),
+ * to send with a code to POST /login/2fa.
+ * An unknown email and a wrong password get the same response, in the same time. Repeated failures
+ * lock the email and the client's IP out for a while (429, see services/loginThrottle.js); each
+ * attempt is counted as one until its password turns out right.
+ * Successful and failed attempts are recorded in the audit log.
  */
-router.post('/login', async (req, res) => {
+router.post('/login', rateLimit('auth'), validate(schemas.login), async (req, res, next) => {
     const { email, password } = req.body;
     try {
-        const users = await dal.find(email);
-        if (users.length === 0) {
-            return res.status(404).json({ message: 'User not found' });
+        const attempt = await loginThrottle.attempt(email, req.ip);
+        const [user] = await repository.find(email);
+        if (!dummyHash) {
+            dummyHash = bcrypt.hash('not the password of anyone', saltRounds);
         }
-        const user = users[0];
+        // Always compare a hash, so an unknown email costs as much time as a wrong password
+        const isMatch = await bcrypt.compare(password, user ? user.password : await dummyHash);
+        if (!user || !isMatch) {
+            await repository.recordAuditEvent('user.loginFailed', { type: 'user', id: email },
+                { details: { reason: user ? 'wrong password' : 'unknown user' } });
+            return res.status(401).json({ message: 'Invalid email or password' });
+        }
+        await loginThrottle.release(attempt);
+        if (verificationRequired && !user.emailVerifiedAt) {
+            return res.status(403).json({ message: 'Email address not verified' });
+        }
+        if (twoFactor.isEnabled(user)) {
+            const challengeToken = await twoFactor.startLogin(user);
+            return res.json({ message: 'Two-factor code required', twoFactorRequired: true, challengeToken });
+        }
+        const tokens = await tokenService.issueTokens(user);
+        await loginThrottle.recordSuccess(email);
+        await repository.recordAuditEvent('user.login', { type: 'user', id: email },
+            { actor: { email: user.email, role: user.role || 'customer' } });
+        res.setHeader('Authorization', 'Bearer ' + tokens.accessToken);
+        res.json({ message: 'Login successful', user: serializeUser(user), ...tokens });
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error logging in: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
 
-        bcrypt.compare(password, user.password, (err, isMatch) => {
-            if (err || !isMatch) {
-                return res.status(401).json({ message: 'Authentication failed' });
-            }
-            const token = jwt.sign({ email: user.email }, process.env.JWT_SECRET_KEY, { expiresIn: '1h' });
-            res.setHeader('Authorization', 'Bearer ' + token);
-            res.json({ message: 'Login successful', user: { email: user.email, name: user.name } });
-        });
+/**
+ * POST /login/2fa
+ * Second step of a login with two-factor authentication: exchanges the challenge token from POST /login
+ * and a code from the authenticator app (or a recovery code) for a session. A challenge can be used once;
+ * after a wrong code the user logs in again. Wrong codes count as failed logins.
+ */
+router.post('/login/2fa', rateLimit('auth'), validate(schemas.loginTwoFactor), async (req, res, next) => {
+    const { challengeToken, code } = req.body;
+    try {
+        const { user, method } = await twoFactor.completeLogin(challengeToken, code);
+        const tokens = await tokenService.issueTokens(user, undefined, ['pwd', 'mfa']);
+        await loginThrottle.recordSuccess(user.email);
+        await repository.recordAuditEvent('user.login', { type: 'user', id: user.email },
+            { actor: { email: user.email, role: user.role || 'customer' }, details: { twoFactor: method } });
+        res.setHeader('Authorization', 'Bearer ' + tokens.accessToken);
+        res.json({ message: 'Login successful', user: serializeUser(user), ...tokens });
     } catch (error) {
-        console.error('Error logging in:', error);
+        if (error.user) {
+            await repository.recordAuditEvent('user.loginFailed', { type: 'user', id: error.user.email },
+                { details: { reason: 'wrong two-factor code' } });
+        }
+        if (error.statusCode === 401) {
+            await loginThrottle.recordFailure(error.user ? error.user.email : null, req.ip);
+        }
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error completing two-factor login: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /2fa/enroll
+ * Starts two-factor enrollment for the caller: returns a new secret and its otpauth:// URI
+ * (to show as a QR code) for an authenticator app. Nothing changes until POST /2fa/confirm.
+ */
+router.post('/2fa/enroll', rateLimit('auth'), authenticateToken, validate({ body: {} }), async (req, res, next) => {
+    try {
+        const user = await repository.findOne(req.user.email);
+        const { secret, otpauthUri } = await twoFactor.startEnrollment(user);
+        res.json({ secret, otpauthUri });
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error starting two-factor enrollment: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /2fa/confirm
+ * Enables two-factor authentication with a first code from the authenticator app.
+ * Returns the recovery codes; they are not shown again.
+ */
+router.post('/2fa/confirm', rateLimit('auth'), authenticateToken, validate(schemas.twoFactorCode), async (req, res, next) => {
+    try {
+        const user = await repository.findOne(req.user.email);
+        const recoveryCodes = await twoFactor.confirmEnrollment(user, req.body.code);
+        res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error confirming two-factor enrollment: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /2fa/recovery-codes
+ * Replaces the caller's recovery codes, given a current code. Returns the new codes; they are not shown again.
+ */
+router.post('/2fa/recovery-codes', rateLimit('auth'), authenticateToken, validate(schemas.twoFactorCode), async (req, res, next) => {
+    try {
+        const user = await repository.findOne(req.user.email);
+        const recoveryCodes = await twoFactor.regenerateRecoveryCodes(user, req.body.code);
+        res.json({ message: 'Recovery codes replaced', recoveryCodes });
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error replacing recovery codes: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /2fa/disable
+ * Turns two-factor authentication off for the caller, given a current code.
+ */
+router.post('/2fa/disable', rateLimit('auth'), authenticateToken, validate(schemas.twoFactorCode), async (req, res, next) => {
+    try {
+        const user = await repository.findOne(req.user.email);
+        await twoFactor.disable(user, req.body.code);
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error disabling two-factor authentication: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /token/refresh
+ * Exchanges a refresh token for a new access token and refresh token. Each refresh token
+ * can be used once; presenting a used one revokes the whole session.
+ */
+router.post('/token/refresh', rateLimit('auth'), validate(schemas.refresh), async (req, res, next) => {
+    const { refreshToken } = req.body;
+    try {
+        const tokens = await tokenService.rotateRefreshToken(refreshToken);
+        res.setHeader('Authorization', 'Bearer ' + tokens.accessToken);
+        res.json({ message: 'Token refreshed', ...tokens });
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error refreshing token: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /logout
+ * Ends the caller's session: its refresh tokens are revoked and its access tokens are rejected from now on.
+ */
+router.post('/logout', rateLimit('auth'), authenticateToken, validate({ body: {} }), async (req, res) => {
+    try {
+        await tokenService.logout(req.user);
+        await repository.recordAuditEvent('user.logout', { type: 'user', id: req.user.email });
+        res.json({ message: 'Logout successful' });
+    } catch (error) {
+        logger.error(`Error logging out: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /verify-email
+ * Marks the caller's email address verified, using the token from the link sent to it.
+ */
+router.post('/verify-email', rateLimit('auth'), validate(schemas.verifyEmail), async (req, res, next) => {
+    try {
+        const user = await userTokens.verifyEmail(req.body.token);
+        res.json({ message: 'Email address verified', user: serializeUser(user) });
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error verifying email: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /verify-email/resend
+ * Sends a new verification link. The response is the same whether or not there is an unverified
+ * user with the address, so it cannot be used to find out who has an account.
+ */
+router.post('/verify-email/resend', rateLimit('auth'), validate(schemas.emailOnly), async (req, res) => {
+    // Sent in the background, so the response time does not give the answer away either
+    userTokens.resendVerificationEmail(req.body.email).catch(error => {
+        logger.error(`Error resending verification email: ${error.message}`, { stack: error.stack });
+    });
+    res.status(202).json({ message: 'If the address needs verifying, a new link has been sent to it' });
+});
+
+/**
+ * POST /password/forgot
+ * Sends a link to choose a new password. The response is the same whether or not there is a user
+ * with the address.
+ */
+router.post('/password/forgot', rateLimit('auth'), validate(schemas.emailOnly), async (req, res) => {
+    userTokens.sendPasswordReset(req.body.email).catch(error => {
+        logger.error(`Error sending password reset: ${error.message}`, { stack: error.stack });
+    });
+    res.status(202).json({ message: 'If there is an account with the address, a link to reset its password has been sent to it' });
+});
+
+/**
+ * POST /password/reset
+ * Sets a new password using the token from a password reset link, and ends all of the user's sessions.
+ */
+router.post('/password/reset', rateLimit('auth'), validate(schemas.resetPassword), async (req, res, next) => {
+    const { token, password } = req.body;
+    try {
+        const hash = await bcrypt.hash(password, saltRounds);
+        await userTokens.resetPassword(token, hash);
+        res.json({ message: 'Password reset successfully' });
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error resetting password: ${error.message}`, { stack: error.stack });
         res.status(500).json({ message: 'Internal server error' });
     }
 });
@@ -70,17 +409,21 @@ router.post('/login', async (req, res) => {
 /**
  * POST /find
  * Finds user accounts by email. Returns an array of matching user accounts.
+ * Customers always get their own; staff may look up another customer's email.
  */
-router.post('/find', async (req, res) => {
-    const { email } = req.body;
+router.post('/find', rateLimit('read'), authenticateToken, validate(schemas.findUser), async (req, res) => {
+    const { email, onBehalf } = accountAccess.resolveUser(req.user, req.body.email);
     try {
-        const users = await dal.find(email);
+        const users = await repository.find(email);
         if (users.length === 0) {
             return res.status(404).json({ message: 'User not found' });
         }
-        res.json(users);
+        if (onBehalf) {
+            await repository.recordStaffAction(accountAccess.actorOf(req.user), 'find', { email });
+        }
+        res.json(users.map(serializeUser));
     } catch (error) {
-        console.error('Error finding user:', error);
+        logger.error(`Error finding user: ${error.message}`, { stack: error.stack });
         res.status(500).json({ message: 'Internal server error' });
     }
 });
@@ -88,85 +431,502 @@ router.post('/find', async (req, res) => {
 /**
  * POST /findOne
  * Finds a single user account by email. Returns the user account details if found.
+ * Customers always get their own; staff may look up another customer's email.
  */
-router.post('/findOne', async (req, res) => {
-    const { email } = req.body;
+router.post('/findOne', rateLimit('read'), authenticateToken, validate(schemas.findUser), async (req, res, next) => {
+    const { email, onBehalf } = accountAccess.resolveUser(req.user, req.body.email);
     try {
-        const user = await dal.findOne(email);
-        if (!user) {
-            return res.status(404).json({ message: 'User not found' });
+        const user = await repository.findOne(email);
+        if (onBehalf) {
+            await repository.recordStaffAction(accountAccess.actorOf(req.user), 'findOne', { email });
         }
-        res.json(user);
+        res.json(serializeUser(user));
     } catch (error) {
-        console.error('Error finding one user:', error);
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error finding one user: ${error.message}`, { stack: error.stack });
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
 /**
  * POST /update
- * Updates user information for the specified email. Can update name and password.
+ * Updates the caller's name and/or password. Changing the password takes the current one
+ * (`currentPassword`) and ends the caller's other sessions.
+ * Staff may update another customer's name by email, but not their password: the customer resets it.
  */
-router.post('/update', async (req, res) => {
-    const { email, name, password } = req.body;
+router.post('/update', rateLimit('auth'), authenticateToken, validate(schemas.update), async (req, res) => {
+    const { name, password, currentPassword } = req.body;
+    const { email, onBehalf } = accountAccess.resolveUser(req.user, req.body.email);
     try {
-        const updatedUser = await dal.update(email, { name, password });
+        if (password !== undefined && onBehalf) {
+            return res.status(403).json({ message: 'Customers change their own password or reset it' });
+        }
+        if (password !== undefined) {
+            const [user] = await repository.find(email);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+            if (currentPassword === undefined || !(await bcrypt.compare(currentPassword, user.password))) {
+                return res.status(401).json({ message: 'Current password is incorrect' });
+            }
+        }
+        // Only set the fields that were sent, and never store a plain-text password
+        const changes = {};
+        if (name !== undefined) changes.name = name;
+        if (password !== undefined) changes.password = await bcrypt.hash(password, saltRounds);
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ message: 'Nothing to update' });
+        }
+        const updatedUser = await repository.update(email, changes);
         if (!updatedUser) {
             return res.status(404).json({ message: 'User not found' });
         }
-        res.status(200).json({ message: 'User information updated successfully', user: updatedUser });
+        if (changes.password) {
+            await tokenService.revokeUserSessions(updatedUser._id, 'password-change', req.user.sid);
+        }
+        if (onBehalf) {
+            await repository.recordStaffAction(accountAccess.actorOf(req.user), 'update', { email },
+                { fields: Object.keys(changes) });
+        }
+        res.status(200).json({ message: 'User information updated successfully', user: serializeUser(updatedUser) });
     } catch (error) {
-        console.error('Error updating user information:', error);
+        logger.error(`Error updating user information: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /open
+ * Opens an additional account of the requested type (checking or savings) for the authenticated user.
+ * With ACCOUNT_APPROVAL_REQUIRED=true the account is pending until an admin activates it.
+ */
+router.post('/open', rateLimit('money'), authenticateToken, validate(schemas.open), async (req, res, next) => {
+    const { type } = req.body;
+    try {
+        const account = await repository.openAccount(req.user.email, type, { pending: approvalRequired });
+        res.status(201).json(serializeAccount(account));
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error opening account: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /accounts
+ * Lists the accounts owned by the authenticated user.
+ */
+router.get('/accounts', rateLimit('read'), authenticateToken, async (req, res, next) => {
+    try {
+        const accounts = await repository.findAccounts(req.user.email);
+        res.json(accounts.map(serializeAccount));
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error listing accounts: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /accounts/:accountNumber
+ * Retrieves a single account owned by the authenticated user.
+ * Accounts owned by someone else are reported as not found.
+ */
+router.get('/accounts/:accountNumber', rateLimit('read'), authenticateToken, validate(schemas.account), async (req, res, next) => {
+    try {
+        const accounts = await repository.findAccounts(req.user.email);
+        const account = accounts.find(a => a.accountNumber === req.params.accountNumber);
+        if (!account) {
+            return res.status(404).json({ message: 'Account not found' });
+        }
+        res.json(serializeAccount(account));
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error finding account: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * Waits until a streamed response can take more data, or until the client has gone away.
+ * @param {Object} res - The response object from Express.
+ * @returns {Promise<void>}
+ */
+function drained(res) {
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+/**
+ * GET /accounts/:accountNumber/statement?from=&to=
+ * Streams a statement for one account: opening balance, the entries between `from` and `to`
+ * (inclusive, ISO 8601; default the last 30 days) and closing balance. The format is chosen by
+ * the Accept header: application/json (default), text/csv or application/x-ofx (OFX 2.x).
+ * Customers get statements for their own accounts; staff for any account, and the access is recorded.
+ */
+router.get('/accounts/:accountNumber/statement', rateLimit('read'), authenticateToken, validate(schemas.statement), async (req, res, next) => {
+    const format = STATEMENT_FORMATS[req.accepts(Object.keys(STATEMENT_FORMATS))];
+    if (!format) {
+        return res.status(406).json({ message: `Statements are available as ${Object.keys(STATEMENT_FORMATS).join(', ')}` });
+    }
+    const to = req.query.to || new Date();
+    const from = req.query.from || new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    let entries;
+    try {
+        if (from > to) {
+            throw new ValidationError('Request validation failed.', [{ field: 'query.from', message: 'must not be after query.to' }]);
+        }
+        const { account, onBehalf } = await accountAccess.resolveAccount(req.user, req.params.accountNumber);
+        if (onBehalf) {
+            await repository.recordStaffAction(accountAccess.actorOf(req.user), 'statement',
+                { accountNumber: account.accountNumber }, { from, to });
+        }
+        const statement = await repository.getStatement(account.accountNumber, from, to);
+        entries = statement.entries;
+        const details = {
+            accountNumber: account.accountNumber,
+            type: account.type,
+            currency: account.currency,
+            from,
+            to,
+            openingBalance: statement.openingBalance,
+            closingBalance: statement.closingBalance,
+        };
+
+        res.type(format.contentType);
+        if (format.extension !== 'json') {
+            const filename = `statement-${account.accountNumber}-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}.${format.extension}`;
+            res.attachment(filename);
+        }
+        res.write(format.header(details));
+        let index = 0;
+        for await (const entry of entries) {
+            if (res.destroyed) break; // The client went away
+            // Respect backpressure so a slow client does not make the whole history pile up in memory
+            if (!res.write(format.entry(entry, index++, details))) {
+                await drained(res);
+            }
+        }
+        res.end(format.footer(details));
+    } catch (error) {
+        if (res.headersSent) {
+            // Part of the statement was already sent; cut the response so it is not mistaken for a complete one
+            logger.error(`Error streaming statement: ${error.message}`, { stack: error.stack });
+            return res.destroy();
+        }
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error preparing statement: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    } finally {
+        if (entries) await entries.close().catch(() => {});
+    }
+});
+
+/**
+ * GET /accounts/:accountNumber/limits
+ * Reports an account's limits (overdraft, overdraft fee, daily and monthly withdrawal caps, per-transaction
+ * maximum), what remains of the caps today and this month, and the amount available to withdraw.
+ * Customers see their own accounts; staff see any, and the access is recorded.
+ */
+router.get('/accounts/:accountNumber/limits', rateLimit('read'), authenticateToken, validate(schemas.account), async (req, res, next) => {
+    try {
+        const { account, onBehalf } = await accountAccess.resolveAccount(req.user, req.params.accountNumber);
+        if (onBehalf) {
+            await repository.recordStaffAction(accountAccess.actorOf(req.user), 'limits', { accountNumber: account.accountNumber });
+        }
+        res.json(await repository.getAccountLimits(account.accountNumber));
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error retrieving limits: ${error.message}`, { stack: error.stack });
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
 /**
  * POST /deposit
- * Deposits a specified amount into the user's account identified by email.
+ * Deposits a specified amount into one of the caller's accounts (their oldest account if no
+ * account number is given). Staff may deposit into any account; the action is recorded.
+ * Honours the Idempotency-Key header so retries do not deposit twice.
  */
-router.post('/deposit', async (req, res) => {
-    const { email, amount } = req.body;
+router.post('/deposit', rateLimit('money'), authenticateToken, validate(schemas.deposit), idempotent, async (req, res, next) => {
+    const { amount } = req.body;
     try {
-        const result = await dal.deposit(email, parseFloat(amount));
-        if (!result) {
-            return res.status(404).json({ message: 'User not found or deposit failed' });
+        const minor = parseAmount(amount);
+        const { account, onBehalf } = await accountAccess.resolveAccount(req.user, req.body.accountNumber);
+        const performedBy = onBehalf ? accountAccess.actorOf(req.user) : undefined;
+        const result = await repository.deposit(account.accountNumber, minor, { performedBy });
+        if (onBehalf) {
+            await repository.recordStaffAction(performedBy, 'deposit', { accountNumber: account.accountNumber }, { amount: minor });
         }
-        res.json({ message: 'Deposit successful', balance: result.balance });
+        res.json({ message: 'Deposit successful', balance: formatAmount(result.balance, result.currency), currency: result.currency });
     } catch (error) {
-        console.error('Error during deposit:', error);
+        // Validation, not-found and insufficient-funds errors are rendered by the error middleware
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error during deposit: ${error.message}`, { stack: error.stack });
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
+/**
+ * Reads what remains of an account's daily and monthly caps, for the response to a debit that has
+ * already been made. Failing that response would make the client retry a debit that succeeded, so
+ * an error is logged and the limits are left out instead.
+ * @param {string} accountNumber - The debited account.
+ * @returns {Promise<Object|undefined>} The remaining limits, or undefined if they could not be read.
+ */
+async function remainingLimits(accountNumber) {
+    try {
+        return (await repository.getAccountLimits(accountNumber)).remaining;
+    } catch (error) {
+        logger.error(`Error retrieving remaining limits: ${error.message}`, { stack: error.stack });
+        return undefined;
+    }
+}
+
 /**
  * POST /withdraw
- * Withdraws a specified amount from the user's account identified by email.
+ * Withdraws a specified amount from one of the caller's accounts (their oldest account if no
+ * account number is given). Staff may withdraw from any account; the action is recorded.
+ * The account's limits apply (overdraft, per-transaction, daily and monthly caps); the response
+ * reports what remains of the daily and monthly caps, unless they cannot be read.
+ * Honours the Idempotency-Key header so retries do not withdraw twice.
+ */
+router.post('/withdraw', rateLimit('money'), authenticateToken, validate(schemas.withdraw), idempotent, async (req, res, next) => {
+    const { amount } = req.body;
+    try {
+        const minor = parseAmount(amount);
+        const { account, onBehalf } = await accountAccess.resolveAccount(req.user, req.body.accountNumber);
+        const performedBy = onBehalf ? accountAccess.actorOf(req.user) : undefined;
+        const result = await repository.withdraw(account.accountNumber, minor, { performedBy });
+        if (onBehalf) {
+            await repository.recordStaffAction(performedBy, 'withdraw', { accountNumber: account.accountNumber }, { amount: minor });
+        }
+        res.json({
+            message: 'Withdrawal successful',
+            balance: formatAmount(result.balance, result.currency),
+            currency: result.currency,
+            remainingLimits: await remainingLimits(account.accountNumber),
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error during withdrawal: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /transfer
+ * Moves a specified amount from the source account to the destination account, both identified by account number.
+ * The source must be one of the caller's accounts (their oldest account if omitted) unless the caller is staff;
+ * the destination can be any account. The debit and credit succeed or fail together.
+ * The source account's limits apply as for withdrawals.
+ * Returns the resulting balances of both accounts (the destination's only if the caller owns it or is staff)
+ * and what remains of the source account's daily and monthly caps.
+ * Transfers of TWO_FACTOR_TRANSFER_THRESHOLD or more need a code from the caller's authenticator app (`otp`).
+ * Honours the Idempotency-Key header so retries do not transfer twice.
+ */
+router.post('/transfer', rateLimit('money'), authenticateToken, validate(schemas.transfer), idempotent, async (req, res, next) => {
+    const { destination, amount, memo, otp } = req.body;
+    try {
+        const minor = parseAmount(amount);
+        const { account, onBehalf } = await accountAccess.resolveAccount(req.user, req.body.source);
+        await twoFactor.checkTransfer(req.user, minor, account.currency, otp);
+        const performedBy = onBehalf ? accountAccess.actorOf(req.user) : undefined;
+        const result = await repository.transfer(account.accountNumber, destination, minor, memo, { performedBy });
+        if (onBehalf) {
+            await repository.recordStaffAction(performedBy, 'transfer',
+                { accountNumber: account.accountNumber }, { destination, amount: minor });
+        }
+        // Another customer's balance is only shown to staff
+        const showDestination = accountAccess.isStaff(req.user) || result.destination.userId.equals(account.userId);
+        res.json({
+            message: 'Transfer successful',
+            currency: result.source.currency,
+            sourceBalance: formatAmount(result.source.balance, result.source.currency),
+            remainingLimits: await remainingLimits(account.accountNumber),
+            ...(showDestination && {
+                destinationBalance: formatAmount(result.destination.balance, result.destination.currency),
+            }),
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error during transfer: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /lockouts
+ * Lists the emails and IPs with failed logins counted, most recent failure first, with the end of their
+ * lockout if they are locked out (`locked=true` lists only those). Admin only.
+ */
+router.get('/lockouts', rateLimit('admin'), authenticateToken, authorize('admin'), validate(schemas.lockouts), async (req, res, next) => {
+    try {
+        const lockouts = await loginThrottle.list({ lockedOnly: req.query.locked === true });
+        res.json({ data: lockouts });
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error listing lockouts: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /lockouts/clear
+ * Forgets the failed logins of an email and/or an IP, lifting their lockout. Admin only; recorded.
+ */
+router.post('/lockouts/clear', rateLimit('admin'), authenticateToken, authorize('admin'), validate(schemas.clearLockout), async (req, res, next) => {
+    const { email, ip } = req.body;
+    try {
+        if (!email && !ip) {
+            throw new ValidationError('An email or an IP is required.');
+        }
+        const cleared = await loginThrottle.clear({ email, ip });
+        const actor = accountAccess.actorOf(req.user);
+        await repository.recordStaffAction(actor, 'clearLockout', { ...(email && { email }), ...(ip && { ip }) }, { cleared });
+        await repository.recordAuditEvent('login.lockoutCleared', { type: 'login', id: email || ip }, { details: { cleared } });
+        res.json({ message: cleared.length ? 'Lockout cleared' : 'Nothing to clear', cleared });
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error clearing lockout: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /role
+ * Changes the role (customer, teller, admin) of the user identified by email. Admin only.
+ */
+router.post('/role', rateLimit('admin'), authenticateToken, authorize('admin'), validate(schemas.role), async (req, res, next) => {
+    const { email, role } = req.body;
+    try {
+        const user = await repository.setRole(email, role);
+        res.json({ message: 'Role updated successfully', user: serializeUser(user) });
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error updating role: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /limits
+ * Overrides limits of one account, as decimal amounts in the account's currency. Sending null for a
+ * limit removes the override, so the default of the account type applies again. Admin only.
  */
-router.post('/withdraw', async (req, res) => {
-    const { email, amount } = req.body;
+router.post('/limits', rateLimit('admin'), authenticateToken, authorize('admin'), validate(schemas.limits), async (req, res, next) => {
+    const { accountNumber, ...fields } = req.body;
     try {
-        const result = await dal.withdraw(email, parseFloat(amount));
-        if (!result) {
-            return res.status(404).json({ message: 'User not found or insufficient funds' });
+        const account = await repository.findAccount(accountNumber);
+        const changes = {};
+        for (const [field, value] of Object.entries(fields)) {
+            changes[field] = value === null ? null : parseAmount(value, account.currency);
         }
-        res.json({ message: 'Withdrawal successful', balance: result.balance });
+        await repository.setAccountLimits(accountNumber, changes);
+        await repository.recordStaffAction(accountAccess.actorOf(req.user), 'setLimits', { accountNumber }, { changes });
+        res.json({ message: 'Limits updated successfully', ...(await repository.getAccountLimits(accountNumber)) });
     } catch (error) {
-        console.error('Error during withdrawal:', error);
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error updating limits: ${error.message}`, { stack: error.stack });
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
 /**
- * GET /all
- * Retrieves all user accounts from the database.
+ * POST /accounts/:accountNumber/{activate,freeze,unfreeze,close,reopen}
+ * Changes the status of an account: activates a pending account, freezes an account (no debits;
+ * credits still arrive) or unfreezes it, closes it (no balance changes at all) or reopens it.
+ * A reason is required and is kept on the account. Closing needs a zero balance unless `payoutTo`
+ * names an account to receive the remaining balance; interest accrued since the last posting is
+ * forfeited. Closed accounts and their history are kept. Admin only.
  */
-router.get('/all', async (req, res) => {
+router.post('/accounts/:accountNumber/:transition', rateLimit('admin'), authenticateToken, authorize('admin'), validate(schemas.status), async (req, res, next) => {
+    const { accountNumber, transition } = req.params;
+    const { reason, payoutTo } = req.body;
     try {
-        const docs = await dal.all();
-        res.json(docs);
+        const actor = accountAccess.actorOf(req.user);
+        const account = await repository.changeAccountStatus(accountNumber, transition, { reason, payoutTo, changedBy: actor });
+        await repository.recordStaffAction(actor, transition, { accountNumber }, { reason, ...(payoutTo && { payoutTo }) });
+        res.json({ message: 'Account status updated successfully', account: serializeAccount(account) });
     } catch (error) {
-        console.error('Error retrieving all users:', error);
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error changing account status: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /interest/run
+ * Runs the interest job for a range of completed days (UTC), e.g. to backfill days it missed.
+ * Days already processed are skipped per account, so re-running a range never pays twice. Admin only.
+ * Needs the mongo storage backend (501 otherwise).
+ */
+router.post('/interest/run', rateLimit('admin'), authenticateToken, authorize('admin'), requireStorageFeature('interest'), validate(schemas.interestRun), async (req, res, next) => {
+    const { from, to } = req.body;
+    try {
+        const days = await interest.runInterest(from, to);
+        await repository.recordAuditEvent('interest.run', { type: 'interest', id: null }, { details: { from, to, days: days.length } });
+        res.json({ message: 'Interest run completed', days });
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error running interest: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /all?role=&limit=&cursor=
+ * Retrieves a page of users, oldest first, optionally only those with a given role. Admin only.
+ * Returns the page (`data`) and the cursor of the next page (`nextCursor`, null on the last page).
+ */
+router.get('/all', rateLimit('admin'), authenticateToken, authorize('admin'), validate(schemas.listUsers), async (req, res, next) => {
+    const { role, limit, cursor } = req.query;
+    try {
+        const page = await repository.listUsers({ role, limit, cursor });
+        res.json({ data: page.users.map(serializeUser), nextCursor: page.nextCursor });
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error retrieving all users: ${error.message}`, { stack: error.stack });
         res.status(500).json({ message: 'Internal server error' });
     }
 });
@@ -0,0 +1,74 @@
+/**
+ * auditController.js
+ * ./backend/controllers/auditController.js
+ *
+ * Admin routes for the audit log: the hash-chained record of every change to users, accounts
+ * and balances, and of logins (see repository.recordAuditEvent).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { repository } = require('../repositories');
+const logger = require('../logger');
+const { authenticateToken, authorize } = require('../middlewares/authMiddleware.js');
+const { rateLimit } = require('../middlewares/rateLimitMiddleware.js');
+const { validate } = require('../middlewares/validationMiddleware.js');
+const { MAX_PAGE_SIZE } = require('../utils/pagination.js');
+const { serializeAuditEvent } = require('../utils/serializers.js');
+const { ValidationError } = require('../middlewares/errorMiddleware.js');
+
+// Request schemas for the routes below; undeclared fields are stripped before the handler runs
+const schemas = {
+    list: { query: {
+        actor: { type: 'email' },
+        action: { type: 'string', maxLength: 64 },
+        targetType: { type: 'string', maxLength: 64 },
+        targetId: { type: 'string', maxLength: 256 },
+        requestId: { type: 'string', maxLength: 128 },
+        from: { type: 'date' },
+        to: { type: 'date' },
+        limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+        cursor: { type: 'string', maxLength: 512 },
+    } },
+};
+
+/**
+ * GET /?actor=&action=&targetType=&targetId=&requestId=&from=&to=&limit=&cursor=
+ * Retrieves a page of audit events, newest first, filtered by who acted (email), what was done,
+ * the changed object, the request, or a time range (inclusive, ISO 8601). Admin only.
+ * Returns the page (`data`) and the cursor of the next page (`nextCursor`, null on the last page).
+ */
+router.get('/', rateLimit('admin'), authenticateToken, authorize('admin'), validate(schemas.list), async (req, res, next) => {
+    try {
+        if (req.query.from && req.query.to && req.query.from > req.query.to) {
+            throw new ValidationError('Request validation failed.', [{ field: 'query.from', message: 'must not be after query.to' }]);
+        }
+        const page = await repository.queryAuditEvents(req.query);
+        res.json({ data: page.events.map(serializeAuditEvent), nextCursor: page.nextCursor });
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error retrieving audit events: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /verify
+ * Checks every audit chain and reports whether they are intact; if not, the first broken link
+ * (`brokenAt`: its chain, its sequence number and what is wrong). Admin only.
+ */
+router.get('/verify', rateLimit('admin'), authenticateToken, authorize('admin'), async (req, res, next) => {
+    try {
+        res.json(await repository.verifyAuditChain());
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error verifying audit chain: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
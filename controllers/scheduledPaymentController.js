@@ -0,0 +1,216 @@
+/**
+ * scheduledPaymentController.js
+ * ./backend/controllers/scheduledPaymentController.js
+ *
+ * Routes for standing orders: transfers that run once on a future date or repeat daily, weekly
+ * or monthly. The payments themselves are executed by the scheduler in services/scheduledPayments.js.
+ * They are stored on MongoDB only, so with other storage backends every route answers 501.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { repository } = require('../repositories');
+const logger = require('../logger');
+const scheduledPayments = require('../services/scheduledPayments.js');
+const accountAccess = require('../services/accountAccess.js');
+const twoFactor = require('../services/twoFactor.js');
+const { authenticateToken } = require('../middlewares/authMiddleware.js');
+const { rateLimit } = require('../middlewares/rateLimitMiddleware.js');
+const { validate } = require('../middlewares/validationMiddleware.js');
+const { idempotent } = require('../middlewares/idempotencyMiddleware.js');
+const { requireStorageFeature } = require('../middlewares/storageMiddleware.js');
+const { parseAmount } = require('../utils/money.js');
+const { FREQUENCIES } = require('../utils/recurrence.js');
+const { serializeScheduledPayment } = require('../utils/serializers.js');
+
+// Request schemas for the routes below; undeclared fields are stripped before the handler runs
+const amountRule = { type: 'amount', min: '0.01', max: '1000000.00' };
+const idParams = { params: { id: { type: 'string', required: true, pattern: /^[0-9a-f]{24}$/ } } };
+const schemas = {
+    list: { query: { email: { type: 'email' } } },
+    create: { body: {
+        source: { type: 'accountNumber' },
+        destination: { type: 'accountNumber', required: true },
+        amount: { ...amountRule, required: true },
+        memo: { type: 'string', maxLength: 140 },
+        frequency: { type: 'enum', values: FREQUENCIES, required: true },
+        startAt: { type: 'date', required: true },
+        count: { type: 'integer', min: 1, max: 1000 },
+        endDate: { type: 'date' },
+        otp: { type: 'string', maxLength: 20 },
+    } },
+    get: idParams,
+    update: { ...idParams, body: {
+        amount: amountRule,
+        memo: { type: 'string', maxLength: 140 },
+        count: { type: 'integer', min: 1, max: 1000 },
+        endDate: { type: 'date' },
+        otp: { type: 'string', maxLength: 20 },
+    } },
+};
+
+// Every route needs the storage of scheduled payments
+router.use(requireStorageFeature('scheduledPayments'));
+
+/**
+ * GET /
+ * Lists the caller's scheduled payments, newest first. Staff may list another customer's by `email`.
+ */
+router.get('/', rateLimit('read'), authenticateToken, validate(schemas.list), async (req, res, next) => {
+    const { email, onBehalf } = accountAccess.resolveUser(req.user, req.query.email);
+    try {
+        const schedules = await scheduledPayments.listSchedules(email);
+        if (onBehalf) {
+            await repository.recordStaffAction(accountAccess.actorOf(req.user), 'listScheduledPayments', { email });
+        }
+        res.json(schedules.map(serializeScheduledPayment));
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error listing scheduled payments: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /
+ * Schedules a transfer from one of the caller's accounts (their oldest account if `source` is omitted).
+ * `frequency` is once, daily, weekly or monthly; recurring payments run from `startAt` until `count`
+ * payments were made or `endDate` is passed, whichever comes first, or until cancelled. Monthly payments
+ * keep their day of the month, falling back to the last day in shorter months.
+ * Amounts of TWO_FACTOR_TRANSFER_THRESHOLD or more need a two-factor code (`otp`), as for POST /account/transfer.
+ * Honours the Idempotency-Key header so retries do not create the payment twice.
+ */
+router.post('/', rateLimit('money'), authenticateToken, validate(schemas.create), idempotent, async (req, res, next) => {
+    const { destination, amount, memo, frequency, startAt, count, endDate, otp } = req.body;
+    try {
+        const { account, onBehalf } = await accountAccess.resolveAccount(req.user, req.body.source);
+        const actor = accountAccess.actorOf(req.user);
+        const minor = parseAmount(amount, account.currency);
+        await twoFactor.checkTransfer(req.user, minor, account.currency, otp);
+        const schedule = await scheduledPayments.createSchedule(account, {
+            destination,
+            amount: minor,
+            memo,
+            frequency,
+            startAt,
+            count,
+            endDate,
+        }, actor);
+        if (onBehalf) {
+            await repository.recordStaffAction(actor, 'createScheduledPayment',
+                { accountNumber: account.accountNumber }, { scheduleId: schedule._id });
+        }
+        res.status(201).json(serializeScheduledPayment(schedule));
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error creating scheduled payment: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /:id
+ * Retrieves one of the caller's scheduled payments (any, for staff).
+ */
+router.get('/:id', rateLimit('read'), authenticateToken, validate(schemas.get), async (req, res, next) => {
+    try {
+        const { schedule } = await scheduledPayments.getSchedule(req.user, req.params.id);
+        res.json(serializeScheduledPayment(schedule));
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error finding scheduled payment: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /:id/runs
+ * Lists the latest runs of a scheduled payment, newest first, with the outcome of each attempt.
+ */
+router.get('/:id/runs', rateLimit('read'), authenticateToken, validate(schemas.get), async (req, res, next) => {
+    try {
+        const { schedule } = await scheduledPayments.getSchedule(req.user, req.params.id);
+        const runs = await scheduledPayments.listRuns(schedule);
+        res.json(runs.map(run => ({
+            occurrence: run.occurrence,
+            attempt: run.attempt,
+            status: run.status,
+            ...(run.outcome && { outcome: run.outcome }),
+            ...(run.error && { error: run.error }),
+            at: run.at,
+        })));
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error listing scheduled payment runs: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * PATCH /:id
+ * Changes the amount, memo, count or end date of an active scheduled payment.
+ * Raising the amount to TWO_FACTOR_TRANSFER_THRESHOLD or more needs a two-factor code (`otp`).
+ * Answers 409 while a payment is being executed.
+ */
+router.patch('/:id', rateLimit('money'), authenticateToken, validate(schemas.update), async (req, res, next) => {
+    const { amount, memo, count, endDate, otp } = req.body;
+    try {
+        const { schedule, onBehalf } = await scheduledPayments.getSchedule(req.user, req.params.id);
+        const changes = {};
+        if (amount !== undefined) {
+            changes.amount = parseAmount(amount, schedule.currency);
+            await twoFactor.checkTransfer(req.user, changes.amount, schedule.currency, otp);
+        }
+        if (memo !== undefined) changes.memo = memo;
+        if (count !== undefined) changes.count = count;
+        if (endDate !== undefined) changes.endDate = endDate;
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ message: 'Nothing to update' });
+        }
+        const updated = await scheduledPayments.updateSchedule(schedule, changes);
+        if (onBehalf) {
+            await repository.recordStaffAction(accountAccess.actorOf(req.user), 'updateScheduledPayment',
+                { accountNumber: schedule.source }, { scheduleId: schedule._id, fields: Object.keys(changes) });
+        }
+        res.json(serializeScheduledPayment(updated));
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error updating scheduled payment: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /:id
+ * Cancels a scheduled payment. It is kept, with its run history, under status 'cancelled'.
+ */
+router.delete('/:id', rateLimit('money'), authenticateToken, validate(schemas.get), async (req, res, next) => {
+    try {
+        const { schedule, onBehalf } = await scheduledPayments.getSchedule(req.user, req.params.id);
+        const actor = accountAccess.actorOf(req.user);
+        const cancelled = await scheduledPayments.cancelSchedule(schedule, actor);
+        if (onBehalf) {
+            await repository.recordStaffAction(actor, 'cancelScheduledPayment',
+                { accountNumber: schedule.source }, { scheduleId: schedule._id });
+        }
+        res.json(serializeScheduledPayment(cancelled));
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error cancelling scheduled payment: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -12,71 +12,149 @@ const express = require('express');
 const router = express.Router();
 
 // Middleware imports for authentication and validation
-const { authenticateToken } = require('../middlewares/authMiddleware.js');
-const { validateUser } = require('../middlewares/validationMiddleware.js');
+const { authenticateToken, authorize } = require('../middlewares/authMiddleware.js');
+const { rateLimit } = require('../middlewares/rateLimitMiddleware.js');
+const { validate } = require('../middlewares/validationMiddleware.js');
+const { idempotent } = require('../middlewares/idempotencyMiddleware.js');
 
 // Data Access Layer (DAL) import for database operations
-const dal = require('../dal.js');
+const { repository, TRANSACTION_TYPES } = require('../repositories');
+const logger = require('../logger');
+const accountAccess = require('../services/accountAccess.js');
+
+// Amount parsing and response formatting
+const { parseAmount } = require('../utils/money.js');
+const { serializeTransaction } = require('../utils/serializers.js');
+const { MAX_PAGE_SIZE } = require('../utils/pagination.js');
+
+// Request schemas for the routes below; undeclared fields are stripped before the handler runs
+const schemas = {
+    list: { query: {
+        accountNumber: { type: 'accountNumber' },
+        from: { type: 'date' },
+        to: { type: 'date' },
+        minAmount: { type: 'amount' },
+        maxAmount: { type: 'amount' },
+        type: { type: 'enum', values: TRANSACTION_TYPES },
+        q: { type: 'string', maxLength: 100 },
+        sort: { type: 'enum', values: ['date', '-date', 'amount', '-amount'] },
+        limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+        cursor: { type: 'string', maxLength: 512 },
+    } },
+    create: { body: {
+        accountNumber: { type: 'accountNumber', required: true },
+        type: { type: 'enum', values: TRANSACTION_TYPES },
+        amount: { type: 'amount', required: true, min: '-1000000.00', max: '1000000.00' },
+        description: { type: 'string', maxLength: 140 },
+    } },
+};
 
 /**
  * GET /secure-data
  * A secure route that returns a generic message. This route is protected
- * by both validateUser and authenticateToken middleware to ensure that
- * only authenticated and valid users can access it.
+ * by the authenticateToken middleware to ensure that only authenticated
+ * users can access it.
  * 
- * @middleware validateUser - Validates the user's request format and parameters.
+ * @middleware rateLimit - Applies the read rate-limit policy.
+ * @middleware validate - Validates the request against the route schema.
  * @middleware authenticateToken - Verifies the user's authentication token.
  * 
  * @returns {Object} A JSON object containing a secure message.
  */
-router.get('/secure-data', validateUser, authenticateToken, (req, res) => {
+router.get('/secure-data', rateLimit('read'), authenticateToken, (req, res) => {
     res.json({ message: 'Secure data' });
 });
 
 /**
  * GET /
- * Retrieves all transactions available in the database. This route applies
- * validateUser middleware to ensure the request is from a valid user.
+ * Retrieves a page of ledger entries for one of the caller's accounts (their oldest account if no
+ * `accountNumber` query parameter is given), newest first unless sorted otherwise. Staff may read any
+ * account; the access is recorded.
  * 
- * @middleware validateUser - Validates the user's request format and parameters.
+ * @middleware rateLimit - Applies the read rate-limit policy.
+ * @middleware authenticateToken - Verifies the user's authentication token.
+ * @middleware validate - Validates the request against the route schema.
  * 
- * @returns {Array} A JSON array of all transactions.
+ * @param {string} [from] - Only entries at or after this ISO 8601 time.
+ * @param {string} [to] - Only entries at or before this ISO 8601 time.
+ * @param {string} [minAmount] - Only entries with a signed decimal amount of at least this (debits are negative).
+ * @param {string} [maxAmount] - Only entries with a signed decimal amount of at most this.
+ * @param {string} [type] - Only entries of this type.
+ * @param {string} [q] - Only entries whose description contains this text (case-insensitive).
+ * @param {string} [sort=-date] - date, -date, amount or -amount ('-' is descending).
+ * @param {number} [limit=50] - Page size, at most 200.
+ * @param {string} [cursor] - The nextCursor of the previous page.
+ * 
+ * @returns {Object} A page of transactions (`data`) and the cursor of the next page (`nextCursor`, null on the last page).
  */
-router.get('/', validateUser, async (req, res) => {
+router.get('/', rateLimit('read'), authenticateToken, validate(schemas.list), async (req, res, next) => {
     try {
-        // Retrieves all transactions from the DAL
-        const transactions = await dal.getAllTransactions();
-        // Responds with the retrieved transactions
-        res.json(transactions);
+        const { account, onBehalf } = await accountAccess.resolveAccount(req.user, req.query.accountNumber);
+        if (onBehalf) {
+            await repository.recordStaffAction(accountAccess.actorOf(req.user), 'history', { accountNumber: account.accountNumber });
+        }
+        // Retrieves one page of the account's transactions from the DAL
+        const { from, to, minAmount, maxAmount, type, q, sort, limit, cursor } = req.query;
+        const page = await repository.queryTransactions(account.accountNumber, {
+            from,
+            to,
+            // Amount bounds are in the account's currency
+            minAmount: minAmount === undefined ? undefined : parseAmount(minAmount, account.currency),
+            maxAmount: maxAmount === undefined ? undefined : parseAmount(maxAmount, account.currency),
+            type,
+            search: q,
+            sort,
+            limit,
+            cursor,
+        });
+        // Responds with the page and the cursor of the next one
+        res.json({ data: page.entries.map(serializeTransaction), nextCursor: page.nextCursor });
     } catch (error) {
+        // Validation and not-found errors are rendered by the error middleware
+        if (error.statusCode) {
+            return next(error);
+        }
         // Logs the error to the console and responds with a 500 status code
-        console.error('Error getting transactions:', error);
+        logger.error(`Error getting transactions: ${error.message}`, { stack: error.stack });
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
 /**
  * POST /
- * Creates a new transaction in the database. This route is protected by the
- * validateUser middleware to ensure the request comes from a valid user.
+ * Posts a manual ledger entry (e.g. a fee or an adjustment) to any account. Restricted to staff;
+ * the entry and a staff action record carry the staff member's identity.
  * 
- * @middleware validateUser - Validates the user's request format and parameters.
+ * @middleware rateLimit - Applies the money rate-limit policy.
+ * @middleware authenticateToken - Verifies the user's authentication token.
+ * @middleware authorize - Only tellers and admins may post entries.
+ * @middleware validate - Validates the request against the route schema.
+ * @middleware idempotent - Replays the stored response for retries with the same Idempotency-Key.
  * 
- * @param {number} amount - The amount for the transaction.
+ * @param {string} accountNumber - The number of the account to post to.
+ * @param {string} [type=adjustment] - The ledger entry type (deposit, withdrawal, transfer, fee, adjustment).
+ * @param {string} amount - The signed decimal amount for the transaction; negative amounts debit the account.
  * @param {string} description - The description of the transaction.
  * 
  * @returns {Object} The newly created transaction.
  */
-router.post('/', validateUser, async (req, res) => {
-    const { amount, description } = req.body;
+router.post('/', rateLimit('money'), authenticateToken, authorize('teller', 'admin'), validate(schemas.create), idempotent, async (req, res, next) => {
+    const { accountNumber, type = 'adjustment', amount, description } = req.body;
     try {
+        const minor = parseAmount(amount);
+        const performedBy = accountAccess.actorOf(req.user);
         // Creates a new transaction using the DAL
-        const newTransaction = await dal.createTransaction(amount, description);
+        const newTransaction = await repository.createTransaction(accountNumber, type, minor, description, { performedBy });
+        await repository.recordStaffAction(performedBy, 'createTransaction', { accountNumber }, { type, amount: minor });
         // Responds with the newly created transaction and a 201 status code
-        res.status(201).json(newTransaction);
+        res.status(201).json(serializeTransaction(newTransaction));
     } catch (error) {
+        // Validation and not-found errors are rendered by the error middleware
+        if (error.statusCode) {
+            return next(error);
+        }
         // Logs the error to the console and responds with a 500 status code
-        console.error('Error creating transaction:', error);
+        logger.error(`Error creating transaction: ${error.message}`, { stack: error.stack });
         res.status(500).json({ message: 'Internal server error' });
     }
 });
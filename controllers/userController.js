@@ -10,61 +10,135 @@ const express = require('express');
 const router = express.Router();
 
 // Middleware imports
-const { authenticateToken } = require('../middlewares/authMiddleware.js');
-const { validateUser } = require('../middlewares/validationMiddleware.js');
+const { authenticateToken, authorize } = require('../middlewares/authMiddleware.js');
+const { rateLimit } = require('../middlewares/rateLimitMiddleware.js');
+const { validate } = require('../middlewares/validationMiddleware.js');
+const { idempotent } = require('../middlewares/idempotencyMiddleware.js');
 
 // Data access layer import
-const dal = require('../dal.js');
+const { repository, TRANSACTION_TYPES } = require('../repositories');
+const logger = require('../logger');
+const accountAccess = require('../services/accountAccess.js');
+const { parseAmount } = require('../utils/money.js');
+const { serializeTransaction } = require('../utils/serializers.js');
+const { MAX_PAGE_SIZE } = require('../utils/pagination.js');
+
+// Request schemas for the routes below; undeclared fields are stripped before the handler runs
+const schemas = {
+    list: { query: {
+        accountNumber: { type: 'accountNumber' },
+        from: { type: 'date' },
+        to: { type: 'date' },
+        minAmount: { type: 'amount' },
+        maxAmount: { type: 'amount' },
+        type: { type: 'enum', values: TRANSACTION_TYPES },
+        q: { type: 'string', maxLength: 100 },
+        sort: { type: 'enum', values: ['date', '-date', 'amount', '-amount'] },
+        limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+        cursor: { type: 'string', maxLength: 512 },
+    } },
+    create: { body: {
+        accountNumber: { type: 'accountNumber', required: true },
+        type: { type: 'enum', values: TRANSACTION_TYPES },
+        amount: { type: 'amount', required: true, min: '-1000000.00', max: '1000000.00' },
+        description: { type: 'string', maxLength: 140 },
+    } },
+};
 
 /**
  * GET /secure-data
- * Retrieves secure data only accessible by authenticated and validated users.
+ * Retrieves secure data only accessible by authenticated users.
  * 
- * @middleware validateUser - Validates the user's request format and parameters.
+ * @middleware rateLimit - Applies the read rate-limit policy.
+ * @middleware validate - Validates the request against the route schema.
  * @middleware authenticateToken - Verifies the user's authentication token.
  * 
  * @returns {Object} Secure data response.
  */
-router.get('/secure-data', validateUser, authenticateToken, (req, res) => {
+router.get('/secure-data', rateLimit('read'), authenticateToken, (req, res) => {
     res.json({ message: 'Secure data' });
 });
 
 /**
  * GET /
- * Retrieves all transactions for a validated user.
+ * Retrieves a page of ledger entries of one of the caller's accounts (`accountNumber` query parameter),
+ * newest first unless sorted otherwise. Staff may read any account; the access is recorded.
+ * 
+ * @middleware rateLimit - Applies the read rate-limit policy.
+ * @middleware authenticateToken - Verifies the user's authentication token.
+ * @middleware validate - Validates the request against the route schema.
  * 
- * @middleware validateUser - Validates the user's request format and parameters.
+ * @param {string} [from] - Only entries at or after this ISO 8601 time.
+ * @param {string} [to] - Only entries at or before this ISO 8601 time.
+ * @param {string} [minAmount] - Only entries with a signed decimal amount of at least this (debits are negative).
+ * @param {string} [maxAmount] - Only entries with a signed decimal amount of at most this.
+ * @param {string} [type] - Only entries of this type.
+ * @param {string} [q] - Only entries whose description contains this text (case-insensitive).
+ * @param {string} [sort=-date] - date, -date, amount or -amount ('-' is descending).
+ * @param {number} [limit=50] - Page size, at most 200.
+ * @param {string} [cursor] - The nextCursor of the previous page.
  * 
- * @returns {Array} List of all transactions.
+ * @returns {Object} A page of transactions (`data`) and the cursor of the next page (`nextCursor`, null on the last page).
  */
-router.get('/', validateUser, async (req, res) => {
+router.get('/', rateLimit('read'), authenticateToken, validate(schemas.list), async (req, res, next) => {
     try {
-        const transactions = await dal.getAllTransactions();
-        res.json(transactions);
+        const { account, onBehalf } = await accountAccess.resolveAccount(req.user, req.query.accountNumber);
+        if (onBehalf) {
+            await repository.recordStaffAction(accountAccess.actorOf(req.user), 'history', { accountNumber: account.accountNumber });
+        }
+        const { from, to, minAmount, maxAmount, type, q, sort, limit, cursor } = req.query;
+        const page = await repository.queryTransactions(account.accountNumber, {
+            from,
+            to,
+            // Amount bounds are in the account's currency
+            minAmount: minAmount === undefined ? undefined : parseAmount(minAmount, account.currency),
+            maxAmount: maxAmount === undefined ? undefined : parseAmount(maxAmount, account.currency),
+            type,
+            search: q,
+            sort,
+            limit,
+            cursor,
+        });
+        res.json({ data: page.entries.map(serializeTransaction), nextCursor: page.nextCursor });
     } catch (error) {
-        console.error('Error getting transactions:', error);
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error getting transactions: ${error.message}`, { stack: error.stack });
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
 /**
  * POST /
- * Creates a new transaction for a validated user.
+ * Posts a manual ledger entry to any account. Restricted to staff; the staff member is recorded.
  * 
- * @middleware validateUser - Validates the user's request format and parameters.
+ * @middleware rateLimit - Applies the money rate-limit policy.
+ * @middleware authenticateToken - Verifies the user's authentication token.
+ * @middleware authorize - Only tellers and admins may post entries.
+ * @middleware validate - Validates the request against the route schema.
+ * @middleware idempotent - Replays the stored response for retries with the same Idempotency-Key.
  * 
- * @param {number} amount - The amount for the transaction.
+ * @param {string} accountNumber - The number of the account to post to.
+ * @param {string} [type=adjustment] - The ledger entry type (deposit, withdrawal, transfer, fee, adjustment).
+ * @param {string} amount - The signed decimal amount for the transaction; negative amounts debit the account.
  * @param {string} description - The description of the transaction.
  * 
  * @returns {Object} The newly created transaction.
  */
-router.post('/', validateUser, async (req, res) => {
-    const { amount, description } = req.body;
+router.post('/', rateLimit('money'), authenticateToken, authorize('teller', 'admin'), validate(schemas.create), idempotent, async (req, res, next) => {
+    const { accountNumber, type = 'adjustment', amount, description } = req.body;
     try {
-        const newTransaction = await dal.createTransaction(amount, description);
-        res.status(201).json(newTransaction);
+        const minor = parseAmount(amount);
+        const performedBy = accountAccess.actorOf(req.user);
+        const newTransaction = await repository.createTransaction(accountNumber, type, minor, description, { performedBy });
+        await repository.recordStaffAction(performedBy, 'createTransaction', { accountNumber }, { type, amount: minor });
+        res.status(201).json(serializeTransaction(newTransaction));
     } catch (error) {
-        console.error('Error creating transaction:', error);
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error creating transaction: ${error.message}`, { stack: error.stack });
         res.status(500).json({ message: 'Internal server error' });
     }
 });
@@ -0,0 +1,175 @@
+/**
+ * webhookController.js
+ * ./backend/controllers/webhookController.js
+ *
+ * Admin routes for outbound webhooks: subscribing partner URLs to account and transaction events,
+ * and inspecting and replaying their deliveries. Events are sent by the dispatcher in
+ * services/webhooks.js, which also documents how requests are signed.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { repository } = require('../repositories');
+const logger = require('../logger');
+const webhooks = require('../services/webhooks.js');
+const accountAccess = require('../services/accountAccess.js');
+const { EVENT_TYPES } = require('../services/eventBus.js');
+const { authenticateToken, authorize } = require('../middlewares/authMiddleware.js');
+const { rateLimit } = require('../middlewares/rateLimitMiddleware.js');
+const { validate } = require('../middlewares/validationMiddleware.js');
+const { serializeWebhook, serializeWebhookDelivery } = require('../utils/serializers.js');
+
+// Request schemas for the routes below; undeclared fields are stripped before the handler runs
+const idParams = { params: { id: { type: 'string', required: true, pattern: /^[0-9a-f]{24}$/ } } };
+const eventsRule = { type: 'array', minItems: 1, maxItems: EVENT_TYPES.length + 1, items: { type: 'enum', values: [...EVENT_TYPES, '*'] } };
+const schemas = {
+    create: { body: {
+        url: { type: 'url', required: true },
+        events: { ...eventsRule, required: true },
+        description: { type: 'string', maxLength: 200 },
+    } },
+    get: idParams,
+    update: { ...idParams, body: {
+        url: { type: 'url' },
+        events: eventsRule,
+        description: { type: 'string', maxLength: 200 },
+        enabled: { type: 'boolean' },
+        rotateSecret: { type: 'boolean' },
+    } },
+    deliveries: { ...idParams, query: {
+        status: { type: 'enum', values: ['pending', 'sending', 'delivered', 'dead'] },
+        limit: { type: 'integer', min: 1, max: 100 },
+    } },
+};
+
+/**
+ * GET /
+ * Lists the webhooks, oldest first. Admin only.
+ */
+router.get('/', rateLimit('admin'), authenticateToken, authorize('admin'), async (req, res, next) => {
+    try {
+        const list = await repository.listWebhooks();
+        res.json(list.map(serializeWebhook));
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error listing webhooks: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /
+ * Subscribes a `url` to `events` (event types, or '*' for all of them). URLs whose host resolves to
+ * a private, loopback or link-local address are refused (see WEBHOOK_ALLOWED_HOSTS). The response
+ * includes the signing `secret`, which is not shown again; give it to the receiver. Admin only.
+ */
+router.post('/', rateLimit('admin'), authenticateToken, authorize('admin'), validate(schemas.create), async (req, res, next) => {
+    try {
+        const webhook = await webhooks.createWebhook(req.body, accountAccess.actorOf(req.user));
+        await repository.recordAuditEvent('webhook.create', { type: 'webhook', id: String(webhook._id) }, { after: webhook });
+        res.status(201).json({ ...serializeWebhook(webhook), secret: webhook.secret });
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error creating webhook: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /:id
+ * Retrieves a webhook. Admin only.
+ */
+router.get('/:id', rateLimit('admin'), authenticateToken, authorize('admin'), validate(schemas.get), async (req, res, next) => {
+    try {
+        res.json(serializeWebhook(await webhooks.getWebhook(req.params.id)));
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error retrieving webhook: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * PATCH /:id
+ * Changes a webhook's `url`, `events` or `description`, or disables and enables it (`enabled`).
+ * Deliveries that come due while it is disabled are dead-lettered. `rotateSecret: true` replaces
+ * the signing secret at once and returns the new one. Admin only.
+ */
+router.patch('/:id', rateLimit('admin'), authenticateToken, authorize('admin'), validate(schemas.update), async (req, res, next) => {
+    try {
+        const before = await webhooks.getWebhook(req.params.id);
+        const webhook = await webhooks.updateWebhook(req.params.id, req.body);
+        await repository.recordAuditEvent('webhook.update', { type: 'webhook', id: String(webhook._id) }, { before, after: webhook });
+        res.json({ ...serializeWebhook(webhook), ...(req.body.rotateSecret && { secret: webhook.secret }) });
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error updating webhook: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /:id
+ * Deletes a webhook. Its deliveries are kept; those still pending are dead-lettered. Admin only.
+ */
+router.delete('/:id', rateLimit('admin'), authenticateToken, authorize('admin'), validate(schemas.get), async (req, res, next) => {
+    try {
+        const webhook = await webhooks.deleteWebhook(req.params.id);
+        await repository.recordAuditEvent('webhook.delete', { type: 'webhook', id: String(webhook._id) }, { before: webhook });
+        res.json({ message: 'Webhook deleted' });
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error deleting webhook: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /:id/deliveries?status=&limit=
+ * Lists a webhook's deliveries, newest first, with the event, the attempts made and the last
+ * error. `status` is pending, sending, delivered or dead (dead-lettered). Admin only.
+ */
+router.get('/:id/deliveries', rateLimit('admin'), authenticateToken, authorize('admin'), validate(schemas.deliveries), async (req, res, next) => {
+    try {
+        const deliveries = await webhooks.listDeliveries(req.params.id, req.query);
+        res.json(deliveries.map(serializeWebhookDelivery));
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error listing webhook deliveries: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /deliveries/:id/replay
+ * Puts a dead-lettered delivery back in the outbox; it is sent again, with a fresh set of
+ * attempts, on the dispatcher's next run. Answers 409 for deliveries that are not dead. Admin only.
+ */
+router.post('/deliveries/:id/replay', rateLimit('admin'), authenticateToken, authorize('admin'), validate(schemas.get), async (req, res, next) => {
+    try {
+        const delivery = await webhooks.replayDelivery(req.params.id);
+        await repository.recordAuditEvent('webhook.replay', { type: 'webhook', id: String(delivery.webhookId) },
+            { details: { deliveryId: delivery._id, eventId: delivery.event.id } });
+        res.json(serializeWebhookDelivery(delivery));
+    } catch (error) {
+        if (error.statusCode) {
+            return next(error);
+        }
+        logger.error(`Error replaying webhook delivery: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
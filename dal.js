@@ -4,8 +4,19 @@
 require('dotenv').config();
 
 // Import necessary modules.
-const { MongoClient } = require('mongodb');
+const { MongoClient, ObjectId } = require('mongodb');
 const logger = require('./logger'); // Winston or similar logger setup for logging messages.
+const { ValidationError, NotFoundError, InsufficientFundsError, LimitExceededError, ConflictError } = require('./middlewares/errorMiddleware');
+const { generateAccountNumber, isValidAccountNumber } = require('./utils/accountNumber');
+const { DEFAULT_CURRENCY, formatAmount } = require('./utils/money');
+const { LIMIT_FIELDS, resolveLimits, usagePeriods } = require('./utils/limits');
+const { DEFAULT_PAGE_SIZE, encodeCursor, decodeCursor, parseSort, escapeRegExp } = require('./utils/pagination');
+const { GENESIS_HASH, chainOf, createAuditEvent, verifyEvents } = require('./utils/audit');
+const { statusOf, blockedStatuses, accountStatusError, assertStatusAllows, nextStatus } = require('./utils/accountStatus');
+const { ROLES, ACCOUNT_TYPES, TRANSACTION_TYPES } = require('./repositories/repository');
+const { serializeAccount, serializeTransaction } = require('./utils/serializers');
+const eventBus = require('./services/eventBus');
+const { subscriberFilter, newDeliveries } = require('./utils/webhooks');
 const bcrypt = require('bcrypt');
 const saltRounds = 10; // Salt rounds for bcrypt hashing.
 
@@ -20,13 +31,16 @@ let client;
 /**
  * Connects to MongoDB and initializes the db and client variables.
  * Reuses the connection if already established.
+ * @param {string} [uri] MongoDB URI, defaults to MONGODB_URI.
+ * @param {string} [dbName] Database name, defaults to DB_NAME.
  * @returns {Object} An object containing the db and client instances.
  */
-async function connectToMongo() {
+async function connectToMongo(uri = url, dbName = defaultDbName) {
     if (db) return { db, client };
     try {
-        client = await MongoClient.connect(url, { useNewUrlParser: true, useUnifiedTopology: true });
-        db = client.db(defaultDbName);
+        client = await MongoClient.connect(uri, { useNewUrlParser: true, useUnifiedTopology: true });
+        db = client.db(dbName);
+        await ensureIndexes(db);
         logger.info('Successfully connected to MongoDB.');
         return { db, client };
     } catch (error) {
@@ -35,6 +49,61 @@ async function connectToMongo() {
     }
 }
 
+/**
+ * Creates the indexes the data access layer relies on. Safe to call on every startup.
+ * @param {Object} db The db instance.
+ */
+async function ensureIndexes(db) {
+    await db.collection('accounts').createIndex({ accountNumber: 1 }, { unique: true });
+    await db.collection('accounts').createIndex({ userId: 1 });
+    // One user per email, even when two sign-ups race past the existence check
+    await db.collection('users').createIndex({ email: 1 }, { unique: true });
+    await db.collection('idempotency_keys').createIndex({ key: 1, owner: 1 }, { unique: true });
+    await db.collection('idempotency_keys').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('refresh_tokens').createIndex({ tokenHash: 1 }, { unique: true });
+    await db.collection('refresh_tokens').createIndex({ familyId: 1 });
+    await db.collection('refresh_tokens').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('revoked_tokens').createIndex({ jti: 1 }, { sparse: true });
+    await db.collection('revoked_tokens').createIndex({ familyId: 1 }, { sparse: true });
+    await db.collection('revoked_tokens').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('user_tokens').createIndex({ tokenHash: 1 }, { unique: true });
+    await db.collection('user_tokens').createIndex({ userId: 1, purpose: 1 });
+    await db.collection('user_tokens').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('login_failures').createIndex({ key: 1 }, { unique: true });
+    await db.collection('login_failures').createIndex({ lastFailureAt: -1 });
+    await db.collection('login_failures').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('rate_limits').createIndex({ key: 1 }, { unique: true });
+    await db.collection('rate_limits').createIndex({ resetTime: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('webhooks').createIndex({ events: 1 });
+    // Claiming scans for due deliveries; listing filters by webhook and status
+    await db.collection('webhook_deliveries').createIndex({ status: 1, nextAttemptAt: 1 });
+    await db.collection('webhook_deliveries').createIndex({ webhookId: 1, _id: -1 });
+    // History queries: always by account, sorted by date or amount, optionally filtered by type
+    await db.collection('transactions').createIndex({ accountId: 1, timestamp: 1, _id: 1 });
+    await db.collection('transactions').createIndex({ accountId: 1, amount: 1, _id: 1 });
+    await db.collection('transactions').createIndex({ accountId: 1, type: 1, timestamp: 1, _id: 1 });
+    await db.collection('scheduled_payments').createIndex({ status: 1, dueAt: 1 });
+    await db.collection('scheduled_payments').createIndex({ userId: 1 });
+    await db.collection('scheduled_payment_runs').createIndex({ scheduleId: 1, at: -1 });
+    // At most one successful run per occurrence, whatever happens to the scheduler's leases
+    await db.collection('scheduled_payment_runs').createIndex(
+        { scheduleId: 1, occurrence: 1 },
+        { unique: true, partialFilterExpression: { status: 'succeeded' } }
+    );
+    await db.collection('withdrawal_usage').createIndex({ accountId: 1, period: 1 }, { unique: true });
+    await db.collection('withdrawal_usage').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    // Each account accrues once per day and is paid once per month, however often the interest job runs
+    await db.collection('interest_accruals').createIndex({ accountId: 1, date: 1 }, { unique: true });
+    await db.collection('interest_postings').createIndex({ accountId: 1, month: 1 }, { unique: true });
+    await db.collection('interest_runs').createIndex({ date: 1 }, { unique: true });
+    // Each audit chain has exactly one event per sequence number
+    await db.collection('audit_events').createIndex({ chain: 1, seq: 1 }, { unique: true });
+    await db.collection('audit_events').createIndex({ 'target.type': 1, 'target.id': 1, _id: -1 });
+    await db.collection('audit_events').createIndex({ 'actor.email': 1, _id: -1 });
+    await db.collection('audit_events').createIndex({ action: 1, _id: -1 });
+    await db.collection('audit_events').createIndex({ requestId: 1 });
+}
+
 /**
  * Retrieves the initialized db instance, ensuring connectToMongo has been called.
  * @returns {Object} The db instance.
@@ -44,8 +113,61 @@ function getDb() {
     return db;
 }
 
+/**
+ * Runs a unit of work inside a MongoDB session transaction.
+ * The work is retried on transient errors (e.g. write conflicts) and
+ * its writes are committed or aborted together. Events the work raises (see publishEvent) are
+ * published on the bus once the transaction is committed.
+ * @param {Function} work Async function receiving the session; must pass it to every operation.
+ * @returns {Promise<*>} The value returned by the work function.
+ */
+async function withTransaction(work) {
+    const { client } = await connectToMongo();
+    const session = client.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            // A retried attempt starts over, so drop the events of the aborted one
+            session.pendingEvents = [];
+            result = await work(session);
+        });
+        for (const event of session.pendingEvents) {
+            eventBus.publish(event);
+        }
+        return result;
+    } finally {
+        await session.endSession();
+    }
+}
+
+/**
+ * Raises a domain event (see services/eventBus.js). Its deliveries to the subscribed webhooks are
+ * written to the outbox in the transaction of the change, so they are committed or aborted with
+ * it. Publishing on the bus is held back until the transaction commits, and dropped if it aborts,
+ * so subscribers only hear about changes that happened.
+ * @param {Object} [session] Session of the transaction the change belongs to.
+ * @param {string} type One of EVENT_TYPES.
+ * @param {Object} data The event's data.
+ */
+async function publishEvent(session, type, data) {
+    const { db } = await connectToMongo();
+    const event = eventBus.createEvent(type, data);
+    const webhooks = await db.collection('webhooks')
+        .find(subscriberFilter(type), { projection: { _id: 1 }, session })
+        .toArray();
+    if (webhooks.length > 0) {
+        await db.collection('webhook_deliveries').insertMany(newDeliveries(webhooks, event), { session });
+    }
+    if (session && session.pendingEvents) {
+        session.pendingEvents.push(event);
+    } else {
+        eventBus.publish(event);
+    }
+}
+
 // Below are the database operations: create, find, findOne, update, deposit, withdraw, and all.
 // Each function is documented with jsdoc comments for clarity on parameters and return values.
+// All balances and amounts are integers in the account currency's minor units (e.g. cents).
 
 /**
  * Inserts a new document into the specified collection.
@@ -58,6 +180,8 @@ async function createDocument(collectionName, document) {
     try {
         const result = await db.collection(collectionName).insertOne(document);
         logger.info('Document inserted:', result.insertedId);
+        await recordAuditEvent(`${collectionName}.create`, { type: collectionName, id: String(result.insertedId) },
+            { after: document });
         return result;
     } catch (error) {
         logger.error('Failed to insert document:', error);
@@ -77,7 +201,8 @@ async function createDocument(collectionName, document) {
     try {
       const document = await db.collection(collectionName).findOne(query);
       if (document) {
-        logger.info('Document found:', document);
+        // Only the id: documents can hold password hashes and other personal data
+        logger.info(`Document found in ${collectionName}: ${document._id}`);
       } else {
         logger.info('No document matches the query.');
       }
@@ -98,9 +223,12 @@ async function createDocument(collectionName, document) {
   async function updateDocument(collectionName, query, update) {
     const { db } = await connectToMongo();
     try {
+      const before = await db.collection(collectionName).findOne(query);
       const result = await db.collection(collectionName).updateOne(query, { $set: update });
       if (result.matchedCount && result.modifiedCount) {
         logger.info('Document updated successfully.');
+        await recordAuditEvent(`${collectionName}.update`, { type: collectionName, id: String(before._id) },
+          { before, after: { ...before, ...update } });
       } else {
         logger.info('No matching document found or no new data to update.');
       }
@@ -120,9 +248,11 @@ async function createDocument(collectionName, document) {
   async function deleteDocument(collectionName, query) {
     const { db } = await connectToMongo();
     try {
+      const before = await db.collection(collectionName).findOne(query);
       const result = await db.collection(collectionName).deleteOne(query);
       if (result.deletedCount) {
         logger.info('Document deleted successfully.');
+        await recordAuditEvent(`${collectionName}.delete`, { type: collectionName, id: String(before._id) }, { before });
       } else {
         logger.info('No matching document found to delete.');
       }
@@ -135,19 +265,31 @@ async function createDocument(collectionName, document) {
   
 
 /**
- * Creates a new user in the database.
+ * Creates a new user in the database together with a checking account.
+ * New users always start with the customer role and an unverified email.
  * @param {string} name User's name.
  * @param {string} email User's email.
  * @param {string} password User's password.
- * @returns The created user object.
+ * @returns The created user object, with the opened account under `accounts`.
  */
 async function create(name, email, password) {
     try {
-        const { db } = await connectToMongo();
-        const collection = db.collection('users');
-        const doc = { name, email, password, balance: 0 };
-        const result = await collection.insertOne(doc);
-        return result.ops[0];
+        return await withNewAccountNumber(async (session) => {
+            const { db } = await connectToMongo();
+            const doc = { name, email, password, role: 'customer', emailVerifiedAt: null, createdAt: new Date() };
+            let result;
+            try {
+                result = await db.collection('users').insertOne(doc, { session });
+            } catch (err) {
+                // 11000 is a duplicate key error on the unique email index
+                if (err.code === 11000) throw new ConflictError('User already exists.');
+                throw err;
+            }
+            const user = result.ops[0];
+            await recordAuditEvent('user.create', { type: 'user', id: email }, { after: user, session });
+            const account = await insertAccount(user._id, 'checking', session);
+            return { ...user, accounts: [account] };
+        });
     } catch (err) {
         logger.error(`Error creating user: ${err.message}`, { stack: err.stack });
         throw err;
@@ -179,7 +321,7 @@ async function findOne(email) {
         const { db } = await connectToMongo();
         const user = await db.collection('users').findOne({ email });
         if (!user) {
-            throw new Error("User not found.");
+            throw new NotFoundError("User not found.");
         }
         return user;
     } catch (err) {
@@ -188,6 +330,37 @@ async function findOne(email) {
     }
 }
 
+/**
+ * Changes the role of a user.
+ * @param {string} email Email of the user.
+ * @param {string} role One of ROLES.
+ * @returns The updated user object.
+ */
+async function setRole(email, role) {
+    try {
+        if (!ROLES.includes(role)) {
+            throw new ValidationError(`Role must be one of: ${ROLES.join(', ')}.`);
+        }
+        return await withTransaction(async (session) => {
+            const { db } = await connectToMongo();
+            const result = await db.collection('users').findOneAndUpdate(
+                { email },
+                { $set: { role } },
+                { returnDocument: 'before', session }
+            );
+            if (!result.value) {
+                throw new NotFoundError("User not found.");
+            }
+            const user = { ...result.value, role };
+            await recordAuditEvent('user.role', { type: 'user', id: email }, { before: result.value, after: user, session });
+            return user;
+        });
+    } catch (err) {
+        logger.error(`Error setting user role: ${err.message}`, { stack: err.stack });
+        throw err;
+    }
+}
+
 /**
  * Updates a user's data.
  * @param {string} email Email of the user to update.
@@ -196,77 +369,263 @@ async function findOne(email) {
  */
 async function update(email, newData) {
     try {
-        const { db } = await connectToMongo();
-        const result = await db.collection('users').findOneAndUpdate(
-            { email },
-            { $set: newData },
-            { returnDocument: 'after' }
-        );
-        return result.value;
+        return await withTransaction(async (session) => {
+            const { db } = await connectToMongo();
+            const before = await db.collection('users').findOne({ email }, { session });
+            const result = await db.collection('users').findOneAndUpdate(
+                { email },
+                { $set: newData },
+                { returnDocument: 'after', session }
+            );
+            if (result.value) {
+                await recordAuditEvent('user.update', { type: 'user', id: email }, { before, after: result.value, session });
+            }
+            return result.value;
+        });
     } catch (err) {
         logger.error(`Error updating user data: ${err.message}`, { stack: err.stack });
         throw err;
     }
 }
 
+// How many times a transaction opening an account is run before giving up on finding an unused number
+const MAX_ACCOUNT_NUMBER_ATTEMPTS = 5;
+
+/**
+ * Runs a transaction that opens an account (see insertAccount), starting it over with a new
+ * account number when the generated one is already taken. The duplicate key error aborts the
+ * transaction, so the number cannot be retried inside it.
+ * @param {Function} work Async function receiving the session, as for withTransaction.
+ * @returns {Promise<*>} The value returned by the work function.
+ */
+async function withNewAccountNumber(work) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await withTransaction(work);
+        } catch (err) {
+            // 11000 is a duplicate key error; only one on the unique accountNumber index is worth retrying
+            const numberTaken = err.code === 11000 && /accountNumber/.test(err.message);
+            if (!numberTaken || attempt >= MAX_ACCOUNT_NUMBER_ATTEMPTS) throw err;
+        }
+    }
+}
+
 /**
- * Deposits an amount to a user's account.
- * @param {string} email Email of the user.
- * @param {number} amount Amount to deposit.
- * @returns The updated user object.
+ * Inserts a new zero-balance account with a freshly generated account number. If the number is
+ * already taken the insert fails and aborts the transaction; run it through withNewAccountNumber.
+ * @param {ObjectId} userId Id of the owning user.
+ * @param {string} type One of ACCOUNT_TYPES.
+ * @param {Object} session Session of the surrounding transaction.
+ * @param {string} [status='active'] 'active', or 'pending' for an account that must be activated before use.
+ * @returns The inserted account object.
+ */
+async function insertAccount(userId, type, session, status = 'active') {
+    const { db } = await connectToMongo();
+    const doc = {
+        userId,
+        accountNumber: generateAccountNumber(),
+        type,
+        status,
+        currency: DEFAULT_CURRENCY,
+        balance: 0,
+        // Interest accrued but not yet posted, in millionths of a minor unit
+        accruedInterest: 0,
+        createdAt: new Date(),
+    };
+    const result = await db.collection('accounts').insertOne(doc, { session });
+    const account = result.ops[0];
+    await recordAuditEvent('account.open', { type: 'account', id: account.accountNumber }, { after: account, session });
+    await publishEvent(session, 'account.opened', { account: serializeAccount(account) });
+    return account;
+}
+
+/**
+ * Opens an additional account for a user.
+ * @param {string} email Email of the owning user.
+ * @param {string} type One of ACCOUNT_TYPES.
+ * @param {Object} [options] Optional settings.
+ * @param {boolean} [options.pending] Opens the account pending, so it takes no balance changes until an admin activates it.
+ * @returns The opened account object.
  */
-async function deposit(email, amount) {
+async function openAccount(email, type, { pending = false } = {}) {
     try {
-        const { db } = await connectToMongo();
-        const result = await db.collection('users').findOneAndUpdate(
-            { email },
-            { $inc: { balance: amount } },
-            { returnDocument: 'after' }
-        );
-        if (amount <= 0) {
-            throw new Error("Amount must be positive.");
+        if (!ACCOUNT_TYPES.includes(type)) {
+            throw new ValidationError(`Account type must be one of: ${ACCOUNT_TYPES.join(', ')}.`);
         }
-        if (!result.value) {
-            throw new Error("User not found.");
+        const { db } = await connectToMongo();
+        const user = await db.collection('users').findOne({ email });
+        if (!user) {
+            throw new NotFoundError("User not found.");
         }
-        return result.value;
+        return await withNewAccountNumber(session => insertAccount(user._id, type, session, pending ? 'pending' : 'active'));
     } catch (err) {
-        logger.error(`Error depositing amount: ${err.message}`, { stack: err.stack });
+        logger.error(`Error opening account: ${err.message}`, { stack: err.stack });
         throw err;
     }
 }
 
 /**
- * Withdraws an amount from a user's account.
- * @param {string} email Email of the user.
- * @param {number} amount Amount to withdraw.
- * @returns The updated user object.
+ * Lists the accounts owned by a user, oldest first.
+ * @param {string} email Email of the owning user.
+ * @returns An array of account objects.
  */
-async function withdraw(email, amount) {
+async function findAccounts(email) {
     try {
         const { db } = await connectToMongo();
         const user = await db.collection('users').findOne({ email });
-        if (amount <= 0) {
-            throw new Error("Amount must be positive.");
-        }
         if (!user) {
-            throw new Error("User not found.");
+            throw new NotFoundError("User not found.");
         }
-        if (user.balance < amount) {
-            throw new Error("Insufficient funds.");
+        return db.collection('accounts').find({ userId: user._id }).sort({ createdAt: 1 }).toArray();
+    } catch (err) {
+        logger.error(`Error finding accounts: ${err.message}`, { stack: err.stack });
+        throw err;
+    }
+}
+
+/**
+ * Checks the format and check digit of an account number.
+ * @param {string} accountNumber Account number to check.
+ * @throws {ValidationError} If the account number is malformed.
+ */
+function assertAccountNumber(accountNumber) {
+    if (!isValidAccountNumber(accountNumber)) {
+        throw new ValidationError("Invalid account number.");
+    }
+}
+
+/**
+ * Finds a single account by account number.
+ * @param {string} accountNumber Account number to search for.
+ * @returns The account object.
+ */
+async function findAccount(accountNumber) {
+    try {
+        assertAccountNumber(accountNumber);
+        const { db } = await connectToMongo();
+        const account = await db.collection('accounts').findOne({ accountNumber });
+        if (!account) {
+            throw new NotFoundError("Account not found.");
         }
-        const result = await db.collection('users').findOneAndUpdate(
-            { email },
-            { $inc: { balance: -amount } },
-            { returnDocument: 'after' }
-        );
-        return result.value;
+        return account;
+    } catch (err) {
+        logger.error(`Error finding account: ${err.message}`, { stack: err.stack });
+        throw err;
+    }
+}
+
+/**
+ * Checks that an amount is a positive whole number of minor units.
+ * @param {number} amount Amount to check.
+ * @throws {ValidationError} If the amount is not positive.
+ */
+function assertPositiveAmount(amount) {
+    if (!Number.isSafeInteger(amount) || amount <= 0) {
+        throw new ValidationError("Amount must be positive.");
+    }
+}
+
+/**
+ * Deposits an amount to an account.
+ * The balance update and its ledger entry are committed in one transaction.
+ * @param {string} accountNumber Number of the account to credit.
+ * @param {number} amount Amount to deposit, in minor units.
+ * @param {Object} [options] Optional settings.
+ * @param {Object} [options.performedBy] Staff member acting on the customer's behalf, stored on the ledger entry.
+ * @returns The updated account object.
+ */
+async function deposit(accountNumber, amount, { performedBy } = {}) {
+    try {
+        assertAccountNumber(accountNumber);
+        assertPositiveAmount(amount);
+        return await withTransaction(async (session) => {
+            const { account } = await applyEntry(accountNumber, 'deposit', amount, 'Deposit', session,
+                performedBy && { performedBy });
+            return account;
+        });
+    } catch (err) {
+        logger.error(`Error depositing amount: ${err.message}`, { stack: err.stack });
+        throw err;
+    }
+}
+
+/**
+ * Withdraws an amount from an account, within the account's limits (see applyLimitedDebit).
+ * The balance check and update are a single conditional write, so concurrent
+ * withdrawals cannot overdraw the account. The ledger entry is committed in the same transaction.
+ * @param {string} accountNumber Number of the account to debit.
+ * @param {number} amount Amount to withdraw, in minor units.
+ * @param {Object} [options] Optional settings.
+ * @param {Object} [options.performedBy] Staff member acting on the customer's behalf, stored on the ledger entry.
+ * @returns The updated account object.
+ */
+async function withdraw(accountNumber, amount, { performedBy } = {}) {
+    try {
+        assertAccountNumber(accountNumber);
+        assertPositiveAmount(amount);
+        return await withTransaction(async (session) => {
+            const { account } = await applyLimitedDebit(accountNumber, 'withdrawal', amount, 'Withdrawal', session,
+                performedBy && { performedBy });
+            return account;
+        });
     } catch (err) {
         logger.error(`Error withdrawing amount: ${err.message}`, { stack: err.stack });
         throw err;
     }
 }
 
+/**
+ * Moves an amount from one account to another, within the source account's limits (see applyLimitedDebit).
+ * The debit, the credit and both ledger entries are committed in one transaction,
+ * so either the whole transfer happens or none of it does.
+ * @param {string} source Number of the account to debit.
+ * @param {string} destination Number of the account to credit.
+ * @param {number} amount Amount to transfer, in minor units.
+ * @param {string} [memo] Note stored on both ledger entries.
+ * @param {Object} [options] Optional settings.
+ * @param {Object} [options.performedBy] Staff member acting on the customer's behalf, stored on both ledger entries.
+ * @param {ObjectId} [options.scheduledPaymentId] Scheduled payment the transfer executes, stored on both ledger entries.
+ * @param {Object} [options.session] Session of an enclosing transaction to run in, so the caller can commit more writes with the transfer.
+ * @returns The updated source and destination account objects.
+ */
+async function transfer(source, destination, amount, memo, { performedBy, scheduledPaymentId, session } = {}) {
+    try {
+        assertAccountNumber(source);
+        assertAccountNumber(destination);
+        assertPositiveAmount(amount);
+        if (source === destination) {
+            throw new ValidationError("Cannot transfer to the same account.");
+        }
+        const work = async (session) => {
+            const { db } = await connectToMongo();
+            const target = await db.collection('accounts').findOne({ accountNumber: destination }, { session });
+            if (!target) {
+                throw new NotFoundError("Destination account not found.");
+            }
+            const origin = await db.collection('accounts').findOne({ accountNumber: source }, { session });
+            if (origin && origin.currency !== target.currency) {
+                throw new ValidationError("Cannot transfer between accounts in different currencies.");
+            }
+            assertStatusAllows(target, amount);
+            const transferId = new ObjectId();
+            const details = {
+                transferId,
+                ...(performedBy && { performedBy }),
+                ...(scheduledPaymentId && { scheduledPaymentId }),
+            };
+            const debit = await applyLimitedDebit(source, 'transfer', amount, memo || `Transfer to ${destination}`, session,
+                { ...details, counterpartyId: target._id });
+            const credit = await applyEntry(destination, 'transfer', amount, memo || `Transfer from ${source}`, session,
+                { ...details, counterpartyId: debit.account._id });
+            return { source: debit.account, destination: credit.account };
+        };
+        return await (session ? work(session) : withTransaction(work));
+    } catch (err) {
+        logger.error(`Error transferring amount: ${err.message}`, { stack: err.stack });
+        throw err;
+    }
+}
+
 /**
  * Retrieves all users from the database.
  * @returns An array of all user objects.
@@ -281,6 +640,689 @@ async function all() {
     }
 }
 
+/**
+ * Retrieves one page of users, oldest first.
+ * @param {Object} [options] Filters and paging.
+ * @param {string} [options.role] Only users with this role.
+ * @param {number} [options.limit] Page size.
+ * @param {string} [options.cursor] The nextCursor of the previous page.
+ * @returns {Promise<Object>} The page's users and the cursor of the next page (null on the last page).
+ * @throws {ValidationError} If the cursor is invalid.
+ */
+async function listUsers(options = {}) {
+    const { role, limit = DEFAULT_PAGE_SIZE, cursor } = options;
+    try {
+        const { db } = await connectToMongo();
+        const query = {};
+        if (role) {
+            query.role = role;
+        }
+        if (cursor) {
+            Object.assign(query, keysetFilter('_id', 1, decodeCursor(cursor, 'id')));
+        }
+        const users = await db.collection('users')
+            .find(query)
+            .sort({ _id: 1 })
+            .limit(limit + 1)
+            .toArray();
+        const hasMore = users.length > limit;
+        const page = hasMore ? users.slice(0, limit) : users;
+        const last = page[page.length - 1];
+        return { users: page, nextCursor: hasMore ? encodeCursor('id', last._id.toHexString(), last._id) : null };
+    } catch (err) {
+        logger.error(`Error listing users: ${err.message}`, { stack: err.stack });
+        throw err;
+    }
+}
+
+/**
+ * Appends a ledger entry for a balance change that has already been applied.
+ * @param {Object} account The account document after the balance change.
+ * @param {string} type One of TRANSACTION_TYPES.
+ * @param {number} amount Signed amount in minor units; positive for credits, negative for debits.
+ * @param {string} description Description shown on the customer's history.
+ * @param {Object} [session] Session of the transaction the balance change belongs to.
+ * @param {Object} [details] Extra fields stored on the entry, e.g. transfer references.
+ * @returns The inserted ledger entry.
+ */
+async function recordTransaction(account, type, amount, description, session, details = {}) {
+    const { db } = await connectToMongo();
+    const entry = {
+        accountId: account._id,
+        type,
+        amount,
+        currency: account.currency,
+        balance: account.balance,
+        description,
+        timestamp: new Date(),
+        ...details,
+    };
+    const result = await db.collection('transactions').insertOne(entry, { session });
+    return result.ops[0];
+}
+
+/**
+ * Applies a signed amount to an account balance and records the matching ledger entry.
+ * Debits carry the balance check in the update filter, so they are never applied
+ * to a balance that does not cover them, even under concurrent requests. The account's status
+ * is checked the same way (see utils/accountStatus.js).
+ * @param {string} accountNumber Number of the account.
+ * @param {string} type One of TRANSACTION_TYPES.
+ * @param {number} amount Signed amount in minor units; positive for credits, negative for debits.
+ * @param {string} description Description of the entry.
+ * @param {Object} session Session of the surrounding transaction.
+ * @param {Object} [details] Extra fields stored on the ledger entry.
+ * @param {number} [overdraft=0] How far (in minor units) a debit may take the balance below zero.
+ * @param {string[]} [blocked] Account statuses that reject the change; by default those for its direction.
+ * @returns {Promise<Object>} The updated account and the inserted entry.
+ */
+async function applyEntry(accountNumber, type, amount, description, session, details, overdraft = 0, blocked = blockedStatuses(amount)) {
+    const { db } = await connectToMongo();
+    // Accounts stored before statuses existed have no status field, which $nin matches
+    const query = { accountNumber, status: { $nin: blocked } };
+    if (amount < 0) {
+        query.balance = { $gte: -amount - overdraft };
+    }
+    const result = await db.collection('accounts').findOneAndUpdate(
+        query,
+        { $inc: { balance: amount } },
+        { returnDocument: 'after', session }
+    );
+    if (!result.value) {
+        const account = await db.collection('accounts').findOne({ accountNumber }, { session });
+        if (!account) {
+            throw new NotFoundError("Account not found.");
+        }
+        if (blocked.includes(statusOf(account))) {
+            throw accountStatusError(account);
+        }
+        throw new InsufficientFundsError("Insufficient funds.", {
+            available: formatAmount(Math.max(account.balance + overdraft, 0), account.currency),
+            currency: account.currency,
+        });
+    }
+    const entry = await recordTransaction(result.value, type, amount, description, session, details);
+    await recordAuditEvent(`account.${type}`, { type: 'account', id: accountNumber }, {
+        before: { balance: result.value.balance - amount },
+        after: { balance: result.value.balance },
+        details: { entryId: entry._id, amount, ...(details && details.transferId && { transferId: details.transferId }) },
+        session,
+    });
+    await publishEvent(session, `transaction.${type}`, { account: serializeAccount(result.value), transaction: serializeTransaction(entry) });
+    return { account: result.value, entry };
+}
+
+/**
+ * Adds a debit to the account's daily and monthly withdrawal usage, unless that would exceed a cap.
+ * Each counter is raised with a conditional write inside the caller's transaction, so concurrent
+ * debits are serialised on the counter and cannot exceed the cap together.
+ * @param {Object} account The account document.
+ * @param {number} amount The debit in minor units.
+ * @param {Object} limits The account's limits (see resolveLimits).
+ * @param {Object} session Session of the surrounding transaction.
+ * @throws {LimitExceededError} If the debit would exceed the daily or monthly cap.
+ */
+async function consumeWithdrawalLimits(account, amount, limits, session) {
+    const { db } = await connectToMongo();
+    const usage = db.collection('withdrawal_usage');
+    const now = new Date();
+    const periods = usagePeriods(now);
+    const caps = [
+        { period: periods.day, cap: limits.dailyWithdrawal, code: 'DAILY_LIMIT_EXCEEDED', name: 'daily', keepDays: 2 },
+        { period: periods.month, cap: limits.monthlyWithdrawal, code: 'MONTHLY_LIMIT_EXCEEDED', name: 'monthly', keepDays: 62 },
+    ];
+    for (const { period, cap, code, name, keepDays } of caps) {
+        if (cap === null) continue;
+        const key = { accountId: account._id, period };
+        // Create the counter first; the conditional increment below must not upsert, or a full counter would look missing
+        await usage.updateOne(key, {
+            $setOnInsert: { total: 0, expiresAt: new Date(now.getTime() + keepDays * 24 * 60 * 60 * 1000) },
+        }, { upsert: true, session });
+        const result = await usage.findOneAndUpdate(
+            { ...key, total: { $lte: cap - amount } },
+            { $inc: { total: amount } },
+            { session }
+        );
+        if (!result.value) {
+            const current = await usage.findOne(key, { session });
+            throw new LimitExceededError(`Amount exceeds the ${name} withdrawal limit.`, code, {
+                limit: formatAmount(cap, account.currency),
+                remaining: formatAmount(Math.max(cap - current.total, 0), account.currency),
+                currency: account.currency,
+            });
+        }
+    }
+}
+
+/**
+ * Applies a customer debit (a withdrawal or outgoing transfer) within the account's limits:
+ * the per-transaction maximum, the daily and monthly withdrawal caps and the overdraft allowance.
+ * A debit that leaves the balance below zero is followed by the overdraft fee, if the account has one;
+ * the fee itself may go beyond the allowance.
+ * @param {string} accountNumber Number of the account to debit.
+ * @param {string} type One of TRANSACTION_TYPES.
+ * @param {number} amount The debit in minor units (positive).
+ * @param {string} description Description of the entry.
+ * @param {Object} session Session of the surrounding transaction.
+ * @param {Object} [details] Extra fields stored on the ledger entry.
+ * @returns {Promise<Object>} The updated account and the inserted entry.
+ * @throws {LimitExceededError} If the debit exceeds one of the account's limits.
+ * @throws {InsufficientFundsError} If the balance and overdraft allowance do not cover the debit.
+ */
+async function applyLimitedDebit(accountNumber, type, amount, description, session, details) {
+    const { db } = await connectToMongo();
+    const account = await db.collection('accounts').findOne({ accountNumber }, { session });
+    if (!account) {
+        throw new NotFoundError("Account not found.");
+    }
+    assertStatusAllows(account, -amount);
+    const limits = resolveLimits(account);
+    if (limits.perTransaction !== null && amount > limits.perTransaction) {
+        throw new LimitExceededError('Amount exceeds the per-transaction limit.', 'TRANSACTION_LIMIT_EXCEEDED', {
+            limit: formatAmount(limits.perTransaction, account.currency),
+            currency: account.currency,
+        });
+    }
+    await consumeWithdrawalLimits(account, amount, limits, session);
+    const debit = await applyEntry(accountNumber, type, -amount, description, session, details, limits.overdraft);
+    if (debit.account.balance < 0 && limits.overdraftFee > 0) {
+        const fee = await applyEntry(accountNumber, 'fee', -limits.overdraftFee, 'Overdraft fee', session,
+            { relatedTo: debit.entry._id }, Infinity);
+        return { account: fee.account, entry: debit.entry };
+    }
+    return debit;
+}
+
+/**
+ * Reports an account's limits and what remains of them today and this month.
+ * @param {string} accountNumber The account number.
+ * @returns {Promise<Object>} The limits and remaining amounts as decimal strings (null where there is no cap),
+ * and the amount available to debit (balance plus overdraft allowance).
+ * @throws {NotFoundError} If the account does not exist.
+ */
+async function getAccountLimits(accountNumber) {
+    try {
+        const { db } = await connectToMongo();
+        const account = await findAccount(accountNumber);
+        const limits = resolveLimits(account);
+        const periods = usagePeriods(new Date());
+        const usage = await db.collection('withdrawal_usage')
+            .find({ accountId: account._id, period: { $in: [periods.day, periods.month] } })
+            .toArray();
+        const used = period => (usage.find(u => u.period === period) || { total: 0 }).total;
+        const format = value => (value === null ? null : formatAmount(value, account.currency));
+        const remaining = (cap, period) => (cap === null ? null : format(Math.max(cap - used(period), 0)));
+        return {
+            currency: account.currency,
+            limits: Object.fromEntries(LIMIT_FIELDS.map(field => [field, format(limits[field])])),
+            remaining: {
+                daily: remaining(limits.dailyWithdrawal, periods.day),
+                monthly: remaining(limits.monthlyWithdrawal, periods.month),
+            },
+            available: format(Math.max(account.balance + limits.overdraft, 0)),
+        };
+    } catch (err) {
+        logger.error(`Error retrieving account limits: ${err.message}`, { stack: err.stack });
+        throw err;
+    }
+}
+
+/**
+ * Overrides limits of a single account. A null value removes the override, so the default of the
+ * account's type applies again.
+ * @param {string} accountNumber The account number.
+ * @param {Object} changes Limits to change (see LIMIT_FIELDS), in minor units.
+ * @returns {Promise<Object>} The updated account.
+ * @throws {NotFoundError} If the account does not exist.
+ */
+async function setAccountLimits(accountNumber, changes) {
+    try {
+        assertAccountNumber(accountNumber);
+        const { db } = await connectToMongo();
+        const $set = {};
+        const $unset = {};
+        for (const field of LIMIT_FIELDS) {
+            if (changes[field] === null) {
+                $unset[`limits.${field}`] = '';
+            } else if (changes[field] !== undefined) {
+                if (!Number.isSafeInteger(changes[field]) || changes[field] < 0) {
+                    throw new ValidationError(`Limit ${field} must be a non-negative amount.`);
+                }
+                $set[`limits.${field}`] = changes[field];
+            }
+        }
+        if (Object.keys($set).length === 0 && Object.keys($unset).length === 0) {
+            throw new ValidationError('Nothing to update.');
+        }
+        return await withTransaction(async (session) => {
+            const before = await db.collection('accounts').findOne({ accountNumber }, { session });
+            const result = await db.collection('accounts').findOneAndUpdate(
+                { accountNumber },
+                { ...(Object.keys($set).length && { $set }), ...(Object.keys($unset).length && { $unset }) },
+                { returnDocument: 'after', session }
+            );
+            if (!result.value) {
+                throw new NotFoundError('Account not found.');
+            }
+            await recordAuditEvent('account.limits', { type: 'account', id: accountNumber },
+                { before: { limits: before.limits }, after: { limits: result.value.limits }, session });
+            return result.value;
+        });
+    } catch (err) {
+        logger.error(`Error setting account limits: ${err.message}`, { stack: err.stack });
+        throw err;
+    }
+}
+
+/**
+ * Pays out the whole balance of an account being closed to another account. The debit is made
+ * whatever the account's limits and status, so frozen accounts can be paid out too.
+ * @param {Object} account The account document.
+ * @param {string} destination Number of the account to credit.
+ * @param {Object} session Session of the surrounding transaction.
+ * @throws {NotFoundError} If the destination account does not exist.
+ */
+async function payOut(account, destination, session) {
+    const { db } = await connectToMongo();
+    const target = await db.collection('accounts').findOne({ accountNumber: destination }, { session });
+    if (!target) {
+        throw new NotFoundError("Payout account not found.");
+    }
+    if (target.currency !== account.currency) {
+        throw new ValidationError("Cannot pay out to an account in a different currency.");
+    }
+    const details = { transferId: new ObjectId() };
+    await applyEntry(account.accountNumber, 'transfer', -account.balance, `Closing payout to ${destination}`, session,
+        { ...details, counterpartyId: target._id }, 0, ['closed']);
+    await applyEntry(destination, 'transfer', account.balance, `Closing payout from ${account.accountNumber}`, session,
+        { ...details, counterpartyId: account._id });
+}
+
+/**
+ * Moves an account to another status (see ACCOUNT_TRANSITIONS in utils/accountStatus.js). The reason
+ * and who gave it are stored on the account, and the change is recorded in the audit log.
+ * Closing needs a zero balance; a positive balance can be paid out to another account in the same
+ * transaction. Closed accounts are kept, with their history, and can be reopened.
+ * @param {string} accountNumber Number of the account.
+ * @param {string} transition One of the ACCOUNT_TRANSITIONS names.
+ * @param {Object} options Details of the change.
+ * @param {string} options.reason Why the status changes.
+ * @param {string} [options.payoutTo] When closing, the account that receives the remaining balance.
+ * @param {Object} [options.changedBy] The staff member making the change.
+ * @returns The updated account object.
+ * @throws {ConflictError} If the transition does not start from the account's status, or the balance prevents closing.
+ */
+async function changeAccountStatus(accountNumber, transition, { reason, payoutTo, changedBy } = {}) {
+    try {
+        assertAccountNumber(accountNumber);
+        if (typeof reason !== 'string' || !reason.trim()) {
+            throw new ValidationError('A reason is required.');
+        }
+        if (payoutTo !== undefined) {
+            assertAccountNumber(payoutTo);
+            if (transition !== 'close') {
+                throw new ValidationError('Only closing an account can pay out its balance.');
+            }
+            if (payoutTo === accountNumber) {
+                throw new ValidationError('Cannot pay out to the account being closed.');
+            }
+        }
+        return await withTransaction(async (session) => {
+            const { db } = await connectToMongo();
+            const accounts = db.collection('accounts');
+            const account = await accounts.findOne({ accountNumber }, { session });
+            if (!account) {
+                throw new NotFoundError("Account not found.");
+            }
+            const status = nextStatus(account, transition);
+            let { balance } = account;
+            if (status === 'closed' && balance > 0 && payoutTo) {
+                await payOut(account, payoutTo, session);
+                balance = 0;
+            }
+            if (status === 'closed' && balance !== 0) {
+                throw new ConflictError('Account balance must be zero to close it. Pay out a positive balance to another account.');
+            }
+            const changes = { status, statusReason: reason.trim(), statusChangedAt: new Date(), statusChangedBy: changedBy || null };
+            // Matching the status and balance read above makes a concurrent change fail instead of being overwritten
+            const result = await accounts.findOneAndUpdate(
+                { accountNumber, status: account.status === undefined ? { $exists: false } : account.status, balance },
+                { $set: changes },
+                { returnDocument: 'after', session }
+            );
+            if (!result.value) {
+                throw new ConflictError('Account changed while its status was being updated. Try again.');
+            }
+            await recordAuditEvent('account.status', { type: 'account', id: accountNumber }, {
+                before: { status: statusOf(account) },
+                after: { status },
+                details: { transition, reason: changes.statusReason, ...(payoutTo && { payoutTo }) },
+                session,
+            });
+            await publishEvent(session, 'account.statusChanged', {
+                account: serializeAccount(result.value),
+                previousStatus: statusOf(account),
+                transition,
+                reason: changes.statusReason,
+            });
+            return result.value;
+        });
+    } catch (err) {
+        logger.error(`Error changing account status: ${err.message}`, { stack: err.stack });
+        throw err;
+    }
+}
+
+/**
+ * Posts a ledger entry against an account and applies it to the balance.
+ * Debits are only applied when the balance covers them.
+ * @param {string} accountNumber Number of the account.
+ * @param {string} type One of TRANSACTION_TYPES.
+ * @param {number} amount Signed amount in minor units; positive for credits, negative for debits.
+ * @param {string} description Description of the entry.
+ * @param {Object} [options] Optional settings.
+ * @param {Object} [options.performedBy] Staff member who posted the entry.
+ * @param {Object} [options.session] Session of an enclosing transaction to run in.
+ * @returns The inserted ledger entry.
+ */
+async function createTransaction(accountNumber, type, amount, description, { performedBy, session } = {}) {
+    try {
+        assertAccountNumber(accountNumber);
+        if (!TRANSACTION_TYPES.includes(type)) {
+            throw new ValidationError(`Transaction type must be one of: ${TRANSACTION_TYPES.join(', ')}.`);
+        }
+        if (!Number.isSafeInteger(amount) || amount === 0) {
+            throw new ValidationError('Amount must be a non-zero number.');
+        }
+        const work = async (session) => {
+            const { entry } = await applyEntry(accountNumber, type, amount, description || '', session,
+                performedBy && { performedBy });
+            return entry;
+        };
+        return await (session ? work(session) : withTransaction(work));
+    } catch (err) {
+        logger.error(`Error creating transaction: ${err.message}`, { stack: err.stack });
+        throw err;
+    }
+}
+
+/**
+ * Retrieves ledger entries, newest first.
+ * @param {string} [accountNumber] Restricts the entries to this account when given.
+ * @returns An array of ledger entries.
+ */
+async function getAllTransactions(accountNumber) {
+    try {
+        const { db } = await connectToMongo();
+        const query = {};
+        if (accountNumber) {
+            const account = await findAccount(accountNumber);
+            query.accountId = account._id;
+        }
+        return db.collection('transactions').find(query).sort({ timestamp: -1 }).toArray();
+    } catch (err) {
+        logger.error(`Error retrieving transactions: ${err.message}`, { stack: err.stack });
+        throw err;
+    }
+}
+
+// Sort keys accepted by queryTransactions, mapped to ledger entry fields
+const TRANSACTION_SORT_FIELDS = { date: 'timestamp', amount: 'amount' };
+
+/**
+ * Builds the filter that continues a listing after the item a cursor points to.
+ * Items are ordered by the sort field and then by _id, so ties never skip or repeat items.
+ * @param {string} field The document field being sorted on.
+ * @param {number} direction 1 for ascending, -1 for descending.
+ * @param {Object} after The decoded cursor (sort key value and id).
+ * @returns {Object} A query condition.
+ */
+function keysetFilter(field, direction, after) {
+    if (!ObjectId.isValid(after.id)) {
+        throw new ValidationError('Request validation failed.', [{ field: 'query.cursor', message: 'is invalid' }]);
+    }
+    const op = direction < 0 ? '$lt' : '$gt';
+    const id = new ObjectId(after.id);
+    if (field === '_id') {
+        return { _id: { [op]: id } };
+    }
+    return { $or: [{ [field]: { [op]: after.value } }, { [field]: after.value, _id: { [op]: id } }] };
+}
+
+/**
+ * Retrieves one page of an account's ledger entries.
+ * @param {string} accountNumber The account number.
+ * @param {Object} [options] Filters and paging.
+ * @param {Date} [options.from] Only entries at or after this time.
+ * @param {Date} [options.to] Only entries at or before this time.
+ * @param {number} [options.minAmount] Only entries with a signed amount (minor units) of at least this.
+ * @param {number} [options.maxAmount] Only entries with a signed amount (minor units) of at most this.
+ * @param {string} [options.type] Only entries of this type.
+ * @param {string} [options.search] Only entries whose description contains this text (case-insensitive).
+ * @param {string} [options.sort='-date'] 'date' or 'amount'; prefixed with '-' for descending.
+ * @param {number} [options.limit] Page size.
+ * @param {string} [options.cursor] The nextCursor of the previous page.
+ * @returns {Promise<Object>} The page's entries and the cursor of the next page (null on the last page).
+ * @throws {NotFoundError} If the account does not exist.
+ * @throws {ValidationError} If the cursor is invalid.
+ */
+async function queryTransactions(accountNumber, options = {}) {
+    const { from, to, minAmount, maxAmount, type, search, sort = '-date', limit = DEFAULT_PAGE_SIZE, cursor } = options;
+    try {
+        const { db } = await connectToMongo();
+        const account = await findAccount(accountNumber);
+        const { key, direction } = parseSort(sort);
+        const field = TRANSACTION_SORT_FIELDS[key];
+        if (!field) {
+            throw new ValidationError(`Unsupported sort: ${sort}`);
+        }
+
+        const conditions = [{ accountId: account._id }];
+        if (from || to) {
+            conditions.push({ timestamp: { ...(from && { $gte: from }), ...(to && { $lte: to }) } });
+        }
+        if (minAmount !== undefined || maxAmount !== undefined) {
+            conditions.push({ amount: {
+                ...(minAmount !== undefined && { $gte: minAmount }),
+                ...(maxAmount !== undefined && { $lte: maxAmount }),
+            } });
+        }
+        if (type) {
+            conditions.push({ type });
+        }
+        if (search) {
+            conditions.push({ description: { $regex: escapeRegExp(search), $options: 'i' } });
+        }
+        if (cursor) {
+            conditions.push(keysetFilter(field, direction, decodeCursor(cursor, sort)));
+        }
+
+        // Fetch one extra entry to learn whether there is a next page
+        const entries = await db.collection('transactions')
+            .find({ $and: conditions })
+            .sort({ [field]: direction, _id: direction })
+            .limit(limit + 1)
+            .toArray();
+        const hasMore = entries.length > limit;
+        const page = hasMore ? entries.slice(0, limit) : entries;
+        const last = page[page.length - 1];
+        return { entries: page, nextCursor: hasMore ? encodeCursor(sort, last[field], last._id) : null };
+    } catch (err) {
+        logger.error(`Error querying transactions: ${err.message}`, { stack: err.stack });
+        throw err;
+    }
+}
+
+/**
+ * Prepares an account statement for a date range. The balances are looked up first and the
+ * entries are returned as a cursor, so long histories can be streamed instead of loaded at once.
+ * The caller must close the cursor (iterating it to the end does so).
+ * @param {string} accountNumber The account number.
+ * @param {Date} from Start of the range (inclusive).
+ * @param {Date} to End of the range (inclusive).
+ * @returns {Promise<Object>} The account, opening and closing balances (minor units) and an entries cursor in chronological order.
+ * @throws {NotFoundError} If the account does not exist.
+ */
+async function getStatement(accountNumber, from, to) {
+    try {
+        const { db } = await connectToMongo();
+        const account = await findAccount(accountNumber);
+        const transactions = db.collection('transactions');
+        const latest = { timestamp: -1, _id: -1 };
+
+        // Every entry stores the balance after it, so the balances come from the last entry before each bound
+        const [before] = await transactions.find({ accountId: account._id, timestamp: { $lt: from } })
+            .sort(latest).limit(1).toArray();
+        const [last] = await transactions.find({ accountId: account._id, timestamp: { $lte: to } })
+            .sort(latest).limit(1).toArray();
+
+        const entries = transactions.find({ accountId: account._id, timestamp: { $gte: from, $lte: to } })
+            .sort({ timestamp: 1, _id: 1 });
+        return {
+            account,
+            openingBalance: before ? before.balance : 0,
+            closingBalance: last ? last.balance : 0,
+            entries,
+        };
+    } catch (err) {
+        logger.error(`Error preparing statement: ${err.message}`, { stack: err.stack });
+        throw err;
+    }
+}
+
+/**
+ * Records an action a staff member took on another customer's user or account.
+ * @param {Object} staff The staff member's email and role.
+ * @param {string} action What was done, e.g. 'deposit' or 'update'.
+ * @param {Object} target The affected user email and/or account number.
+ * @param {Object} [details] Action-specific data, e.g. the amount.
+ * @returns The inserted record.
+ */
+async function recordStaffAction(staff, action, target, details = {}) {
+    try {
+        const { db } = await connectToMongo();
+        const record = { staff, action, target, details, timestamp: new Date() };
+        const result = await db.collection('staff_actions').insertOne(record);
+        logger.info(`Staff action ${action} by ${staff.email}`, { target });
+        return result.ops[0];
+    } catch (err) {
+        logger.error(`Error recording staff action: ${err.message}`, { stack: err.stack });
+        throw err;
+    }
+}
+
+/**
+ * Appends an event to the audit log. Each changed object's events form a hash chain of their own
+ * (see chainOf): each event stores the hash of the previous one and its own hash over both, so any
+ * later edit, insertion or removal is detected by verifyAuditChain. The chain's head is updated in
+ * the same transaction as the event, which serialises concurrent changes to the same object
+ * (conflicting transactions are retried by withTransaction); changes to different objects do not
+ * conflict.
+ * Who, from where and in which request come from the request context unless given.
+ * @param {string} action What was done, e.g. 'user.update' or 'account.deposit'.
+ * @param {Object} target The changed object's type and id, e.g. { type: 'account', id: accountNumber }.
+ * @param {Object} [options] Optional settings.
+ * @param {Object} [options.before] The object before the change; only changed fields are stored.
+ * @param {Object} [options.after] The object after the change.
+ * @param {Object} [options.details] Action-specific data, e.g. the ledger entry id.
+ * @param {Object} [options.actor] Who acted, when not the authenticated caller (e.g. at login).
+ * @param {Object} [options.session] Session of the transaction making the change, so the event commits with it.
+ * @returns {Promise<Object>} The inserted event.
+ */
+async function recordAuditEvent(action, target, { before, after, details, actor, session } = {}) {
+    const work = async (session) => {
+        const { db } = await connectToMongo();
+        const chain = chainOf(target);
+        const head = await db.collection('audit_chain').findOne({ _id: chain }, { session })
+            || { seq: 0, hash: GENESIS_HASH };
+        const event = createAuditEvent(head, action, target, { before, after, details, actor });
+        await db.collection('audit_events').insertOne(event, { session });
+        await db.collection('audit_chain').updateOne(
+            { _id: chain },
+            { $set: { seq: event.seq, hash: event.hash } },
+            { upsert: true, session }
+        );
+        return event;
+    };
+    try {
+        return await (session ? work(session) : withTransaction(work));
+    } catch (err) {
+        logger.error(`Error recording audit event: ${err.message}`, { stack: err.stack });
+        throw err;
+    }
+}
+
+/**
+ * Retrieves one page of audit events, newest first.
+ * @param {Object} [options] Filters and paging.
+ * @param {string} [options.actor] Only events by the user with this email.
+ * @param {string} [options.action] Only events with this action.
+ * @param {string} [options.targetType] Only events on objects of this type.
+ * @param {string} [options.targetId] Only events on the object with this id (email, account number...).
+ * @param {string} [options.requestId] Only events of this request.
+ * @param {Date} [options.from] Only events at or after this time.
+ * @param {Date} [options.to] Only events at or before this time.
+ * @param {number} [options.limit] Page size.
+ * @param {string} [options.cursor] The nextCursor of the previous page.
+ * @returns {Promise<Object>} The page's events and the cursor of the next page (null on the last page).
+ * @throws {ValidationError} If the cursor is invalid.
+ */
+async function queryAuditEvents(options = {}) {
+    const { actor, action, targetType, targetId, requestId, from, to, limit = DEFAULT_PAGE_SIZE, cursor } = options;
+    try {
+        const { db } = await connectToMongo();
+        const query = {};
+        if (actor) query['actor.email'] = actor;
+        if (action) query.action = action;
+        if (targetType) query['target.type'] = targetType;
+        if (targetId) query['target.id'] = targetId;
+        if (requestId) query.requestId = requestId;
+        if (from || to) {
+            query.at = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+        }
+        if (cursor) {
+            Object.assign(query, keysetFilter('_id', -1, decodeCursor(cursor, '-id')));
+        }
+        const events = await db.collection('audit_events')
+            .find(query)
+            .sort({ _id: -1 })
+            .limit(limit + 1)
+            .toArray();
+        const hasMore = events.length > limit;
+        const page = hasMore ? events.slice(0, limit) : events;
+        const last = page[page.length - 1];
+        return { events: page, nextCursor: hasMore ? encodeCursor('-id', last._id.toHexString(), last._id) : null };
+    } catch (err) {
+        logger.error(`Error querying audit events: ${err.message}`, { stack: err.stack });
+        throw err;
+    }
+}
+
+/**
+ * Walks every audit chain from its first event and checks every link (see verifyEvents).
+ * @returns {Promise<Object>} `valid`, the number of events `checked` and, if invalid, the first
+ * broken link (`brokenAt`: the chain, the sequence number, and `reason`).
+ */
+async function verifyAuditChain() {
+    try {
+        const { db } = await connectToMongo();
+        // The heads are read first; events appended while verifying are checked on the next run
+        const heads = new Map();
+        for (const head of await db.collection('audit_chain').find().toArray()) {
+            heads.set(head._id, head);
+        }
+        const events = db.collection('audit_events').find().sort({ chain: 1, seq: 1 });
+        try {
+            return await verifyEvents(events, heads);
+        } finally {
+            await events.close();
+        }
+    } catch (err) {
+        logger.error(`Error verifying audit chain: ${err.message}`, { stack: err.stack });
+        throw err;
+    }
+}
+
 /**
  * Sets up the data access layer.
  * @param {string} uri MongoDB URI.
@@ -288,7 +1330,8 @@ async function all() {
  * @returns The database instance and a function to stop the database.
  */
 async function setupDAL(uri, dbName) {
-    return await connectToMongo(uri, dbName);
+    const { db, client } = await connectToMongo(uri, dbName);
+    return { db, client, stopDB: disconnectFromMongo };
 }
 
 
@@ -298,6 +1341,8 @@ async function setupDAL(uri, dbName) {
 async function disconnectFromMongo() {
   if (client) {
       await client.close();
+      client = null;
+      db = null;
       logger.info('Disconnected from MongoDB.');
   }
 }
@@ -306,6 +1351,7 @@ async function disconnectFromMongo() {
 module.exports = {
   connectToMongo,
   getDb,
+  withTransaction,
   createDocument,
   findDocument,
   updateDocument,
@@ -315,9 +1361,30 @@ module.exports = {
   find,
   findOne,
   update,
+  setRole,
+  openAccount,
+  findAccounts,
+  findAccount,
   deposit,
   withdraw,
+  transfer,
   all,
+  listUsers,
+  createTransaction,
+  getAllTransactions,
+  getStatement,
+  getAccountLimits,
+  setAccountLimits,
+  changeAccountStatus,
+  queryTransactions,
+  recordStaffAction,
+  recordAuditEvent,
+  queryAuditEvents,
+  verifyAuditChain,
+  setupDAL,
+  TRANSACTION_TYPES,
+  ACCOUNT_TYPES,
+  ROLES,
 };
 
 // Note: The implementations for findDocument, updateDocument, deleteDocument, create, find, findOne, update, deposit, withdraw, and all
@@ -1,9 +1,29 @@
 const winston = require('winston');
+const { getRequestContext } = require('./utils/requestContext');
+const { redact } = require('./utils/redact');
+
+// Tags each log line with the id of the request it was written for, if any
+const requestId = winston.format((info) => {
+  const context = getRequestContext();
+  if (context.requestId && !info.requestId) {
+    info.requestId = context.requestId;
+  }
+  return info;
+});
+
+// Masks passwords, tokens and account numbers in the message and metadata of every log line
+const redacted = winston.format((info) => {
+  Object.assign(info, redact({ ...info }));
+  return info;
+});
+
+// Keeps only the access log lines written by the request context middleware
+const accessOnly = winston.format((info) => (info.type === 'access' ? info : false));
 
 // Define the Winston logger configuration
 const logger = winston.createLogger({
   level: 'info', // Minimum level of messages to log
-  format: winston.format.json(), // Log format
+  format: winston.format.combine(requestId(), redacted(), winston.format.json()), // Log format
   transports: [
     // Console transport for logging to the console
     new winston.transports.Console({
@@ -20,6 +40,15 @@ const logger = winston.createLogger({
         winston.format.timestamp(), // Add timestamp to log entries
         winston.format.json()      // Log in JSON format
       )
+    }),
+    // File transport for the access log: one JSON line per request
+    new winston.transports.File({
+      filename: 'access.log',
+      format: winston.format.combine(
+        accessOnly(),
+        winston.format.timestamp(),
+        winston.format.json()
+      )
     })
   ]
 });
@@ -0,0 +1,38 @@
+/**
+ * index.js
+ * ./backend/mail/index.js
+ *
+ * Chooses the mail transport. MAIL_TRANSPORT selects it:
+ * - 'outbox' (default): messages are written to files in MAIL_OUTBOX_DIR (default ./outbox)
+ *   instead of being sent; for development and tests.
+ *
+ * Delivering real email means adding a MailTransport implementation (SMTP, a provider's API...)
+ * to TRANSPORTS.
+ */
+
+const OutboxTransport = require('./outboxTransport');
+const { MailTransport } = require('./transport');
+
+// Available transports by name
+const TRANSPORTS = {
+    outbox: OutboxTransport,
+};
+
+/**
+ * Creates a mail transport.
+ * @param {string} [name] - The transport name; defaults to MAIL_TRANSPORT, then 'outbox'.
+ * @returns {MailTransport} The transport.
+ * @throws {Error} If the transport is unknown.
+ */
+function createTransport(name = process.env.MAIL_TRANSPORT || 'outbox') {
+    const Transport = TRANSPORTS[name];
+    if (!Transport) {
+        throw new Error(`Unknown mail transport "${name}"; expected one of: ${Object.keys(TRANSPORTS).join(', ')}.`);
+    }
+    return new Transport();
+}
+
+// The transport the application uses
+const transport = createTransport();
+
+module.exports = { transport, createTransport, TRANSPORTS, MailTransport };
@@ -0,0 +1,56 @@
+/**
+ * outboxTransport.js
+ * ./backend/mail/outboxTransport.js
+ *
+ * Mail transport for development and tests: instead of being sent, each message is written to
+ * its own JSON file in an outbox directory, where it can be read (or opened by a developer to
+ * follow a verification or password reset link).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { MailTransport } = require('./transport');
+
+// Directory used when MAIL_OUTBOX_DIR is not set
+const DEFAULT_DIR = 'outbox';
+
+class OutboxTransport extends MailTransport {
+    /**
+     * @param {string} [dir] - The outbox directory; defaults to MAIL_OUTBOX_DIR, then ./outbox.
+     */
+    constructor(dir = process.env.MAIL_OUTBOX_DIR || DEFAULT_DIR) {
+        super();
+        this.dir = dir;
+    }
+
+    async send({ to, subject, text }) {
+        const createdAt = new Date();
+        const id = crypto.randomUUID();
+        await fs.mkdir(this.dir, { recursive: true });
+        // Time-prefixed names keep the files in sending order
+        const file = path.join(this.dir, `${createdAt.getTime()}-${id}.json`);
+        await fs.writeFile(file, JSON.stringify({ id, to, subject, text, createdAt }, null, 2));
+        return { id };
+    }
+
+    /**
+     * Reads the messages in the outbox, oldest first.
+     * @param {string} [to] - Only messages to this address.
+     * @returns {Promise<Array>} The messages.
+     */
+    async list(to) {
+        let files;
+        try {
+            files = await fs.readdir(this.dir);
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+        const messages = await Promise.all(files.filter(file => file.endsWith('.json')).sort()
+            .map(async file => JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'))));
+        return messages.filter(message => !to || message.to === to);
+    }
+}
+
+module.exports = OutboxTransport;
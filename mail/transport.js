@@ -0,0 +1,29 @@
+/**
+ * transport.js
+ * ./backend/mail/transport.js
+ *
+ * The interface outgoing email goes through. A message is plain text: `to`, `subject` and `text`.
+ * See mail/index.js for the available implementations and how one is chosen.
+ */
+
+/**
+ * Creates the error thrown by interface methods an implementation does not provide.
+ * @param {string} method - The method name.
+ * @returns {Error} The error.
+ */
+function notImplemented(method) {
+    return new Error(`MailTransport.${method} is not implemented.`);
+}
+
+class MailTransport {
+    /**
+     * Sends a message. Resolves once the transport has accepted it.
+     * @param {Object} message - `to` (an email address), `subject` and `text`.
+     * @returns {Promise<Object>} The `id` the transport gave the message.
+     */
+    async send(message) {
+        throw notImplemented('send');
+    }
+}
+
+module.exports = { MailTransport };
@@ -2,10 +2,14 @@
 // ./backend/middlewares/authMiddleware.js
 
 const jwt = require('jsonwebtoken');
+const { isRevoked } = require('../services/tokenService.js');
+const { meetsRolePolicy } = require('../services/twoFactor.js');
+const { getRequestContext } = require('../utils/requestContext.js');
 const secretKey = process.env.JWT_SECRET_KEY;
 
 /**
  * Middleware to authenticate requests based on JWT.
+ * Rejects tokens that were revoked by logout or by refresh token reuse detection.
  * 
  * @param {Object} req - The request object from Express.
  * @param {Object} res - The response object from Express.
@@ -22,16 +26,50 @@ function authenticateToken(req, res, next) {
     }
 
     // Verify the token
-    jwt.verify(token, secretKey, (err, user) => {
+    jwt.verify(token, secretKey, async (err, user) => {
         if (err) {
             // If token verification fails, return a 401 Unauthorized response
             return res.status(401).json({ message: "Invalid token." });
         }
 
+        // A valid signature is not enough: the session may have been ended server-side
+        try {
+            if (await isRevoked(user)) {
+                return res.status(401).json({ message: "Token has been revoked." });
+            }
+        } catch (error) {
+            return next(error);
+        }
+
         // If verification is successful, attach the user to the request object
         req.user = user;
+        // Changes made while handling the request are attributed to the caller (see createAuditEvent in utils/audit.js)
+        getRequestContext().actor = { email: user.email, role: user.role };
         next(); // Proceed to the next middleware/route handler
     });
 }
 
-module.exports = { authenticateToken };
\ No newline at end of file
+/**
+ * Creates a middleware that only lets through authenticated users with one of the given roles.
+ * Sessions of roles that require two-factor authentication (TWO_FACTOR_REQUIRED_ROLES) must have passed it.
+ * Must run after authenticateToken.
+ * 
+ * @param {...string} roles - The roles allowed to access the route (customer, teller, admin).
+ * @returns {Function} The authorization middleware.
+ */
+function authorize(...roles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ message: "Token not provided." });
+        }
+        if (!roles.includes(req.user.role)) {
+            return res.status(403).json({ message: "Insufficient permissions." });
+        }
+        if (!meetsRolePolicy(req.user)) {
+            return res.status(403).json({ message: "Two-factor authentication required. Log in with a second factor.", code: "TWO_FACTOR_REQUIRED" });
+        }
+        next();
+    };
+}
+
+module.exports = { authenticateToken, authorize };
\ No newline at end of file
@@ -1,14 +1,18 @@
 // errorMiddleware.js
 //./backend/middlewares/errorMiddleware.js
 
+const logger = require('../logger');
+
 /**
  * Custom error class for handling validation errors.
+ * Optionally carries a field-by-field list of problems, e.g. [{ field: 'body.email', message: 'is required' }].
  */
 class ValidationError extends Error {
-    constructor(message) {
+    constructor(message, errors) {
         super(message);
         this.name = 'ValidationError';
         this.statusCode = 400; // HTTP status code for Bad Request
+        this.errors = errors;
     }
 }
 
@@ -23,6 +27,109 @@ class NotFoundError extends Error {
     }
 }
 
+/**
+ * Custom error class for handling failed authentication.
+ */
+class UnauthorizedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnauthorizedError';
+        this.statusCode = 401; // HTTP status code for Unauthorized
+    }
+}
+
+/**
+ * Custom error class for authenticated requests the caller may not make as they are.
+ * The code says what is missing, e.g. TWO_FACTOR_REQUIRED.
+ */
+class ForbiddenError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'ForbiddenError';
+        this.statusCode = 403; // HTTP status code for Forbidden
+        this.code = code;
+    }
+}
+
+/**
+ * Custom error class for requests refused until the caller has waited, e.g. logins to a locked account.
+ * retryAfter (seconds) is sent as the Retry-After header.
+ */
+class TooManyRequestsError extends Error {
+    constructor(message, retryAfter) {
+        super(message);
+        this.name = 'TooManyRequestsError';
+        this.statusCode = 429; // HTTP status code for Too Many Requests
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Custom error class for debits that the account balance (plus any overdraft allowance) does not cover.
+ * Optionally carries details for the client, e.g. { available: '12.50' }.
+ */
+class InsufficientFundsError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = 'InsufficientFundsError';
+        this.statusCode = 422; // HTTP status code for Unprocessable Entity
+        this.code = 'INSUFFICIENT_FUNDS';
+        this.details = details;
+    }
+}
+
+/**
+ * Custom error class for debits over one of the account's limits.
+ * The code names the limit (TRANSACTION_LIMIT_EXCEEDED, DAILY_LIMIT_EXCEEDED or MONTHLY_LIMIT_EXCEEDED)
+ * and the details carry the limit and what remains of it.
+ */
+class LimitExceededError extends Error {
+    constructor(message, code, details) {
+        super(message);
+        this.name = 'LimitExceededError';
+        this.statusCode = 422; // HTTP status code for Unprocessable Entity
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Custom error class for requests that clash with the current state of a resource.
+ */
+class ConflictError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConflictError';
+        this.statusCode = 409; // HTTP status code for Conflict
+    }
+}
+
+/**
+ * Custom error class for balance changes that the account's status does not allow, e.g. debits
+ * from a frozen account. The code names the status (ACCOUNT_PENDING, ACCOUNT_FROZEN or ACCOUNT_CLOSED).
+ */
+class AccountStatusError extends Error {
+    constructor(message, code, details) {
+        super(message);
+        this.name = 'AccountStatusError';
+        this.statusCode = 409; // HTTP status code for Conflict
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Custom error class for features the server cannot provide as configured, e.g. ones its storage
+ * backend does not implement.
+ */
+class NotImplementedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NotImplementedError';
+        this.statusCode = 501; // HTTP status code for Not Implemented
+    }
+}
+
 /**
  * Express error handling middleware.
  * This function captures errors thrown from anywhere in the application,
@@ -34,8 +141,12 @@ class NotFoundError extends Error {
  * @param {Function} next - The next middleware function in the stack.
  */
 function errorHandler(err, req, res, next) {
-    // Log the error stack for debugging purposes
-    console.error(err.stack);
+    // Unexpected errors are logged with their stack; expected ones (validation, not found...) only briefly
+    if (!err.statusCode || err.statusCode >= 500) {
+        logger.error(`Unhandled error: ${err.message}`, { stack: err.stack });
+    } else {
+        logger.warn(`${err.name}: ${err.message}`, { statusCode: err.statusCode });
+    }
     
     // Check if the response headers have already been sent
     if (res.headersSent) {
@@ -45,12 +156,18 @@ function errorHandler(err, req, res, next) {
 
     // Extract the status code from the error, or default to 500 for internal server errors
     const statusCode = err.statusCode || 500;
+    if (err.retryAfter) {
+        res.setHeader('Retry-After', String(err.retryAfter));
+    }
 
     // Prepare the error response object
     const errorResponse = {
         error: {
             name: err.name,
             message: err.message,
+            ...(err.statusCode && typeof err.code === 'string' && { code: err.code }), // Machine-readable reason
+            ...(err.errors && { errors: err.errors }), // Field-by-field validation problems
+            ...(err.details && { details: err.details }), // Reason-specific data, e.g. remaining limits
             ...(process.env.NODE_ENV === 'development' && { stack: err.stack }) // Include stack trace in development mode for debugging
         }
     };
@@ -59,4 +176,16 @@ function errorHandler(err, req, res, next) {
     res.status(statusCode).json(errorResponse);
 }
 
-module.exports = { errorHandler, ValidationError, NotFoundError };
\ No newline at end of file
+module.exports = {
+    errorHandler,
+    ValidationError,
+    NotFoundError,
+    UnauthorizedError,
+    ForbiddenError,
+    TooManyRequestsError,
+    InsufficientFundsError,
+    LimitExceededError,
+    ConflictError,
+    AccountStatusError,
+    NotImplementedError,
+};
\ No newline at end of file
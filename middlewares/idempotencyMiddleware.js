@@ -0,0 +1,113 @@
+// idempotencyMiddleware.js
+// ./backend/middlewares/idempotencyMiddleware.js
+
+const crypto = require('crypto');
+const { repository } = require('../repositories');
+const logger = require('../logger');
+
+// How long a key and its stored response are kept, in hours (default 24)
+const windowHours = Number(process.env.IDEMPOTENCY_WINDOW_HOURS) || 24;
+// How long a request may hold a key before a retry may take it over, in seconds (default 60)
+const lockSeconds = Number(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60;
+
+/**
+ * Serializes a value to JSON with object keys sorted, so equal bodies
+ * produce the same fingerprint regardless of key order.
+ * @param {*} value - The value to serialize.
+ * @returns {string} The canonical JSON string.
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Computes the fingerprint of a request: method, path and body.
+ * @param {Object} req - The request object from Express.
+ * @returns {string} A hex SHA-256 digest.
+ */
+function fingerprint(req) {
+    return crypto.createHash('sha256')
+        .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body || {})}`)
+        .digest('hex');
+}
+
+/**
+ * Middleware that makes money-moving routes safe to retry.
+ *
+ * When a request carries an `Idempotency-Key` header, the key is stored with a fingerprint
+ * of the request. The first response for the key is saved and replayed for identical retries
+ * within the configured window (IDEMPOTENCY_WINDOW_HOURS). A retry with a different body gets
+ * 422, and a retry while the original request is still running gets 409. Server errors are not
+ * stored, so the client can retry them. A request holds the key for IDEMPOTENCY_LOCK_SECONDS; if
+ * it has not answered by then (e.g. the process crashed), a retry takes the key over and runs.
+ * Requests without the header are handled normally.
+ *
+ * @param {Object} req - The request object from Express.
+ * @param {Object} res - The response object from Express.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+async function idempotent(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+        return next();
+    }
+    if (key.length > 255) {
+        return res.status(400).json({ message: 'Idempotency-Key must be at most 255 characters.' });
+    }
+
+    try {
+        const now = new Date();
+        const record = {
+            key,
+            // Keys are scoped to the caller once the route is authenticated
+            owner: req.user ? req.user.email : null,
+            fingerprint: fingerprint(req),
+            status: 'processing',
+            createdAt: now,
+            lockedUntil: new Date(now.getTime() + lockSeconds * 1000),
+            expiresAt: new Date(now.getTime() + windowHours * 60 * 60 * 1000),
+        };
+
+        const { reserved, existing } = await repository.reserveIdempotencyKey(record);
+        if (!reserved) {
+            if (!existing) {
+                // The original request failed and released the key in the meantime
+                return res.status(409).json({ message: 'A request with this Idempotency-Key is in progress. Retry later.' });
+            }
+            if (existing.fingerprint !== record.fingerprint) {
+                return res.status(422).json({ message: 'Idempotency-Key was already used with a different request.' });
+            }
+            if (existing.status !== 'completed') {
+                return res.status(409).json({ message: 'A request with this Idempotency-Key is in progress. Retry later.' });
+            }
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.response.statusCode).json(existing.response.body);
+        }
+
+        // Save the response before it is sent, so a retry right after it already sees it
+        const send = res.json.bind(res);
+        res.json = (body) => {
+            const statusCode = res.statusCode;
+            const saved = statusCode >= 500
+                ? repository.releaseIdempotencyKey(key, record.owner)
+                : repository.completeIdempotencyKey(key, record.owner,
+                    { statusCode, body: JSON.parse(JSON.stringify(body)) });
+            saved
+                .catch(err => logger.error(`Error saving idempotent response: ${err.message}`, { stack: err.stack }))
+                .finally(() => send(body));
+            return res;
+        };
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+module.exports = { idempotent };
@@ -0,0 +1,116 @@
+// rateLimitMiddleware.js
+// ./backend/middlewares/rateLimitMiddleware.js
+
+const { rateLimit: expressRateLimit, MemoryStore } = require('express-rate-limit');
+const jwt = require('jsonwebtoken');
+const MongoRateLimitStore = require('../repositories/mongoRateLimitStore.js');
+const { TooManyRequestsError } = require('./errorMiddleware.js');
+
+/**
+ * Named rate-limit policies, one per class of route. Each can be overridden with
+ * RATE_LIMIT_<NAME>=<limit>/<window seconds>, e.g. RATE_LIMIT_READ=1000/60 for a load test.
+ * - auth: signing up, logging in and out, tokens, passwords and two-factor settings.
+ * - money: moving money, opening accounts and scheduling payments.
+ * - read: looking up users, accounts, statements and history.
+ * - admin: staff-only management routes.
+ */
+const POLICIES = {
+    auth: { limit: 100, windowSeconds: 15 * 60 },
+    money: { limit: 60, windowSeconds: 60 },
+    read: { limit: 300, windowSeconds: 60 },
+    admin: { limit: 120, windowSeconds: 60 },
+};
+
+// Where the counters live: 'mongo' to share them between instances, or 'memory' for this process only.
+// Defaults to mongo when the data is stored in MongoDB.
+const STORE = process.env.RATE_LIMIT_STORE || ((process.env.STORAGE_BACKEND || 'mongo') === 'mongo' ? 'mongo' : 'memory');
+
+/**
+ * Reads a policy, with its override from the environment.
+ * @param {string} name - The policy name.
+ * @returns {Object} The policy's `limit` and `windowSeconds`.
+ * @throws {Error} If the override is malformed.
+ */
+function readPolicy(name) {
+    const override = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+    if (!override) {
+        return POLICIES[name];
+    }
+    const match = /^(\d+)\/(\d+)$/.exec(override.trim());
+    if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+        throw new Error(`RATE_LIMIT_${name.toUpperCase()} must look like <limit>/<window seconds>, e.g. 100/60.`);
+    }
+    return { limit: Number(match[1]), windowSeconds: Number(match[2]) };
+}
+
+/**
+ * Identifies the client a request is counted against: the authenticated user when the request
+ * carries a validly signed access token, the client's IP otherwise. Customers sharing an IP
+ * (e.g. behind NAT) are counted separately once logged in.
+ * Only the signature is checked here; authenticateToken still decides whether the token is accepted.
+ * @param {Object} req - The request object from Express.
+ * @returns {string} E.g. 'user:65f0c0ffee...' or 'ip:10.0.0.1'.
+ */
+function clientKey(req) {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    if (token) {
+        try {
+            const payload = jwt.verify(token, process.env.JWT_SECRET_KEY);
+            return `user:${payload.sub || payload.email}`;
+        } catch (error) {
+            // Invalid tokens are counted against the IP
+        }
+    }
+    return `ip:${req.ip}`;
+}
+
+/**
+ * Creates the counter store of a policy.
+ * @param {string} name - The policy name, used to namespace shared counters.
+ * @returns {Object} An express-rate-limit store.
+ */
+function createStore(name) {
+    if (STORE === 'mongo') {
+        return new MongoRateLimitStore(name);
+    }
+    if (STORE === 'memory') {
+        return new MemoryStore();
+    }
+    throw new Error(`Unknown rate limit store "${STORE}"; expected mongo or memory.`);
+}
+
+// One limiter per policy, shared by the routes of its class
+const limiters = Object.fromEntries(Object.keys(POLICIES).map(name => {
+    const { limit, windowSeconds } = readPolicy(name);
+    return [name, expressRateLimit({
+        windowMs: windowSeconds * 1000,
+        limit,
+        standardHeaders: 'draft-6', // RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy
+        legacyHeaders: false,
+        keyGenerator: clientKey,
+        store: createStore(name),
+        // Refusals go through the error handler like other errors
+        handler: (req, res, next) => {
+            const retryAfter = Math.max(Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000), 1);
+            next(new TooManyRequestsError('Too many requests. Try again later.', retryAfter));
+        },
+    })];
+}));
+
+/**
+ * Returns the middleware that applies a rate-limit policy. Place it first on a route, so refused
+ * requests cost as little as possible.
+ *
+ * @param {string} name - The policy name (auth, money, read or admin).
+ * @returns {Function} The rate-limiting middleware.
+ * @throws {Error} If there is no such policy.
+ */
+function rateLimit(name) {
+    if (!limiters[name]) {
+        throw new Error(`Unknown rate limit policy "${name}"; expected one of: ${Object.keys(POLICIES).join(', ')}.`);
+    }
+    return limiters[name];
+}
+
+module.exports = { rateLimit, clientKey, POLICIES };
@@ -0,0 +1,48 @@
+// requestContextMiddleware.js
+// ./backend/middlewares/requestContextMiddleware.js
+
+const crypto = require('crypto');
+const logger = require('../logger');
+const { runWithContext } = require('../utils/requestContext');
+
+// Request ids sent by clients are only propagated when they are short and safe to log
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Middleware that starts the context of a request and writes its access log line.
+ * The request id is the client's X-Request-Id when it is well-formed, otherwise a new one; it is
+ * echoed in the X-Request-Id response header and attached to every log line written while the
+ * request is handled. The context also holds the IP and user agent, and authenticateToken adds
+ * the authenticated caller as `actor`. Must be the first middleware, so every request is covered.
+ *
+ * @param {Object} req - The request object from Express.
+ * @param {Object} res - The response object from Express.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+function requestContext(req, res, next) {
+    const started = process.hrtime.bigint();
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const context = { requestId, ip: req.ip, userAgent: req.get('User-Agent') || null, actor: null };
+    res.setHeader('X-Request-Id', requestId);
+
+    // 'close' also fires when the client goes away before the response is complete, 'finish' only when it is sent
+    res.once('close', () => {
+        logger.info('request', {
+            type: 'access',
+            requestId,
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            durationMs: Number((process.hrtime.bigint() - started) / 1000n) / 1000,
+            bytes: Number(res.getHeader('Content-Length')) || undefined,
+            completed: res.writableFinished,
+            ip: context.ip,
+            userAgent: context.userAgent,
+            actor: context.actor ? context.actor.email : undefined,
+        });
+    });
+    runWithContext(context, next);
+}
+
+module.exports = { requestContext };
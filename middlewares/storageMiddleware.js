@@ -0,0 +1,31 @@
+// storageMiddleware.js
+// ./backend/middlewares/storageMiddleware.js
+
+const { repository } = require('../repositories');
+const { NotImplementedError } = require('./errorMiddleware');
+
+// What each feature is called in the error sent when the storage backend does not provide it
+const FEATURE_NAMES = {
+    scheduledPayments: 'scheduled payments',
+    interest: 'interest accrual',
+};
+
+/**
+ * Creates a middleware that refuses requests (501) for a feature the storage backend does not
+ * provide, rather than letting them fail on storage that is not there.
+ *
+ * @param {string} feature - The feature the route needs (see Repository#supports).
+ * @returns {Function} The middleware.
+ */
+function requireStorageFeature(feature) {
+    return (req, res, next) => {
+        if (!repository.supports(feature)) {
+            const backend = process.env.STORAGE_BACKEND || 'mongo';
+            return next(new NotImplementedError(
+                `The ${backend} storage backend does not support ${FEATURE_NAMES[feature] || feature}; use mongo.`));
+        }
+        next();
+    };
+}
+
+module.exports = { requireStorageFeature };
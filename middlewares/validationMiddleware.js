@@ -1,31 +1,166 @@
-// validationMiddleware.js 
+// validationMiddleware.js
 // ./backend/middlewares/validationMiddleware.js
 
+const { ValidationError } = require('./errorMiddleware');
+const { parseAmount } = require('../utils/money');
+const { isValidAccountNumber } = require('../utils/accountNumber');
+
+// Simple email shape check: something@domain.tld, no spaces
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// ISO 8601 date, optionally with a time and offset (2024-01-31, 2024-01-31T12:00:00.000Z); Date alone accepts far more
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
 /**
- * Middleware to validate user input for certain routes.
- * Ensures that the required fields for user operations are present.
- * 
- * @param {Object} req - The request object from Express.
- * @param {Object} res - The response object from Express.
- * @param {Function} next - The next middleware function in the stack.
+ * Checks a single value against its field rule.
+ * Values from the query string and route params arrive as strings and are converted
+ * to the declared type (integer, boolean, date) before checking. Emails are lower-cased.
+ *
+ * Supported rule types: string, email, password, url, integer, boolean, date, amount, accountNumber,
+ * enum, array. Optional constraints: minLength, maxLength, pattern (string types); min, max (integer,
+ * date, amount); values (enum); items, the rule every item must pass, and minItems, maxItems (array).
+ * A rule with `nullable: true` also accepts an explicit null, e.g. to clear a setting.
+ *
+ * @param {*} value - The value sent by the client.
+ * @param {Object} rule - The field rule.
+ * @returns {Object} The (possibly converted) value, or an error message.
  */
-function validateUser(req, res, next) {
-    // Define the list of required fields
-    const requiredFields = ['email', 'password'];
-    
-    // Check for missing fields
-    const missingFields = requiredFields.filter(field => !req.body[field]);
-    
-    // If there are missing fields, return an error response
-    if (missingFields.length > 0) {
-        const missingFieldsList = missingFields.join(', ');
-        return res.status(400).json({
-            message: `Missing required fields: ${missingFieldsList}`
-        });
+function checkField(value, rule) {
+    switch (rule.type) {
+        case 'string':
+        case 'email':
+        case 'password': {
+            if (typeof value !== 'string') return { error: 'must be a string' };
+            if (rule.type === 'email' && (!EMAIL_PATTERN.test(value) || value.length > 254)) {
+                return { error: 'must be a valid email address' };
+            }
+            if (rule.type === 'password') {
+                if (value.length < 8 || value.length > 128) return { error: 'must be between 8 and 128 characters' };
+                if (!/[A-Za-z]/.test(value) || !/\d/.test(value)) return { error: 'must contain at least one letter and one number' };
+            }
+            if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+                return { error: `must be at least ${rule.minLength} characters` };
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return { error: `must be at most ${rule.maxLength} characters` };
+            }
+            if (rule.pattern && !rule.pattern.test(value)) return { error: 'has an invalid format' };
+            // Emails are matched case-insensitively: stored, looked up and throttled in lower case
+            return { value: rule.type === 'email' ? value.toLowerCase() : value };
+        }
+        case 'url': {
+            let url;
+            try {
+                url = typeof value === 'string' && value.length <= (rule.maxLength || 2048) ? new URL(value) : null;
+            } catch (error) {
+                url = null;
+            }
+            if (!url || !['http:', 'https:'].includes(url.protocol)) return { error: 'must be an http or https URL' };
+            return { value };
+        }
+        case 'integer': {
+            const number = typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+            if (!Number.isSafeInteger(number)) return { error: 'must be an integer' };
+            if (rule.min !== undefined && number < rule.min) return { error: `must be at least ${rule.min}` };
+            if (rule.max !== undefined && number > rule.max) return { error: `must be at most ${rule.max}` };
+            return { value: number };
+        }
+        case 'boolean': {
+            if (value === true || value === 'true') return { value: true };
+            if (value === false || value === 'false') return { value: false };
+            return { error: 'must be true or false' };
+        }
+        case 'date': {
+            const date = typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new Date(value) : null;
+            if (!date || Number.isNaN(date.getTime())) return { error: 'must be an ISO 8601 date' };
+            if (rule.min !== undefined && date < new Date(rule.min)) return { error: `must not be before ${rule.min}` };
+            if (rule.max !== undefined && date > new Date(rule.max)) return { error: `must not be after ${rule.max}` };
+            return { value: date };
+        }
+        case 'amount': {
+            // Amounts stay as sent; controllers convert them with parseAmount
+            let minor;
+            try {
+                minor = parseAmount(value);
+            } catch (error) {
+                return { error: error.message.replace(/^Amount /, '').replace(/\.$/, '') };
+            }
+            if (rule.min !== undefined && minor < parseAmount(rule.min)) return { error: `must be at least ${rule.min}` };
+            if (rule.max !== undefined && minor > parseAmount(rule.max)) return { error: `must be at most ${rule.max}` };
+            return { value };
+        }
+        case 'accountNumber': {
+            if (!isValidAccountNumber(value)) return { error: 'must be a valid account number' };
+            return { value };
+        }
+        case 'enum': {
+            if (!rule.values.includes(value)) return { error: `must be one of: ${rule.values.join(', ')}` };
+            return { value };
+        }
+        case 'array': {
+            if (!Array.isArray(value)) return { error: 'must be an array' };
+            const items = count => `${count} item${count === 1 ? '' : 's'}`;
+            if (rule.minItems !== undefined && value.length < rule.minItems) return { error: `must have at least ${items(rule.minItems)}` };
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) return { error: `must have at most ${items(rule.maxItems)}` };
+            const checked = [];
+            for (const [index, item] of value.entries()) {
+                const result = checkField(item, rule.items);
+                if (result.error) return { error: `item ${index} ${result.error}` };
+                checked.push(result.value);
+            }
+            return { value: checked };
+        }
+        default:
+            throw new Error(`Unknown validation rule type: ${rule.type}`);
     }
-    
-    // If all required fields are present, proceed to the next middleware
-    next();
 }
 
-module.exports = { validateUser };
\ No newline at end of file
+/**
+ * Creates a middleware that validates a request against a declarative schema.
+ *
+ * The schema declares the expected shape of `body`, `query` and `params`, each as a map of
+ * field name to rule (see checkField), e.g.
+ *   validate({ body: { email: { type: 'email', required: true } } })
+ *
+ * Fields that are not declared are stripped from each declared section, so handlers only ever see
+ * known fields. All failures are collected and passed on as one ValidationError with a
+ * field-by-field `errors` list.
+ *
+ * @param {Object} schema - The request schema with optional body, query and params sections.
+ * @returns {Function} The validation middleware.
+ */
+function validate(schema) {
+    return (req, res, next) => {
+        const errors = [];
+        for (const section of ['params', 'query', 'body']) {
+            const fields = schema[section];
+            if (!fields) continue;
+            const input = req[section] || {};
+            const output = {};
+            for (const [name, rule] of Object.entries(fields)) {
+                const value = input[name];
+                if (value === null && rule.nullable) {
+                    output[name] = null;
+                    continue;
+                }
+                if (value === undefined || value === null || value === '') {
+                    if (rule.required) errors.push({ field: `${section}.${name}`, message: 'is required' });
+                    continue;
+                }
+                const result = checkField(value, rule);
+                if (result.error) {
+                    errors.push({ field: `${section}.${name}`, message: result.error });
+                } else {
+                    output[name] = result.value;
+                }
+            }
+            req[section] = output;
+        }
+
+        if (errors.length > 0) {
+            return next(new ValidationError('Request validation failed.', errors));
+        }
+        next();
+    };
+}
+
+module.exports = { validate };
@@ -0,0 +1,44 @@
+/**
+ * index.js
+ * ./backend/repositories/index.js
+ *
+ * Chooses the storage backend. STORAGE_BACKEND selects it:
+ * - 'mongo' (default): MongoDB through dal.js, configured with MONGODB_URI.
+ * - 'memory': kept in the process and lost on exit; for tests and trying the API without a database.
+ * - 'lowdb': kept in a local JSON file (LOWDB_FILE, default bankofbrown.json); for development and demos.
+ *
+ * Scheduled payments and interest accrual are implemented on MongoDB only, so their routes and
+ * background jobs need the mongo backend; on the others the routes answer 501 and the jobs do not
+ * run (see Repository#supports).
+ */
+
+const MongoRepository = require('./mongoRepository');
+const MemoryRepository = require('./memoryRepository');
+const LowdbRepository = require('./lowdbRepository');
+const { Repository, ROLES, ACCOUNT_TYPES, TRANSACTION_TYPES } = require('./repository');
+
+// Available backends by name
+const BACKENDS = {
+    mongo: MongoRepository,
+    memory: MemoryRepository,
+    lowdb: LowdbRepository,
+};
+
+/**
+ * Creates a repository for a storage backend.
+ * @param {string} [backend] - The backend name; defaults to STORAGE_BACKEND, then 'mongo'.
+ * @returns {Repository} The repository.
+ * @throws {Error} If the backend is unknown.
+ */
+function createRepository(backend = process.env.STORAGE_BACKEND || 'mongo') {
+    const Backend = BACKENDS[backend];
+    if (!Backend) {
+        throw new Error(`Unknown storage backend "${backend}"; expected one of: ${Object.keys(BACKENDS).join(', ')}.`);
+    }
+    return new Backend();
+}
+
+// The repository the application uses
+const repository = createRepository();
+
+module.exports = { repository, createRepository, BACKENDS, Repository, ROLES, ACCOUNT_TYPES, TRANSACTION_TYPES };
@@ -0,0 +1,364 @@
+/**
+ * lowdbRepository.js
+ * ./backend/repositories/lowdbRepository.js
+ *
+ * File-based implementation of the storage interface, for development and demos without MongoDB.
+ * It keeps the in-memory repository's data in a JSON file through lowdb: the file is read on
+ * connect, and every change is written to it before the operation returns, so the data survives
+ * restarts. The banking rules are the in-memory repository's.
+ *
+ * The file is read on first use if connect was not called. The whole file is rewritten on every
+ * change, so it suits small data sets, and only one process may use a file at a time.
+ */
+
+const low = require('lowdb');
+const FileAsync = require('lowdb/adapters/FileAsync');
+const { ObjectId } = require('mongodb');
+const MemoryRepository = require('./memoryRepository');
+
+// File used when LOWDB_FILE is not set
+const DEFAULT_FILE = 'bankofbrown.json';
+
+/**
+ * Converts a value to plain JSON data. ObjectIds and Dates become tagged objects, so they can
+ * be revived with their types.
+ * @param {*} value - The value to convert.
+ * @returns {*} The JSON data.
+ */
+function encode(value) {
+    if (value instanceof ObjectId) {
+        return { $oid: value.toHexString() };
+    }
+    if (value instanceof Date) {
+        return { $date: value.toISOString() };
+    }
+    if (Array.isArray(value)) {
+        return value.map(encode);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encode(item)]));
+    }
+    return value;
+}
+
+/**
+ * Revives JSON data written by encode.
+ * @param {*} value - The JSON data.
+ * @returns {*} The value, with ObjectIds and Dates restored.
+ */
+function decode(value) {
+    if (Array.isArray(value)) {
+        return value.map(decode);
+    }
+    if (value && typeof value === 'object') {
+        if (typeof value.$oid === 'string') {
+            return new ObjectId(value.$oid);
+        }
+        if (typeof value.$date === 'string') {
+            return new Date(value.$date);
+        }
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decode(item)]));
+    }
+    return value;
+}
+
+class LowdbRepository extends MemoryRepository {
+    /**
+     * @param {string} [file] - Path of the JSON file; defaults to LOWDB_FILE, then bankofbrown.json.
+     */
+    constructor(file = process.env.LOWDB_FILE || DEFAULT_FILE) {
+        super();
+        this.file = file;
+        this.db = null;
+        this.loading = null;
+    }
+
+    connect() {
+        if (!this.loading) {
+            this.loading = this.load();
+        }
+        return this.loading;
+    }
+
+    /**
+     * Reads the file, creating it if it does not exist.
+     */
+    async load() {
+        this.db = await low(new FileAsync(this.file, {
+            defaultValue: {},
+            serialize: state => JSON.stringify(encode(state), null, 2),
+            deserialize: text => decode(JSON.parse(text)),
+        }));
+        const state = this.db.getState();
+        this.users = state.users || [];
+        this.accounts = state.accounts || [];
+        this.transactions = state.transactions || [];
+        this.staffActions = state.staffActions || [];
+        this.auditEvents = state.auditEvents || [];
+        this.auditHeads = new Map(state.auditHeads || []);
+        this.withdrawalUsage = new Map(state.withdrawalUsage || []);
+        this.refreshTokens = new Map(state.refreshTokens || []);
+        this.revokedTokens = state.revokedTokens || [];
+        this.userTokens = new Map(state.userTokens || []);
+        this.loginFailures = new Map(state.loginFailures || []);
+        this.idempotencyKeys = new Map(state.idempotencyKeys || []);
+        this.webhooks = state.webhooks || [];
+        this.webhookDeliveries = state.webhookDeliveries || [];
+    }
+
+    async close() {
+        await this.loading;
+        this.db = null;
+        this.loading = null;
+    }
+
+    /**
+     * Makes a change through the in-memory repository, then writes the data to the file.
+     * Operations that fail change nothing, so nothing is written for them.
+     * @param {Function} change - Makes the change; returns a promise of its result.
+     * @returns {Promise<*>} The change's result.
+     */
+    async save(change) {
+        // The file must be read first, or the change would be overwritten by its contents
+        await this.connect();
+        const result = await change();
+        this.db.setState({
+            users: this.users,
+            accounts: this.accounts,
+            transactions: this.transactions,
+            staffActions: this.staffActions,
+            auditEvents: this.auditEvents,
+            auditHeads: [...this.auditHeads],
+            withdrawalUsage: [...this.withdrawalUsage],
+            refreshTokens: [...this.refreshTokens],
+            revokedTokens: this.revokedTokens,
+            userTokens: [...this.userTokens],
+            loginFailures: [...this.loginFailures],
+            idempotencyKeys: [...this.idempotencyKeys],
+            webhooks: this.webhooks,
+            webhookDeliveries: this.webhookDeliveries,
+        });
+        await this.db.write();
+        return result;
+    }
+
+    /**
+     * Runs a query on the in-memory repository's data once the file has been read; otherwise a
+     * repository that was not connected yet would find nothing.
+     * @param {Function} query - Runs the query; returns a promise of its result.
+     * @returns {Promise<*>} The query's result.
+     */
+    async read(query) {
+        await this.connect();
+        return query();
+    }
+
+    create(name, email, password) {
+        return this.save(() => super.create(name, email, password));
+    }
+
+    update(email, changes) {
+        return this.save(() => super.update(email, changes));
+    }
+
+    claimTotpStep(userId, step) {
+        return this.save(() => super.claimTotpStep(userId, step));
+    }
+
+    claimRecoveryCode(userId, codeHash) {
+        return this.save(() => super.claimRecoveryCode(userId, codeHash));
+    }
+
+    setRole(email, role) {
+        return this.save(() => super.setRole(email, role));
+    }
+
+    openAccount(email, type, options) {
+        return this.save(() => super.openAccount(email, type, options));
+    }
+
+    deposit(accountNumber, amount, options) {
+        return this.save(() => super.deposit(accountNumber, amount, options));
+    }
+
+    withdraw(accountNumber, amount, options) {
+        return this.save(() => super.withdraw(accountNumber, amount, options));
+    }
+
+    transfer(source, destination, amount, memo, options) {
+        return this.save(() => super.transfer(source, destination, amount, memo, options));
+    }
+
+    setAccountLimits(accountNumber, changes) {
+        return this.save(() => super.setAccountLimits(accountNumber, changes));
+    }
+
+    changeAccountStatus(accountNumber, transition, options) {
+        return this.save(() => super.changeAccountStatus(accountNumber, transition, options));
+    }
+
+    createTransaction(accountNumber, type, amount, description, options) {
+        return this.save(() => super.createTransaction(accountNumber, type, amount, description, options));
+    }
+
+    recordStaffAction(staff, action, target, details) {
+        return this.save(() => super.recordStaffAction(staff, action, target, details));
+    }
+
+    recordAuditEvent(action, target, options) {
+        return this.save(() => super.recordAuditEvent(action, target, options));
+    }
+
+    saveRefreshToken(token) {
+        return this.save(() => super.saveRefreshToken(token));
+    }
+
+    claimRefreshToken(tokenHash, now) {
+        return this.save(() => super.claimRefreshToken(tokenHash, now));
+    }
+
+    revokeSession(familyId, reason, expiresAt) {
+        return this.save(() => super.revokeSession(familyId, reason, expiresAt));
+    }
+
+    revokeAccessToken(jti, reason, expiresAt) {
+        return this.save(() => super.revokeAccessToken(jti, reason, expiresAt));
+    }
+
+    recordLoginFailure(key, now, expiresAt) {
+        return this.save(() => super.recordLoginFailure(key, now, expiresAt));
+    }
+
+    forgetLoginFailure(key, previousFailureAt) {
+        return this.save(() => super.forgetLoginFailure(key, previousFailureAt));
+    }
+
+    clearLoginFailures(key) {
+        return this.save(() => super.clearLoginFailures(key));
+    }
+
+    revokeUserSessions(userId, reason, expiresAt, keepFamilyId) {
+        return this.save(() => super.revokeUserSessions(userId, reason, expiresAt, keepFamilyId));
+    }
+
+    saveUserToken(token) {
+        return this.save(() => super.saveUserToken(token));
+    }
+
+    claimUserToken(tokenHash, purpose, now) {
+        return this.save(() => super.claimUserToken(tokenHash, purpose, now));
+    }
+
+    reserveIdempotencyKey(record) {
+        return this.save(() => super.reserveIdempotencyKey(record));
+    }
+
+    completeIdempotencyKey(key, owner, response) {
+        return this.save(() => super.completeIdempotencyKey(key, owner, response));
+    }
+
+    releaseIdempotencyKey(key, owner) {
+        return this.save(() => super.releaseIdempotencyKey(key, owner));
+    }
+
+    saveWebhook(webhook) {
+        return this.save(() => super.saveWebhook(webhook));
+    }
+
+    updateWebhook(id, changes) {
+        return this.save(() => super.updateWebhook(id, changes));
+    }
+
+    deleteWebhook(id) {
+        return this.save(() => super.deleteWebhook(id));
+    }
+
+    async claimWebhookDelivery(now, leaseUntil) {
+        // The dispatcher polls often and usually finds nothing due, so only write when a delivery was claimed
+        await this.connect();
+        const claimed = await super.claimWebhookDelivery(now, leaseUntil);
+        return claimed ? this.save(async () => claimed) : null;
+    }
+
+    updateWebhookDelivery(id, status, changes) {
+        return this.save(() => super.updateWebhookDelivery(id, status, changes));
+    }
+
+    find(email) {
+        return this.read(() => super.find(email));
+    }
+
+    findOne(email) {
+        return this.read(() => super.findOne(email));
+    }
+
+    findUserById(id) {
+        return this.read(() => super.findUserById(id));
+    }
+
+    listUsers(options) {
+        return this.read(() => super.listUsers(options));
+    }
+
+    findAccounts(email) {
+        return this.read(() => super.findAccounts(email));
+    }
+
+    findAccount(accountNumber) {
+        return this.read(() => super.findAccount(accountNumber));
+    }
+
+    getAccountLimits(accountNumber) {
+        return this.read(() => super.getAccountLimits(accountNumber));
+    }
+
+    queryTransactions(accountNumber, options) {
+        return this.read(() => super.queryTransactions(accountNumber, options));
+    }
+
+    getStatement(accountNumber, from, to) {
+        return this.read(() => super.getStatement(accountNumber, from, to));
+    }
+
+    queryAuditEvents(options) {
+        return this.read(() => super.queryAuditEvents(options));
+    }
+
+    verifyAuditChain() {
+        return this.read(() => super.verifyAuditChain());
+    }
+
+    findRefreshToken(tokenHash) {
+        return this.read(() => super.findRefreshToken(tokenHash));
+    }
+
+    isTokenRevoked(token) {
+        return this.read(() => super.isTokenRevoked(token));
+    }
+
+    findLoginFailures(keys, now) {
+        return this.read(() => super.findLoginFailures(keys, now));
+    }
+
+    listLoginFailures(now, limit) {
+        return this.read(() => super.listLoginFailures(now, limit));
+    }
+
+    findWebhook(id) {
+        return this.read(() => super.findWebhook(id));
+    }
+
+    listWebhooks(options) {
+        return this.read(() => super.listWebhooks(options));
+    }
+
+    findWebhookDelivery(id) {
+        return this.read(() => super.findWebhookDelivery(id));
+    }
+
+    listWebhookDeliveries(options) {
+        return this.read(() => super.listWebhookDeliveries(options));
+    }
+}
+
+module.exports = LowdbRepository;
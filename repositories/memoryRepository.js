@@ -0,0 +1,877 @@
+/**
+ * memoryRepository.js
+ * ./backend/repositories/memoryRepository.js
+ *
+ * In-memory implementation of the storage interface, for tests and local development without a
+ * database. Data lives in the process and is lost when it exits. Every operation checks everything
+ * it needs first and then applies all of its writes without yielding to the event loop, so each
+ * one is atomic with respect to concurrent requests.
+ */
+
+const { ObjectId } = require('mongodb');
+const logger = require('../logger');
+const { Repository, ROLES, ACCOUNT_TYPES, TRANSACTION_TYPES } = require('./repository');
+const { ValidationError, NotFoundError, InsufficientFundsError, LimitExceededError, ConflictError } = require('../middlewares/errorMiddleware');
+const { generateAccountNumber, isValidAccountNumber } = require('../utils/accountNumber');
+const { DEFAULT_CURRENCY, formatAmount } = require('../utils/money');
+const { LIMIT_FIELDS, resolveLimits, usagePeriods } = require('../utils/limits');
+const { DEFAULT_PAGE_SIZE, encodeCursor, decodeCursor, parseSort, escapeRegExp } = require('../utils/pagination');
+const { GENESIS_HASH, chainOf, createAuditEvent, verifyEvents } = require('../utils/audit');
+const { statusOf, assertStatusAllows, nextStatus } = require('../utils/accountStatus');
+const { serializeAccount, serializeTransaction } = require('../utils/serializers');
+const eventBus = require('../services/eventBus');
+const { subscribes, newDeliveries } = require('../utils/webhooks');
+
+// Sort keys accepted by queryTransactions, mapped to ledger entry fields
+const TRANSACTION_SORT_FIELDS = { date: 'timestamp', amount: 'amount' };
+
+/**
+ * Deep-copies a document, so callers never hold references into the store.
+ * Ids are ObjectIds, as with MongoDB, and are immutable, so they are shared.
+ * @param {*} value - The value to copy.
+ * @returns {*} The copy.
+ */
+function copy(value) {
+    if (Array.isArray(value)) {
+        return value.map(copy);
+    }
+    if (value instanceof Date) {
+        return new Date(value);
+    }
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copy(item)]));
+    }
+    return value;
+}
+
+/**
+ * Orders two ObjectIds by creation, like MongoDB does.
+ * @param {ObjectId} a - The first id.
+ * @param {ObjectId} b - The second id.
+ * @returns {number} Negative, zero or positive.
+ */
+function compareIds(a, b) {
+    const x = a.toHexString();
+    const y = b.toHexString();
+    return x < y ? -1 : x > y ? 1 : 0;
+}
+
+/**
+ * Returns a cursor-like async iterable over a list.
+ * @param {Array} items - The items.
+ * @returns {Object} An async iterable with a `close()` method.
+ */
+function iterate(items) {
+    return {
+        async *[Symbol.asyncIterator]() {
+            yield* items;
+        },
+        async close() {},
+    };
+}
+
+/**
+ * Throws the error for a cursor that does not point at an item.
+ * @throws {ValidationError} Always.
+ */
+function invalidCursor() {
+    throw new ValidationError('Request validation failed.', [{ field: 'query.cursor', message: 'is invalid' }]);
+}
+
+/**
+ * Checks the format and check digit of an account number.
+ * @param {string} accountNumber - Account number to check.
+ * @throws {ValidationError} If the account number is malformed.
+ */
+function assertAccountNumber(accountNumber) {
+    if (!isValidAccountNumber(accountNumber)) {
+        throw new ValidationError("Invalid account number.");
+    }
+}
+
+/**
+ * Checks that an amount is a positive whole number of minor units.
+ * @param {number} amount - Amount to check.
+ * @throws {ValidationError} If the amount is not positive.
+ */
+function assertPositiveAmount(amount) {
+    if (!Number.isSafeInteger(amount) || amount <= 0) {
+        throw new ValidationError("Amount must be positive.");
+    }
+}
+
+/**
+ * Looks up a stored account.
+ * @param {MemoryRepository} store - The repository.
+ * @param {string} accountNumber - The account number.
+ * @param {string} [message] - The message of the error if there is no such account.
+ * @returns {Object} The stored account (not a copy).
+ * @throws {NotFoundError} If there is no such account.
+ */
+function storedAccount(store, accountNumber, message = "Account not found.") {
+    const account = store.accounts.find(a => a.accountNumber === accountNumber);
+    if (!account) {
+        throw new NotFoundError(message);
+    }
+    return account;
+}
+
+/**
+ * Appends an event to the target's audit chain.
+ * @param {MemoryRepository} store - The repository.
+ * @param {string} action - What was done.
+ * @param {Object} target - The changed object's type and id.
+ * @param {Object} [options] - `before`, `after`, `details` and `actor` (see createAuditEvent).
+ * @returns {Object} The stored event.
+ */
+function audit(store, action, target, options) {
+    const chain = chainOf(target);
+    const head = store.auditHeads.get(chain) || { seq: 0, hash: GENESIS_HASH };
+    const event = { _id: new ObjectId(), ...createAuditEvent(head, action, target, copy(options)) };
+    store.auditEvents.push(event);
+    store.auditHeads.set(chain, { seq: event.seq, hash: event.hash });
+    return event;
+}
+
+/**
+ * Raises a domain event: stores its deliveries to the subscribed webhooks in the outbox, with the
+ * change, then publishes it on the bus.
+ * @param {MemoryRepository} store - The repository.
+ * @param {string} type - One of EVENT_TYPES.
+ * @param {Object} data - The event's data.
+ */
+function publishEvent(store, type, data) {
+    const event = eventBus.createEvent(type, data);
+    for (const delivery of newDeliveries(store.webhooks.filter(w => subscribes(w, type)), event)) {
+        store.webhookDeliveries.push({ _id: new ObjectId(), ...copy(delivery) });
+    }
+    eventBus.publish(event);
+}
+
+/**
+ * Stores a new zero-balance account with an unused account number.
+ * @param {MemoryRepository} store - The repository.
+ * @param {ObjectId} userId - Id of the owning user.
+ * @param {string} type - One of ACCOUNT_TYPES.
+ * @param {string} [status='active'] - 'active', or 'pending' for an account that must be activated before use.
+ * @returns {Object} The stored account.
+ */
+function insertAccount(store, userId, type, status = 'active') {
+    let accountNumber;
+    do {
+        accountNumber = generateAccountNumber();
+    } while (store.accounts.some(a => a.accountNumber === accountNumber));
+    const account = {
+        _id: new ObjectId(),
+        userId,
+        accountNumber,
+        type,
+        status,
+        currency: DEFAULT_CURRENCY,
+        balance: 0,
+        // Interest accrued but not yet posted, in millionths of a minor unit
+        accruedInterest: 0,
+        createdAt: new Date(),
+    };
+    store.accounts.push(account);
+    audit(store, 'account.open', { type: 'account', id: accountNumber }, { after: account });
+    publishEvent(store, 'account.opened', { account: serializeAccount(account) });
+    return account;
+}
+
+/**
+ * Applies a signed amount to an account and records the ledger entry. The caller has checked that it is allowed.
+ * @param {MemoryRepository} store - The repository.
+ * @param {Object} account - The stored account.
+ * @param {string} type - One of TRANSACTION_TYPES.
+ * @param {number} amount - Signed amount; positive for credits, negative for debits.
+ * @param {string} description - Description of the entry.
+ * @param {Object} [details] - Extra fields stored on the entry.
+ * @returns {Object} The stored entry.
+ */
+function applyEntry(store, account, type, amount, description, details) {
+    account.balance += amount;
+    const entry = {
+        _id: new ObjectId(),
+        accountId: account._id,
+        type,
+        amount,
+        currency: account.currency,
+        balance: account.balance,
+        description,
+        timestamp: new Date(),
+        ...details,
+    };
+    store.transactions.push(entry);
+    audit(store, `account.${type}`, { type: 'account', id: account.accountNumber }, {
+        before: { balance: account.balance - amount },
+        after: { balance: account.balance },
+        details: { entryId: entry._id, amount, ...(details && details.transferId && { transferId: details.transferId }) },
+    });
+    publishEvent(store, `transaction.${type}`, { account: serializeAccount(account), transaction: serializeTransaction(entry) });
+    return entry;
+}
+
+/**
+ * Returns how much was debited from an account in a usage period.
+ * @param {MemoryRepository} store - The repository.
+ * @param {Object} account - The account.
+ * @param {string} period - The period key (see usagePeriods).
+ * @returns {number} The total in minor units.
+ */
+function usedIn(store, account, period) {
+    return store.withdrawalUsage.get(`${account._id}:${period}`) || 0;
+}
+
+/**
+ * Checks a debit against an account's status and limits: per-transaction maximum, daily and monthly
+ * caps and the balance plus overdraft allowance.
+ * @param {MemoryRepository} store - The repository.
+ * @param {Object} account - The stored account.
+ * @param {number} amount - The debit in minor units.
+ * @returns {Object} The account's limits and the caps the debit counts towards, for debit().
+ * @throws {AccountStatusError} If the account's status does not allow debits.
+ * @throws {LimitExceededError} If the debit exceeds a limit.
+ * @throws {InsufficientFundsError} If the balance and overdraft allowance do not cover it.
+ */
+function checkDebit(store, account, amount) {
+    assertStatusAllows(account, -amount);
+    const limits = resolveLimits(account);
+    const { currency } = account;
+    if (limits.perTransaction !== null && amount > limits.perTransaction) {
+        throw new LimitExceededError('Amount exceeds the per-transaction limit.', 'TRANSACTION_LIMIT_EXCEEDED', {
+            limit: formatAmount(limits.perTransaction, currency),
+            currency,
+        });
+    }
+    const periods = usagePeriods(new Date());
+    const caps = [
+        { period: periods.day, cap: limits.dailyWithdrawal, code: 'DAILY_LIMIT_EXCEEDED', name: 'daily' },
+        { period: periods.month, cap: limits.monthlyWithdrawal, code: 'MONTHLY_LIMIT_EXCEEDED', name: 'monthly' },
+    ].filter(({ cap }) => cap !== null);
+    for (const { period, cap, code, name } of caps) {
+        const used = usedIn(store, account, period);
+        if (used + amount > cap) {
+            throw new LimitExceededError(`Amount exceeds the ${name} withdrawal limit.`, code, {
+                limit: formatAmount(cap, currency),
+                remaining: formatAmount(Math.max(cap - used, 0), currency),
+                currency,
+            });
+        }
+    }
+    if (account.balance + limits.overdraft < amount) {
+        throw new InsufficientFundsError("Insufficient funds.", {
+            available: formatAmount(Math.max(account.balance + limits.overdraft, 0), currency),
+            currency,
+        });
+    }
+    return { limits, caps };
+}
+
+/**
+ * Applies a debit that passed checkDebit: counts it towards the caps, records the entry and
+ * charges the overdraft fee if the balance ends below zero.
+ * @param {MemoryRepository} store - The repository.
+ * @param {Object} account - The stored account.
+ * @param {string} type - One of TRANSACTION_TYPES.
+ * @param {number} amount - The debit in minor units.
+ * @param {string} description - Description of the entry.
+ * @param {Object} [details] - Extra fields stored on the entry.
+ * @param {Object} checked - What checkDebit returned.
+ * @returns {Object} The debit's ledger entry.
+ */
+function debit(store, account, type, amount, description, details, { limits, caps }) {
+    for (const { period } of caps) {
+        store.withdrawalUsage.set(`${account._id}:${period}`, usedIn(store, account, period) + amount);
+    }
+    const entry = applyEntry(store, account, type, -amount, description, details);
+    if (account.balance < 0 && limits.overdraftFee > 0) {
+        applyEntry(store, account, 'fee', -limits.overdraftFee, 'Overdraft fee', { relatedTo: entry._id });
+    }
+    return entry;
+}
+
+class MemoryRepository extends Repository {
+    constructor() {
+        super();
+        this.users = [];
+        this.accounts = [];
+        this.transactions = [];
+        this.staffActions = [];
+        this.auditEvents = [];
+        this.auditHeads = new Map();
+        // Debit totals by account id and usage period, for the withdrawal caps
+        this.withdrawalUsage = new Map();
+        // Refresh tokens by hash, and blocked access tokens and sessions
+        this.refreshTokens = new Map();
+        this.revokedTokens = [];
+        // Single-use email tokens by hash
+        this.userTokens = new Map();
+        // Failed login attempts by key
+        this.loginFailures = new Map();
+        // Idempotency records by owner and key
+        this.idempotencyKeys = new Map();
+        // Webhook subscriptions and the outbox of their deliveries
+        this.webhooks = [];
+        this.webhookDeliveries = [];
+    }
+
+    async connect() {}
+
+    async close() {}
+
+    async create(name, email, password) {
+        if (this.users.some(u => u.email === email)) {
+            throw new ConflictError('User already exists.');
+        }
+        const user = { _id: new ObjectId(), name, email, password, role: 'customer', emailVerifiedAt: null, createdAt: new Date() };
+        this.users.push(user);
+        audit(this, 'user.create', { type: 'user', id: email }, { after: user });
+        const account = insertAccount(this, user._id, 'checking');
+        return { ...copy(user), accounts: [copy(account)] };
+    }
+
+    async find(email) {
+        return this.users.filter(u => u.email === email).map(copy);
+    }
+
+    async findOne(email) {
+        const user = this.users.find(u => u.email === email);
+        if (!user) {
+            throw new NotFoundError("User not found.");
+        }
+        return copy(user);
+    }
+
+    async findUserById(id) {
+        const user = this.users.find(u => u._id.equals(id));
+        return user ? copy(user) : null;
+    }
+
+    async update(email, changes) {
+        const user = this.users.find(u => u.email === email);
+        if (!user) {
+            return null;
+        }
+        const before = copy(user);
+        Object.assign(user, copy(changes));
+        audit(this, 'user.update', { type: 'user', id: email }, { before, after: user });
+        return copy(user);
+    }
+
+    async claimTotpStep(userId, step) {
+        const user = this.users.find(u => u._id.equals(userId));
+        const twoFactor = user && user.twoFactor;
+        if (!twoFactor || (twoFactor.lastUsedStep != null && twoFactor.lastUsedStep >= step)) {
+            return false;
+        }
+        twoFactor.lastUsedStep = step;
+        return true;
+    }
+
+    async claimRecoveryCode(userId, codeHash) {
+        const user = this.users.find(u => u._id.equals(userId));
+        const codes = user && user.twoFactor && user.twoFactor.recoveryCodes;
+        if (!codes || !codes.includes(codeHash)) {
+            return false;
+        }
+        codes.splice(codes.indexOf(codeHash), 1);
+        return true;
+    }
+
+    async setRole(email, role) {
+        if (!ROLES.includes(role)) {
+            throw new ValidationError(`Role must be one of: ${ROLES.join(', ')}.`);
+        }
+        const user = this.users.find(u => u.email === email);
+        if (!user) {
+            throw new NotFoundError("User not found.");
+        }
+        const before = copy(user);
+        user.role = role;
+        audit(this, 'user.role', { type: 'user', id: email }, { before, after: user });
+        return copy(user);
+    }
+
+    async listUsers(options = {}) {
+        const { role, limit = DEFAULT_PAGE_SIZE, cursor } = options;
+        let users = this.users.filter(u => !role || u.role === role);
+        if (cursor) {
+            const after = decodeCursor(cursor, 'id');
+            if (!ObjectId.isValid(after.id)) invalidCursor();
+            const id = new ObjectId(after.id);
+            users = users.filter(u => compareIds(u._id, id) > 0);
+        }
+        const page = users.slice(0, limit).map(copy);
+        const last = page[page.length - 1];
+        return { users: page, nextCursor: users.length > limit ? encodeCursor('id', last._id.toHexString(), last._id) : null };
+    }
+
+    async openAccount(email, type, { pending = false } = {}) {
+        if (!ACCOUNT_TYPES.includes(type)) {
+            throw new ValidationError(`Account type must be one of: ${ACCOUNT_TYPES.join(', ')}.`);
+        }
+        const user = this.users.find(u => u.email === email);
+        if (!user) {
+            throw new NotFoundError("User not found.");
+        }
+        return copy(insertAccount(this, user._id, type, pending ? 'pending' : 'active'));
+    }
+
+    async findAccounts(email) {
+        const user = this.users.find(u => u.email === email);
+        if (!user) {
+            throw new NotFoundError("User not found.");
+        }
+        return this.accounts.filter(a => a.userId.equals(user._id)).map(copy);
+    }
+
+    async findAccount(accountNumber) {
+        assertAccountNumber(accountNumber);
+        return copy(storedAccount(this, accountNumber));
+    }
+
+    async deposit(accountNumber, amount, { performedBy } = {}) {
+        assertAccountNumber(accountNumber);
+        assertPositiveAmount(amount);
+        const account = storedAccount(this, accountNumber);
+        assertStatusAllows(account, amount);
+        applyEntry(this, account, 'deposit', amount, 'Deposit', performedBy && { performedBy });
+        return copy(account);
+    }
+
+    async withdraw(accountNumber, amount, { performedBy } = {}) {
+        assertAccountNumber(accountNumber);
+        assertPositiveAmount(amount);
+        const account = storedAccount(this, accountNumber);
+        const checked = checkDebit(this, account, amount);
+        debit(this, account, 'withdrawal', amount, 'Withdrawal', performedBy && { performedBy }, checked);
+        return copy(account);
+    }
+
+    async transfer(source, destination, amount, memo, { performedBy } = {}) {
+        assertAccountNumber(source);
+        assertAccountNumber(destination);
+        assertPositiveAmount(amount);
+        if (source === destination) {
+            throw new ValidationError("Cannot transfer to the same account.");
+        }
+        const target = storedAccount(this, destination, "Destination account not found.");
+        const origin = storedAccount(this, source);
+        if (origin.currency !== target.currency) {
+            throw new ValidationError("Cannot transfer between accounts in different currencies.");
+        }
+        assertStatusAllows(target, amount);
+        const checked = checkDebit(this, origin, amount);
+        const details = { transferId: new ObjectId(), ...(performedBy && { performedBy }) };
+        debit(this, origin, 'transfer', amount, memo || `Transfer to ${destination}`,
+            { ...details, counterpartyId: target._id }, checked);
+        applyEntry(this, target, 'transfer', amount, memo || `Transfer from ${source}`,
+            { ...details, counterpartyId: origin._id });
+        return { source: copy(origin), destination: copy(target) };
+    }
+
+    async getAccountLimits(accountNumber) {
+        const account = await this.findAccount(accountNumber);
+        const limits = resolveLimits(account);
+        const periods = usagePeriods(new Date());
+        const format = value => (value === null ? null : formatAmount(value, account.currency));
+        const remaining = (cap, period) => (cap === null ? null : format(Math.max(cap - usedIn(this, account, period), 0)));
+        return {
+            currency: account.currency,
+            limits: Object.fromEntries(LIMIT_FIELDS.map(field => [field, format(limits[field])])),
+            remaining: {
+                daily: remaining(limits.dailyWithdrawal, periods.day),
+                monthly: remaining(limits.monthlyWithdrawal, periods.month),
+            },
+            available: format(Math.max(account.balance + limits.overdraft, 0)),
+        };
+    }
+
+    async setAccountLimits(accountNumber, changes) {
+        assertAccountNumber(accountNumber);
+        const fields = LIMIT_FIELDS.filter(field => changes[field] !== undefined);
+        for (const field of fields) {
+            if (changes[field] !== null && (!Number.isSafeInteger(changes[field]) || changes[field] < 0)) {
+                throw new ValidationError(`Limit ${field} must be a non-negative amount.`);
+            }
+        }
+        if (fields.length === 0) {
+            throw new ValidationError('Nothing to update.');
+        }
+        const account = storedAccount(this, accountNumber);
+        const before = { limits: account.limits };
+        const limits = { ...account.limits };
+        for (const field of fields) {
+            if (changes[field] === null) {
+                delete limits[field];
+            } else {
+                limits[field] = changes[field];
+            }
+        }
+        account.limits = limits;
+        audit(this, 'account.limits', { type: 'account', id: accountNumber }, { before, after: { limits } });
+        return copy(account);
+    }
+
+    async changeAccountStatus(accountNumber, transition, { reason, payoutTo, changedBy } = {}) {
+        assertAccountNumber(accountNumber);
+        if (typeof reason !== 'string' || !reason.trim()) {
+            throw new ValidationError('A reason is required.');
+        }
+        if (payoutTo !== undefined) {
+            assertAccountNumber(payoutTo);
+            if (transition !== 'close') {
+                throw new ValidationError('Only closing an account can pay out its balance.');
+            }
+            if (payoutTo === accountNumber) {
+                throw new ValidationError('Cannot pay out to the account being closed.');
+            }
+        }
+        const account = storedAccount(this, accountNumber);
+        const status = nextStatus(account, transition);
+        const payout = status === 'closed' && account.balance > 0 && payoutTo;
+        let target;
+        if (payout) {
+            target = storedAccount(this, payoutTo, "Payout account not found.");
+            if (target.currency !== account.currency) {
+                throw new ValidationError("Cannot pay out to an account in a different currency.");
+            }
+            assertStatusAllows(target, account.balance);
+        } else if (status === 'closed' && account.balance !== 0) {
+            throw new ConflictError('Account balance must be zero to close it. Pay out a positive balance to another account.');
+        }
+
+        const before = { status: statusOf(account) };
+        if (payout) {
+            // The balance leaves whatever the account's limits and status, so frozen accounts can be paid out too
+            const amount = account.balance;
+            const details = { transferId: new ObjectId() };
+            applyEntry(this, account, 'transfer', -amount, `Closing payout to ${payoutTo}`, { ...details, counterpartyId: target._id });
+            applyEntry(this, target, 'transfer', amount, `Closing payout from ${accountNumber}`, { ...details, counterpartyId: account._id });
+        }
+        Object.assign(account, { status, statusReason: reason.trim(), statusChangedAt: new Date(), statusChangedBy: copy(changedBy) || null });
+        audit(this, 'account.status', { type: 'account', id: accountNumber }, {
+            before,
+            after: { status },
+            details: { transition, reason: account.statusReason, ...(payoutTo && { payoutTo }) },
+        });
+        publishEvent(this, 'account.statusChanged', {
+            account: serializeAccount(account),
+            previousStatus: before.status,
+            transition,
+            reason: account.statusReason,
+        });
+        return copy(account);
+    }
+
+    async createTransaction(accountNumber, type, amount, description, { performedBy } = {}) {
+        assertAccountNumber(accountNumber);
+        if (!TRANSACTION_TYPES.includes(type)) {
+            throw new ValidationError(`Transaction type must be one of: ${TRANSACTION_TYPES.join(', ')}.`);
+        }
+        if (!Number.isSafeInteger(amount) || amount === 0) {
+            throw new ValidationError('Amount must be a non-zero number.');
+        }
+        const account = storedAccount(this, accountNumber);
+        assertStatusAllows(account, amount);
+        if (account.balance + amount < 0 && amount < 0) {
+            throw new InsufficientFundsError("Insufficient funds.", {
+                available: formatAmount(Math.max(account.balance, 0), account.currency),
+                currency: account.currency,
+            });
+        }
+        return copy(applyEntry(this, account, type, amount, description || '', performedBy && { performedBy }));
+    }
+
+    async queryTransactions(accountNumber, options = {}) {
+        const { from, to, minAmount, maxAmount, type, search, sort = '-date', limit = DEFAULT_PAGE_SIZE, cursor } = options;
+        const account = await this.findAccount(accountNumber);
+        const { key, direction } = parseSort(sort);
+        const field = TRANSACTION_SORT_FIELDS[key];
+        if (!field) {
+            throw new ValidationError(`Unsupported sort: ${sort}`);
+        }
+        const pattern = search && new RegExp(escapeRegExp(search), 'i');
+        const sortKey = entry => (field === 'timestamp' ? entry.timestamp.getTime() : entry.amount);
+        const compare = (a, b) => (sortKey(a) - sortKey(b) || compareIds(a._id, b._id)) * direction;
+
+        let entries = this.transactions.filter(entry => entry.accountId.equals(account._id)
+            && (!from || entry.timestamp >= from)
+            && (!to || entry.timestamp <= to)
+            && (minAmount === undefined || entry.amount >= minAmount)
+            && (maxAmount === undefined || entry.amount <= maxAmount)
+            && (!type || entry.type === type)
+            && (!pattern || pattern.test(entry.description)));
+        if (cursor) {
+            const after = decodeCursor(cursor, sort);
+            if (!ObjectId.isValid(after.id)) invalidCursor();
+            const last = { [field]: after.value, _id: new ObjectId(after.id) };
+            entries = entries.filter(entry => compare(entry, last) > 0);
+        }
+        entries.sort(compare);
+        const page = entries.slice(0, limit).map(copy);
+        const last = page[page.length - 1];
+        return { entries: page, nextCursor: entries.length > limit ? encodeCursor(sort, last[field], last._id) : null };
+    }
+
+    async getStatement(accountNumber, from, to) {
+        const account = await this.findAccount(accountNumber);
+        // Entries are stored in the order they were made, and each stores the balance after it
+        const history = this.transactions.filter(entry => entry.accountId.equals(account._id));
+        const before = history.filter(entry => entry.timestamp < from).pop();
+        const last = history.filter(entry => entry.timestamp <= to).pop();
+        return {
+            account,
+            openingBalance: before ? before.balance : 0,
+            closingBalance: last ? last.balance : 0,
+            entries: iterate(history.filter(entry => entry.timestamp >= from && entry.timestamp <= to).map(copy)),
+        };
+    }
+
+    async recordStaffAction(staff, action, target, details = {}) {
+        const record = copy({ _id: new ObjectId(), staff, action, target, details, timestamp: new Date() });
+        this.staffActions.push(record);
+        logger.info(`Staff action ${action} by ${staff.email}`, { target });
+        return copy(record);
+    }
+
+    async recordAuditEvent(action, target, options = {}) {
+        const { before, after, details, actor } = options;
+        return copy(audit(this, action, target, { before, after, details, actor }));
+    }
+
+    async queryAuditEvents(options = {}) {
+        const { actor, action, targetType, targetId, requestId, from, to, limit = DEFAULT_PAGE_SIZE, cursor } = options;
+        let before = null;
+        if (cursor) {
+            const after = decodeCursor(cursor, '-id');
+            if (!ObjectId.isValid(after.id)) invalidCursor();
+            before = new ObjectId(after.id);
+        }
+        const events = this.auditEvents.filter(event => (!before || compareIds(event._id, before) < 0)
+            && (!actor || event.actor.email === actor)
+            && (!action || event.action === action)
+            && (!targetType || event.target.type === targetType)
+            && (!targetId || event.target.id === targetId)
+            && (!requestId || event.requestId === requestId)
+            && (!from || event.at >= from)
+            && (!to || event.at <= to)).reverse();
+        const page = events.slice(0, limit).map(copy);
+        const last = page[page.length - 1];
+        return { events: page, nextCursor: events.length > limit ? encodeCursor('-id', last._id.toHexString(), last._id) : null };
+    }
+
+    async verifyAuditChain() {
+        // Each chain's events together, in sequence order
+        const events = [...this.auditEvents].sort((a, b) => a.chain.localeCompare(b.chain) || a.seq - b.seq);
+        return verifyEvents(events, this.auditHeads);
+    }
+
+    async saveRefreshToken(token) {
+        this.refreshTokens.set(token.tokenHash, copy(token));
+    }
+
+    async claimRefreshToken(tokenHash, now) {
+        const token = this.refreshTokens.get(tokenHash);
+        if (!token || token.usedAt || token.revokedAt || token.expiresAt <= now) {
+            return null;
+        }
+        const before = copy(token);
+        token.usedAt = now;
+        return before;
+    }
+
+    async findRefreshToken(tokenHash) {
+        const token = this.refreshTokens.get(tokenHash);
+        return token ? copy(token) : null;
+    }
+
+    async revokeSession(familyId, reason, expiresAt) {
+        const now = new Date();
+        for (const token of this.refreshTokens.values()) {
+            if (token.familyId === familyId && !token.revokedAt) {
+                Object.assign(token, { revokedAt: now, revokedReason: reason });
+            }
+        }
+        this.revokedTokens.push({ familyId, reason, expiresAt });
+    }
+
+    async revokeAccessToken(jti, reason, expiresAt) {
+        this.revokedTokens.push({ jti, reason, expiresAt });
+    }
+
+    async isTokenRevoked({ jti, familyId }) {
+        const now = new Date();
+        // Blocks are dropped once the tokens they block have expired
+        this.revokedTokens = this.revokedTokens.filter(block => block.expiresAt > now);
+        return this.revokedTokens.some(block => (jti && block.jti === jti) || (familyId && block.familyId === familyId));
+    }
+
+    async recordLoginFailure(key, now, expiresAt) {
+        const record = this.loginFailures.get(key);
+        if (record && record.expiresAt > now) {
+            const previousFailureAt = record.lastFailureAt;
+            Object.assign(record, { failures: record.failures + 1, lastFailureAt: now, expiresAt });
+            return { ...copy(record), previousFailureAt };
+        }
+        const fresh = { key, failures: 1, firstFailureAt: now, lastFailureAt: now, expiresAt };
+        this.loginFailures.set(key, fresh);
+        return { ...copy(fresh), previousFailureAt: null };
+    }
+
+    async forgetLoginFailure(key, previousFailureAt) {
+        const record = this.loginFailures.get(key);
+        if (!record) {
+            return;
+        }
+        if (record.failures <= 1) {
+            this.loginFailures.delete(key);
+            return;
+        }
+        record.failures -= 1;
+        if (previousFailureAt) {
+            record.lastFailureAt = previousFailureAt;
+        }
+    }
+
+    async findLoginFailures(keys, now) {
+        return keys.map(key => this.loginFailures.get(key))
+            .filter(record => record && record.expiresAt > now)
+            .map(copy);
+    }
+
+    async listLoginFailures(now, limit = 100) {
+        return [...this.loginFailures.values()]
+            .filter(record => record.expiresAt > now)
+            .sort((a, b) => b.lastFailureAt - a.lastFailureAt)
+            .slice(0, limit)
+            .map(copy);
+    }
+
+    async clearLoginFailures(key) {
+        return this.loginFailures.delete(key);
+    }
+
+    async revokeUserSessions(userId, reason, expiresAt, keepFamilyId) {
+        const now = new Date();
+        const families = new Set();
+        for (const token of this.refreshTokens.values()) {
+            if (userId.equals(token.userId) && !token.revokedAt && token.expiresAt > now && token.familyId !== keepFamilyId) {
+                families.add(token.familyId);
+            }
+        }
+        for (const familyId of families) {
+            await this.revokeSession(familyId, reason, expiresAt);
+        }
+    }
+
+    async saveUserToken(token) {
+        const now = new Date();
+        for (const other of this.userTokens.values()) {
+            if (token.userId.equals(other.userId) && other.purpose === token.purpose && !other.usedAt && !other.revokedAt) {
+                other.revokedAt = now;
+            }
+        }
+        this.userTokens.set(token.tokenHash, copy(token));
+    }
+
+    async claimUserToken(tokenHash, purpose, now) {
+        const token = this.userTokens.get(tokenHash);
+        if (!token || token.purpose !== purpose || token.usedAt || token.revokedAt || token.expiresAt <= now) {
+            return null;
+        }
+        const before = copy(token);
+        token.usedAt = now;
+        return before;
+    }
+
+    async reserveIdempotencyKey(record) {
+        const id = `${record.owner}\n${record.key}`;
+        const existing = this.idempotencyKeys.get(id);
+        const abandoned = existing && existing.status === 'processing' && existing.lockedUntil <= record.createdAt;
+        if (existing && existing.expiresAt > record.createdAt && !abandoned) {
+            return { reserved: false, existing: copy(existing) };
+        }
+        this.idempotencyKeys.set(id, copy(record));
+        return { reserved: true };
+    }
+
+    async completeIdempotencyKey(key, owner, response) {
+        const record = this.idempotencyKeys.get(`${owner}\n${key}`);
+        if (record) {
+            Object.assign(record, { status: 'completed', response: copy(response) });
+        }
+    }
+
+    async releaseIdempotencyKey(key, owner) {
+        this.idempotencyKeys.delete(`${owner}\n${key}`);
+    }
+
+    async saveWebhook(webhook) {
+        const stored = { _id: new ObjectId(), ...copy(webhook) };
+        this.webhooks.push(stored);
+        return copy(stored);
+    }
+
+    async findWebhook(id) {
+        const webhook = this.webhooks.find(w => w._id.equals(id));
+        return webhook ? copy(webhook) : null;
+    }
+
+    async listWebhooks({ event } = {}) {
+        return this.webhooks
+            .filter(w => !event || subscribes(w, event))
+            .map(copy);
+    }
+
+    async updateWebhook(id, changes) {
+        const webhook = this.webhooks.find(w => w._id.equals(id));
+        if (!webhook) {
+            return null;
+        }
+        Object.assign(webhook, copy(changes));
+        return copy(webhook);
+    }
+
+    async deleteWebhook(id) {
+        const count = this.webhooks.length;
+        this.webhooks = this.webhooks.filter(w => !w._id.equals(id));
+        return this.webhooks.length < count;
+    }
+
+    async claimWebhookDelivery(now, leaseUntil) {
+        const delivery = this.webhookDeliveries
+            .filter(d => (d.status === 'pending' || d.status === 'sending') && d.nextAttemptAt <= now)
+            .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt || compareIds(a._id, b._id))[0];
+        if (!delivery) {
+            return null;
+        }
+        Object.assign(delivery, { status: 'sending', nextAttemptAt: leaseUntil });
+        return copy(delivery);
+    }
+
+    async updateWebhookDelivery(id, status, changes) {
+        const delivery = this.webhookDeliveries.find(d => d._id.equals(id) && d.status === status);
+        if (!delivery) {
+            return null;
+        }
+        Object.assign(delivery, copy(changes));
+        return copy(delivery);
+    }
+
+    async findWebhookDelivery(id) {
+        const delivery = this.webhookDeliveries.find(d => d._id.equals(id));
+        return delivery ? copy(delivery) : null;
+    }
+
+    async listWebhookDeliveries({ webhookId, status, limit = 100 } = {}) {
+        return this.webhookDeliveries
+            .filter(d => (!webhookId || d.webhookId.equals(webhookId)) && (!status || d.status === status))
+            .sort((a, b) => compareIds(b._id, a._id))
+            .slice(0, limit)
+            .map(copy);
+    }
+}
+
+module.exports = MemoryRepository;
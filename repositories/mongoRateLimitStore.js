@@ -0,0 +1,93 @@
+/**
+ * mongoRateLimitStore.js
+ * ./backend/repositories/mongoRateLimitStore.js
+ *
+ * express-rate-limit store that keeps the counters in MongoDB, so every instance of the API
+ * counts against the same limits. Each counter is a fixed window: it starts with the first hit
+ * and is removed once its window has passed.
+ */
+
+const dal = require('../dal.js');
+
+class MongoRateLimitStore {
+    /**
+     * @param {string} prefix - Namespaces the keys of one rate-limit policy in the shared collection.
+     */
+    constructor(prefix) {
+        this.prefix = prefix;
+        this.windowMs = null;
+        // Counters are shared between instances, not local to this process
+        this.localKeys = false;
+    }
+
+    /**
+     * Called by express-rate-limit with the limiter's options.
+     * @param {Object} options - The options; only windowMs is used.
+     */
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    async collection() {
+        const { db } = await dal.connectToMongo();
+        return db.collection('rate_limits');
+    }
+
+    /**
+     * Counts a hit.
+     * @param {string} key - The client's key.
+     * @returns {Promise<Object>} The hits in the current window (`totalHits`) and when it ends (`resetTime`).
+     */
+    async increment(key) {
+        const collection = await this.collection();
+        const id = `${this.prefix}:${key}`;
+        const now = new Date();
+        // Expired counters are removed by a TTL index, but the reaper runs only once a minute
+        await collection.deleteOne({ key: id, resetTime: { $lte: now } });
+        const update = () => collection.findOneAndUpdate(
+            { key: id },
+            { $inc: { totalHits: 1 }, $setOnInsert: { resetTime: new Date(now.getTime() + this.windowMs) } },
+            { upsert: true, returnDocument: 'after' }
+        );
+        let result;
+        try {
+            result = await update();
+        } catch (err) {
+            // Two concurrent first hits both tried to insert; the loser counts on the winner's counter
+            if (err.code !== 11000) throw err;
+            result = await update();
+        }
+        return { totalHits: result.value.totalHits, resetTime: result.value.resetTime };
+    }
+
+    /**
+     * Takes back a hit, for limiters that skip some requests.
+     * @param {string} key - The client's key.
+     */
+    async decrement(key) {
+        const collection = await this.collection();
+        await collection.updateOne({ key: `${this.prefix}:${key}`, totalHits: { $gt: 0 } }, { $inc: { totalHits: -1 } });
+    }
+
+    /**
+     * Reads a client's counter.
+     * @param {string} key - The client's key.
+     * @returns {Promise<Object|undefined>} `totalHits` and `resetTime`, or undefined without a current window.
+     */
+    async get(key) {
+        const collection = await this.collection();
+        const counter = await collection.findOne({ key: `${this.prefix}:${key}`, resetTime: { $gt: new Date() } });
+        return counter ? { totalHits: counter.totalHits, resetTime: counter.resetTime } : undefined;
+    }
+
+    /**
+     * Forgets a client's counter.
+     * @param {string} key - The client's key.
+     */
+    async resetKey(key) {
+        const collection = await this.collection();
+        await collection.deleteOne({ key: `${this.prefix}:${key}` });
+    }
+}
+
+module.exports = MongoRateLimitStore;
@@ -0,0 +1,375 @@
+/**
+ * mongoRepository.js
+ * ./backend/repositories/mongoRepository.js
+ *
+ * MongoDB implementation of the storage interface. Users, accounts, the ledger and the audit log
+ * go through the data access layer in dal.js; login sessions, failed logins, email tokens, two-factor
+ * code use, idempotency keys and webhooks are single-document writes made here. Money-moving
+ * operations run in multi-document transactions, so MongoDB must run as a replica set.
+ */
+
+const dal = require('../dal.js');
+const { Repository, MONGO_FEATURES } = require('./repository');
+const { subscriberFilter } = require('../utils/webhooks');
+
+class MongoRepository extends Repository {
+    async connect() {
+        await dal.connectToMongo();
+    }
+
+    supports(feature) {
+        return MONGO_FEATURES.includes(feature);
+    }
+
+    async close() {
+        await dal.disconnectFromMongo();
+    }
+
+    create(name, email, password) {
+        return dal.create(name, email, password);
+    }
+
+    find(email) {
+        return dal.find(email);
+    }
+
+    findOne(email) {
+        return dal.findOne(email);
+    }
+
+    async findUserById(id) {
+        const { db } = await dal.connectToMongo();
+        return db.collection('users').findOne({ _id: id });
+    }
+
+    update(email, changes) {
+        return dal.update(email, changes);
+    }
+
+    async claimTotpStep(userId, step) {
+        const { db } = await dal.connectToMongo();
+        // Conditional on the last step, so a code raced from two requests is accepted once
+        const result = await db.collection('users').updateOne(
+            {
+                _id: userId,
+                twoFactor: { $ne: null },
+                $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }],
+            },
+            { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        return result.modifiedCount === 1;
+    }
+
+    async claimRecoveryCode(userId, codeHash) {
+        const { db } = await dal.connectToMongo();
+        const result = await db.collection('users').updateOne(
+            { _id: userId, 'twoFactor.recoveryCodes': codeHash },
+            { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+        );
+        return result.modifiedCount === 1;
+    }
+
+    setRole(email, role) {
+        return dal.setRole(email, role);
+    }
+
+    listUsers(options) {
+        return dal.listUsers(options);
+    }
+
+    openAccount(email, type, options) {
+        return dal.openAccount(email, type, options);
+    }
+
+    findAccounts(email) {
+        return dal.findAccounts(email);
+    }
+
+    findAccount(accountNumber) {
+        return dal.findAccount(accountNumber);
+    }
+
+    deposit(accountNumber, amount, options) {
+        return dal.deposit(accountNumber, amount, options);
+    }
+
+    withdraw(accountNumber, amount, options) {
+        return dal.withdraw(accountNumber, amount, options);
+    }
+
+    transfer(source, destination, amount, memo, options) {
+        return dal.transfer(source, destination, amount, memo, options);
+    }
+
+    getAccountLimits(accountNumber) {
+        return dal.getAccountLimits(accountNumber);
+    }
+
+    setAccountLimits(accountNumber, changes) {
+        return dal.setAccountLimits(accountNumber, changes);
+    }
+
+    changeAccountStatus(accountNumber, transition, options) {
+        return dal.changeAccountStatus(accountNumber, transition, options);
+    }
+
+    createTransaction(accountNumber, type, amount, description, options) {
+        return dal.createTransaction(accountNumber, type, amount, description, options);
+    }
+
+    queryTransactions(accountNumber, options) {
+        return dal.queryTransactions(accountNumber, options);
+    }
+
+    getStatement(accountNumber, from, to) {
+        return dal.getStatement(accountNumber, from, to);
+    }
+
+    recordStaffAction(staff, action, target, details) {
+        return dal.recordStaffAction(staff, action, target, details);
+    }
+
+    recordAuditEvent(action, target, options) {
+        return dal.recordAuditEvent(action, target, options);
+    }
+
+    queryAuditEvents(options) {
+        return dal.queryAuditEvents(options);
+    }
+
+    verifyAuditChain() {
+        return dal.verifyAuditChain();
+    }
+
+    async saveRefreshToken(token) {
+        const { db } = await dal.connectToMongo();
+        await db.collection('refresh_tokens').insertOne({ ...token });
+    }
+
+    async claimRefreshToken(tokenHash, now) {
+        const { db } = await dal.connectToMongo();
+        // A single conditional write, so two concurrent refreshes cannot both win
+        const result = await db.collection('refresh_tokens').findOneAndUpdate(
+            { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+            { $set: { usedAt: now } }
+        );
+        return result.value;
+    }
+
+    async findRefreshToken(tokenHash) {
+        const { db } = await dal.connectToMongo();
+        return db.collection('refresh_tokens').findOne({ tokenHash });
+    }
+
+    async revokeSession(familyId, reason, expiresAt) {
+        const { db } = await dal.connectToMongo();
+        await db.collection('refresh_tokens').updateMany(
+            { familyId, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+        await db.collection('revoked_tokens').insertOne({ familyId, reason, expiresAt });
+    }
+
+    async revokeAccessToken(jti, reason, expiresAt) {
+        const { db } = await dal.connectToMongo();
+        await db.collection('revoked_tokens').insertOne({ jti, reason, expiresAt });
+    }
+
+    async isTokenRevoked({ jti, familyId }) {
+        const conditions = [];
+        if (jti) conditions.push({ jti });
+        if (familyId) conditions.push({ familyId });
+        if (conditions.length === 0) {
+            return false;
+        }
+        const { db } = await dal.connectToMongo();
+        return Boolean(await db.collection('revoked_tokens').findOne({ $or: conditions }));
+    }
+
+    async recordLoginFailure(key, now, expiresAt) {
+        const { db } = await dal.connectToMongo();
+        const collection = db.collection('login_failures');
+        // Expired records are removed by a TTL index, but the reaper runs only once a minute
+        await collection.deleteOne({ key, expiresAt: { $lte: now } });
+        // The record before the update tells when the previous failure was; the update itself is known
+        const update = () => collection.findOneAndUpdate(
+            { key },
+            { $inc: { failures: 1 }, $set: { lastFailureAt: now, expiresAt }, $setOnInsert: { firstFailureAt: now } },
+            { upsert: true, returnDocument: 'before' }
+        );
+        let before;
+        try {
+            before = (await update()).value;
+        } catch (err) {
+            // Two concurrent first failures both tried to insert; the loser updates the winner's record
+            if (err.code !== 11000) throw err;
+            before = (await update()).value;
+        }
+        if (!before) {
+            return { key, failures: 1, firstFailureAt: now, lastFailureAt: now, expiresAt, previousFailureAt: null };
+        }
+        return { ...before, failures: before.failures + 1, lastFailureAt: now, expiresAt, previousFailureAt: before.lastFailureAt };
+    }
+
+    async forgetLoginFailure(key, previousFailureAt) {
+        const { db } = await dal.connectToMongo();
+        const collection = db.collection('login_failures');
+        await collection.updateOne({ key }, {
+            $inc: { failures: -1 },
+            ...(previousFailureAt && { $set: { lastFailureAt: previousFailureAt } }),
+        });
+        await collection.deleteOne({ key, failures: { $lte: 0 } });
+    }
+
+    async findLoginFailures(keys, now) {
+        const { db } = await dal.connectToMongo();
+        return db.collection('login_failures').find({ key: { $in: keys }, expiresAt: { $gt: now } }).toArray();
+    }
+
+    async listLoginFailures(now, limit = 100) {
+        const { db } = await dal.connectToMongo();
+        return db.collection('login_failures').find({ expiresAt: { $gt: now } })
+            .sort({ lastFailureAt: -1 }).limit(limit).toArray();
+    }
+
+    async clearLoginFailures(key) {
+        const { db } = await dal.connectToMongo();
+        const result = await db.collection('login_failures').deleteOne({ key });
+        return result.deletedCount === 1;
+    }
+
+    async revokeUserSessions(userId, reason, expiresAt, keepFamilyId) {
+        const { db } = await dal.connectToMongo();
+        const families = await db.collection('refresh_tokens').distinct('familyId', {
+            userId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+            ...(keepFamilyId && { familyId: { $ne: keepFamilyId } }),
+        });
+        for (const familyId of families) {
+            await this.revokeSession(familyId, reason, expiresAt);
+        }
+    }
+
+    async saveUserToken(token) {
+        const { db } = await dal.connectToMongo();
+        await db.collection('user_tokens').updateMany(
+            { userId: token.userId, purpose: token.purpose, usedAt: null, revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+        );
+        await db.collection('user_tokens').insertOne({ ...token });
+    }
+
+    async claimUserToken(tokenHash, purpose, now) {
+        const { db } = await dal.connectToMongo();
+        const result = await db.collection('user_tokens').findOneAndUpdate(
+            { tokenHash, purpose, usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+            { $set: { usedAt: now } }
+        );
+        return result.value;
+    }
+
+    async reserveIdempotencyKey(record) {
+        const { db } = await dal.connectToMongo();
+        const collection = db.collection('idempotency_keys');
+        const { key, owner } = record;
+        // Expired keys are removed by a TTL index, but the reaper runs only once a minute. A reservation
+        // whose lease ran out belongs to a request that died, so it is taken over too.
+        await collection.deleteOne({
+            key,
+            owner,
+            $or: [
+                { expiresAt: { $lte: record.createdAt } },
+                { status: 'processing', lockedUntil: { $lte: record.createdAt } },
+            ],
+        });
+        try {
+            await collection.insertOne({ ...record });
+            return { reserved: true };
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+            return { reserved: false, existing: await collection.findOne({ key, owner }) };
+        }
+    }
+
+    async completeIdempotencyKey(key, owner, response) {
+        const { db } = await dal.connectToMongo();
+        await db.collection('idempotency_keys').updateOne(
+            { key, owner },
+            { $set: { status: 'completed', response } }
+        );
+    }
+
+    async releaseIdempotencyKey(key, owner) {
+        const { db } = await dal.connectToMongo();
+        await db.collection('idempotency_keys').deleteOne({ key, owner });
+    }
+
+    async saveWebhook(webhook) {
+        const { db } = await dal.connectToMongo();
+        const result = await db.collection('webhooks').insertOne({ ...webhook });
+        return result.ops[0];
+    }
+
+    async findWebhook(id) {
+        const { db } = await dal.connectToMongo();
+        return db.collection('webhooks').findOne({ _id: id });
+    }
+
+    async listWebhooks({ event } = {}) {
+        const { db } = await dal.connectToMongo();
+        const query = event ? subscriberFilter(event) : {};
+        return db.collection('webhooks').find(query).sort({ _id: 1 }).toArray();
+    }
+
+    async updateWebhook(id, changes) {
+        const { db } = await dal.connectToMongo();
+        const result = await db.collection('webhooks').findOneAndUpdate(
+            { _id: id },
+            { $set: changes },
+            { returnDocument: 'after' }
+        );
+        return result.value;
+    }
+
+    async deleteWebhook(id) {
+        const { db } = await dal.connectToMongo();
+        const result = await db.collection('webhooks').deleteOne({ _id: id });
+        return result.deletedCount === 1;
+    }
+
+    async claimWebhookDelivery(now, leaseUntil) {
+        const { db } = await dal.connectToMongo();
+        const result = await db.collection('webhook_deliveries').findOneAndUpdate(
+            { status: { $in: ['pending', 'sending'] }, nextAttemptAt: { $lte: now } },
+            { $set: { status: 'sending', nextAttemptAt: leaseUntil } },
+            { sort: { nextAttemptAt: 1, _id: 1 }, returnDocument: 'after' }
+        );
+        return result.value;
+    }
+
+    async updateWebhookDelivery(id, status, changes) {
+        const { db } = await dal.connectToMongo();
+        const result = await db.collection('webhook_deliveries').findOneAndUpdate(
+            { _id: id, status },
+            { $set: changes },
+            { returnDocument: 'after' }
+        );
+        return result.value;
+    }
+
+    async findWebhookDelivery(id) {
+        const { db } = await dal.connectToMongo();
+        return db.collection('webhook_deliveries').findOne({ _id: id });
+    }
+
+    async listWebhookDeliveries({ webhookId, status, limit = 100 } = {}) {
+        const { db } = await dal.connectToMongo();
+        const query = {};
+        if (webhookId) query.webhookId = webhookId;
+        if (status) query.status = status;
+        return db.collection('webhook_deliveries').find(query).sort({ _id: -1 }).limit(limit).toArray();
+    }
+}
+
+module.exports = MongoRepository;
@@ -0,0 +1,616 @@
+/**
+ * repository.js
+ * ./backend/repositories/repository.js
+ *
+ * The storage interface the controllers depend on: users, their accounts and the accounts'
+ * ledger, the records kept about changes to them (staff actions and the audit log), login
+ * sessions, failed login attempts, the single-use tokens sent by email, idempotency keys, and
+ * webhook subscriptions with their outbox of deliveries.
+ * Implementations must apply each money-moving operation atomically, with its ledger entries
+ * and audit events, and keep the rules documented here; see repositories/index.js for the
+ * available implementations and how one is chosen.
+ *
+ * Operations that open accounts, post ledger entries or change an account's status raise events
+ * (see services/eventBus.js). Each event is stored, atomically with the change, as a pending
+ * delivery for every enabled webhook subscribed to its type; the dispatcher in
+ * services/webhooks.js sends them from there.
+ *
+ * All balances and amounts are integers in the account currency's minor units (e.g. cents).
+ */
+
+// Roles a user can hold; staff roles are teller and admin.
+const ROLES = ['customer', 'teller', 'admin'];
+
+// Account types a customer can open.
+const ACCOUNT_TYPES = ['checking', 'savings'];
+
+// Ledger entry types.
+const TRANSACTION_TYPES = ['deposit', 'withdrawal', 'transfer', 'fee', 'adjustment', 'interest'];
+
+// Features implemented outside this interface, directly on MongoDB: standing orders
+// (services/scheduledPayments.js) and interest accrual (services/interest.js).
+const MONGO_FEATURES = ['scheduledPayments', 'interest'];
+
+/**
+ * Creates the error thrown by interface methods an implementation does not provide.
+ * @param {string} method - The method name.
+ * @returns {Error} The error.
+ */
+function notImplemented(method) {
+    return new Error(`Repository.${method} is not implemented.`);
+}
+
+class Repository {
+    /**
+     * Prepares the storage for use (connects, creates indexes...). Safe to call more than once.
+     */
+    async connect() {
+        throw notImplemented('connect');
+    }
+
+    /**
+     * Releases the storage's resources.
+     */
+    async close() {
+        throw notImplemented('close');
+    }
+
+    /**
+     * Checks whether the storage provides a feature implemented outside this interface (see MONGO_FEATURES).
+     * @param {string} feature - The feature, e.g. 'scheduledPayments'.
+     * @returns {boolean} Whether the feature can be used.
+     */
+    supports(feature) {
+        return false;
+    }
+
+    /**
+     * Creates a user with the customer role and an unverified email (`emailVerifiedAt` null),
+     * together with a checking account.
+     * @param {string} name - The user's name.
+     * @param {string} email - The user's email.
+     * @param {string} password - The user's password hash.
+     * @returns {Promise<Object>} The created user, with the opened account under `accounts`.
+     * @throws {ConflictError} If a user with the email already exists.
+     */
+    async create(name, email, password) {
+        throw notImplemented('create');
+    }
+
+    /**
+     * Finds users by email.
+     * @param {string} email - The email to search for.
+     * @returns {Promise<Array>} The matching users.
+     */
+    async find(email) {
+        throw notImplemented('find');
+    }
+
+    /**
+     * Finds a single user by email.
+     * @param {string} email - The email to search for.
+     * @returns {Promise<Object>} The user.
+     * @throws {NotFoundError} If there is no such user.
+     */
+    async findOne(email) {
+        throw notImplemented('findOne');
+    }
+
+    /**
+     * Finds a single user by id.
+     * @param {ObjectId} id - The user's id.
+     * @returns {Promise<Object|null>} The user, or null if there is no such user.
+     */
+    async findUserById(id) {
+        throw notImplemented('findUserById');
+    }
+
+    /**
+     * Updates fields of a user.
+     * @param {string} email - The user's email.
+     * @param {Object} changes - The fields to set.
+     * @returns {Promise<Object|null>} The updated user, or null if there is no such user.
+     */
+    async update(email, changes) {
+        throw notImplemented('update');
+    }
+
+    /**
+     * Records a TOTP time step as used by a user with two-factor authentication set up, if it is
+     * later than the last one used, so a code cannot be accepted twice (see services/twoFactor.js).
+     * Of concurrent claims of the same step at most one succeeds.
+     * @param {ObjectId} userId - The user's id.
+     * @param {number} step - The step the code matched.
+     * @returns {Promise<boolean>} Whether the step was claimed.
+     */
+    async claimTotpStep(userId, step) {
+        throw notImplemented('claimTotpStep');
+    }
+
+    /**
+     * Removes one of a user's unused two-factor recovery codes. Of concurrent claims of the same
+     * code at most one succeeds.
+     * @param {ObjectId} userId - The user's id.
+     * @param {string} codeHash - The code's hash.
+     * @returns {Promise<boolean>} Whether the code was unused and is now used up.
+     */
+    async claimRecoveryCode(userId, codeHash) {
+        throw notImplemented('claimRecoveryCode');
+    }
+
+    /**
+     * Changes the role of a user.
+     * @param {string} email - The user's email.
+     * @param {string} role - One of ROLES.
+     * @returns {Promise<Object>} The updated user.
+     * @throws {ValidationError} If the role is unknown.
+     * @throws {NotFoundError} If there is no such user.
+     */
+    async setRole(email, role) {
+        throw notImplemented('setRole');
+    }
+
+    /**
+     * Retrieves one page of users, oldest first.
+     * @param {Object} [options] - `role` to filter by, page size `limit` and the `cursor` of the previous page.
+     * @returns {Promise<Object>} The page's `users` and the `nextCursor` (null on the last page).
+     * @throws {ValidationError} If the cursor is invalid.
+     */
+    async listUsers(options) {
+        throw notImplemented('listUsers');
+    }
+
+    /**
+     * Opens an additional zero-balance account for a user.
+     * @param {string} email - The owner's email.
+     * @param {string} type - One of ACCOUNT_TYPES.
+     * @param {Object} [options] - `pending`: open the account pending, so it takes no balance changes until activated.
+     * @returns {Promise<Object>} The opened account.
+     * @throws {ValidationError} If the type is unknown.
+     * @throws {NotFoundError} If there is no such user.
+     */
+    async openAccount(email, type, options) {
+        throw notImplemented('openAccount');
+    }
+
+    /**
+     * Lists the accounts owned by a user, oldest first.
+     * @param {string} email - The owner's email.
+     * @returns {Promise<Array>} The accounts.
+     * @throws {NotFoundError} If there is no such user.
+     */
+    async findAccounts(email) {
+        throw notImplemented('findAccounts');
+    }
+
+    /**
+     * Finds a single account by account number.
+     * @param {string} accountNumber - The account number.
+     * @returns {Promise<Object>} The account.
+     * @throws {ValidationError} If the account number is malformed.
+     * @throws {NotFoundError} If there is no such account.
+     */
+    async findAccount(accountNumber) {
+        throw notImplemented('findAccount');
+    }
+
+    /**
+     * Credits an account and records the ledger entry.
+     * @param {string} accountNumber - The account to credit.
+     * @param {number} amount - The positive amount.
+     * @param {Object} [options] - `performedBy`: the staff member acting on the customer's behalf.
+     * @returns {Promise<Object>} The updated account.
+     */
+    async deposit(accountNumber, amount, options) {
+        throw notImplemented('deposit');
+    }
+
+    /**
+     * Debits an account within its limits (per-transaction maximum, daily and monthly caps,
+     * overdraft allowance, with the overdraft fee when the balance ends below zero).
+     * @param {string} accountNumber - The account to debit.
+     * @param {number} amount - The positive amount.
+     * @param {Object} [options] - `performedBy`: the staff member acting on the customer's behalf.
+     * @returns {Promise<Object>} The updated account.
+     * @throws {InsufficientFundsError} If the balance and overdraft allowance do not cover the amount.
+     * @throws {LimitExceededError} If the amount exceeds one of the account's limits.
+     */
+    async withdraw(accountNumber, amount, options) {
+        throw notImplemented('withdraw');
+    }
+
+    /**
+     * Moves an amount between two accounts in the same currency; the source account's limits apply
+     * as for withdrawals. Either the whole transfer happens or none of it does.
+     * @param {string} source - The account to debit.
+     * @param {string} destination - The account to credit.
+     * @param {number} amount - The positive amount.
+     * @param {string} [memo] - Note stored on both ledger entries.
+     * @param {Object} [options] - `performedBy`: the staff member acting on the customer's behalf.
+     * @returns {Promise<Object>} The updated `source` and `destination` accounts.
+     */
+    async transfer(source, destination, amount, memo, options) {
+        throw notImplemented('transfer');
+    }
+
+    /**
+     * Reports an account's limits and what remains of them today and this month.
+     * @param {string} accountNumber - The account number.
+     * @returns {Promise<Object>} `currency`, `limits`, `remaining` (daily, monthly) and `available`,
+     * as decimal strings (null where there is no cap).
+     */
+    async getAccountLimits(accountNumber) {
+        throw notImplemented('getAccountLimits');
+    }
+
+    /**
+     * Overrides limits of an account; null removes an override.
+     * @param {string} accountNumber - The account number.
+     * @param {Object} changes - The limits to change (see utils/limits.js), in minor units.
+     * @returns {Promise<Object>} The updated account.
+     * @throws {ValidationError} If there is nothing to change or a limit is invalid.
+     */
+    async setAccountLimits(accountNumber, changes) {
+        throw notImplemented('setAccountLimits');
+    }
+
+    /**
+     * Moves an account to another status (see utils/accountStatus.js); the balance-changing methods
+     * reject what the account's status does not allow with an AccountStatusError. Closing needs a
+     * zero balance, or a positive balance paid out to another account with the change. Closed
+     * accounts are kept, with their history.
+     * @param {string} accountNumber - The account number.
+     * @param {string} transition - One of ACCOUNT_TRANSITIONS.
+     * @param {Object} options - The `reason` (required), `payoutTo` when closing, and the staff member `changedBy`.
+     * @returns {Promise<Object>} The updated account.
+     * @throws {ValidationError} If the reason is missing or the payout is invalid.
+     * @throws {ConflictError} If the transition does not start from the account's status, or the balance prevents closing.
+     */
+    async changeAccountStatus(accountNumber, transition, options) {
+        throw notImplemented('changeAccountStatus');
+    }
+
+    /**
+     * Posts a ledger entry of any type and applies it to the balance; debits need a covering balance.
+     * @param {string} accountNumber - The account number.
+     * @param {string} type - One of TRANSACTION_TYPES.
+     * @param {number} amount - The signed, non-zero amount.
+     * @param {string} [description] - The entry's description.
+     * @param {Object} [options] - `performedBy`: the staff member who posted the entry.
+     * @returns {Promise<Object>} The ledger entry.
+     */
+    async createTransaction(accountNumber, type, amount, description, options) {
+        throw notImplemented('createTransaction');
+    }
+
+    /**
+     * Retrieves one page of an account's ledger entries.
+     * @param {string} accountNumber - The account number.
+     * @param {Object} [options] - Filters (`from`, `to`, `minAmount`, `maxAmount`, `type`, `search`),
+     * `sort` ('date' or 'amount', '-' for descending; default '-date'), `limit` and `cursor`.
+     * @returns {Promise<Object>} The page's `entries` and the `nextCursor` (null on the last page).
+     */
+    async queryTransactions(accountNumber, options) {
+        throw notImplemented('queryTransactions');
+    }
+
+    /**
+     * Prepares an account statement for a date range.
+     * @param {string} accountNumber - The account number.
+     * @param {Date} from - Start of the range (inclusive).
+     * @param {Date} to - End of the range (inclusive).
+     * @returns {Promise<Object>} The `account`, `openingBalance`, `closingBalance` and the `entries` in
+     * chronological order, as an async iterable with a `close()` method the caller must call.
+     */
+    async getStatement(accountNumber, from, to) {
+        throw notImplemented('getStatement');
+    }
+
+    /**
+     * Records an action a staff member took on another customer's user or account.
+     * @param {Object} staff - The staff member's email and role.
+     * @param {string} action - What was done.
+     * @param {Object} target - The affected user email and/or account number.
+     * @param {Object} [details] - Action-specific data.
+     * @returns {Promise<Object>} The record.
+     */
+    async recordStaffAction(staff, action, target, details) {
+        throw notImplemented('recordStaffAction');
+    }
+
+    /**
+     * Appends an event to the hash-chained audit log: to the chain of the changed object (see utils/audit.js).
+     * @param {string} action - What was done.
+     * @param {Object} target - The changed object's `type` and `id`.
+     * @param {Object} [options] - `before`, `after`, `details` and `actor` (see createAuditEvent).
+     * @returns {Promise<Object>} The event.
+     */
+    async recordAuditEvent(action, target, options) {
+        throw notImplemented('recordAuditEvent');
+    }
+
+    /**
+     * Retrieves one page of audit events, newest first.
+     * @param {Object} [options] - Filters (`actor`, `action`, `targetType`, `targetId`, `requestId`, `from`, `to`),
+     * `limit` and `cursor`.
+     * @returns {Promise<Object>} The page's `events` and the `nextCursor` (null on the last page).
+     */
+    async queryAuditEvents(options) {
+        throw notImplemented('queryAuditEvents');
+    }
+
+    /**
+     * Checks every audit chain (see verifyEvents).
+     * @returns {Promise<Object>} `valid`, `checked` and the first broken link, if any.
+     */
+    async verifyAuditChain() {
+        throw notImplemented('verifyAuditChain');
+    }
+
+    /**
+     * Stores a hashed refresh token (see services/tokenService.js).
+     * @param {Object} token - `tokenHash`, `familyId`, `userId`, `email`, `amr`, `createdAt`, `expiresAt`,
+     * `usedAt` and `revokedAt` (both null).
+     */
+    async saveRefreshToken(token) {
+        throw notImplemented('saveRefreshToken');
+    }
+
+    /**
+     * Marks a refresh token used, if it is unused, not revoked and not expired. Of concurrent
+     * claims of the same token at most one succeeds.
+     * @param {string} tokenHash - The token's hash.
+     * @param {Date} now - The current time.
+     * @returns {Promise<Object|null>} The token as it was before the claim, or null if it cannot be used.
+     */
+    async claimRefreshToken(tokenHash, now) {
+        throw notImplemented('claimRefreshToken');
+    }
+
+    /**
+     * Finds a refresh token by hash, whatever its state.
+     * @param {string} tokenHash - The token's hash.
+     * @returns {Promise<Object|null>} The token, or null if it is unknown.
+     */
+    async findRefreshToken(tokenHash) {
+        throw notImplemented('findRefreshToken');
+    }
+
+    /**
+     * Revokes the refresh tokens of a session and blocks its access tokens until they expire.
+     * @param {string} familyId - The session id.
+     * @param {string} reason - Why the session was revoked.
+     * @param {Date} expiresAt - When the session's last access token expires.
+     */
+    async revokeSession(familyId, reason, expiresAt) {
+        throw notImplemented('revokeSession');
+    }
+
+    /**
+     * Blocks a single access token until it expires.
+     * @param {string} jti - The token's id.
+     * @param {string} reason - Why the token was revoked.
+     * @param {Date} expiresAt - When the token expires.
+     */
+    async revokeAccessToken(jti, reason, expiresAt) {
+        throw notImplemented('revokeAccessToken');
+    }
+
+    /**
+     * Checks whether an access token, or the session it belongs to, has been revoked.
+     * @param {Object} token - The token's `jti` and session id (`familyId`); either may be missing.
+     * @returns {Promise<boolean>} True if the token must be rejected.
+     */
+    async isTokenRevoked(token) {
+        throw notImplemented('isTokenRevoked');
+    }
+
+    /**
+     * Counts a failed login attempt against a key (see services/loginThrottle.js). A record that
+     * has expired is started afresh.
+     * @param {string} key - What the attempt is counted against, e.g. 'email:jane@example.com' or 'ip:10.0.0.1'.
+     * @param {Date} now - The time of the attempt.
+     * @param {Date} expiresAt - When the record is forgotten unless there is another failure.
+     * @returns {Promise<Object>} The record after the attempt: `key`, `failures`, `firstFailureAt`,
+     * `lastFailureAt` and `expiresAt`, plus `previousFailureAt`, the time of the failure counted
+     * before it (null if it is the first). Concurrent attempts are counted one after another, so
+     * each sees those before it.
+     */
+    async recordLoginFailure(key, now, expiresAt) {
+        throw notImplemented('recordLoginFailure');
+    }
+
+    /**
+     * Takes back a failure counted against a key, for an attempt that was counted before it was
+     * checked and turned out not to be a failure. A record left with no failures is removed.
+     * @param {string} key - The key.
+     * @param {Date|null} previousFailureAt - The `previousFailureAt` the failure was counted with,
+     * restored as the record's last failure.
+     */
+    async forgetLoginFailure(key, previousFailureAt) {
+        throw notImplemented('forgetLoginFailure');
+    }
+
+    /**
+     * Finds the unexpired failed-login records of some keys.
+     * @param {string[]} keys - The keys.
+     * @param {Date} now - The current time.
+     * @returns {Promise<Array>} The records found.
+     */
+    async findLoginFailures(keys, now) {
+        throw notImplemented('findLoginFailures');
+    }
+
+    /**
+     * Lists unexpired failed-login records, most recent failure first.
+     * @param {Date} now - The current time.
+     * @param {number} [limit=100] - The maximum number of records.
+     * @returns {Promise<Array>} The records.
+     */
+    async listLoginFailures(now, limit) {
+        throw notImplemented('listLoginFailures');
+    }
+
+    /**
+     * Forgets the failed logins counted against a key.
+     * @param {string} key - The key.
+     * @returns {Promise<boolean>} Whether there was a record.
+     */
+    async clearLoginFailures(key) {
+        throw notImplemented('clearLoginFailures');
+    }
+
+    /**
+     * Revokes every session of a user (see revokeSession), optionally except one.
+     * @param {ObjectId} userId - The user's id.
+     * @param {string} reason - Why the sessions were revoked.
+     * @param {Date} expiresAt - When the sessions' last access tokens expire.
+     * @param {string} [keepFamilyId] - A session to leave alone, e.g. the caller's own.
+     */
+    async revokeUserSessions(userId, reason, expiresAt, keepFamilyId) {
+        throw notImplemented('revokeUserSessions');
+    }
+
+    /**
+     * Stores a hashed single-use token sent to a user by email (see services/userTokens.js).
+     * The user's earlier unused tokens for the same purpose are revoked, so only the latest works.
+     * @param {Object} token - `tokenHash`, `purpose` ('verifyEmail', 'resetPassword' or 'loginChallenge'), `userId`,
+     * `email`, `createdAt`, `expiresAt`, `usedAt` and `revokedAt` (both null).
+     */
+    async saveUserToken(token) {
+        throw notImplemented('saveUserToken');
+    }
+
+    /**
+     * Marks a user token used, if it has the purpose and is unused, not revoked and not expired.
+     * Of concurrent claims of the same token at most one succeeds.
+     * @param {string} tokenHash - The token's hash.
+     * @param {string} purpose - What the token is being used for.
+     * @param {Date} now - The current time.
+     * @returns {Promise<Object|null>} The token as it was before the claim, or null if it cannot be used.
+     */
+    async claimUserToken(tokenHash, purpose, now) {
+        throw notImplemented('claimUserToken');
+    }
+
+    /**
+     * Reserves an idempotency key for a request (see middlewares/idempotencyMiddleware.js).
+     * An expired record for the same key and owner is replaced, and so is one still 'processing'
+     * whose lease (`lockedUntil`) has run out, as the request holding it has died.
+     * @param {Object} record - `key`, `owner`, `fingerprint`, `status` ('processing'), `createdAt`,
+     * `lockedUntil` and `expiresAt`.
+     * @returns {Promise<Object>} `reserved`: whether this request got the key; if not, the `existing`
+     * record (null if it was released in the meantime).
+     */
+    async reserveIdempotencyKey(record) {
+        throw notImplemented('reserveIdempotencyKey');
+    }
+
+    /**
+     * Stores the response of the request holding an idempotency key, for replay.
+     * @param {string} key - The idempotency key.
+     * @param {string|null} owner - The caller's email.
+     * @param {Object} response - The `statusCode` and JSON `body`.
+     */
+    async completeIdempotencyKey(key, owner, response) {
+        throw notImplemented('completeIdempotencyKey');
+    }
+
+    /**
+     * Releases an idempotency key, so the request can be retried.
+     * @param {string} key - The idempotency key.
+     * @param {string|null} owner - The caller's email.
+     */
+    async releaseIdempotencyKey(key, owner) {
+        throw notImplemented('releaseIdempotencyKey');
+    }
+
+    /**
+     * Stores a webhook subscription (see services/webhooks.js).
+     * @param {Object} webhook - `url`, `events`, `secret`, `description`, `enabled`, `createdBy` and `createdAt`.
+     * @returns {Promise<Object>} The stored webhook, with its `_id`.
+     */
+    async saveWebhook(webhook) {
+        throw notImplemented('saveWebhook');
+    }
+
+    /**
+     * Finds a webhook by id.
+     * @param {ObjectId} id - The webhook's id.
+     * @returns {Promise<Object|null>} The webhook, or null if there is no such webhook.
+     */
+    async findWebhook(id) {
+        throw notImplemented('findWebhook');
+    }
+
+    /**
+     * Lists webhooks, oldest first.
+     * @param {Object} [filter] - `event`: only the enabled webhooks subscribed to this event type, or to all ('*').
+     * @returns {Promise<Array>} The webhooks.
+     */
+    async listWebhooks(filter) {
+        throw notImplemented('listWebhooks');
+    }
+
+    /**
+     * Changes fields of a webhook.
+     * @param {ObjectId} id - The webhook's id.
+     * @param {Object} changes - The fields to set.
+     * @returns {Promise<Object|null>} The updated webhook, or null if there is no such webhook.
+     */
+    async updateWebhook(id, changes) {
+        throw notImplemented('updateWebhook');
+    }
+
+    /**
+     * Deletes a webhook. Its deliveries are kept.
+     * @param {ObjectId} id - The webhook's id.
+     * @returns {Promise<boolean>} Whether there was such a webhook.
+     */
+    async deleteWebhook(id) {
+        throw notImplemented('deleteWebhook');
+    }
+
+    /**
+     * Claims the delivery due first: a pending one whose `nextAttemptAt` has come, or one left
+     * 'sending' by an instance whose lease ran out. It becomes 'sending' until `leaseUntil`.
+     * Of concurrent claims of the same delivery at most one succeeds.
+     * @param {Date} now - The current time.
+     * @param {Date} leaseUntil - When the delivery may be claimed again if it is not finished.
+     * @returns {Promise<Object|null>} The claimed delivery, or null if none is due.
+     */
+    async claimWebhookDelivery(now, leaseUntil) {
+        throw notImplemented('claimWebhookDelivery');
+    }
+
+    /**
+     * Changes fields of a delivery, if it still has the expected status.
+     * @param {ObjectId} id - The delivery's id.
+     * @param {string} status - The status it must have, e.g. 'sending' to finish an attempt or 'dead' to replay it.
+     * @param {Object} changes - The fields to set.
+     * @returns {Promise<Object|null>} The updated delivery, or null if there is no such delivery with that status.
+     */
+    async updateWebhookDelivery(id, status, changes) {
+        throw notImplemented('updateWebhookDelivery');
+    }
+
+    /**
+     * Finds a delivery by id.
+     * @param {ObjectId} id - The delivery's id.
+     * @returns {Promise<Object|null>} The delivery, or null if there is no such delivery.
+     */
+    async findWebhookDelivery(id) {
+        throw notImplemented('findWebhookDelivery');
+    }
+
+    /**
+     * Lists deliveries, newest first.
+     * @param {Object} [filter] - `webhookId`, `status` and the maximum number of deliveries `limit` (default 100).
+     * @returns {Promise<Array>} The deliveries.
+     */
+    async listWebhookDeliveries(filter) {
+        throw notImplemented('listWebhookDeliveries');
+    }
+}
+
+module.exports = { Repository, ROLES, ACCOUNT_TYPES, TRANSACTION_TYPES, MONGO_FEATURES };
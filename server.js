@@ -6,12 +6,20 @@ const express = require('express');
 const cors = require('cors'); // CORS middleware for handling cross-origin requests
 const helmet = require('helmet'); // Helmet helps secure Express apps by setting various HTTP headers
 const bodyParser = require('body-parser'); // Parse incoming request bodies in a middleware
-const mongoose = require('mongoose'); // MongoDB object modeling tool
-const rateLimit = require('express-rate-limit'); // Basic rate-limiting middleware
 const { errorHandler } = require('./middlewares/errorMiddleware'); // Custom error handling middleware
+const { rateLimit } = require('./middlewares/rateLimitMiddleware'); // Named rate-limit policies; each route applies its own
+const { requestContext } = require('./middlewares/requestContextMiddleware'); // Request ids, access log and context for the audit log
+const logger = require('./logger'); // Winston logger; lines carry the request id and are redacted
+const { repository } = require('./repositories'); // Storage backend, chosen with STORAGE_BACKEND
 const accountRouter = require('./controllers/accountController'); // Router for account-related routes
 const userRouter = require('./controllers/userController'); // Router for user-related routes
 const transactionRouter = require('./controllers/transactionController'); // Router for transaction-related routes
+const scheduledPaymentRouter = require('./controllers/scheduledPaymentController'); // Router for standing orders
+const auditRouter = require('./controllers/auditController'); // Router for the audit log (admin)
+const webhookRouter = require('./controllers/webhookController'); // Router for outbound webhooks (admin)
+const scheduledPayments = require('./services/scheduledPayments'); // In-process scheduler for standing orders
+const interest = require('./services/interest'); // Daily interest accrual and monthly posting
+const webhooks = require('./services/webhooks'); // Outbox and dispatcher for outbound webhooks
 const fs = require('fs'); // File system module for reading SSL certificate files
 const https = require('https'); // HTTPS module for HTTPS server
 const http = require('http'); // HTTP module for HTTP server
@@ -19,27 +27,21 @@ const http = require('http'); // HTTP module for HTTP server
 const app = express();
 
 // Middleware setup
+app.use(requestContext); // First, so every request gets an id and an access log line
 app.use(cors()); // Enable CORS for all routes
 app.use(helmet()); // Enhance API's security with Helmet
 app.use(bodyParser.json()); // Support JSON-encoded bodies
 
-// Rate limiting setup to prevent abuse
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes window
-  max: 100, // Limit each IP to 100 requests per windowMs
-});
-app.use(limiter);
-
 // Define routes using the imported routers
 app.use('/account', accountRouter);
 app.use('/users', userRouter);
 app.use('/transactions', transactionRouter);
+app.use('/scheduled-payments', scheduledPaymentRouter);
+app.use('/audit', auditRouter);
+app.use('/webhooks', webhookRouter);
+// Requests no route matched are rate-limited as reads, so every response carries RateLimit-* headers
+app.use(rateLimit('read'));
 
-// Connect to MongoDB
-mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
-  .catch(err => console.error('Could not connect to MongoDB:', err));
-  
 // Apply the custom error handling middleware
 app.use(errorHandler);
 
@@ -47,18 +49,48 @@ app.use(errorHandler);
 const PORT = process.env.PORT || 5000; // Default to port 5000 if no PORT env var is specified
 const isProduction = process.env.NODE_ENV === 'production'; // Check if the environment is production
 
-if (isProduction) {
-  // If in production, create an HTTPS server
-  const options = {
-    key: fs.readFileSync(process.env.SSL_KEY_PATH), // Path to SSL key
-    cert: fs.readFileSync(process.env.SSL_CERT_PATH), // Path to SSL certificate
-  };
-  https.createServer(options, app).listen(PORT, () => {
-    console.log(`HTTPS Server running on port ${PORT}`);
-  });
-} else {
-  // If not in production (e.g., in development), create an HTTP server
-  http.createServer(app).listen(PORT, () => {
-    console.log(`HTTP Server running on port ${PORT}`);
+/**
+ * Starts the background jobs and the HTTP(S) server.
+ */
+function start() {
+  // Run background jobs (scheduled payments, interest) in this process unless disabled (e.g. when a dedicated worker runs them).
+  // They are implemented on MongoDB only.
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    if (repository.supports('scheduledPayments')) scheduledPayments.startScheduler();
+    if (repository.supports('interest')) interest.startInterestJob();
+  }
+
+  // Send due webhook deliveries unless disabled (e.g. when a dedicated worker sends them). The storage
+  // backends write the outbox with each change, so every process's events are delivered either way.
+  if (process.env.WEBHOOK_DISPATCHER_ENABLED !== 'false') {
+    webhooks.startDispatcher();
+  }
+
+  if (isProduction) {
+    // If in production, create an HTTPS server
+    const options = {
+      key: fs.readFileSync(process.env.SSL_KEY_PATH), // Path to SSL key
+      cert: fs.readFileSync(process.env.SSL_CERT_PATH), // Path to SSL certificate
+    };
+    https.createServer(options, app).listen(PORT, () => {
+      logger.info(`HTTPS Server running on port ${PORT}`);
+    });
+  } else {
+    // If not in production (e.g., in development), create an HTTP server
+    http.createServer(app).listen(PORT, () => {
+      logger.info(`HTTP Server running on port ${PORT}`);
+    });
+  }
+}
+
+// Connect to the storage backend before serving, so no request (or job) reads storage that is not loaded yet
+const backend = process.env.STORAGE_BACKEND || 'mongo';
+repository.connect()
+  .then(() => {
+    logger.info(`Connected to ${backend} storage`);
+    start();
+  })
+  .catch(err => {
+    logger.error(`Could not connect to ${backend} storage: ${err.message}`, { stack: err.stack });
+    process.exitCode = 1;
   });
-}
\ No newline at end of file
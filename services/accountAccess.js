@@ -0,0 +1,76 @@
+/**
+ * accountAccess.js
+ * ./backend/services/accountAccess.js
+ *
+ * Decides which user or account a request acts on. Customers always act on themselves;
+ * staff (tellers and admins) may name another customer, and every such action is
+ * recorded with the staff member's identity.
+ */
+
+const { repository } = require('../repositories');
+const { NotFoundError } = require('../middlewares/errorMiddleware');
+const { statusOf } = require('../utils/accountStatus');
+const { meetsRolePolicy } = require('./twoFactor');
+
+// Roles allowed to act on other customers' accounts
+const STAFF_ROLES = ['teller', 'admin'];
+
+/**
+ * Checks whether the authenticated caller is a staff member.
+ * @param {Object} caller - The decoded access token (req.user).
+ * @returns {boolean} True for tellers and admins, unless their role requires two-factor
+ * authentication and the session did not pass it.
+ */
+function isStaff(caller) {
+    return STAFF_ROLES.includes(caller.role) && meetsRolePolicy(caller);
+}
+
+/**
+ * Resolves the email of the user a request acts on.
+ * @param {Object} caller - The decoded access token (req.user).
+ * @param {string} [email] - The email named in the request, honoured for staff only.
+ * @returns {Object} The target email and whether the caller acts on someone else's behalf.
+ */
+function resolveUser(caller, email) {
+    if (email && email !== caller.email && isStaff(caller)) {
+        return { email, onBehalf: true };
+    }
+    return { email: caller.email, onBehalf: false };
+}
+
+/**
+ * Resolves the account a request acts on and checks that the caller may use it.
+ * Without an account number the caller's oldest account that is not closed is used. Accounts the
+ * caller may not use are reported as not found, so their existence is not leaked.
+ * @param {Object} caller - The decoded access token (req.user).
+ * @param {string} [accountNumber] - The account number named in the request.
+ * @returns {Promise<Object>} The account and whether the caller acts on someone else's behalf.
+ * @throws {NotFoundError} If the account does not exist or the caller may not use it.
+ */
+async function resolveAccount(caller, accountNumber) {
+    const user = await repository.findOne(caller.email);
+    if (!accountNumber) {
+        const primary = (await repository.findAccounts(caller.email)).find(account => statusOf(account) !== 'closed');
+        if (!primary) {
+            throw new NotFoundError('Account not found.');
+        }
+        return { account: primary, onBehalf: false };
+    }
+    const account = await repository.findAccount(accountNumber);
+    const owned = account.userId.equals(user._id);
+    if (!owned && !isStaff(caller)) {
+        throw new NotFoundError('Account not found.');
+    }
+    return { account, onBehalf: !owned };
+}
+
+/**
+ * Describes the caller for storage next to the records they change.
+ * @param {Object} caller - The decoded access token (req.user).
+ * @returns {Object} The caller's email and role.
+ */
+function actorOf(caller) {
+    return { email: caller.email, role: caller.role };
+}
+
+module.exports = { STAFF_ROLES, isStaff, resolveUser, resolveAccount, actorOf };
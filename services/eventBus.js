@@ -0,0 +1,82 @@
+/**
+ * eventBus.js
+ * ./backend/services/eventBus.js
+ *
+ * In-process bus for domain events: what happened to accounts and their balances. The storage
+ * backends create an event with each change, store its webhook deliveries in the same transaction
+ * (the outbox, see services/webhooks.js), and publish it here once the change is committed.
+ * Subscribers are called after the publisher has moved on, so a slow or failing subscriber never
+ * delays or fails the change itself.
+ *
+ * The bus is best effort: only subscribers in the publishing process hear an event, and a crash
+ * right after the commit loses it. Anything that must not miss events, like webhook delivery,
+ * works from the stored outbox instead.
+ *
+ * Events are plain JSON: `id`, `type`, `createdAt` and type-specific `data` in the API's shapes
+ * (see utils/serializers.js).
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const logger = require('../logger');
+const { TRANSACTION_TYPES } = require('../repositories/repository');
+
+/**
+ * Event types that can be published and subscribed to.
+ * - account.opened: an account was opened (`account`).
+ * - account.statusChanged: an account was frozen, unfrozen, closed, reopened or activated
+ *   (`account`, `previousStatus`, `transition`, `reason`).
+ * - transaction.<type>: a ledger entry was posted, e.g. transaction.deposit or transaction.withdrawal
+ *   (`account` after the entry, `transaction`). A transfer posts one on each account.
+ */
+const EVENT_TYPES = [
+    'account.opened',
+    'account.statusChanged',
+    ...TRANSACTION_TYPES.map(type => `transaction.${type}`),
+];
+
+const emitter = new EventEmitter();
+// Every subscriber listens to the same emitter event
+emitter.setMaxListeners(0);
+
+/**
+ * Creates an event, to store in the outbox and then publish.
+ * @param {string} type - One of EVENT_TYPES.
+ * @param {Object} data - The event's data.
+ * @returns {Object} The event.
+ * @throws {Error} If the type is unknown.
+ */
+function createEvent(type, data) {
+    if (!EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown event type "${type}".`);
+    }
+    // Round-trip through JSON, so the event is exactly what leaves the server and shares no objects with the publisher
+    return JSON.parse(JSON.stringify({ id: crypto.randomUUID(), type, createdAt: new Date(), data }));
+}
+
+/**
+ * Publishes an event to every subscriber.
+ * @param {Object} event - The event, from createEvent.
+ */
+function publish(event) {
+    setImmediate(() => emitter.emit('event', event));
+}
+
+/**
+ * Subscribes to every published event. Errors thrown or rejected by the handler are logged.
+ * @param {Function} handler - Called with each event; may be async.
+ * @returns {Function} Unsubscribes the handler.
+ */
+function subscribe(handler) {
+    const listener = async (event) => {
+        try {
+            await handler(event);
+        } catch (err) {
+            logger.error(`Error handling ${event.type} event ${event.id}: ${err.message}`, { stack: err.stack });
+        }
+    };
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+}
+
+module.exports = { EVENT_TYPES, createEvent, publish, subscribe };
@@ -0,0 +1,265 @@
+/**
+ * interest.js
+ * ./backend/services/interest.js
+ *
+ * Interest for accounts with an interest product (see utils/interest.js). Every completed day,
+ * each such account accrues a day of interest on its end-of-day balance; on the last day of a
+ * month the accrued interest is posted to the account as an `interest` ledger entry.
+ *
+ * Every step is keyed by account and day (accruals) or account and month (postings) with unique
+ * indexes, so the job can be re-run for any date, or interrupted and resumed, without paying twice.
+ * End-of-day balances come from the ledger, so missed days can be backfilled later.
+ */
+
+const dal = require('../dal.js');
+const logger = require('../logger');
+const { ValidationError } = require('../middlewares/errorMiddleware');
+const { ACCRUAL_SCALE, INTEREST_PRODUCTS, dailyAccrual, toMinorUnits } = require('../utils/interest');
+const { statusOf } = require('../utils/accountStatus');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How often the job checks for completed days to process, in minutes
+const INTERVAL_MINUTES = Number(process.env.INTEREST_JOB_INTERVAL_MINUTES) || 60;
+// Longest range a single run may process
+const MAX_DAYS_PER_RUN = 366;
+
+/**
+ * Formats a date as its UTC day, e.g. '2024-05-31'.
+ * @param {Date} date - The date.
+ * @returns {string} The day.
+ */
+function toDay(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Returns the day after a day.
+ * @param {string} day - The day, e.g. '2024-05-31'.
+ * @returns {string} The next day, e.g. '2024-06-01'.
+ */
+function nextDay(day) {
+    return toDay(new Date(new Date(`${day}T00:00:00.000Z`).getTime() + DAY_MS));
+}
+
+/**
+ * Computes the end-of-day balance of an account from the balance stored on its last ledger entry of the day.
+ * @param {Object} db - The db instance.
+ * @param {Object} account - The account document.
+ * @param {Date} end - The end of the day (exclusive).
+ * @returns {Promise<number>} The balance in minor units.
+ */
+async function endOfDayBalance(db, account, end) {
+    const [last] = await db.collection('transactions')
+        .find({ accountId: account._id, timestamp: { $lt: end } })
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(1)
+        .toArray();
+    return last ? last.balance : 0;
+}
+
+/**
+ * Accrues one day of interest for every account with an interest product that existed that day.
+ * Accounts that already accrued for the day are left alone.
+ * @param {string} day - The completed day, e.g. '2024-05-31'.
+ * @returns {Promise<Object>} How many accounts accrued now and how many had already accrued.
+ */
+async function accrueDay(day) {
+    const { db } = await dal.connectToMongo();
+    const end = new Date(new Date(`${day}T00:00:00.000Z`).getTime() + DAY_MS);
+    const accounts = db.collection('accounts').find({
+        type: { $in: Object.keys(INTEREST_PRODUCTS) },
+        createdAt: { $lt: end },
+        // Accounts not yet activated or closed earn nothing
+        status: { $nin: ['pending', 'closed'] },
+    });
+
+    const summary = { accrued: 0, alreadyAccrued: 0 };
+    for await (const account of accounts) {
+        const balance = await endOfDayBalance(db, account, end);
+        const amount = dailyAccrual(balance, INTEREST_PRODUCTS[account.type], account.currency);
+        if (amount === 0) continue;
+        try {
+            await dal.withTransaction(async (session) => {
+                await db.collection('interest_accruals').insertOne(
+                    { accountId: account._id, date: day, balance, amount, posted: false, createdAt: new Date() },
+                    { session }
+                );
+                await db.collection('accounts').updateOne(
+                    { _id: account._id },
+                    { $inc: { accruedInterest: amount } },
+                    { session }
+                );
+            });
+            summary.accrued++;
+        } catch (err) {
+            // 11000: the day was accrued by an earlier run
+            if (err.code !== 11000) throw err;
+            summary.alreadyAccrued++;
+        }
+    }
+    return summary;
+}
+
+/**
+ * Posts the interest accrued up to the end of a month to each account, rounded to whole minor units.
+ * What the rounding leaves over (positive or negative) stays accrued and is carried into the next
+ * month's posting, so no interest is gained or lost to rounding over time.
+ * Accruals for the month that were backfilled after it was posted are included in the next posting.
+ * @param {string} month - The month, e.g. '2024-05'.
+ * @returns {Promise<Object>} How many accounts were paid now and how many had already been paid.
+ */
+async function postMonth(month) {
+    const { db } = await dal.connectToMongo();
+    const unposted = { date: { $lte: `${month}-31` }, posted: false };
+    const accountIds = await db.collection('interest_accruals').distinct('accountId', unposted);
+
+    const summary = { posted: 0, alreadyPosted: 0 };
+    for (const accountId of accountIds) {
+        try {
+            await dal.withTransaction(async (session) => {
+                const accruals = await db.collection('interest_accruals')
+                    .find({ accountId, ...unposted }, { session })
+                    .toArray();
+                const accrued = accruals.reduce((sum, accrual) => sum + accrual.amount, 0);
+                // The part of a minor unit the last posting rounded off is carried into this one
+                const [last] = await db.collection('interest_postings')
+                    .find({ accountId }, { session })
+                    .sort({ month: -1 })
+                    .limit(1)
+                    .toArray();
+                const carried = (last && last.remainder) || 0;
+                const amount = toMinorUnits(accrued + carried);
+                const account = await db.collection('accounts').findOne({ _id: accountId }, { session });
+                // Interest accrued before an account was closed is forfeited, as a closed account takes no credits
+                const forfeited = statusOf(account) === 'closed';
+                const remainder = forfeited ? 0 : accrued + carried - amount * ACCRUAL_SCALE;
+                // Only what is posted leaves the accrued balance; the remainder stays accrued
+                await db.collection('accounts').updateOne(
+                    { _id: accountId },
+                    { $inc: { accruedInterest: remainder - accrued - carried } },
+                    { session }
+                );
+                const postedAt = new Date();
+                await db.collection('interest_postings').insertOne(
+                    { accountId, month, accrued, carried, amount, remainder, postedAt, ...(forfeited && { forfeited }) },
+                    { session }
+                );
+                await db.collection('interest_accruals').updateMany(
+                    { _id: { $in: accruals.map(accrual => accrual._id) } },
+                    { $set: { posted: true, month } },
+                    { session }
+                );
+                if (amount > 0 && !forfeited) {
+                    await dal.createTransaction(account.accountNumber, 'interest', amount, `Interest for ${month}`, { session });
+                }
+            });
+            summary.posted++;
+        } catch (err) {
+            // 11000: the month was posted by an earlier run
+            if (err.code !== 11000) throw err;
+            summary.alreadyPosted++;
+        }
+    }
+    return summary;
+}
+
+/**
+ * Processes one completed day: accrues it and, on the last day of a month, posts the month.
+ * @param {string} day - The day, e.g. '2024-05-31'.
+ * @returns {Promise<Object>} What was done for the day.
+ */
+async function runDay(day) {
+    const { db } = await dal.connectToMongo();
+    const result = { date: day, ...(await accrueDay(day)) };
+    if (nextDay(day).endsWith('-01')) {
+        Object.assign(result, await postMonth(day.slice(0, 7)));
+    }
+    await db.collection('interest_runs').updateOne(
+        { date: day },
+        { $set: { ...result, completedAt: new Date() } },
+        { upsert: true }
+    );
+    return result;
+}
+
+/**
+ * Processes a range of completed days in order, e.g. to backfill days the job missed.
+ * Days that were already processed are safe to include.
+ * @param {Date} from - The first day (UTC).
+ * @param {Date} to - The last day (UTC); must be before today.
+ * @returns {Promise<Array>} What was done for each day.
+ * @throws {ValidationError} If the range is reversed, too long or includes today.
+ */
+async function runInterest(from, to) {
+    const first = toDay(from);
+    const last = toDay(to);
+    if (first > last) {
+        throw new ValidationError('The start date must not be after the end date.');
+    }
+    if (last >= toDay(new Date())) {
+        throw new ValidationError('Interest can only be run for completed days.');
+    }
+    if ((new Date(`${last}T00:00:00.000Z`) - new Date(`${first}T00:00:00.000Z`)) / DAY_MS >= MAX_DAYS_PER_RUN) {
+        throw new ValidationError(`At most ${MAX_DAYS_PER_RUN} days can be run at once.`);
+    }
+    const results = [];
+    for (let day = first; day <= last; day = nextDay(day)) {
+        results.push(await runDay(day));
+    }
+    return results;
+}
+
+/**
+ * Processes every completed day since the last one the job finished (only yesterday on the first run).
+ * @returns {Promise<Array>} What was done for each day.
+ */
+async function catchUp() {
+    const { db } = await dal.connectToMongo();
+    const yesterday = toDay(new Date(Date.now() - DAY_MS));
+    const [lastRun] = await db.collection('interest_runs').find({}).sort({ date: -1 }).limit(1).toArray();
+    const from = lastRun ? nextDay(lastRun.date) : yesterday;
+    if (from > yesterday) {
+        return [];
+    }
+    // Longer outages are caught up over several ticks
+    const to = new Date(Math.min(
+        new Date(`${yesterday}T00:00:00.000Z`).getTime(),
+        new Date(`${from}T00:00:00.000Z`).getTime() + (MAX_DAYS_PER_RUN - 1) * DAY_MS
+    ));
+    return runInterest(new Date(`${from}T00:00:00.000Z`), to);
+}
+
+let timer = null;
+let running = false;
+
+/**
+ * Starts the in-process interest job, which processes completed days every INTEREST_JOB_INTERVAL_MINUTES.
+ */
+function startInterestJob() {
+    if (timer) return;
+    timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            const results = await catchUp();
+            for (const result of results) {
+                logger.info(`Interest run: ${JSON.stringify(result)}`);
+            }
+        } catch (err) {
+            logger.error(`Error running interest job: ${err.message}`, { stack: err.stack });
+        } finally {
+            running = false;
+        }
+    }, INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();
+}
+
+/**
+ * Stops the in-process interest job.
+ */
+function stopInterestJob() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = { accrueDay, postMonth, runDay, runInterest, catchUp, startInterestJob, stopInterestJob };
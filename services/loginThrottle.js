@@ -0,0 +1,178 @@
+/**
+ * loginThrottle.js
+ * ./backend/services/loginThrottle.js
+ *
+ * Slows down password guessing. Failed logins are counted per email address (guessing one
+ * account from many IPs) and per IP address (trying many accounts from one IP). Once a count
+ * reaches its limit, further logins for that email or from that IP are refused for a lockout
+ * period that doubles with each further failure, up to a maximum. A count is forgotten a while
+ * after its last failure, and a successful login clears the count of its email address.
+ *
+ * A password login is counted as a failure before its password is checked, and taken back if the
+ * password is right; counting first means concurrent guesses cannot all get past the limit before
+ * any of them has failed. Attempts refused during a lockout are counted too, so guessing on only
+ * prolongs it.
+ *
+ * Emails are counted whether or not an account exists, so lockouts do not reveal which do. They
+ * arrive lower-cased by the validation middleware, the same form users are looked up by.
+ */
+
+const { repository } = require('../repositories');
+const logger = require('../logger');
+const { TooManyRequestsError } = require('../middlewares/errorMiddleware');
+
+// Policy, configurable through the environment
+const MAX_FAILURES = {
+    email: Number(process.env.LOGIN_MAX_FAILURES_PER_ACCOUNT) || 5,
+    ip: Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20,
+};
+const LOCKOUT_BASE_SECONDS = Number(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60;
+const LOCKOUT_MAX_SECONDS = Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60;
+// How long a count is kept after its last failure; longer than the longest lockout
+const FAILURE_MEMORY_SECONDS = Math.max(Number(process.env.LOGIN_FAILURE_MEMORY_SECONDS) || 24 * 60 * 60, LOCKOUT_MAX_SECONDS);
+
+/**
+ * Builds the keys failures are counted against for a login attempt.
+ * @param {string|null} email - The email the attempt was for, if known.
+ * @param {string|null} ip - The client's IP address, if known.
+ * @returns {string[]} E.g. ['email:jane@example.com', 'ip:10.0.0.1'].
+ */
+function keysFor(email, ip) {
+    return [email && `email:${email}`, ip && `ip:${ip}`].filter(Boolean);
+}
+
+/**
+ * Works out until when a record locks its key out.
+ * @param {Object} record - A failed-login record.
+ * @returns {Date|null} The end of the lockout, or null if the failures have not reached the limit.
+ */
+function lockedUntil(record) {
+    const [type] = record.key.split(':');
+    const over = record.failures - MAX_FAILURES[type];
+    if (over < 0) {
+        return null;
+    }
+    // Capping the exponent keeps the arithmetic finite for very long runs of failures
+    const seconds = Math.min(LOCKOUT_BASE_SECONDS * 2 ** Math.min(over, 30), LOCKOUT_MAX_SECONDS);
+    return new Date(record.lastFailureAt.getTime() + seconds * 1000);
+}
+
+/**
+ * Describes a failed-login record for the admin routes.
+ * @param {Object} record - A failed-login record.
+ * @param {Date} now - The current time.
+ * @returns {Object} The record's type ('email' or 'ip'), what it counts, the counts and the lockout end, if locked.
+ */
+function describe(record, now) {
+    const separator = record.key.indexOf(':');
+    const until = lockedUntil(record);
+    return {
+        type: record.key.slice(0, separator),
+        value: record.key.slice(separator + 1),
+        failures: record.failures,
+        firstFailureAt: record.firstFailureAt,
+        lastFailureAt: record.lastFailureAt,
+        lockedUntil: until && until > now ? until : null,
+    };
+}
+
+/**
+ * Counts a failure against the email and IP of a login attempt.
+ * @param {string|null} email - The email the attempt was for, if known.
+ * @param {string|null} ip - The client's IP address.
+ * @param {Date} now - The time of the attempt.
+ * @returns {Promise<Array>} The records after the failure, with the time of the failure before it (see recordLoginFailure).
+ */
+async function count(email, ip, now) {
+    const expiresAt = new Date(now.getTime() + FAILURE_MEMORY_SECONDS * 1000);
+    const records = [];
+    for (const key of keysFor(email, ip)) {
+        const record = await repository.recordLoginFailure(key, now, expiresAt);
+        if (lockedUntil(record)) {
+            logger.warn(`Login locked out after ${record.failures} failures`, { key });
+        }
+        records.push(record);
+    }
+    return records;
+}
+
+/**
+ * Counts a password login attempt as a failure before its password is checked, and refuses it if
+ * its email or IP was already locked out. Call release once the password turns out right.
+ * @param {string} email - The email the attempt is for.
+ * @param {string} ip - The client's IP address.
+ * @returns {Promise<Array>} The attempt's records, for release.
+ * @throws {TooManyRequestsError} If either is locked out; retryAfter is the wait in seconds.
+ */
+async function attempt(email, ip) {
+    const now = new Date();
+    const records = await count(email, ip, now);
+    // The lockout, if any, of each key as it was before this attempt
+    const until = records
+        .filter(record => record.previousFailureAt)
+        .map(record => lockedUntil({ ...record, failures: record.failures - 1, lastFailureAt: record.previousFailureAt }))
+        .filter(date => date && date > now)
+        .sort((a, b) => b - a)[0];
+    if (until) {
+        throw new TooManyRequestsError('Too many failed login attempts. Try again later.',
+            Math.ceil((until.getTime() - now.getTime()) / 1000));
+    }
+    return records;
+}
+
+/**
+ * Takes back the failures counted by attempt for a login whose password was right.
+ * @param {Array} records - The records attempt returned.
+ */
+async function release(records) {
+    for (const record of records) {
+        await repository.forgetLoginFailure(record.key, record.previousFailureAt);
+    }
+}
+
+/**
+ * Counts a failed login attempt against its email and IP, for failures found without attempt
+ * (wrong two-factor codes).
+ * @param {string|null} email - The email the attempt was for, if known.
+ * @param {string|null} ip - The client's IP address.
+ */
+async function recordFailure(email, ip) {
+    await count(email, ip, new Date());
+}
+
+/**
+ * Clears the failures counted against the email of a successful login. The IP's count is kept,
+ * so an attacker cannot reset it by logging in to an account of their own.
+ * @param {string} email - The email that logged in.
+ */
+async function recordSuccess(email) {
+    await repository.clearLoginFailures(keysFor(email, null)[0]);
+}
+
+/**
+ * Lists the emails and IPs with failed logins counted, most recent failure first.
+ * @param {Object} [options] - `lockedOnly` to list only those locked out now.
+ * @returns {Promise<Array>} The records, described.
+ */
+async function list({ lockedOnly = false } = {}) {
+    const now = new Date();
+    const records = (await repository.listLoginFailures(now)).map(record => describe(record, now));
+    return lockedOnly ? records.filter(record => record.lockedUntil) : records;
+}
+
+/**
+ * Clears the failures counted against an email and/or an IP, lifting any lockout.
+ * @param {Object} target - The `email` and/or `ip` to clear.
+ * @returns {Promise<string[]>} The keys that had failures counted.
+ */
+async function clear({ email, ip }) {
+    const cleared = [];
+    for (const key of keysFor(email, ip)) {
+        if (await repository.clearLoginFailures(key)) {
+            cleared.push(key);
+        }
+    }
+    return cleared;
+}
+
+module.exports = { attempt, release, recordFailure, recordSuccess, list, clear };
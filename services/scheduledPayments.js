@@ -0,0 +1,352 @@
+/**
+ * scheduledPayments.js
+ * ./backend/services/scheduledPayments.js
+ *
+ * Standing orders: one-off future-dated or recurring transfers, and the in-process scheduler
+ * that executes them through dal.transfer.
+ *
+ * A scheduler instance claims a due payment with a lease before running it. The transfer, the
+ * run record and the move to the next occurrence are committed in one transaction, so a crash or
+ * restart can never execute the same occurrence twice: either all of it happened or none did.
+ */
+
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const dal = require('../dal.js');
+const logger = require('../logger');
+const { occurrenceAt } = require('../utils/recurrence');
+const accountAccess = require('./accountAccess');
+const {
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+    InsufficientFundsError,
+    LimitExceededError,
+} = require('../middlewares/errorMiddleware');
+
+// Scheduler settings, configurable through the environment
+// Retries of an occurrence that failed for insufficient funds or a limit (0 disables retrying)
+const MAX_RETRIES = process.env.SCHEDULED_PAYMENT_MAX_RETRIES !== undefined
+    ? Number(process.env.SCHEDULED_PAYMENT_MAX_RETRIES) : 3;
+const RETRY_DELAY_MINUTES = Number(process.env.SCHEDULED_PAYMENT_RETRY_MINUTES) || 60;
+const INTERVAL_SECONDS = Number(process.env.SCHEDULER_INTERVAL_SECONDS) || 60;
+// How long a claimed payment is reserved for the instance running it
+const LEASE_SECONDS = 5 * 60;
+// Upper bound on runs per tick, so a large backlog cannot block the process
+const MAX_RUNS_PER_TICK = 100;
+
+/**
+ * Returns the scheduled payment collections.
+ * @returns {Promise<Object>} The schedules and runs collections.
+ */
+async function collections() {
+    const { db } = await dal.connectToMongo();
+    return { schedules: db.collection('scheduled_payments'), runs: db.collection('scheduled_payment_runs') };
+}
+
+/**
+ * Computes the fields that move a schedule past its current occurrence.
+ * @param {Object} schedule - The schedule document.
+ * @returns {Object} The fields to set: the next occurrence, or status 'completed' if there is none.
+ */
+function advance(schedule) {
+    const nextIndex = schedule.nextIndex + 1;
+    const next = occurrenceAt(schedule, nextIndex);
+    return {
+        nextIndex,
+        nextRunAt: next,
+        dueAt: next,
+        attempts: 0,
+        status: next ? 'active' : 'completed',
+    };
+}
+
+/**
+ * Creates a scheduled payment from one of the caller's accounts.
+ * @param {Object} source - The source account document (already access-checked).
+ * @param {Object} payment - destination, amount (minor units), memo, frequency, startAt, and optionally count and endDate.
+ * @param {Object} createdBy - The caller's email and role.
+ * @returns {Promise<Object>} The stored schedule.
+ * @throws {ValidationError} If the schedule never runs or the accounts do not fit together.
+ * @throws {NotFoundError} If the destination account does not exist.
+ */
+async function createSchedule(source, payment, createdBy) {
+    const { destination, amount, memo, frequency, startAt, count, endDate } = payment;
+    const now = new Date();
+    if (startAt < new Date(now.getTime() - 60 * 1000)) {
+        throw new ValidationError('Start date must not be in the past.');
+    }
+    if (destination === source.accountNumber) {
+        throw new ValidationError('Cannot transfer to the same account.');
+    }
+    const target = await dal.findAccount(destination);
+    if (target.currency !== source.currency) {
+        throw new ValidationError('Cannot transfer between accounts in different currencies.');
+    }
+
+    const schedule = {
+        userId: source.userId,
+        source: source.accountNumber,
+        destination,
+        amount,
+        currency: source.currency,
+        ...(memo && { memo }),
+        frequency,
+        startAt,
+        ...(frequency !== 'once' && count !== undefined && { count }),
+        ...(frequency !== 'once' && endDate && { endDate }),
+        status: 'active',
+        nextIndex: 0,
+        nextRunAt: startAt,
+        dueAt: startAt,
+        attempts: 0,
+        lockId: null,
+        lockedUntil: null,
+        lastRun: null,
+        createdBy,
+        createdAt: now,
+        updatedAt: now,
+    };
+    if (!occurrenceAt(schedule, 0)) {
+        throw new ValidationError('End date must not be before the start date.');
+    }
+
+    const { schedules } = await collections();
+    const result = await schedules.insertOne(schedule);
+    return result.ops[0];
+}
+
+/**
+ * Lists the scheduled payments of a user, newest first.
+ * @param {string} email - The owner's email.
+ * @returns {Promise<Array>} The schedules.
+ */
+async function listSchedules(email) {
+    const user = await dal.findOne(email);
+    const { schedules } = await collections();
+    return schedules.find({ userId: user._id }).sort({ createdAt: -1 }).toArray();
+}
+
+/**
+ * Loads a scheduled payment the caller may see. Customers see their own; staff see any.
+ * Schedules the caller may not see are reported as not found.
+ * @param {Object} caller - The decoded access token (req.user).
+ * @param {string} id - The schedule id.
+ * @returns {Promise<Object>} The schedule and whether the caller acts on someone else's behalf.
+ * @throws {NotFoundError} If the schedule does not exist or belongs to someone else.
+ */
+async function getSchedule(caller, id) {
+    const { schedules } = await collections();
+    const schedule = ObjectId.isValid(id) ? await schedules.findOne({ _id: new ObjectId(id) }) : null;
+    if (!schedule) {
+        throw new NotFoundError('Scheduled payment not found.');
+    }
+    const user = await dal.findOne(caller.email);
+    const owned = schedule.userId.equals(user._id);
+    if (!owned && !accountAccess.isStaff(caller)) {
+        throw new NotFoundError('Scheduled payment not found.');
+    }
+    return { schedule, onBehalf: !owned };
+}
+
+/**
+ * Applies a change to an active schedule that is not being executed right now.
+ * @param {Object} schedule - The schedule document.
+ * @param {Object} update - The MongoDB update.
+ * @returns {Promise<Object>} The updated schedule.
+ * @throws {ConflictError} If the schedule is no longer active or a run is in progress.
+ */
+async function applyChange(schedule, update) {
+    const { schedules } = await collections();
+    const now = new Date();
+    const result = await schedules.findOneAndUpdate(
+        { _id: schedule._id, status: 'active', $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+        update,
+        { returnDocument: 'after' }
+    );
+    if (!result.value) {
+        throw new ConflictError(schedule.status === 'active'
+            ? 'The scheduled payment is being executed. Retry shortly.'
+            : `The scheduled payment is ${schedule.status}.`);
+    }
+    return result.value;
+}
+
+/**
+ * Changes the amount, memo or end of an active schedule.
+ * @param {Object} schedule - The schedule document.
+ * @param {Object} changes - Any of amount (minor units), memo, count and endDate.
+ * @returns {Promise<Object>} The updated schedule.
+ * @throws {ValidationError} If the change would end the schedule before its next occurrence.
+ * @throws {ConflictError} If the schedule is no longer active or a run is in progress.
+ */
+async function updateSchedule(schedule, changes) {
+    if (schedule.frequency === 'once' && (changes.count !== undefined || changes.endDate)) {
+        throw new ValidationError('One-off payments have no count or end date.');
+    }
+    if (!occurrenceAt({ ...schedule, ...changes }, schedule.nextIndex)) {
+        throw new ValidationError('The change would end the schedule before its next payment. Cancel it instead.');
+    }
+    return applyChange(schedule, { $set: { ...changes, updatedAt: new Date() } });
+}
+
+/**
+ * Cancels a schedule; it is kept with status 'cancelled' together with its run history.
+ * @param {Object} schedule - The schedule document.
+ * @param {Object} cancelledBy - The caller's email and role.
+ * @returns {Promise<Object>} The cancelled schedule.
+ * @throws {ConflictError} If the schedule is no longer active or a run is in progress.
+ */
+async function cancelSchedule(schedule, cancelledBy) {
+    const now = new Date();
+    return applyChange(schedule, { $set: { status: 'cancelled', dueAt: null, cancelledBy, cancelledAt: now, updatedAt: now } });
+}
+
+/**
+ * Lists the runs of a schedule, newest first.
+ * @param {Object} schedule - The schedule document.
+ * @returns {Promise<Array>} The run records.
+ */
+async function listRuns(schedule) {
+    const { runs } = await collections();
+    return runs.find({ scheduleId: schedule._id }).sort({ at: -1 }).limit(100).toArray();
+}
+
+/**
+ * Claims the most overdue payment that no other instance is running.
+ * @param {Date} now - The current time.
+ * @returns {Promise<Object|null>} The claimed schedule, or null if nothing is due.
+ */
+async function claimDue(now) {
+    const { schedules } = await collections();
+    const result = await schedules.findOneAndUpdate(
+        { status: 'active', dueAt: { $lte: now }, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+        { $set: { lockId: crypto.randomUUID(), lockedUntil: new Date(now.getTime() + LEASE_SECONDS * 1000) } },
+        { sort: { dueAt: 1 }, returnDocument: 'after' }
+    );
+    return result.value;
+}
+
+/**
+ * Runs the current occurrence of a claimed schedule.
+ * @param {Object} schedule - The claimed schedule.
+ * @param {Date} now - The time the scheduler runs at; retries are scheduled from it.
+ * @returns {Promise<string>} The outcome: 'succeeded', 'retrying', 'skipped', 'failed' or 'error'.
+ */
+async function execute(schedule, now) {
+    const { schedules, runs } = await collections();
+    const occurrence = schedule.nextRunAt;
+    const attempt = schedule.attempts + 1;
+    const lease = { _id: schedule._id, lockId: schedule.lockId };
+    const release = { lockId: null, lockedUntil: null };
+
+    try {
+        await dal.withTransaction(async (session) => {
+            const at = new Date();
+            await dal.transfer(schedule.source, schedule.destination, schedule.amount,
+                schedule.memo || 'Scheduled payment', { scheduledPaymentId: schedule._id, session });
+            await runs.insertOne({ scheduleId: schedule._id, occurrence, attempt, status: 'succeeded', at }, { session });
+            const moved = await schedules.updateOne(lease, {
+                $set: { ...advance(schedule), ...release, lastRun: { at, occurrence, status: 'succeeded' }, updatedAt: at },
+            }, { session });
+            if (moved.matchedCount === 0) {
+                // Another instance took over after our lease expired; abort so the transfer is rolled back
+                throw new Error('Scheduled payment lease lost.');
+            }
+        });
+        return 'succeeded';
+    } catch (error) {
+        const at = new Date();
+        const lastRun = { at, occurrence, status: 'failed', error: error.message };
+        let outcome;
+        let changes;
+        // Funds may arrive and daily or monthly limits reset, so these failures are worth retrying
+        const retryable = error instanceof InsufficientFundsError || error instanceof LimitExceededError;
+        if (retryable && attempt <= MAX_RETRIES) {
+            outcome = 'retrying';
+            changes = { attempts: attempt, dueAt: new Date(now.getTime() + RETRY_DELAY_MINUTES * 60 * 1000) };
+        } else if (retryable) {
+            // Out of retries: give up on this occurrence but keep the standing order
+            outcome = 'skipped';
+            changes = advance(schedule);
+        } else if (error.statusCode) {
+            // The accounts no longer allow the payment (e.g. the destination is gone); retrying will not help
+            outcome = 'failed';
+            changes = { status: 'failed', dueAt: null };
+        } else {
+            // Unexpected (e.g. database) errors: the lease stays, so the occurrence is retried when it expires
+            logger.error(`Error executing scheduled payment ${schedule._id}: ${error.message}`, { stack: error.stack });
+            outcome = 'error';
+        }
+
+        await runs.insertOne({ scheduleId: schedule._id, occurrence, attempt, status: 'failed', outcome, error: error.message, at });
+        if (changes) {
+            await schedules.updateOne(lease, { $set: { ...changes, ...release, lastRun: { ...lastRun, outcome }, updatedAt: at } });
+        }
+        return outcome;
+    }
+}
+
+/**
+ * Executes every payment that is due, oldest first. Missed occurrences (e.g. after downtime)
+ * are caught up one by one.
+ * @param {Date} [now] - The time to run at.
+ * @returns {Promise<Object>} How many runs ended with each outcome.
+ */
+async function runDuePayments(now = new Date()) {
+    const outcomes = {};
+    for (let i = 0; i < MAX_RUNS_PER_TICK; i++) {
+        const schedule = await claimDue(now);
+        if (!schedule) break;
+        const outcome = await execute(schedule, now);
+        outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+    }
+    return outcomes;
+}
+
+let timer = null;
+let running = false;
+
+/**
+ * Starts the in-process scheduler, which checks for due payments every SCHEDULER_INTERVAL_SECONDS.
+ * Several server instances may run it; leases keep them from running the same payment.
+ */
+function startScheduler() {
+    if (timer) return;
+    timer = setInterval(async () => {
+        // Skip the tick if the previous one is still working through a backlog
+        if (running) return;
+        running = true;
+        try {
+            const outcomes = await runDuePayments();
+            if (Object.keys(outcomes).length > 0) {
+                logger.info(`Scheduled payments run: ${JSON.stringify(outcomes)}`);
+            }
+        } catch (err) {
+            logger.error(`Error running scheduled payments: ${err.message}`, { stack: err.stack });
+        } finally {
+            running = false;
+        }
+    }, INTERVAL_SECONDS * 1000);
+    timer.unref();
+}
+
+/**
+ * Stops the in-process scheduler.
+ */
+function stopScheduler() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    createSchedule,
+    listSchedules,
+    getSchedule,
+    updateSchedule,
+    cancelSchedule,
+    listRuns,
+    runDuePayments,
+    startScheduler,
+    stopScheduler,
+};
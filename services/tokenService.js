@@ -0,0 +1,140 @@
+/**
+ * tokenService.js
+ * ./backend/services/tokenService.js
+ *
+ * Issues and revokes the tokens of a login session. A session is a "family" of tokens:
+ * a short-lived JWT access token plus an opaque refresh token that is rotated on every use.
+ * Refresh tokens are stored hashed. Presenting a refresh token that was already rotated
+ * is treated as theft and revokes the whole family.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { repository } = require('../repositories');
+const logger = require('../logger');
+const { UnauthorizedError } = require('../middlewares/errorMiddleware');
+
+// Token lifetimes, configurable through the environment
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Hashes a token for storage and lookup.
+ * @param {string} token - The raw token.
+ * @returns {string} A hex SHA-256 digest.
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issues a new access token and refresh token for a user.
+ * @param {Object} user - The user document.
+ * @param {string} [familyId] - The session the tokens belong to; a new session is started when omitted.
+ * @param {string[]} [amr=['pwd']] - How the user authenticated when the session started (RFC 8176):
+ * 'pwd' for a password, plus 'mfa' once a second factor was checked. Kept for the whole session.
+ * @returns {Promise<Object>} The access token, refresh token and access token lifetime in seconds.
+ */
+async function issueTokens(user, familyId = crypto.randomUUID(), amr = ['pwd']) {
+    const accessToken = jwt.sign(
+        { email: user.email, role: user.role || 'customer', sid: familyId, amr },
+        process.env.JWT_SECRET_KEY,
+        { expiresIn: ACCESS_TOKEN_TTL_SECONDS, jwtid: crypto.randomUUID(), subject: String(user._id) }
+    );
+
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    await repository.saveRefreshToken({
+        tokenHash: hashToken(refreshToken),
+        familyId,
+        userId: user._id,
+        email: user.email,
+        amr,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        usedAt: null,
+        revokedAt: null,
+    });
+
+    return { accessToken, refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS };
+}
+
+/**
+ * Revokes every refresh token of a session and blocks its outstanding access tokens.
+ * @param {string} familyId - The session to revoke.
+ * @param {string} reason - Why the session was revoked, kept for investigation.
+ */
+async function revokeFamily(familyId, reason) {
+    // Access tokens of the family stay valid for at most their lifetime, so the block can expire with them
+    await repository.revokeSession(familyId, reason, new Date(Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000));
+}
+
+/**
+ * Revokes every session of a user, e.g. after a password change.
+ * @param {ObjectId} userId - The user whose sessions to revoke.
+ * @param {string} reason - Why the sessions were revoked, kept for investigation.
+ * @param {string} [keepFamilyId] - A session to keep, e.g. the one that changed the password.
+ */
+async function revokeUserSessions(userId, reason, keepFamilyId) {
+    await repository.revokeUserSessions(userId, reason, new Date(Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000), keepFamilyId);
+}
+
+/**
+ * Exchanges a refresh token for a new token pair in the same session.
+ * @param {string} refreshToken - The raw refresh token presented by the client.
+ * @returns {Promise<Object>} The new token pair.
+ * @throws {UnauthorizedError} If the token is unknown, expired, or already used (which revokes the session).
+ */
+async function rotateRefreshToken(refreshToken) {
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+        throw new UnauthorizedError('Refresh token not provided.');
+    }
+    const tokenHash = hashToken(refreshToken);
+    // Of two concurrent refreshes with the same token only one can claim it
+    const claimed = await repository.claimRefreshToken(tokenHash, new Date());
+    if (!claimed) {
+        const stored = await repository.findRefreshToken(tokenHash);
+        if (!stored) {
+            throw new UnauthorizedError('Invalid refresh token.');
+        }
+        if (stored.usedAt) {
+            logger.warn(`Refresh token reuse detected; revoking session ${stored.familyId}`);
+            await revokeFamily(stored.familyId, 'reuse');
+            throw new UnauthorizedError('Refresh token has already been used.');
+        }
+        if (stored.revokedAt) {
+            throw new UnauthorizedError('Refresh token has been revoked.');
+        }
+        throw new UnauthorizedError('Refresh token has expired.');
+    }
+
+    const user = await repository.findUserById(claimed.userId);
+    if (!user) {
+        await revokeFamily(claimed.familyId, 'user-missing');
+        throw new UnauthorizedError('Invalid refresh token.');
+    }
+    return issueTokens(user, claimed.familyId, claimed.amr);
+}
+
+/**
+ * Checks whether a verified access token has been revoked, either on its own or with its session.
+ * @param {Object} payload - The decoded access token.
+ * @returns {Promise<boolean>} True if the token must be rejected.
+ */
+async function isRevoked(payload) {
+    return repository.isTokenRevoked({ jti: payload.jti, familyId: payload.sid });
+}
+
+/**
+ * Ends the session an access token belongs to.
+ * @param {Object} payload - The decoded access token of the caller.
+ */
+async function logout(payload) {
+    if (payload.sid) {
+        await revokeFamily(payload.sid, 'logout');
+    } else if (payload.jti) {
+        await repository.revokeAccessToken(payload.jti, 'logout', new Date(payload.exp * 1000));
+    }
+}
+
+module.exports = { hashToken, issueTokens, rotateRefreshToken, revokeFamily, revokeUserSessions, isRevoked, logout };
@@ -0,0 +1,279 @@
+/**
+ * twoFactor.js
+ * ./backend/services/twoFactor.js
+ *
+ * Optional TOTP two-factor authentication (RFC 6238). A user enrolls by adding the secret to an
+ * authenticator app and confirming with a first code, and gets one-time recovery codes for when
+ * the app is lost. Once enabled, logging in takes two steps: the password returns a short-lived
+ * single-use challenge, which is exchanged together with a code for the session's tokens.
+ *
+ * Each code is accepted once: the time step it matched is recorded, and only later steps are
+ * accepted afterwards. Codes of the steps either side of the current one are accepted, for
+ * clocks that have drifted.
+ *
+ * Two-factor authentication can be required for staff roles (TWO_FACTOR_REQUIRED_ROLES) and for
+ * transfers of at least TWO_FACTOR_TRANSFER_THRESHOLD (a decimal amount in the account currency).
+ */
+
+const crypto = require('crypto');
+const { repository } = require('../repositories');
+const tokenService = require('./tokenService');
+const { generateSecret, verifyTotp, otpauthUri } = require('../utils/totp');
+const { parseAmount } = require('../utils/money');
+const { ConflictError, ForbiddenError, UnauthorizedError, ValidationError } = require('../middlewares/errorMiddleware');
+
+// Policy, configurable through the environment
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '').split(',').map(role => role.trim()).filter(Boolean);
+const TRANSFER_THRESHOLD = process.env.TWO_FACTOR_TRANSFER_THRESHOLD || null;
+// How long the password step of a two-step login stays good for
+const CHALLENGE_TTL_MINUTES = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Normalizes a recovery code as typed by the user (any case, with or without the dash) and hashes it.
+ * @param {string} code - The recovery code.
+ * @returns {string} The code's hash, as stored.
+ */
+function hashRecoveryCode(code) {
+    return tokenService.hashToken(code.toLowerCase().replace(/[\s-]/g, ''));
+}
+
+/**
+ * Generates a fresh set of recovery codes.
+ * @returns {Object} The `codes` to show the user once and the `hashes` to store.
+ */
+function generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Checks whether a user has two-factor authentication enabled.
+ * @param {Object} user - The user document.
+ * @returns {boolean} True once enrollment was confirmed.
+ */
+function isEnabled(user) {
+    return Boolean(user.twoFactor && user.twoFactor.enabled);
+}
+
+/**
+ * Checks whether two-factor authentication is required for a role.
+ * @param {string} role - The role.
+ * @returns {boolean} True if sessions of the role must have passed a second factor.
+ */
+function isRequiredFor(role) {
+    return REQUIRED_ROLES.includes(role);
+}
+
+/**
+ * Checks whether a session passed a second factor when it started.
+ * @param {Object} caller - The decoded access token (req.user).
+ * @returns {boolean} True if the session's `amr` includes 'mfa'.
+ */
+function hasSecondFactor(caller) {
+    return Array.isArray(caller.amr) && caller.amr.includes('mfa');
+}
+
+/**
+ * Checks whether a session meets the two-factor policy of its role.
+ * @param {Object} caller - The decoded access token (req.user).
+ * @returns {boolean} True if the role does not require a second factor or the session passed one.
+ */
+function meetsRolePolicy(caller) {
+    return !isRequiredFor(caller.role) || hasSecondFactor(caller);
+}
+
+/**
+ * Checks a code from the user's authenticator app or one of their recovery codes, and uses it up.
+ * @param {Object} user - The user document.
+ * @param {string} code - A 6-digit TOTP code or a recovery code.
+ * @returns {Promise<string|null>} 'totp' or 'recovery' for the kind of code accepted, or null if it was not.
+ */
+async function checkCode(user, code) {
+    if (!isEnabled(user) || typeof code !== 'string') {
+        return null;
+    }
+    if (/^\d{6}$/.test(code)) {
+        const step = verifyTotp(user.twoFactor.secret, code);
+        return step !== null && await repository.claimTotpStep(user._id, step) ? 'totp' : null;
+    }
+    return await repository.claimRecoveryCode(user._id, hashRecoveryCode(code)) ? 'recovery' : null;
+}
+
+/**
+ * Starts enrollment: generates a secret to add to an authenticator app. Two-factor authentication
+ * is not enabled until confirmEnrollment; starting again replaces the secret.
+ * @param {Object} user - The user document.
+ * @returns {Promise<Object>} The base32 `secret` and the `otpauthUri` to show as a QR code.
+ * @throws {ConflictError} If two-factor authentication is already enabled.
+ */
+async function startEnrollment(user) {
+    if (isEnabled(user)) {
+        throw new ConflictError('Two-factor authentication is already enabled.');
+    }
+    const secret = generateSecret();
+    await repository.update(user.email, { twoFactor: { enabled: false, secret, createdAt: new Date() } });
+    return { secret, otpauthUri: otpauthUri(secret, user.email) };
+}
+
+/**
+ * Enables two-factor authentication with a first code from the authenticator app.
+ * @param {Object} user - The user document.
+ * @param {string} code - The 6-digit code the app shows.
+ * @returns {Promise<string[]>} The recovery codes, to show the user once.
+ * @throws {ConflictError} If there is no enrollment to confirm.
+ * @throws {ValidationError} If the code does not match.
+ */
+async function confirmEnrollment(user, code) {
+    const { twoFactor } = user;
+    if (!twoFactor || twoFactor.enabled) {
+        throw new ConflictError('There is no two-factor enrollment to confirm.');
+    }
+    const step = verifyTotp(twoFactor.secret, code);
+    if (step === null) {
+        throw new ValidationError('The code does not match. Check the authenticator app and try again.');
+    }
+    const { codes, hashes } = generateRecoveryCodes();
+    await repository.update(user.email, { twoFactor: {
+        enabled: true,
+        secret: twoFactor.secret,
+        createdAt: twoFactor.createdAt,
+        enabledAt: new Date(),
+        lastUsedStep: step,
+        recoveryCodes: hashes,
+    } });
+    await repository.recordAuditEvent('user.twoFactorEnabled', { type: 'user', id: user.email });
+    return codes;
+}
+
+/**
+ * Checks a code for a change to the user's two-factor settings.
+ * @param {Object} user - The user document.
+ * @param {string} code - A TOTP or recovery code.
+ * @returns {Promise<Object>} The user as it is after the code was used up.
+ * @throws {ConflictError} If two-factor authentication is not enabled.
+ * @throws {ValidationError} If the code is not accepted.
+ */
+async function requireCode(user, code) {
+    if (!isEnabled(user)) {
+        throw new ConflictError('Two-factor authentication is not enabled.');
+    }
+    if (!(await checkCode(user, code))) {
+        throw new ValidationError('Invalid two-factor code.');
+    }
+    // Read again, so the changes that follow do not undo the use of the code
+    return repository.findUserById(user._id);
+}
+
+/**
+ * Turns two-factor authentication off.
+ * @param {Object} user - The user document.
+ * @param {string} code - A TOTP or recovery code.
+ */
+async function disable(user, code) {
+    await requireCode(user, code);
+    await repository.update(user.email, { twoFactor: null });
+    await repository.recordAuditEvent('user.twoFactorDisabled', { type: 'user', id: user.email });
+}
+
+/**
+ * Replaces the user's recovery codes, e.g. when they are running out.
+ * @param {Object} user - The user document.
+ * @param {string} code - A TOTP or recovery code.
+ * @returns {Promise<string[]>} The new recovery codes, to show the user once.
+ */
+async function regenerateRecoveryCodes(user, code) {
+    const current = await requireCode(user, code);
+    const { codes, hashes } = generateRecoveryCodes();
+    await repository.update(user.email, { twoFactor: { ...current.twoFactor, recoveryCodes: hashes } });
+    await repository.recordAuditEvent('user.recoveryCodesRegenerated', { type: 'user', id: user.email });
+    return codes;
+}
+
+/**
+ * Completes the password step of a login for a user with two-factor authentication enabled.
+ * @param {Object} user - The user document; the password has been checked.
+ * @returns {Promise<string>} The challenge token to send back with the code.
+ */
+async function startLogin(user) {
+    const challenge = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    await repository.saveUserToken({
+        tokenHash: tokenService.hashToken(challenge),
+        purpose: 'loginChallenge',
+        userId: user._id,
+        email: user.email,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + CHALLENGE_TTL_MINUTES * 60 * 1000),
+        usedAt: null,
+        revokedAt: null,
+    });
+    return challenge;
+}
+
+/**
+ * Completes the second step of a login. A challenge can be tried once, so guessing codes takes
+ * the password every time.
+ * @param {string} challenge - The challenge token from the password step.
+ * @param {string} code - A TOTP or recovery code.
+ * @returns {Promise<Object>} The `user` and the kind of code accepted (`method`).
+ * @throws {UnauthorizedError} If the challenge or the code is not accepted; the error's `user` is
+ * set when the challenge was good but the code was not.
+ */
+async function completeLogin(challenge, code) {
+    const claimed = await repository.claimUserToken(tokenService.hashToken(challenge), 'loginChallenge', new Date());
+    const user = claimed && await repository.findUserById(claimed.userId);
+    if (!user) {
+        throw new UnauthorizedError('Login challenge is invalid or has expired. Log in again.');
+    }
+    const method = await checkCode(user, code);
+    if (!method) {
+        const error = new UnauthorizedError('Invalid two-factor code. Log in again.');
+        error.user = user;
+        throw error;
+    }
+    return { user, method };
+}
+
+/**
+ * Asks for a second factor on transfers of TWO_FACTOR_TRANSFER_THRESHOLD or more: each one must
+ * carry a fresh code, whether or not the session passed a second factor when it started.
+ * @param {Object} caller - The decoded access token (req.user).
+ * @param {number} amount - The transfer amount in minor units.
+ * @param {string} currency - The currency of the amount.
+ * @param {string} [code] - A TOTP or recovery code sent with the request.
+ * @throws {ForbiddenError} TWO_FACTOR_REQUIRED if a code is needed and missing or not accepted.
+ */
+async function checkTransfer(caller, amount, currency, code) {
+    if (TRANSFER_THRESHOLD === null || amount < parseAmount(TRANSFER_THRESHOLD, currency)) {
+        return;
+    }
+    const message = `Transfers of ${TRANSFER_THRESHOLD} ${currency} or more need a two-factor code.`;
+    if (code === undefined) {
+        throw new ForbiddenError(message, 'TWO_FACTOR_REQUIRED');
+    }
+    const user = await repository.findOne(caller.email);
+    if (!isEnabled(user)) {
+        throw new ForbiddenError(`${message} Enable two-factor authentication first.`, 'TWO_FACTOR_REQUIRED');
+    }
+    if (!(await checkCode(user, code))) {
+        throw new ForbiddenError('Invalid two-factor code.', 'TWO_FACTOR_REQUIRED');
+    }
+}
+
+module.exports = {
+    isEnabled,
+    isRequiredFor,
+    hasSecondFactor,
+    meetsRolePolicy,
+    startEnrollment,
+    confirmEnrollment,
+    disable,
+    regenerateRecoveryCodes,
+    startLogin,
+    completeLogin,
+    checkTransfer,
+};
@@ -0,0 +1,144 @@
+/**
+ * userTokens.js
+ * ./backend/services/userTokens.js
+ *
+ * Email verification and password reset. Both send the user a link with a random single-use
+ * token; only the token's hash is stored, it expires, and sending a new one revokes the previous.
+ * Links point at the web app (APP_URL), which posts the token back to the API.
+ */
+
+const crypto = require('crypto');
+const { repository } = require('../repositories');
+const { transport } = require('../mail');
+const logger = require('../logger');
+const tokenService = require('./tokenService');
+const { ValidationError } = require('../middlewares/errorMiddleware');
+
+// Token lifetimes and the web app the links open, configurable through the environment
+const VERIFY_EMAIL_TTL_HOURS = Number(process.env.VERIFY_EMAIL_TTL_HOURS) || 48;
+const RESET_PASSWORD_TTL_MINUTES = Number(process.env.RESET_PASSWORD_TTL_MINUTES) || 30;
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+/**
+ * Creates and stores a token for a user.
+ * @param {Object} user - The user document.
+ * @param {string} purpose - 'verifyEmail' or 'resetPassword'.
+ * @param {number} ttlMs - How long the token is valid, in milliseconds.
+ * @returns {Promise<string>} The raw token, to send to the user.
+ */
+async function issueToken(user, purpose, ttlMs) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    await repository.saveUserToken({
+        tokenHash: tokenService.hashToken(token),
+        purpose,
+        userId: user._id,
+        email: user.email,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + ttlMs),
+        usedAt: null,
+        revokedAt: null,
+    });
+    return token;
+}
+
+/**
+ * Uses up a token.
+ * @param {string} token - The raw token from the link.
+ * @param {string} purpose - What the token must have been issued for.
+ * @returns {Promise<Object>} The user the token was issued to.
+ * @throws {ValidationError} If the token is unknown, used, revoked or expired, or its user is gone.
+ */
+async function claimToken(token, purpose) {
+    const claimed = await repository.claimUserToken(tokenService.hashToken(token), purpose, new Date());
+    const user = claimed && await repository.findUserById(claimed.userId);
+    // A token is only good for the address it was sent to
+    if (!user || user.email !== claimed.email) {
+        throw new ValidationError('The link is invalid or has expired.');
+    }
+    return user;
+}
+
+/**
+ * Sends a user a link to verify their email address.
+ * @param {Object} user - The user document.
+ */
+async function sendVerificationEmail(user) {
+    const token = await issueToken(user, 'verifyEmail', VERIFY_EMAIL_TTL_HOURS * 60 * 60 * 1000);
+    await transport.send({
+        to: user.email,
+        subject: 'Verify your Bank of Brown email address',
+        text: `Hello ${user.name},\n\n`
+            + `Confirm this is your email address by opening the link below:\n${APP_URL}/verify-email?token=${token}\n\n`
+            + `The link expires in ${VERIFY_EMAIL_TTL_HOURS} hours.`,
+    });
+}
+
+/**
+ * Sends a new verification link, unless there is no such user or their email is already verified.
+ * Either way the caller learns nothing, so the route cannot be used to find out who has an account.
+ * @param {string} email - The address to verify.
+ */
+async function resendVerificationEmail(email) {
+    const [user] = await repository.find(email);
+    if (user && !user.emailVerifiedAt) {
+        await sendVerificationEmail(user);
+    }
+}
+
+/**
+ * Marks the email address of the user a verification token was sent to as verified.
+ * @param {string} token - The raw token from the link.
+ * @returns {Promise<Object>} The updated user.
+ * @throws {ValidationError} If the token cannot be used.
+ */
+async function verifyEmail(token) {
+    const user = await claimToken(token, 'verifyEmail');
+    if (user.emailVerifiedAt) {
+        return user;
+    }
+    return repository.update(user.email, { emailVerifiedAt: new Date() });
+}
+
+/**
+ * Sends a link to choose a new password, if there is a user with the email address.
+ * The caller learns nothing either way.
+ * @param {string} email - The address the user signed up with.
+ */
+async function sendPasswordReset(email) {
+    const [user] = await repository.find(email);
+    if (!user) {
+        logger.info('Password reset requested for an unknown email');
+        return;
+    }
+    const token = await issueToken(user, 'resetPassword', RESET_PASSWORD_TTL_MINUTES * 60 * 1000);
+    await transport.send({
+        to: user.email,
+        subject: 'Reset your Bank of Brown password',
+        text: `Hello ${user.name},\n\n`
+            + `Someone asked to reset the password of your account. To choose a new one, open the link below:\n`
+            + `${APP_URL}/reset-password?token=${token}\n\n`
+            + `The link expires in ${RESET_PASSWORD_TTL_MINUTES} minutes. If you did not ask for it, you can ignore this email.`,
+    });
+}
+
+/**
+ * Sets a new password for the user a reset token was sent to and signs them out everywhere.
+ * Receiving the link also proves they own the address, so it is marked verified.
+ * @param {string} token - The raw token from the link.
+ * @param {string} passwordHash - The new password's hash.
+ * @returns {Promise<Object>} The updated user.
+ * @throws {ValidationError} If the token cannot be used.
+ */
+async function resetPassword(token, passwordHash) {
+    const user = await claimToken(token, 'resetPassword');
+    const updated = await repository.update(user.email, {
+        password: passwordHash,
+        ...(!user.emailVerifiedAt && { emailVerifiedAt: new Date() }),
+    });
+    await tokenService.revokeUserSessions(user._id, 'password-reset');
+    await repository.recordAuditEvent('user.passwordReset', { type: 'user', id: user.email });
+    return updated;
+}
+
+module.exports = { sendVerificationEmail, resendVerificationEmail, verifyEmail, sendPasswordReset, resetPassword };
@@ -0,0 +1,420 @@
+/**
+ * webhooks.js
+ * ./backend/services/webhooks.js
+ *
+ * Outbound webhooks: partner services subscribe a URL to event types (see services/eventBus.js)
+ * and receive every matching event as an HTTP POST of the event's JSON.
+ *
+ * Events go through a persistent outbox: the storage backends store each one as a delivery per
+ * subscribed webhook in the same transaction as the change that raised it (see
+ * repositories/repository.js), so no committed change loses its deliveries, whichever process made
+ * it. The dispatcher works only from these stored deliveries: it sends those that are due,
+ * retrying failures (network errors, timeouts and non-2xx responses) with exponential backoff.
+ * A delivery that still fails after WEBHOOK_MAX_ATTEMPTS attempts is dead-lettered and stays so
+ * until an admin replays it. Delivery is at least once, so receivers should ignore event ids they
+ * have already handled.
+ *
+ * Each request carries `X-Webhook-Signature: t=<unix seconds>,v1=<hex>`, where v1 is the
+ * HMAC-SHA256, keyed with the webhook's secret, of `<t>.<request body>`. Receivers check it with
+ * verifySignature and reject old timestamps, so a captured request cannot be replayed later.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { ObjectId } = require('mongodb');
+const { Agent, fetch } = require('undici');
+const { repository } = require('../repositories');
+const logger = require('../logger');
+const { ValidationError, NotFoundError, ConflictError } = require('../middlewares/errorMiddleware');
+const { isBlockedAddress } = require('../utils/webhooks');
+
+// Dispatcher settings, configurable through the environment
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const BACKOFF_BASE_SECONDS = Number(process.env.WEBHOOK_BACKOFF_BASE_SECONDS) || 30;
+const BACKOFF_MAX_SECONDS = Number(process.env.WEBHOOK_BACKOFF_MAX_SECONDS) || 6 * 60 * 60;
+const TIMEOUT_SECONDS = Number(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10;
+const INTERVAL_SECONDS = Number(process.env.WEBHOOK_INTERVAL_SECONDS) || 5;
+// Hosts exempt from the private address check, e.g. '127.0.0.1,localhost' for a receiver on this machine
+const ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+// How long a claimed delivery is reserved for the instance sending it
+const LEASE_SECONDS = 5 * 60;
+// Upper bound on deliveries per tick, so a large backlog cannot block the process
+const MAX_DELIVERIES_PER_TICK = 100;
+// How old a signature's timestamp may be before verifySignature rejects it
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Generates a webhook signing secret.
+ * @returns {string} The secret, e.g. 'whsec_3q2+7w...'.
+ */
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Computes the signature header of a request.
+ * @param {string} secret - The webhook's secret.
+ * @param {number} timestamp - The time of signing, in Unix seconds.
+ * @param {string} body - The request body.
+ * @returns {string} The X-Webhook-Signature header value.
+ */
+function signPayload(secret, timestamp, body) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Checks a request's signature header, as a receiver would.
+ * @param {string} secret - The webhook's secret.
+ * @param {string} header - The X-Webhook-Signature header value.
+ * @param {string} body - The raw request body.
+ * @param {Object} [options] - The current time `now` (default: now) and `toleranceSeconds`.
+ * @returns {boolean} Whether the signature is valid and its timestamp recent.
+ */
+function verifySignature(secret, header, body, { now = new Date(), toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS } = {}) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+    const timestamp = Number(parts.t);
+    if (!Number.isSafeInteger(timestamp) || !/^[0-9a-f]{64}$/.test(parts.v1 || '')) {
+        return false;
+    }
+    if (Math.abs(now.getTime() / 1000 - timestamp) > toleranceSeconds) {
+        return false;
+    }
+    const expected = signPayload(secret, timestamp, body).split('v1=')[1];
+    return crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(parts.v1, 'hex'));
+}
+
+/**
+ * Computes the wait before retrying a delivery: WEBHOOK_BACKOFF_BASE_SECONDS after the first
+ * failure, doubling with each further failure up to WEBHOOK_BACKOFF_MAX_SECONDS.
+ * @param {number} attempts - The failed attempts so far (at least 1).
+ * @returns {number} The wait in seconds.
+ */
+function backoffSeconds(attempts) {
+    return Math.min(BACKOFF_BASE_SECONDS * 2 ** (attempts - 1), BACKOFF_MAX_SECONDS);
+}
+
+// Why a URL or a connection is refused for its address
+const BLOCKED_MESSAGE = 'Webhook URLs must not point to private, loopback or link-local addresses.';
+
+/**
+ * Checks a webhook URL. Production webhooks must use HTTPS, as events carry account details. The
+ * host must not resolve to a private, loopback or link-local address (see isBlockedAddress), so
+ * webhooks cannot be pointed at the server's own network or a cloud metadata service, unless it is
+ * listed in WEBHOOK_ALLOWED_HOSTS. The URL is checked when it is set and again before every
+ * delivery; deliveries also check the addresses they connect to (see lookupAllowed).
+ * @param {string} url - The URL.
+ * @throws {ValidationError} If the URL is not allowed, or its host cannot be resolved.
+ */
+async function assertUrlAllowed(url) {
+    const { protocol, hostname } = new URL(url);
+    if (process.env.NODE_ENV === 'production' && protocol !== 'https:') {
+        throw new ValidationError('Webhook URLs must use HTTPS.');
+    }
+    // IPv6 hosts keep their brackets in URLs
+    const host = hostname.replace(/^\[(.*)\]$/, '$1');
+    if (ALLOWED_HOSTS.includes(host)) {
+        return;
+    }
+    let addresses = [host];
+    if (!net.isIP(host)) {
+        try {
+            addresses = (await dns.promises.lookup(host, { all: true })).map(result => result.address);
+        } catch (err) {
+            throw new ValidationError(`Webhook URL host ${host} could not be resolved.`);
+        }
+    }
+    if (addresses.some(isBlockedAddress)) {
+        throw new ValidationError(BLOCKED_MESSAGE);
+    }
+}
+
+/**
+ * Resolves the host of a delivery's connection, as dns.lookup does, refusing blocked addresses.
+ * Checking the addresses actually connected to means a host cannot pass assertUrlAllowed with a
+ * public address and then resolve to a private one for the request (DNS rebinding).
+ * @param {string} hostname - The host to resolve.
+ * @param {Object} options - dns.lookup options.
+ * @param {Function} callback - Called as dns.lookup calls it.
+ */
+function lookupAllowed(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) {
+            return callback(err);
+        }
+        const addresses = Array.isArray(address) ? address.map(result => result.address) : [address];
+        if (!ALLOWED_HOSTS.includes(hostname.toLowerCase()) && addresses.some(isBlockedAddress)) {
+            return callback(new Error(BLOCKED_MESSAGE));
+        }
+        callback(null, address, family);
+    });
+}
+
+// Connections for deliveries; hosts given as IP addresses are not looked up, and assertUrlAllowed checks those
+const dispatcher = new Agent({ connect: { lookup: lookupAllowed } });
+
+/**
+ * Finds a webhook by id.
+ * @param {string} id - The webhook's id (hex).
+ * @returns {Promise<Object>} The webhook.
+ * @throws {NotFoundError} If there is no such webhook.
+ */
+async function getWebhook(id) {
+    const webhook = ObjectId.isValid(id) ? await repository.findWebhook(new ObjectId(id)) : null;
+    if (!webhook) {
+        throw new NotFoundError('Webhook not found.');
+    }
+    return webhook;
+}
+
+/**
+ * Subscribes a URL to event types. The secret is generated here; it is only returned by this
+ * call and by a rotation, so the caller must hand it to the receiver.
+ * @param {Object} fields - The `url`, `events` (EVENT_TYPES, or '*' for all) and an optional `description`.
+ * @param {Object} createdBy - The admin's email and role.
+ * @returns {Promise<Object>} The stored webhook, including its `secret`.
+ */
+async function createWebhook({ url, events, description }, createdBy) {
+    await assertUrlAllowed(url);
+    return repository.saveWebhook({
+        url,
+        events: [...new Set(events)],
+        description: description || null,
+        secret: generateSecret(),
+        enabled: true,
+        createdBy,
+        createdAt: new Date(),
+    });
+}
+
+/**
+ * Changes a webhook.
+ * @param {string} id - The webhook's id (hex).
+ * @param {Object} changes - Any of `url`, `events`, `description` and `enabled`; `rotateSecret`
+ * replaces the secret with a new one.
+ * @returns {Promise<Object>} The updated webhook.
+ * @throws {NotFoundError} If there is no such webhook.
+ * @throws {ValidationError} If there is nothing to change.
+ */
+async function updateWebhook(id, { url, events, description, enabled, rotateSecret }) {
+    const webhook = await getWebhook(id);
+    const changes = {
+        ...(url !== undefined && { url }),
+        ...(events !== undefined && { events: [...new Set(events)] }),
+        ...(description !== undefined && { description }),
+        ...(enabled !== undefined && { enabled }),
+        ...(rotateSecret && { secret: generateSecret() }),
+    };
+    if (Object.keys(changes).length === 0) {
+        throw new ValidationError('Nothing to update.');
+    }
+    if (url !== undefined) {
+        await assertUrlAllowed(url);
+    }
+    return repository.updateWebhook(webhook._id, { ...changes, updatedAt: new Date() });
+}
+
+/**
+ * Deletes a webhook. Its pending deliveries are dead-lettered when they come due.
+ * @param {string} id - The webhook's id (hex).
+ * @returns {Promise<Object>} The deleted webhook.
+ * @throws {NotFoundError} If there is no such webhook.
+ */
+async function deleteWebhook(id) {
+    const webhook = await getWebhook(id);
+    await repository.deleteWebhook(webhook._id);
+    return webhook;
+}
+
+/**
+ * Describes why a request failed, for the delivery's lastError.
+ * @param {Error} err - The error from fetch.
+ * @returns {string} The description.
+ */
+function describeError(err) {
+    if (err.name === 'TimeoutError') {
+        return `Timed out after ${TIMEOUT_SECONDS}s`;
+    }
+    // fetch reports network errors as 'fetch failed', with the reason as the cause
+    return err.cause && err.cause.message ? err.cause.message : err.message;
+}
+
+/**
+ * Sends a delivery to its webhook once.
+ * @param {Object} webhook - The webhook.
+ * @param {Object} delivery - The claimed delivery.
+ * @param {Date} now - The time of the attempt.
+ * @returns {Promise<Object>} `ok`, and the response's `statusCode` or the `error`.
+ */
+async function send(webhook, delivery, now) {
+    const body = JSON.stringify(delivery.event);
+    try {
+        // A refused URL counts as a failed attempt, like a network error
+        await assertUrlAllowed(webhook.url);
+        const response = await fetch(webhook.url, {
+            dispatcher,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'BankOfBrown-Webhooks/1.0',
+                'X-Webhook-Id': delivery.event.id,
+                'X-Webhook-Event': delivery.event.type,
+                'X-Webhook-Delivery': String(delivery._id),
+                'X-Webhook-Signature': signPayload(webhook.secret, Math.floor(now.getTime() / 1000), body),
+            },
+            body,
+            // A redirect is a failure: following it would send the event somewhere nobody subscribed
+            redirect: 'manual',
+            signal: AbortSignal.timeout(TIMEOUT_SECONDS * 1000),
+        });
+        if (response.body) {
+            await response.body.cancel();
+        }
+        return response.ok
+            ? { ok: true, statusCode: response.status }
+            : { ok: false, statusCode: response.status, error: `HTTP ${response.status}` };
+    } catch (err) {
+        return { ok: false, statusCode: null, error: describeError(err) };
+    }
+}
+
+/**
+ * Makes one attempt at a claimed delivery and records its outcome: delivered, retried after a
+ * backoff, or dead-lettered once the attempts are used up or the webhook is gone or disabled.
+ * @param {Object} delivery - The claimed delivery.
+ * @param {Date} now - The time of the attempt.
+ * @returns {Promise<string>} The outcome: 'delivered', 'retrying' or 'dead'.
+ */
+async function attempt(delivery, now) {
+    const webhook = await repository.findWebhook(delivery.webhookId);
+    if (!webhook || !webhook.enabled) {
+        // Kept as a dead letter, so it can be replayed if the webhook is enabled again
+        const reason = webhook ? 'Webhook is disabled' : 'Webhook was deleted';
+        await repository.updateWebhookDelivery(delivery._id, 'sending', { status: 'dead', deadAt: now, nextAttemptAt: null, lastError: reason });
+        logger.warn(`Webhook delivery ${delivery._id} of event ${delivery.event.id} dead-lettered: ${reason}`);
+        return 'dead';
+    }
+    const result = await send(webhook, delivery, now);
+    const attempts = delivery.attempts + 1;
+    const changes = { attempts, lastAttemptAt: now, lastStatusCode: result.statusCode, lastError: result.error || null };
+    let outcome;
+    if (result.ok) {
+        outcome = 'delivered';
+        Object.assign(changes, { status: 'delivered', deliveredAt: now, nextAttemptAt: null });
+    } else if (attempts >= MAX_ATTEMPTS) {
+        outcome = 'dead';
+        Object.assign(changes, { status: 'dead', deadAt: now, nextAttemptAt: null });
+        logger.warn(`Webhook delivery ${delivery._id} of event ${delivery.event.id} dead-lettered after ${attempts} attempts: ${result.error}`);
+    } else {
+        outcome = 'retrying';
+        Object.assign(changes, { status: 'pending', nextAttemptAt: new Date(now.getTime() + backoffSeconds(attempts) * 1000) });
+    }
+    await repository.updateWebhookDelivery(delivery._id, 'sending', changes);
+    return outcome;
+}
+
+/**
+ * Sends every delivery that is due, oldest first.
+ * @param {Date} [now] - The time to run at.
+ * @returns {Promise<Object>} How many attempts ended with each outcome.
+ */
+async function deliverDue(now = new Date()) {
+    const outcomes = {};
+    for (let i = 0; i < MAX_DELIVERIES_PER_TICK; i++) {
+        const delivery = await repository.claimWebhookDelivery(now, new Date(now.getTime() + LEASE_SECONDS * 1000));
+        if (!delivery) break;
+        const outcome = await attempt(delivery, now);
+        outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+    }
+    return outcomes;
+}
+
+/**
+ * Lists a webhook's deliveries, newest first.
+ * @param {string} id - The webhook's id (hex).
+ * @param {Object} [filter] - `status` and `limit`.
+ * @returns {Promise<Array>} The deliveries.
+ * @throws {NotFoundError} If there is no such webhook.
+ */
+async function listDeliveries(id, { status, limit } = {}) {
+    const webhook = await getWebhook(id);
+    return repository.listWebhookDeliveries({ webhookId: webhook._id, status, limit });
+}
+
+/**
+ * Puts a dead-lettered delivery back in the outbox, with a fresh set of attempts.
+ * @param {string} id - The delivery's id (hex).
+ * @returns {Promise<Object>} The delivery, pending again.
+ * @throws {NotFoundError} If there is no such delivery.
+ * @throws {ConflictError} If the delivery is not dead-lettered.
+ */
+async function replayDelivery(id) {
+    const deliveryId = ObjectId.isValid(id) ? new ObjectId(id) : null;
+    const now = new Date();
+    const replayed = deliveryId && await repository.updateWebhookDelivery(deliveryId, 'dead', {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        deadAt: null,
+        replayedAt: now,
+    });
+    if (replayed) {
+        return replayed;
+    }
+    if (!deliveryId || !await repository.findWebhookDelivery(deliveryId)) {
+        throw new NotFoundError('Delivery not found.');
+    }
+    throw new ConflictError('Only dead-lettered deliveries can be replayed.');
+}
+
+let timer = null;
+let running = false;
+
+/**
+ * Starts the in-process dispatcher, which sends due deliveries every WEBHOOK_INTERVAL_SECONDS.
+ * Several server instances may run it; leases keep them from sending the same delivery at once.
+ */
+function startDispatcher() {
+    if (timer) return;
+    timer = setInterval(async () => {
+        // Skip the tick if the previous one is still working through a backlog
+        if (running) return;
+        running = true;
+        try {
+            const outcomes = await deliverDue();
+            if (Object.keys(outcomes).length > 0) {
+                logger.info(`Webhook deliveries run: ${JSON.stringify(outcomes)}`);
+            }
+        } catch (err) {
+            logger.error(`Error sending webhook deliveries: ${err.message}`, { stack: err.stack });
+        } finally {
+            running = false;
+        }
+    }, INTERVAL_SECONDS * 1000);
+    timer.unref();
+}
+
+/**
+ * Stops the in-process dispatcher.
+ */
+function stopDispatcher() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    signPayload,
+    verifySignature,
+    backoffSeconds,
+    getWebhook,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    deliverDue,
+    listDeliveries,
+    replayDelivery,
+    startDispatcher,
+    stopDispatcher,
+};
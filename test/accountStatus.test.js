@@ -0,0 +1,47 @@
+const { ACCOUNT_TRANSITIONS, statusOf, assertStatusAllows, nextStatus } = require('../utils/accountStatus');
+
+describe('account statuses', () => {
+    test('treats accounts without a status as active', () => {
+        expect(statusOf({})).toBe('active');
+        expect(statusOf({ status: 'frozen' })).toBe('frozen');
+    });
+
+    test('frozen accounts take credits but not debits', () => {
+        const account = { accountNumber: '1234567897', status: 'frozen' };
+        expect(() => assertStatusAllows(account, 100)).not.toThrow();
+        expect(() => assertStatusAllows(account, -100)).toThrow(expect.objectContaining({
+            statusCode: 409,
+            code: 'ACCOUNT_FROZEN',
+            details: { status: 'frozen' },
+        }));
+    });
+
+    test('pending and closed accounts take no balance changes', () => {
+        for (const status of ['pending', 'closed']) {
+            const account = { accountNumber: '1234567897', status };
+            expect(() => assertStatusAllows(account, 100)).toThrow(expect.objectContaining({ code: `ACCOUNT_${status.toUpperCase()}` }));
+            expect(() => assertStatusAllows(account, -100)).toThrow(expect.objectContaining({ code: `ACCOUNT_${status.toUpperCase()}` }));
+        }
+        expect(() => assertStatusAllows({ status: 'active' }, -100)).not.toThrow();
+    });
+
+    test('allows each transition only from its starting statuses', () => {
+        expect(nextStatus({ status: 'pending' }, 'activate')).toBe('active');
+        expect(nextStatus({}, 'freeze')).toBe('frozen');
+        expect(nextStatus({ status: 'frozen' }, 'unfreeze')).toBe('active');
+        expect(nextStatus({ status: 'frozen' }, 'close')).toBe('closed');
+        expect(nextStatus({ status: 'closed' }, 'reopen')).toBe('active');
+        expect(() => nextStatus({ status: 'closed' }, 'freeze')).toThrow(expect.objectContaining({
+            statusCode: 409,
+            message: 'Cannot freeze an account that is closed.',
+        }));
+        expect(() => nextStatus({ status: 'active' }, 'activate')).toThrow(expect.objectContaining({ statusCode: 409 }));
+        expect(() => nextStatus({}, 'delete')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    test('every transition leads to a status', () => {
+        for (const { from, to } of Object.values(ACCOUNT_TRANSITIONS)) {
+            expect(from).not.toContain(to);
+        }
+    });
+});
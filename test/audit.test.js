@@ -0,0 +1,98 @@
+const { ObjectId } = require('mongodb');
+const { GENESIS_HASH, canonicalJson, hashEvent, diffDocuments, createAuditEvent, verifyEvents } = require('../utils/audit');
+
+describe('canonicalJson', () => {
+    test('sorts keys and serializes dates and ObjectIds', () => {
+        const id = new ObjectId('65f1c0ffee0000000000abcd');
+        expect(canonicalJson({ b: 1, a: { d: new Date('2024-05-31T00:00:00Z'), c: id } }))
+            .toBe('{"a":{"c":"65f1c0ffee0000000000abcd","d":"2024-05-31T00:00:00.000Z"},"b":1}');
+    });
+
+    test('drops undefined fields', () => {
+        expect(canonicalJson({ a: undefined, b: null })).toBe('{"b":null}');
+    });
+});
+
+describe('hashEvent', () => {
+    const event = { seq: 1, action: 'account.deposit', changes: { balance: { before: 0, after: 100 } }, prevHash: GENESIS_HASH };
+
+    test('ignores _id and the stored hash', () => {
+        expect(hashEvent({ ...event, _id: new ObjectId(), hash: 'abc' })).toBe(hashEvent(event));
+    });
+
+    test('changes with the contents and the previous hash', () => {
+        expect(hashEvent({ ...event, changes: { balance: { before: 0, after: 1000 } } })).not.toBe(hashEvent(event));
+        expect(hashEvent({ ...event, prevHash: 'f'.repeat(64) })).not.toBe(hashEvent(event));
+    });
+});
+
+describe('diffDocuments', () => {
+    test('keeps only changed fields', () => {
+        expect(diffDocuments({ _id: 1, name: 'John', role: 'customer' }, { _id: 1, name: 'Johnny', role: 'customer' }))
+            .toEqual({ name: { before: 'John', after: 'Johnny' } });
+    });
+
+    test('records creations and removed fields as null', () => {
+        expect(diffDocuments(undefined, { name: 'John' })).toEqual({ name: { before: null, after: 'John' } });
+        expect(diffDocuments({ limits: { overdraft: 100 } }, {})).toEqual({ limits: { before: { overdraft: 100 }, after: null } });
+    });
+
+    test('never copies passwords', () => {
+        expect(diffDocuments({ password: 'old-hash' }, { password: 'new-hash' }))
+            .toEqual({ password: { before: '[redacted]', after: '[redacted]' } });
+    });
+});
+
+describe('verifyEvents', () => {
+    const jane = { type: 'account', id: '1234567897' };
+    const john = { type: 'user', id: 'john@example.com' };
+
+    // Appends an event to its chain, as the repositories do
+    function record(events, heads, action, target) {
+        const chain = `${target.type}:${target.id}`;
+        const event = createAuditEvent(heads.get(chain) || { seq: 0, hash: GENESIS_HASH }, action, target);
+        heads.set(chain, { seq: event.seq, hash: event.hash });
+        events.push(event);
+        return event;
+    }
+
+    function chains() {
+        const events = [];
+        const heads = new Map();
+        record(events, heads, 'account.open', jane);
+        record(events, heads, 'user.create', john);
+        record(events, heads, 'account.deposit', jane);
+        return { events: events.sort((a, b) => a.chain.localeCompare(b.chain) || a.seq - b.seq), heads };
+    }
+
+    test('checks each chain on its own', async () => {
+        const { events, heads } = chains();
+        expect(events.map(e => [e.chain, e.seq])).toEqual([['account:1234567897', 1], ['account:1234567897', 2], ['user:john@example.com', 1]]);
+        expect(await verifyEvents(events, heads)).toEqual({ valid: true, checked: 3, brokenAt: null });
+    });
+
+    test('reports changed and missing events', async () => {
+        const { events, heads } = chains();
+        const changed = events.map(e => (e.seq === 2 ? { ...e, action: 'account.withdraw' } : e));
+        expect((await verifyEvents(changed, heads)).brokenAt)
+            .toEqual({ chain: 'account:1234567897', seq: 2, reason: 'Event contents do not match its hash.' });
+        expect((await verifyEvents([events[1], events[2]], heads)).brokenAt)
+            .toEqual({ chain: 'account:1234567897', seq: 1, reason: 'Event is missing.' });
+    });
+
+    test('reports the newest events or a whole chain removed', async () => {
+        const { events, heads } = chains();
+        expect(await verifyEvents([events[0], events[2]], heads))
+            .toEqual({ valid: false, checked: 1, brokenAt: { chain: 'account:1234567897', seq: 2, reason: 'Event is missing.' } });
+        expect((await verifyEvents(events.slice(0, 2), heads)).brokenAt)
+            .toEqual({ chain: 'user:john@example.com', seq: 1, reason: 'Event is missing.' });
+    });
+
+    test('leaves events recorded after the heads were read for the next check', async () => {
+        const { events, heads } = chains();
+        const snapshot = new Map(heads);
+        record(events, heads, 'account.deposit', jane);
+        record(events, heads, 'user.create', { type: 'user', id: 'jane@example.com' });
+        expect(await verifyEvents(events, snapshot)).toEqual({ valid: true, checked: 3, brokenAt: null });
+    });
+});
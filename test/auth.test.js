@@ -0,0 +1,72 @@
+const { authorize } = require('../middlewares/authMiddleware');
+const { serializeUser } = require('../utils/serializers');
+const { resolveUser } = require('../services/accountAccess');
+
+describe('authorize middleware', () => {
+    let mockResponse;
+    let mockNext;
+
+    beforeEach(() => {
+        mockResponse = {
+            status: jest.fn(() => mockResponse),
+            json: jest.fn()
+        };
+        mockNext = jest.fn();
+    });
+
+    test('lets through users with an allowed role', () => {
+        authorize('teller', 'admin')({ user: { email: 'a@example.com', role: 'admin' } }, mockResponse, mockNext);
+        expect(mockNext).toHaveBeenCalled();
+    });
+
+    test('rejects users without an allowed role with 403', () => {
+        authorize('admin')({ user: { email: 'c@example.com', role: 'customer' } }, mockResponse, mockNext);
+        expect(mockResponse.status).toHaveBeenCalledWith(403);
+        expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    test('rejects unauthenticated requests with 401', () => {
+        authorize('admin')({}, mockResponse, mockNext);
+        expect(mockResponse.status).toHaveBeenCalledWith(401);
+        expect(mockNext).not.toHaveBeenCalled();
+    });
+});
+
+describe('serializeUser', () => {
+    test('never exposes the password hash or internal fields', () => {
+        const user = {
+            _id: 'abc123',
+            name: 'John Doe',
+            email: 'john@example.com',
+            password: '$2b$10$hash',
+            role: 'teller',
+            internalNote: 'do not leak',
+            createdAt: new Date('2024-01-01'),
+        };
+        const serialized = serializeUser(user);
+        expect(serialized).toEqual({
+            id: 'abc123',
+            name: 'John Doe',
+            email: 'john@example.com',
+            role: 'teller',
+            emailVerified: false,
+            twoFactorEnabled: false,
+            createdAt: new Date('2024-01-01'),
+        });
+        expect(JSON.stringify(serialized)).not.toContain('$2b$10$hash');
+    });
+});
+
+describe('resolveUser', () => {
+    test('customers always act on themselves', () => {
+        const caller = { email: 'john@example.com', role: 'customer' };
+        expect(resolveUser(caller, 'jane@example.com')).toEqual({ email: 'john@example.com', onBehalf: false });
+        expect(resolveUser(caller)).toEqual({ email: 'john@example.com', onBehalf: false });
+    });
+
+    test('staff may name another customer', () => {
+        const caller = { email: 'tina@example.com', role: 'teller' };
+        expect(resolveUser(caller, 'jane@example.com')).toEqual({ email: 'jane@example.com', onBehalf: true });
+        expect(resolveUser(caller)).toEqual({ email: 'tina@example.com', onBehalf: false });
+    });
+});
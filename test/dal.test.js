@@ -1,26 +1,43 @@
-const { MongoMemoryServer } = require('mongodb-memory-server');
+process.env.JWT_SECRET_KEY = process.env.JWT_SECRET_KEY || 'test-secret';
+
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
 const dal = require('../dal'); // Adjust the path as necessary
+const { isValidAccountNumber } = require('../utils/accountNumber');
+const { parseAmount, formatAmount } = require('../utils/money');
 
-let db, stopDB;
+let db, stopDB, replSet;
 
 beforeAll(async () => {
-    const mongod = await MongoMemoryServer.create();
-    const uri = mongod.getUri();
-    const dbName = mongod.instanceInfo.dbName;
+    // Multi-document transactions need a replica set, so run a single-node one in memory
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    const uri = replSet.getUri();
     // Configure DAL to use the in-memory database
-    const setup = await dal.setupDAL(uri, dbName);
+    const setup = await dal.setupDAL(uri, 'bankofbrown-test');
     db = setup.db;
     stopDB = setup.stopDB;
+    await db.createCollection('users');
+    await db.createCollection('accounts');
+    await db.createCollection('transactions');
 });
 
 afterAll(async () => {
     await stopDB();
+    await replSet.stop();
 });
 
 beforeEach(async () => {
     await db.collection('users').deleteMany({});
+    await db.collection('accounts').deleteMany({});
+    await db.collection('transactions').deleteMany({});
 });
 
+// Creates a user and returns the number of the checking account opened with it
+async function openChecking(name, email) {
+    const user = await dal.create(name, email, 'password123');
+    return user.accounts[0].accountNumber;
+}
+
 test('create and findOne user', async () => {
     await dal.create('John Doe', 'john@example.com', 'password123');
     const user = await dal.findOne('john@example.com');
@@ -42,19 +59,19 @@ test('update user', async () => {
     expect(user.name).toBe('Johnny Doe');
 });
 
-test('deposit to user account', async () => {
-    await dal.create('John Doe', 'john@example.com', 'password123');
-    await dal.deposit('john@example.com', 100);
-    const user = await dal.findOne('john@example.com');
-    expect(user.balance).toBe(100);
+test('deposit to account', async () => {
+    const john = await openChecking('John Doe', 'john@example.com');
+    await dal.deposit(john, 100);
+    const account = await dal.findAccount(john);
+    expect(account.balance).toBe(100);
 });
 
-test('withdraw from user account', async () => {
-    await dal.create('John Doe', 'john@example.com', 'password123');
-    await dal.deposit('john@example.com', 100);
-    await dal.withdraw('john@example.com', 50);
-    const user = await dal.findOne('john@example.com');
-    expect(user.balance).toBe(50);
+test('withdraw from account', async () => {
+    const john = await openChecking('John Doe', 'john@example.com');
+    await dal.deposit(john, 100);
+    await dal.withdraw(john, 50);
+    const account = await dal.findAccount(john);
+    expect(account.balance).toBe(50);
 });
 
 test('retrieve all users', async () => {
@@ -64,8 +81,644 @@ test('retrieve all users', async () => {
     expect(users.length).toBeGreaterThan(1);
 });
 
+test('deposit and withdraw record ledger entries with running balance', async () => {
+    const john = await openChecking('John Doe', 'john@example.com');
+    await dal.deposit(john, 100);
+    await dal.withdraw(john, 30);
+    const entries = await dal.getAllTransactions(john);
+    expect(entries.map(e => e.type)).toEqual(['withdrawal', 'deposit']);
+    expect(entries.map(e => e.amount)).toEqual([-30, 100]);
+    expect(entries.map(e => e.balance)).toEqual([70, 100]);
+    expect(entries[0].timestamp).toBeInstanceOf(Date);
+});
+
+test('createTransaction applies the entry to the balance', async () => {
+    const john = await openChecking('John Doe', 'john@example.com');
+    await dal.createTransaction(john, 'adjustment', 25, 'Goodwill credit');
+    const fee = await dal.createTransaction(john, 'fee', -5, 'Monthly fee');
+    expect(fee.balance).toBe(20);
+    const account = await dal.findAccount(john);
+    expect(account.balance).toBe(20);
+});
+
+test('createTransaction rejects unknown types and uncovered debits', async () => {
+    const john = await openChecking('John Doe', 'john@example.com');
+    await expect(dal.createTransaction(john, 'bonus', 10, '')).rejects.toThrow('Transaction type');
+    await expect(dal.createTransaction(john, 'fee', -10, '')).rejects.toThrow('Insufficient funds.');
+    expect(await dal.getAllTransactions(john)).toHaveLength(0);
+});
+
+test('deposit rejects non-positive amounts without touching the balance', async () => {
+    const john = await openChecking('John Doe', 'john@example.com');
+    await expect(dal.deposit(john, -50)).rejects.toThrow('Amount must be positive.');
+    const account = await dal.findAccount(john);
+    expect(account.balance).toBe(0);
+    expect(await dal.getAllTransactions(john)).toHaveLength(0);
+});
+
+test('parallel withdrawals never overdraw the account', async () => {
+    const john = await openChecking('John Doe', 'john@example.com');
+    await dal.deposit(john, 100);
+
+    const attempts = Array.from({ length: 25 }, () => dal.withdraw(john, 10));
+    const results = await Promise.allSettled(attempts);
+
+    const succeeded = results.filter(r => r.status === 'fulfilled');
+    const rejected = results.filter(r => r.status === 'rejected');
+    expect(succeeded).toHaveLength(10);
+    rejected.forEach(r => expect(r.reason.message).toBe('Insufficient funds.'));
+
+    const account = await dal.findAccount(john);
+    expect(account.balance).toBe(0);
+    const withdrawals = (await dal.getAllTransactions(john)).filter(e => e.type === 'withdrawal');
+    expect(withdrawals).toHaveLength(10);
+    withdrawals.forEach(e => expect(e.balance).toBeGreaterThanOrEqual(0));
+});
+
+test('transfer moves money between accounts and links both entries', async () => {
+    const john = await openChecking('John Doe', 'john@example.com');
+    const jane = await openChecking('Jane Doe', 'jane@example.com');
+    await dal.deposit(john, 100);
+
+    const result = await dal.transfer(john, jane, 40, 'Rent');
+    expect(result.source.balance).toBe(60);
+    expect(result.destination.balance).toBe(40);
+
+    const [debit] = await dal.getAllTransactions(john);
+    const [credit] = await dal.getAllTransactions(jane);
+    expect(debit).toMatchObject({ type: 'transfer', amount: -40, description: 'Rent' });
+    expect(credit).toMatchObject({ type: 'transfer', amount: 40, description: 'Rent' });
+    expect(debit.transferId).toEqual(credit.transferId);
+});
+
+test('transfer is all-or-nothing', async () => {
+    const john = await openChecking('John Doe', 'john@example.com');
+    const jane = await openChecking('Jane Doe', 'jane@example.com');
+    await dal.deposit(john, 10);
+
+    await expect(dal.transfer(john, jane, 50)).rejects.toThrow('Insufficient funds.');
+    await expect(dal.transfer(john, '1000000008', 5)).rejects.toThrow('Destination account not found.');
+    await expect(dal.transfer(john, john, 5)).rejects.toThrow('same account');
+
+    expect((await dal.findAccount(john)).balance).toBe(10);
+    expect((await dal.findAccount(jane)).balance).toBe(0);
+    expect(await dal.getAllTransactions(jane)).toHaveLength(0);
+});
+
+test('create opens a checking account with a valid account number', async () => {
+    const user = await dal.create('John Doe', 'john@example.com', 'password123');
+    expect(user.accounts).toHaveLength(1);
+    expect(user.accounts[0]).toMatchObject({ type: 'checking', balance: 0 });
+    expect(isValidAccountNumber(user.accounts[0].accountNumber)).toBe(true);
+});
+
+test('a customer can own several accounts with separate balances', async () => {
+    const checking = await openChecking('John Doe', 'john@example.com');
+    const savings = await dal.openAccount('john@example.com', 'savings');
+    await dal.deposit(savings.accountNumber, 500);
+
+    const accounts = await dal.findAccounts('john@example.com');
+    expect(accounts.map(a => a.type)).toEqual(['checking', 'savings']);
+    expect((await dal.findAccount(checking)).balance).toBe(0);
+    expect((await dal.findAccount(savings.accountNumber)).balance).toBe(500);
+    await expect(dal.openAccount('john@example.com', 'brokerage')).rejects.toThrow('Account type');
+});
+
+test('account numbers with a bad check digit are rejected', async () => {
+    const john = await openChecking('John Doe', 'john@example.com');
+    const typo = john.slice(0, 9) + ((Number(john[9]) + 1) % 10);
+    await expect(dal.deposit(typo, 10)).rejects.toThrow('Invalid account number.');
+});
+
+test('balances are exact integer minor units', async () => {
+    const john = await openChecking('John Doe', 'john@example.com');
+    for (let i = 0; i < 3; i++) {
+        await dal.deposit(john, parseAmount('0.10'));
+    }
+    const account = await dal.findAccount(john);
+    expect(account.balance).toBe(30);
+    expect(formatAmount(account.balance, account.currency)).toBe('0.30');
+    await expect(dal.deposit(john, 0.5)).rejects.toThrow('Amount must be positive.');
+});
+
+test('statements report opening and closing balances around the range', async () => {
+    const john = await openChecking('John Doe', 'john@example.com');
+    await dal.deposit(john, 1000);
+    const from = new Date();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await dal.withdraw(john, 300);
+    await dal.deposit(john, 50);
+    const to = new Date();
+
+    const statement = await dal.getStatement(john, from, to);
+    const entries = await statement.entries.toArray();
+    expect(statement.openingBalance).toBe(1000);
+    expect(statement.closingBalance).toBe(750);
+    expect(entries.map(e => e.amount)).toEqual([-300, 50]);
+
+    const empty = await dal.getStatement(john, new Date(0), new Date(1));
+    expect(empty.openingBalance).toBe(0);
+    expect(empty.closingBalance).toBe(0);
+    expect(await empty.entries.toArray()).toEqual([]);
+});
+
+test('history pages follow the cursor without gaps or repeats', async () => {
+    const john = await openChecking('John Doe', 'john@example.com');
+    for (const amount of [500, 100, 300, 100, 200]) {
+        await dal.deposit(john, amount);
+    }
+
+    const seen = [];
+    let cursor;
+    do {
+        const page = await dal.queryTransactions(john, { sort: '-amount', limit: 2, cursor });
+        expect(page.entries.length).toBeLessThanOrEqual(2);
+        seen.push(...page.entries);
+        cursor = page.nextCursor;
+    } while (cursor);
+
+    expect(seen.map(e => e.amount)).toEqual([500, 300, 200, 100, 100]);
+    expect(new Set(seen.map(e => String(e._id))).size).toBe(5);
+});
+
+test('history filters by amount, type and description', async () => {
+    const john = await openChecking('John Doe', 'john@example.com');
+    const jane = await openChecking('Jane Doe', 'jane@example.com');
+    await dal.deposit(john, 1000);
+    await dal.withdraw(john, 250);
+    await dal.transfer(john, jane, 100, 'Coffee (beans)');
+
+    const debits = await dal.queryTransactions(john, { maxAmount: -1, sort: 'date' });
+    expect(debits.entries.map(e => e.type)).toEqual(['withdrawal', 'transfer']);
+
+    const deposits = await dal.queryTransactions(john, { type: 'deposit' });
+    expect(deposits.entries.map(e => e.amount)).toEqual([1000]);
+
+    const search = await dal.queryTransactions(john, { search: 'coffee (' });
+    expect(search.entries).toHaveLength(1);
+    expect(search.nextCursor).toBeNull();
+
+    await expect(dal.queryTransactions(john, { cursor: 'bogus' })).rejects.toThrow('Request validation failed.');
+});
+
+test('users are listed in pages', async () => {
+    await openChecking('John Doe', 'john@example.com');
+    await openChecking('Jane Doe', 'jane@example.com');
+    await openChecking('Joe Doe', 'joe@example.com');
+
+    const first = await dal.listUsers({ limit: 2 });
+    expect(first.users.map(u => u.email)).toEqual(['john@example.com', 'jane@example.com']);
+    const second = await dal.listUsers({ limit: 2, cursor: first.nextCursor });
+    expect(second.users.map(u => u.email)).toEqual(['joe@example.com']);
+    expect(second.nextCursor).toBeNull();
+});
+
+test('withdrawals respect the per-transaction and daily limits', async () => {
+    const john = await openChecking('John Doe', 'john@example.com');
+    await dal.deposit(john, 5000000);
+    await dal.setAccountLimits(john, { perTransaction: 40000, dailyWithdrawal: 100000 });
+
+    await expect(dal.withdraw(john, 40001)).rejects.toMatchObject({ code: 'TRANSACTION_LIMIT_EXCEEDED' });
+    await dal.withdraw(john, 40000);
+    await dal.withdraw(john, 40000);
+    await expect(dal.withdraw(john, 30000)).rejects.toMatchObject({
+        code: 'DAILY_LIMIT_EXCEEDED',
+        details: { limit: '1000.00', remaining: '200.00', currency: 'USD' },
+    });
+    // Outgoing transfers count towards the same caps
+    const jane = await openChecking('Jane Doe', 'jane@example.com');
+    await dal.transfer(john, jane, 20000);
+    await expect(dal.transfer(john, jane, 1)).rejects.toMatchObject({ code: 'DAILY_LIMIT_EXCEEDED' });
+
+    const limits = await dal.getAccountLimits(john);
+    expect(limits.remaining.daily).toBe('0.00');
+    expect(limits.limits.perTransaction).toBe('400.00');
+});
+
+test('parallel withdrawals never exceed the daily limit together', async () => {
+    const john = await openChecking('John Doe', 'john@example.com');
+    await dal.deposit(john, 1000000);
+    await dal.setAccountLimits(john, { dailyWithdrawal: 100 });
+
+    const results = await Promise.allSettled(Array.from({ length: 25 }, () => dal.withdraw(john, 10)));
+    expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(10);
+    expect((await dal.findAccount(john)).balance).toBe(1000000 - 100);
+});
+
+test('overdrafts are allowed up to the allowance and charge the fee', async () => {
+    const john = await openChecking('John Doe', 'john@example.com');
+    await dal.deposit(john, 1000);
+    await dal.setAccountLimits(john, { overdraft: 5000, overdraftFee: 2500 });
+
+    const account = await dal.withdraw(john, 3000);
+    expect(account.balance).toBe(1000 - 3000 - 2500);
+    const fee = (await dal.getAllTransactions(john)).find(e => e.type === 'fee');
+    expect(fee).toMatchObject({ amount: -2500, description: 'Overdraft fee' });
+
+    await expect(dal.withdraw(john, 600)).rejects.toMatchObject({
+        code: 'INSUFFICIENT_FUNDS',
+        details: { available: '5.00' },
+    });
+
+    // Removing the override restores the default of no overdraft
+    await dal.setAccountLimits(john, { overdraft: null });
+    expect((await dal.getAccountLimits(john)).limits.overdraft).toBe('0.00');
+});
+
+describe('audit log', () => {
+    const { runWithContext } = require('../utils/requestContext');
+
+    beforeEach(async () => {
+        await db.collection('audit_events').deleteMany({});
+        await db.collection('audit_chain').deleteMany({});
+    });
+
+    test('records changes with the request context and verifies the chain', async () => {
+        const john = await openChecking('John Doe', 'john@example.com');
+        const context = {
+            requestId: 'req-1',
+            ip: '203.0.113.7',
+            userAgent: 'jest',
+            actor: { email: 'teller@example.com', role: 'teller' },
+        };
+        await runWithContext(context, () => dal.deposit(john, 2500));
+
+        const { events } = await dal.queryAuditEvents({ targetId: john });
+        expect(events.map(e => e.action)).toEqual(['account.deposit', 'account.open']);
+        expect(events[0]).toMatchObject({
+            actor: { email: 'teller@example.com', role: 'teller' },
+            changes: { balance: { before: 0, after: 2500 } },
+            ip: '203.0.113.7',
+            userAgent: 'jest',
+            requestId: 'req-1',
+        });
+        const [created] = (await dal.queryAuditEvents({ action: 'user.create' })).events;
+        expect(created.actor.role).toBe('system');
+        expect(created.changes.password.after).toBe('[redacted]');
+
+        expect(await dal.verifyAuditChain()).toEqual({ valid: true, checked: 3, brokenAt: null });
+    });
+
+    test('reports the first broken link', async () => {
+        const john = await openChecking('John Doe', 'john@example.com');
+        await dal.deposit(john, 100);
+        await dal.withdraw(john, 50);
+        const events = db.collection('audit_events');
+        const chain = `account:${john}`;
+
+        await events.updateOne({ chain, seq: 3 }, { $set: { 'changes.balance.after': 1000000 } });
+        expect((await dal.verifyAuditChain()).brokenAt).toEqual({ chain, seq: 3, reason: 'Event contents do not match its hash.' });
+
+        await events.deleteOne({ chain, seq: 3 });
+        expect((await dal.verifyAuditChain()).brokenAt).toEqual({ chain, seq: 3, reason: 'Event is missing.' });
+
+        // Removing the newest event is caught by the chain head
+        await dal.deposit(john, 1);
+        await events.deleteMany({ chain, seq: { $gte: 3 } });
+        expect(await dal.verifyAuditChain()).toMatchObject({ valid: false, checked: 2, brokenAt: { chain, seq: 3 } });
+    });
+
+    test('pages through events newest first', async () => {
+        const john = await openChecking('John Doe', 'john@example.com');
+        await dal.deposit(john, 100);
+        await dal.deposit(john, 200);
+        const first = await dal.queryAuditEvents({ action: 'account.deposit', limit: 1 });
+        expect(first.events[0].changes.balance.after).toBe(300);
+        const second = await dal.queryAuditEvents({ action: 'account.deposit', limit: 1, cursor: first.nextCursor });
+        expect(second.events[0].changes.balance.after).toBe(100);
+        expect(second.nextCursor).toBeNull();
+    });
+});
+
+//idempotencyMiddleware tests
+
+const { idempotent } = require('../middlewares/idempotencyMiddleware');
+
+describe('idempotency middleware', () => {
+    beforeEach(async () => {
+        await db.collection('idempotency_keys').deleteMany({});
+    });
+
+    function mockRequest(key, body) {
+        const headers = { 'Idempotency-Key': key };
+        return { method: 'POST', baseUrl: '/account', path: '/deposit', body, get: name => headers[name] };
+    }
+
+    // The response's json() resolves `sent` once the middleware lets the body through
+    function mockResponse() {
+        const res = { statusCode: 200 };
+        res.sent = new Promise(resolve => {
+            res.json = jest.fn(body => { resolve(body); return res; });
+        });
+        res.status = jest.fn(code => { res.statusCode = code; return res; });
+        res.set = jest.fn();
+        return res;
+    }
+
+    test('replays the stored response for an identical retry', async () => {
+        const first = mockResponse();
+        const next = jest.fn();
+        await idempotent(mockRequest('key-1', { accountNumber: '1000000008', amount: '5' }), first, next);
+        expect(next).toHaveBeenCalledWith();
+        first.status(200).json({ message: 'Deposit successful', balance: '5.00' });
+        await first.sent;
+
+        const retry = mockResponse();
+        const retryNext = jest.fn();
+        // Same body with a different key order still matches the fingerprint
+        await idempotent(mockRequest('key-1', { amount: '5', accountNumber: '1000000008' }), retry, retryNext);
+        expect(retryNext).not.toHaveBeenCalled();
+        expect(retry.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+        expect(retry.status).toHaveBeenCalledWith(200);
+        expect(await retry.sent).toEqual({ message: 'Deposit successful', balance: '5.00' });
+    });
+
+    test('rejects a reused key with a different body', async () => {
+        const first = mockResponse();
+        await idempotent(mockRequest('key-2', { amount: '5' }), first, jest.fn());
+        first.status(200).json({ balance: '5.00' });
+        await first.sent;
+
+        const other = mockResponse();
+        const next = jest.fn();
+        await idempotent(mockRequest('key-2', { amount: '50' }), other, next);
+        expect(next).not.toHaveBeenCalled();
+        expect(other.status).toHaveBeenCalledWith(422);
+    });
+
+    test('reports a retry while the original is still running', async () => {
+        await idempotent(mockRequest('key-3', { amount: '5' }), mockResponse(), jest.fn());
+
+        const retry = mockResponse();
+        await idempotent(mockRequest('key-3', { amount: '5' }), retry, jest.fn());
+        expect(retry.status).toHaveBeenCalledWith(409);
+    });
+
+    test('releases the key when the request fails with a server error', async () => {
+        const first = mockResponse();
+        await idempotent(mockRequest('key-4', { amount: '5' }), first, jest.fn());
+        first.status(500).json({ message: 'Internal server error' });
+        await first.sent;
+
+        const retryNext = jest.fn();
+        await idempotent(mockRequest('key-4', { amount: '5' }), mockResponse(), retryNext);
+        expect(retryNext).toHaveBeenCalledWith();
+    });
+});
+
+//tokenService tests
+
+const tokenService = require('../services/tokenService');
+
+describe('token service', () => {
+    let user;
+
+    beforeEach(async () => {
+        await db.collection('refresh_tokens').deleteMany({});
+        await db.collection('revoked_tokens').deleteMany({});
+        user = await dal.create('John Doe', 'john@example.com', 'password123');
+    });
+
+    test('rotates refresh tokens within the same session', async () => {
+        const first = await tokenService.issueTokens(user);
+        const second = await tokenService.rotateRefreshToken(first.refreshToken);
+        expect(second.refreshToken).not.toBe(first.refreshToken);
+
+        const stored = await db.collection('refresh_tokens').find({}).toArray();
+        expect(stored).toHaveLength(2);
+        expect(new Set(stored.map(t => t.familyId)).size).toBe(1);
+        // Only hashes are stored
+        stored.forEach(t => expect(t.tokenHash).not.toBe(first.refreshToken));
+    });
+
+    test('reusing a rotated refresh token revokes the whole session', async () => {
+        const first = await tokenService.issueTokens(user);
+        const second = await tokenService.rotateRefreshToken(first.refreshToken);
+
+        await expect(tokenService.rotateRefreshToken(first.refreshToken)).rejects.toThrow('already been used');
+        await expect(tokenService.rotateRefreshToken(second.refreshToken)).rejects.toThrow('has been revoked');
+        const payload = jwt.decode(second.accessToken);
+        expect(await tokenService.isRevoked(payload)).toBe(true);
+    });
+
+    test('logout revokes the session access tokens', async () => {
+        const tokens = await tokenService.issueTokens(user);
+        const payload = jwt.decode(tokens.accessToken);
+        expect(await tokenService.isRevoked(payload)).toBe(false);
+
+        await tokenService.logout(payload);
+        expect(await tokenService.isRevoked(payload)).toBe(true);
+        await expect(tokenService.rotateRefreshToken(tokens.refreshToken)).rejects.toThrow('has been revoked');
+    });
+
+    test('rejects unknown refresh tokens', async () => {
+        await expect(tokenService.rotateRefreshToken('not-a-token')).rejects.toThrow('Invalid refresh token.');
+    });
+});
+
+//accountAccess tests
+
+const accountAccess = require('../services/accountAccess');
+
+describe('account access', () => {
+    test('customers can only act on their own accounts', async () => {
+        const john = await openChecking('John Doe', 'john@example.com');
+        const jane = await openChecking('Jane Doe', 'jane@example.com');
+        const caller = { email: 'john@example.com', role: 'customer' };
+
+        const own = await accountAccess.resolveAccount(caller, john);
+        expect(own).toMatchObject({ account: { accountNumber: john }, onBehalf: false });
+        const primary = await accountAccess.resolveAccount(caller);
+        expect(primary.account.accountNumber).toBe(john);
+        await expect(accountAccess.resolveAccount(caller, jane)).rejects.toThrow('Account not found.');
+    });
+
+    test('staff act on behalf of customers and are recorded on the ledger', async () => {
+        const john = await openChecking('John Doe', 'john@example.com');
+        await dal.create('Tina Teller', 'tina@example.com', 'password123');
+        const teller = { email: 'tina@example.com', role: 'teller' };
+
+        const { account, onBehalf } = await accountAccess.resolveAccount(teller, john);
+        expect(onBehalf).toBe(true);
+        const performedBy = accountAccess.actorOf(teller);
+        await dal.deposit(account.accountNumber, 100, { performedBy });
+
+        const [entry] = await dal.getAllTransactions(john);
+        expect(entry.performedBy).toEqual({ email: 'tina@example.com', role: 'teller' });
+    });
+});
+
 //errorMiddleware tests
 
+//scheduledPayments tests
+
+const scheduledPayments = require('../services/scheduledPayments');
+
+describe('scheduled payments', () => {
+    const HOUR = 60 * 60 * 1000;
+    const customer = { email: 'john@example.com', role: 'customer' };
+
+    beforeEach(async () => {
+        await db.collection('scheduled_payments').deleteMany({});
+        await db.collection('scheduled_payment_runs').deleteMany({});
+    });
+
+    async function schedule(source, destination, payment) {
+        const account = await dal.findAccount(source);
+        return scheduledPayments.createSchedule(account, { destination, ...payment }, customer);
+    }
+
+    test('a due payment runs once and moves to the next occurrence', async () => {
+        const john = await openChecking('John Doe', 'john@example.com');
+        const jane = await openChecking('Jane Doe', 'jane@example.com');
+        await dal.deposit(john, 1000);
+        const startAt = new Date();
+        const created = await schedule(john, jane, { amount: 300, frequency: 'daily', startAt, count: 3 });
+
+        expect(await scheduledPayments.runDuePayments(new Date(startAt.getTime() + HOUR))).toEqual({ succeeded: 1 });
+        // Running again before the next occurrence, e.g. after a restart, does nothing
+        expect(await scheduledPayments.runDuePayments(new Date(startAt.getTime() + HOUR))).toEqual({});
+        expect((await dal.findAccount(jane)).balance).toBe(300);
+
+        const [entry] = await dal.getAllTransactions(jane);
+        expect(entry.scheduledPaymentId).toEqual(created._id);
+
+        // Occurrences missed during downtime are caught up, then the schedule completes
+        expect(await scheduledPayments.runDuePayments(new Date(startAt.getTime() + 72 * HOUR))).toEqual({ succeeded: 2 });
+        const { schedule: done } = await scheduledPayments.getSchedule(customer, String(created._id));
+        expect(done.status).toBe('completed');
+        expect((await dal.findAccount(john)).balance).toBe(100);
+    });
+
+    test('insufficient funds are retried, then the occurrence is skipped', async () => {
+        const john = await openChecking('John Doe', 'john@example.com');
+        const jane = await openChecking('Jane Doe', 'jane@example.com');
+        const startAt = new Date();
+        const created = await schedule(john, jane, { amount: 500, frequency: 'monthly', startAt });
+
+        // Three retries an hour apart (the defaults), then the occurrence is given up
+        for (let attempt = 0; attempt < 4; attempt++) {
+            await scheduledPayments.runDuePayments(new Date(startAt.getTime() + (1 + attempt * 61) * 60 * 1000));
+        }
+        const runs = await scheduledPayments.listRuns(created);
+        expect(runs.map(r => r.outcome).reverse()).toEqual(['retrying', 'retrying', 'retrying', 'skipped']);
+
+        const { schedule: after } = await scheduledPayments.getSchedule(customer, String(created._id));
+        expect(after.status).toBe('active');
+        expect(after.nextIndex).toBe(1);
+        expect(after.lastRun.outcome).toBe('skipped');
+    });
+
+    test('an occurrence that already succeeded is never paid again', async () => {
+        const john = await openChecking('John Doe', 'john@example.com');
+        const jane = await openChecking('Jane Doe', 'jane@example.com');
+        await dal.deposit(john, 1000);
+        const startAt = new Date();
+        const created = await schedule(john, jane, { amount: 300, frequency: 'once', startAt });
+        await scheduledPayments.runDuePayments(new Date(startAt.getTime() + HOUR));
+
+        // Simulate a scheduler that lost its progress and finds the same occurrence due again
+        await db.collection('scheduled_payments').updateOne({ _id: created._id },
+            { $set: { status: 'active', nextIndex: 0, nextRunAt: startAt, dueAt: startAt } });
+        expect(await scheduledPayments.runDuePayments(new Date(startAt.getTime() + HOUR))).toEqual({ error: 1 });
+        expect((await dal.findAccount(john)).balance).toBe(700);
+    });
+
+    test('schedules can be changed and cancelled by their owner only', async () => {
+        const john = await openChecking('John Doe', 'john@example.com');
+        const jane = await openChecking('Jane Doe', 'jane@example.com');
+        const created = await schedule(john, jane, { amount: 300, frequency: 'weekly', startAt: new Date() });
+        const id = String(created._id);
+
+        await expect(scheduledPayments.getSchedule({ email: 'jane@example.com', role: 'customer' }, id))
+            .rejects.toThrow('Scheduled payment not found.');
+        const updated = await scheduledPayments.updateSchedule(created, { amount: 450 });
+        expect(updated.amount).toBe(450);
+        const cancelled = await scheduledPayments.cancelSchedule(updated, customer);
+        expect(cancelled.status).toBe('cancelled');
+        await expect(scheduledPayments.cancelSchedule(cancelled, customer)).rejects.toThrow('The scheduled payment is cancelled.');
+    });
+});
+
+//interest tests
+
+const interest = require('../services/interest');
+const { ACCRUAL_SCALE, INTEREST_PRODUCTS, dailyAccrual, toMinorUnits } = require('../utils/interest');
+
+describe('interest', () => {
+    beforeEach(async () => {
+        await db.collection('interest_accruals').deleteMany({});
+        await db.collection('interest_postings').deleteMany({});
+        await db.collection('interest_runs').deleteMany({});
+    });
+
+    // Opens a savings account that has held `amount` since 30 January 2024
+    async function savingsSince2024(amount) {
+        await dal.create('John Doe', 'john@example.com', 'password123');
+        const savings = await dal.openAccount('john@example.com', 'savings');
+        await dal.deposit(savings.accountNumber, amount);
+        const opened = new Date('2024-01-30T12:00:00.000Z');
+        await db.collection('accounts').updateOne({ _id: savings._id }, { $set: { createdAt: opened } });
+        await db.collection('transactions').updateMany({ accountId: savings._id }, { $set: { timestamp: opened } });
+        return savings.accountNumber;
+    }
+
+    test('accrues daily, posts at month end and is safe to re-run', async () => {
+        const savings = await savingsSince2024(2000000);
+        const daily = dailyAccrual(2000000, INTEREST_PRODUCTS.savings, 'USD');
+
+        const days = await interest.runInterest(new Date('2024-01-30'), new Date('2024-02-01'));
+        expect(days.map(d => d.accrued)).toEqual([1, 1, 1]);
+        expect(days[1]).toMatchObject({ date: '2024-01-31', posted: 1 });
+
+        // What the posting rounded off stays accrued, next to the day after the month
+        const remainder = 2 * daily - toMinorUnits(2 * daily) * ACCRUAL_SCALE;
+        let account = await dal.findAccount(savings);
+        expect(account.balance).toBe(2000000 + toMinorUnits(2 * daily));
+        expect(account.accruedInterest).toBe(remainder + daily);
+        const [entry] = await dal.getAllTransactions(savings);
+        expect(entry).toMatchObject({ type: 'interest', description: 'Interest for 2024-01' });
+
+        // Re-running the same days changes nothing
+        const again = await interest.runInterest(new Date('2024-01-30'), new Date('2024-02-01'));
+        expect(again.map(d => d.alreadyAccrued)).toEqual([1, 1, 1]);
+        account = await dal.findAccount(savings);
+        expect(account.balance).toBe(2000000 + toMinorUnits(2 * daily));
+        expect(account.accruedInterest).toBe(remainder + daily);
+    });
+
+    test('carries what a posting rounds off into the next month', async () => {
+        // $105.00 accrues about 0.43 cents a day: January's 2 days post 1 cent (0.86 rounded up) and
+        // February's 29 days about 12.51 cents, which would round to 13 without January's -0.14
+        const savings = await savingsSince2024(10500);
+        const january = 2 * dailyAccrual(10500, INTEREST_PRODUCTS.savings, 'USD');
+        const february = 29 * dailyAccrual(10501, INTEREST_PRODUCTS.savings, 'USD');
+
+        await interest.runInterest(new Date('2024-01-30'), new Date('2024-02-29'));
+        const postings = await db.collection('interest_postings').find({}).sort({ month: 1 }).toArray();
+        expect(postings).toMatchObject([
+            { month: '2024-01', accrued: january, carried: 0, amount: 1, remainder: january - ACCRUAL_SCALE },
+            { month: '2024-02', accrued: february, carried: january - ACCRUAL_SCALE, amount: 12 },
+        ]);
+        expect(toMinorUnits(february)).toBe(13);
+
+        // Together the postings pay the rounded total of everything accrued, and the rest is still accrued
+        const account = await dal.findAccount(savings);
+        expect(account.balance).toBe(10500 + toMinorUnits(january + february));
+        expect(account.accruedInterest).toBe(january + february - 13 * ACCRUAL_SCALE);
+        expect(postings[1].remainder).toBe(account.accruedInterest);
+    });
+
+    test('checking accounts earn nothing and future days are refused', async () => {
+        const john = await openChecking('John Doe', 'john@example.com');
+        await dal.deposit(john, 100000);
+        const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        const [day] = await interest.runInterest(yesterday, yesterday);
+        expect(day.accrued).toBe(0);
+        await expect(interest.runInterest(new Date(), new Date())).rejects.toThrow('completed days');
+    });
+});
+
 const { errorHandler, ValidationError, NotFoundError } = require('../middlewares/errorMiddleware');
 
 describe('error handling middleware', () => {
@@ -117,4 +770,125 @@ describe('error handling middleware', () => {
         expect(mockNext).toHaveBeenCalledWith(error);
     });
 
-});
\ No newline at end of file
+});
+describe('event bus', () => {
+    const eventBus = require('../services/eventBus');
+    let events;
+    let unsubscribe;
+
+    beforeEach(() => {
+        events = [];
+        unsubscribe = eventBus.subscribe(event => events.push(event));
+    });
+
+    afterEach(async () => {
+        unsubscribe();
+        await db.collection('webhooks').deleteMany({});
+        await db.collection('webhook_deliveries').deleteMany({});
+    });
+
+    // Lets published events reach the subscriber
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+
+    test('publishes the events of a committed change', async () => {
+        const source = await openChecking('Jane Doe', 'jane@example.com');
+        const destination = await openChecking('John Doe', 'john@example.com');
+        await dal.deposit(source, 5000);
+        await dal.transfer(source, destination, 2000);
+        await settle();
+
+        expect(events.map(event => event.type)).toEqual([
+            'account.opened', 'account.opened', 'transaction.deposit', 'transaction.transfer', 'transaction.transfer',
+        ]);
+        expect(events[3].data).toMatchObject({ account: { accountNumber: source, balance: '30.00' }, transaction: { amount: '-20.00' } });
+        expect(events[4].data).toMatchObject({ account: { accountNumber: destination, balance: '20.00' }, transaction: { amount: '20.00' } });
+        expect(events[3].data.transaction.transferId).toBe(events[4].data.transaction.transferId);
+    });
+
+    test('publishes and stores nothing for a change that is rolled back', async () => {
+        const { insertedId: webhookId } = await db.collection('webhooks').insertOne({ url: 'https://example.com/hooks', events: ['*'], enabled: true });
+        const source = await openChecking('Jane Doe', 'jane@example.com');
+        await settle();
+        events = [];
+        await dal.deposit(source, 5000);
+        await expect(dal.withTransaction(async (session) => {
+            await dal.createTransaction(source, 'fee', -100, 'Fee', { session });
+            throw new Error('Later step failed');
+        })).rejects.toThrow('Later step failed');
+        await settle();
+
+        expect(events.map(event => event.type)).toEqual(['transaction.deposit']);
+        const deliveries = await db.collection('webhook_deliveries').find({ webhookId }).sort({ _id: 1 }).toArray();
+        expect(deliveries.map(delivery => delivery.event.type)).toEqual(['account.opened', 'transaction.deposit']);
+        expect(deliveries[1].event.id).toBe(events[0].id);
+    });
+
+    test('commits the outbox deliveries with the change, whether or not the bus publishes', async () => {
+        const { insertedId: webhookId } = await db.collection('webhooks').insertOne({ url: 'https://example.com/hooks', events: ['transaction.transfer'], enabled: true });
+        const source = await openChecking('Jane Doe', 'jane@example.com');
+        const destination = await openChecking('John Doe', 'john@example.com');
+        await dal.deposit(source, 5000);
+        // As if the process died right after the transfer committed, before the bus called anyone
+        const publish = jest.spyOn(eventBus, 'publish').mockImplementation(() => {});
+        try {
+            await dal.transfer(source, destination, 2000);
+        } finally {
+            publish.mockRestore();
+        }
+        await settle();
+
+        expect(events.map(event => event.type)).not.toContain('transaction.transfer');
+        const deliveries = await db.collection('webhook_deliveries').find({ webhookId }).toArray();
+        expect(deliveries).toHaveLength(2);
+        expect(deliveries.every(delivery => delivery.status === 'pending' && delivery.event.type === 'transaction.transfer')).toBe(true);
+    });
+});
+
+const MongoRepository = require('../repositories/mongoRepository');
+describe('mongo rate limit store', () => {
+    const MongoRateLimitStore = require('../repositories/mongoRateLimitStore');
+
+    beforeEach(async () => {
+        await db.collection('rate_limits').deleteMany({});
+    });
+
+    test('shares counters between stores of the same policy and keeps policies apart', async () => {
+        const first = new MongoRateLimitStore('money');
+        const second = new MongoRateLimitStore('money');
+        const other = new MongoRateLimitStore('read');
+        [first, second, other].forEach(store => store.init({ windowMs: 60000 }));
+
+        const hit = await first.increment('user:alice');
+        expect(hit.totalHits).toBe(1);
+        expect(hit.resetTime.getTime()).toBeGreaterThan(Date.now());
+        expect((await second.increment('user:alice')).totalHits).toBe(2);
+        expect((await other.increment('user:alice')).totalHits).toBe(1);
+
+        await first.decrement('user:alice');
+        expect((await second.get('user:alice')).totalHits).toBe(1);
+
+        await second.resetKey('user:alice');
+        expect(await first.get('user:alice')).toBeUndefined();
+    });
+
+    test('starts a new window once the old one has ended', async () => {
+        const store = new MongoRateLimitStore('auth');
+        store.init({ windowMs: 60000 });
+        await store.increment('ip:10.0.0.1');
+        await db.collection('rate_limits').updateOne({ key: 'auth:ip:10.0.0.1' }, { $set: { resetTime: new Date(Date.now() - 1000) } });
+
+        expect(await store.get('ip:10.0.0.1')).toBeUndefined();
+        expect((await store.increment('ip:10.0.0.1')).totalHits).toBe(1);
+    });
+});
+
+const { describeRepositoryContract } = require('./repositoryContract');
+
+describeRepositoryContract('mongo', async () => {
+    for (const collection of await db.collections()) {
+        await collection.deleteMany({});
+    }
+    const repository = new MongoRepository();
+    await repository.connect();
+    return repository;
+}, () => new MongoRepository());
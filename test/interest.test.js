@@ -0,0 +1,40 @@
+const { ACCRUAL_SCALE, dailyAccrual, toMinorUnits } = require('../utils/interest');
+
+const product = {
+    tiers: [
+        { upTo: 1000, rateBps: 100 },
+        { rateBps: 365 },
+    ],
+};
+
+describe('dailyAccrual', () => {
+    test('applies each tier rate to its band of the balance', () => {
+        // 1000.00 at 1% for a day: 100000 * 0.01 / 365 cents
+        expect(dailyAccrual(100000, product, 'USD')).toBe(Math.floor(100000 * 100 * ACCRUAL_SCALE / 3650000));
+        // Another 1000.00 at 3.65% earns exactly ten cents a day on top
+        expect(dailyAccrual(200000, product, 'USD') - dailyAccrual(100000, product, 'USD')).toBe(10 * ACCRUAL_SCALE);
+    });
+
+    test('earns nothing on empty or negative balances', () => {
+        expect(dailyAccrual(0, product, 'USD')).toBe(0);
+        expect(dailyAccrual(-5000, product, 'USD')).toBe(0);
+    });
+
+    test('stays exact for large balances', () => {
+        const accrual = dailyAccrual(9e13, product, 'USD');
+        expect(Number.isSafeInteger(accrual)).toBe(true);
+    });
+
+    test('reads tier bounds in the account currency', () => {
+        // Yen have no minor units, so the first band ends at 1000 rather than 100000; the next 1000 yen earn 0.1 yen a day
+        expect(dailyAccrual(2000, product, 'JPY') - dailyAccrual(1000, product, 'JPY')).toBe(ACCRUAL_SCALE / 10);
+    });
+});
+
+describe('toMinorUnits', () => {
+    test('rounds half up to whole minor units', () => {
+        expect(toMinorUnits(0)).toBe(0);
+        expect(toMinorUnits(ACCRUAL_SCALE * 2.4)).toBe(2);
+        expect(toMinorUnits(ACCRUAL_SCALE * 2.5)).toBe(3);
+    });
+});
@@ -0,0 +1,37 @@
+const { resolveLimits, usagePeriods } = require('../utils/limits');
+
+describe('resolveLimits', () => {
+    test('converts the defaults of the account type to minor units', () => {
+        expect(resolveLimits({ type: 'checking', currency: 'USD' })).toEqual({
+            overdraft: 0,
+            overdraftFee: 0,
+            dailyWithdrawal: 1000000,
+            monthlyWithdrawal: 10000000,
+            perTransaction: 1000000,
+        });
+        expect(resolveLimits({ type: 'savings', currency: 'JPY' }).dailyWithdrawal).toBe(5000);
+    });
+
+    test('prefers the account overrides', () => {
+        const limits = resolveLimits({ type: 'checking', currency: 'USD', limits: { overdraft: 50000, dailyWithdrawal: null } });
+        expect(limits.overdraft).toBe(50000);
+        expect(limits.dailyWithdrawal).toBeNull();
+        expect(limits.perTransaction).toBe(1000000);
+    });
+
+    test('has no overdraft and no caps for unknown account types', () => {
+        expect(resolveLimits({ type: 'loan', currency: 'USD' })).toEqual({
+            overdraft: 0,
+            overdraftFee: 0,
+            dailyWithdrawal: null,
+            monthlyWithdrawal: null,
+            perTransaction: null,
+        });
+    });
+});
+
+describe('usagePeriods', () => {
+    test('uses the UTC day and month', () => {
+        expect(usagePeriods(new Date('2024-05-31T23:59:59Z'))).toEqual({ day: '2024-05-31', month: '2024-05' });
+    });
+});
@@ -0,0 +1,92 @@
+const { EventEmitter } = require('events');
+const logger = require('../logger');
+const { redact, redactText } = require('../utils/redact');
+const { getRequestContext } = require('../utils/requestContext');
+const { requestContext } = require('../middlewares/requestContextMiddleware');
+
+describe('redact', () => {
+    test('replaces secrets and masks account numbers by field name', () => {
+        expect(redact({ email: 'a@example.com', password: 'hunter2', refreshToken: 'abc', accountNumber: '1234567897' }))
+            .toEqual({ email: 'a@example.com', password: '[REDACTED]', refreshToken: '[REDACTED]', accountNumber: '******7897' });
+    });
+
+    test('masks every field holding an account number, valid or not', () => {
+        expect(redact({ reason: 'closing', payoutTo: '1234567890', counterpartyAccountNumber: '9876543210', id: '1234' }))
+            .toEqual({ reason: 'closing', payoutTo: '******7890', counterpartyAccountNumber: '******3210', id: '1234' });
+    });
+
+    test('cleans nested objects and arrays without changing the original', () => {
+        const body = { transfers: [{ destination: '1234567897', amount: '10.00' }] };
+        expect(redact({ body })).toEqual({ body: { transfers: [{ destination: '******7897', amount: '10.00' }] } });
+        expect(body.transfers[0].destination).toBe('1234567897');
+    });
+
+    test('cleans free text', () => {
+        const hash = '$2b$10$' + 'a'.repeat(53);
+        expect(redactText(`Transfer from 1234567897 with Bearer abc.def and ${hash}`))
+            .toBe('Transfer from ******7897 with [REDACTED] and [REDACTED]');
+        // Numbers that are not account numbers stay readable
+        expect(redactText('Took 1234567890 ms')).toBe('Took 1234567890 ms');
+    });
+
+    test('keeps dates and turns errors into their message and stack', () => {
+        const date = new Date();
+        expect(redact({ at: date }).at).toBe(date);
+        expect(redact(new Error('Account 1234567897 not found')).message).toBe('Account ******7897 not found');
+    });
+});
+
+describe('requestContext middleware', () => {
+    let req;
+    let res;
+
+    beforeEach(() => {
+        const headers = { 'x-request-id': 'client-id-1', 'user-agent': 'jest' };
+        req = { method: 'POST', originalUrl: '/account/deposit', ip: '203.0.113.7', get: name => headers[name.toLowerCase()] };
+        res = Object.assign(new EventEmitter(), {
+            statusCode: 200,
+            writableFinished: true,
+            headers: {},
+            setHeader(name, value) { this.headers[name] = value; },
+            getHeader(name) { return this.headers[name]; },
+        });
+        jest.spyOn(logger, 'info').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('propagates the client request id and runs the rest of the request in its context', () => {
+        let context;
+        requestContext(req, res, () => {
+            context = getRequestContext();
+        });
+        expect(res.headers['X-Request-Id']).toBe('client-id-1');
+        expect(context).toMatchObject({ requestId: 'client-id-1', ip: '203.0.113.7', userAgent: 'jest' });
+    });
+
+    test('replaces request ids that are unsafe to log', () => {
+        req.get = name => (name === 'X-Request-Id' ? 'bad id\nforged line' : undefined);
+        requestContext(req, res, () => {});
+        expect(res.headers['X-Request-Id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    test('writes one access log line when the response is done', () => {
+        requestContext(req, res, () => {
+            getRequestContext().actor = { email: 'john@example.com', role: 'customer' };
+        });
+        res.statusCode = 201;
+        res.emit('close');
+        expect(logger.info).toHaveBeenCalledTimes(1);
+        expect(logger.info).toHaveBeenCalledWith('request', expect.objectContaining({
+            type: 'access',
+            requestId: 'client-id-1',
+            method: 'POST',
+            path: '/account/deposit',
+            status: 201,
+            durationMs: expect.any(Number),
+            actor: 'john@example.com',
+        }));
+    });
+});
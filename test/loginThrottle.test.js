@@ -0,0 +1,135 @@
+// The service uses the application's repository and reads its policy on load, so set both first
+process.env.STORAGE_BACKEND = 'memory';
+process.env.LOGIN_MAX_FAILURES_PER_ACCOUNT = '3';
+process.env.LOGIN_MAX_FAILURES_PER_IP = '5';
+process.env.LOGIN_LOCKOUT_BASE_SECONDS = '60';
+process.env.LOGIN_LOCKOUT_MAX_SECONDS = '300';
+
+const { repository } = require('../repositories');
+const loginThrottle = require('../services/loginThrottle');
+
+const START = new Date('2024-06-01T12:00:00Z').getTime();
+
+// Moves the clock to a number of seconds after START
+function at(seconds) {
+    jest.setSystemTime(START + seconds * 1000);
+}
+
+// Login attempts with a wrong password
+async function fail(times, email, ip) {
+    for (let i = 0; i < times; i++) {
+        await loginThrottle.attempt(email, ip);
+    }
+}
+
+// A login attempt with the right password
+async function succeed(email, ip) {
+    await loginThrottle.release(await loginThrottle.attempt(email, ip));
+}
+
+// When the email's lockout ends, if it is locked out
+async function lockedUntil(email) {
+    const [record] = (await loginThrottle.list()).filter(({ type, value }) => type === 'email' && value === email);
+    return record ? record.lockedUntil : null;
+}
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: START, doNotFake: ['nextTick', 'setImmediate'] });
+    repository.loginFailures.clear();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('login throttle', () => {
+    test('locks an email out once its failures reach the limit, from any IP', async () => {
+        await fail(2, 'jane@example.com', '10.0.0.1');
+        await succeed('jane@example.com', '10.0.0.2');
+        await fail(1, 'jane@example.com', '10.0.0.3');
+
+        await expect(loginThrottle.attempt('jane@example.com', '10.0.0.4'))
+            .rejects.toMatchObject({ statusCode: 429, retryAfter: 60 });
+        // Other emails are not affected
+        await succeed('john@example.com', '10.0.0.4');
+
+        // The refused attempt counted as a further failure, doubling the lockout
+        at(60);
+        await expect(loginThrottle.attempt('jane@example.com', '10.0.0.4')).rejects.toMatchObject({ retryAfter: 60 });
+        at(300);
+        await succeed('jane@example.com', '10.0.0.4');
+    });
+
+    test('doubles the lockout with each further failure, up to the maximum', async () => {
+        await fail(3, 'jane@example.com', null);
+        expect(await lockedUntil('jane@example.com')).toEqual(new Date(START + 60000));
+        at(60);
+        await fail(1, 'jane@example.com', null);
+        expect(await lockedUntil('jane@example.com')).toEqual(new Date(START + 180000));
+        at(180);
+        await fail(1, 'jane@example.com', null);
+        expect(await lockedUntil('jane@example.com')).toEqual(new Date(START + 420000));
+        at(420);
+        await fail(1, 'jane@example.com', null);
+        expect(await lockedUntil('jane@example.com')).toEqual(new Date(START + 720000));
+    });
+
+    test('lets only as many concurrent guesses through as the limit allows', async () => {
+        const results = await Promise.allSettled(Array.from({ length: 10 }, () => loginThrottle.attempt('jane@example.com', null)));
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(3);
+        expect(results.filter(result => result.status === 'rejected').map(result => result.reason.statusCode))
+            .toEqual(Array(7).fill(429));
+    });
+
+    test('does not count attempts whose password was right', async () => {
+        await fail(2, 'jane@example.com', '10.0.0.1');
+        for (let i = 0; i < 10; i++) {
+            await succeed('jane@example.com', '10.0.0.1');
+        }
+        expect(await loginThrottle.list()).toEqual([
+            expect.objectContaining({ type: 'email', failures: 2, lastFailureAt: new Date(START) }),
+            expect.objectContaining({ type: 'ip', failures: 2, lastFailureAt: new Date(START) }),
+        ]);
+    });
+
+    test('locks an IP out after failures across many emails', async () => {
+        for (let i = 0; i < 5; i++) {
+            await fail(1, `user${i}@example.com`, '10.0.0.9');
+        }
+        await expect(loginThrottle.attempt('new@example.com', '10.0.0.9')).rejects.toMatchObject({ statusCode: 429 });
+        await succeed('new@example.com', '10.0.0.10');
+    });
+
+    test('counts failures found after the attempt, such as wrong two-factor codes', async () => {
+        await loginThrottle.recordFailure('jane@example.com', '10.0.0.1');
+        expect(await loginThrottle.list()).toEqual([
+            expect.objectContaining({ type: 'email', failures: 1 }),
+            expect.objectContaining({ type: 'ip', failures: 1 }),
+        ]);
+    });
+
+    test('clears the email count on success but keeps the IP count', async () => {
+        await fail(2, 'jane@example.com', '10.0.0.1');
+        await succeed('jane@example.com', '10.0.0.1');
+        await loginThrottle.recordSuccess('jane@example.com');
+        const records = await loginThrottle.list();
+        expect(records).toEqual([expect.objectContaining({ type: 'ip', value: '10.0.0.1', failures: 2, lockedUntil: null })]);
+    });
+
+    test('forgets failures a day after the last one', async () => {
+        await fail(2, 'jane@example.com', null);
+        at(24 * 60 * 60);
+        await fail(1, 'jane@example.com', null);
+        await succeed('jane@example.com', null);
+    });
+
+    test('lets admins list and clear lockouts', async () => {
+        await fail(3, 'jane@example.com', '10.0.0.1');
+        expect(await loginThrottle.list({ lockedOnly: true })).toEqual([
+            expect.objectContaining({ type: 'email', value: 'jane@example.com', failures: 3, lockedUntil: new Date(START + 60000) }),
+        ]);
+        expect(await loginThrottle.clear({ email: 'jane@example.com', ip: '10.0.0.1' })).toEqual(['email:jane@example.com', 'ip:10.0.0.1']);
+        expect(await loginThrottle.clear({ email: 'jane@example.com' })).toEqual([]);
+        await succeed('jane@example.com', '10.0.0.1');
+    });
+});
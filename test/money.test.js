@@ -0,0 +1,49 @@
+const { parseAmount, formatAmount } = require('../utils/money');
+const { ValidationError } = require('../middlewares/errorMiddleware');
+
+describe('parseAmount', () => {
+    test('converts decimal amounts to integer minor units', () => {
+        expect(parseAmount('10')).toBe(1000);
+        expect(parseAmount('10.5')).toBe(1050);
+        expect(parseAmount(' 0.01 ')).toBe(1);
+        expect(parseAmount(0.1)).toBe(10);
+        expect(parseAmount('-3.25')).toBe(-325);
+        expect(parseAmount('1500', 'JPY')).toBe(1500);
+    });
+
+    test.each([
+        ['too many decimal places', '1.005'],
+        ['float artefacts', 0.1 + 0.2],
+        ['decimals on a zero-decimal currency', '1.5', 'JPY'],
+        ['exponent notation', '1e3'],
+        ['exponent numbers', 1e21],
+        ['NaN', NaN],
+        ['NaN string', 'NaN'],
+        ['Infinity', Infinity],
+        ['Infinity string', 'Infinity'],
+        ['non-numeric strings', 'ten dollars'],
+        ['thousand separators', '1,000'],
+        ['empty strings', ''],
+        ['missing amounts', undefined],
+        ['hex strings', '0x10'],
+        ['unsafe integers', '90071992547409.93'],
+        ['unknown currencies', '1', 'XYZ'],
+    ])('rejects %s', (label, input, currency = 'USD') => {
+        expect(() => parseAmount(input, currency)).toThrow(ValidationError);
+    });
+});
+
+describe('formatAmount', () => {
+    test('renders minor units with the currency decimal places', () => {
+        expect(formatAmount(1050)).toBe('10.50');
+        expect(formatAmount(5)).toBe('0.05');
+        expect(formatAmount(-325)).toBe('-3.25');
+        expect(formatAmount(0)).toBe('0.00');
+        expect(formatAmount(1500, 'JPY')).toBe('1500');
+    });
+
+    test('round-trips parsed amounts', () => {
+        const total = [parseAmount('0.1'), parseAmount('0.1'), parseAmount('0.1')].reduce((a, b) => a + b, 0);
+        expect(formatAmount(total)).toBe('0.30');
+    });
+});
@@ -0,0 +1,42 @@
+const { encodeCursor, decodeCursor, parseSort, escapeRegExp } = require('../utils/pagination');
+const { ValidationError } = require('../middlewares/errorMiddleware');
+
+describe('pagination cursors', () => {
+    test('round-trip dates, numbers and ids', () => {
+        const date = new Date('2024-03-01T10:00:00.000Z');
+        expect(decodeCursor(encodeCursor('-date', date, 'abc'), '-date')).toEqual({ value: date, id: 'abc' });
+        expect(decodeCursor(encodeCursor('amount', -2500, 'def'), 'amount')).toEqual({ value: -2500, id: 'def' });
+    });
+
+    test('are URL-safe', () => {
+        expect(encodeCursor('-date', new Date(), '65f0c0ffee0000000000abcd')).toMatch(/^[A-Za-z0-9_-]+$/);
+    });
+
+    test.each([
+        ['garbage', 'not a cursor'],
+        ['JSON without an id', Buffer.from('{"sort":"-date","value":1}').toString('base64url')],
+        ['invalid dates', Buffer.from('{"sort":"-date","date":"never","id":"a"}').toString('base64url')],
+    ])('reject %s', (label, cursor) => {
+        expect(() => decodeCursor(cursor, '-date')).toThrow(ValidationError);
+    });
+
+    test('reject cursors created for another sort order', () => {
+        const cursor = encodeCursor('amount', 10, 'abc');
+        expect(() => decodeCursor(cursor, '-amount')).toThrow(ValidationError);
+    });
+});
+
+describe('parseSort', () => {
+    test('reads direction from a leading minus', () => {
+        expect(parseSort('date')).toEqual({ key: 'date', direction: 1 });
+        expect(parseSort('-amount')).toEqual({ key: 'amount', direction: -1 });
+    });
+});
+
+describe('escapeRegExp', () => {
+    test('makes searches literal', () => {
+        const pattern = new RegExp(escapeRegExp('a.b*(c)'), 'i');
+        expect(pattern.test('xx A.B*(C) yy')).toBe(true);
+        expect(pattern.test('aXbbc')).toBe(false);
+    });
+});
@@ -0,0 +1,93 @@
+// The middleware reads its store and policies on load, so set them first
+process.env.STORAGE_BACKEND = 'memory';
+process.env.JWT_SECRET_KEY = 'test-secret';
+process.env.RATE_LIMIT_MONEY = '2/60';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { rateLimit, clientKey, POLICIES } = require('../middlewares/rateLimitMiddleware');
+const { errorHandler } = require('../middlewares/errorMiddleware');
+
+function tokenFor(sub, secret = process.env.JWT_SECRET_KEY) {
+    return jwt.sign({ sub, email: `${sub}@example.com` }, secret, { expiresIn: '15m' });
+}
+
+describe('clientKey', () => {
+    test('counts an authenticated request against its user', () => {
+        const req = { ip: '10.0.0.1', headers: { authorization: `Bearer ${tokenFor('alice')}` } };
+        expect(clientKey(req)).toBe('user:alice');
+    });
+
+    test('counts an anonymous request against its IP', () => {
+        expect(clientKey({ ip: '10.0.0.1', headers: {} })).toBe('ip:10.0.0.1');
+    });
+
+    test('counts a request with a badly signed token against its IP', () => {
+        const req = { ip: '10.0.0.1', headers: { authorization: `Bearer ${tokenFor('alice', 'other-secret')}` } };
+        expect(clientKey(req)).toBe('ip:10.0.0.1');
+    });
+});
+
+describe('rateLimit', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(done => {
+        const app = express();
+        app.post('/money', rateLimit('money'), (req, res) => res.json({ ok: true }));
+        app.get('/read', rateLimit('read'), (req, res) => res.json({ ok: true }));
+        app.use(errorHandler);
+        server = app.listen(0, () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    function post(token) {
+        return fetch(`${baseUrl}/money`, {
+            method: 'POST',
+            headers: token ? { Authorization: `Bearer ${token}` } : {},
+        });
+    }
+
+    test('rejects unknown policies', () => {
+        expect(() => rateLimit('everything')).toThrow('Unknown rate limit policy');
+    });
+
+    test('sends the standard RateLimit headers with the policy from the environment', async () => {
+        const response = await fetch(`${baseUrl}/read`);
+        expect(response.status).toBe(200);
+        expect(response.headers.get('ratelimit-limit')).toBe(String(POLICIES.read.limit));
+        expect(response.headers.get('ratelimit-remaining')).toBe(String(POLICIES.read.limit - 1));
+        expect(response.headers.get('ratelimit-policy')).toBe(`${POLICIES.read.limit};w=${POLICIES.read.windowSeconds}`);
+        expect(Number(response.headers.get('ratelimit-reset'))).toBeGreaterThan(0);
+
+        const money = await post(tokenFor('carol'));
+        expect(money.headers.get('ratelimit-policy')).toBe('2;w=60');
+    });
+
+    test('refuses a user over the limit with 429 and Retry-After, without affecting others on the same IP', async () => {
+        const bob = tokenFor('bob');
+        expect((await post(bob)).status).toBe(200);
+        expect((await post(bob)).status).toBe(200);
+
+        const refused = await post(bob);
+        expect(refused.status).toBe(429);
+        expect(Number(refused.headers.get('retry-after'))).toBeGreaterThan(0);
+        expect(refused.headers.get('ratelimit-remaining')).toBe('0');
+        expect((await refused.json()).error).toEqual({ name: 'TooManyRequestsError', message: 'Too many requests. Try again later.' });
+
+        // Same IP, different user
+        expect((await post(tokenFor('dave'))).status).toBe(200);
+    });
+
+    test('counts anonymous requests against the IP', async () => {
+        expect((await post()).status).toBe(200);
+        expect((await post()).status).toBe(200);
+        expect((await post()).status).toBe(429);
+    });
+});
@@ -0,0 +1,40 @@
+const { occurrenceAt } = require('../utils/recurrence');
+
+// Lists the occurrences of a schedule until it ends (at most `limit`)
+function occurrences(schedule, limit = 20) {
+    const dates = [];
+    for (let i = 0; i < limit; i++) {
+        const date = occurrenceAt(schedule, i);
+        if (!date) break;
+        dates.push(date.toISOString().slice(0, 10));
+    }
+    return dates;
+}
+
+describe('occurrenceAt', () => {
+    test('one-off payments run once', () => {
+        expect(occurrences({ frequency: 'once', startAt: new Date('2024-05-10T09:00:00Z') })).toEqual(['2024-05-10']);
+    });
+
+    test('daily and weekly payments stop after count', () => {
+        const startAt = new Date('2024-05-30T09:00:00Z');
+        expect(occurrences({ frequency: 'daily', startAt, count: 3 })).toEqual(['2024-05-30', '2024-05-31', '2024-06-01']);
+        expect(occurrences({ frequency: 'weekly', startAt, count: 2 })).toEqual(['2024-05-30', '2024-06-06']);
+    });
+
+    test('monthly payments keep their day and fall back to the end of shorter months', () => {
+        const startAt = new Date('2024-01-31T09:00:00Z');
+        expect(occurrences({ frequency: 'monthly', startAt, count: 4 }))
+            .toEqual(['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30']);
+        expect(occurrenceAt({ frequency: 'monthly', startAt }, 13).toISOString()).toBe('2025-02-28T09:00:00.000Z');
+    });
+
+    test('payments stop after the end date', () => {
+        const schedule = {
+            frequency: 'monthly',
+            startAt: new Date('2024-11-01T00:00:00Z'),
+            endDate: new Date('2025-02-01T00:00:00Z'),
+        };
+        expect(occurrences(schedule)).toEqual(['2024-11-01', '2024-12-01', '2025-01-01', '2025-02-01']);
+    });
+});
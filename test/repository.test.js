@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRepository } = require('../repositories');
+const MemoryRepository = require('../repositories/memoryRepository');
+const LowdbRepository = require('../repositories/lowdbRepository');
+const eventBus = require('../services/eventBus');
+const { describeRepositoryContract } = require('./repositoryContract');
+
+// Each lowdb test gets its own file in this directory
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bankofbrown-'));
+let files = 0;
+
+afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describeRepositoryContract('memory', async () => {
+    const repository = createRepository('memory');
+    await repository.connect();
+    return repository;
+});
+
+describeRepositoryContract('lowdb', async () => {
+    const repository = new LowdbRepository(path.join(dir, `db-${++files}.json`));
+    await repository.connect();
+    return repository;
+}, repository => new LowdbRepository(repository.file));
+
+describe('lowdb repository files', () => {
+    test('keep the data across restarts', async () => {
+        const file = path.join(dir, 'restart.json');
+        const first = new LowdbRepository(file);
+        const user = await first.create('Jane Doe', 'jane@example.com', 'hash');
+        const { accountNumber } = user.accounts[0];
+        await first.deposit(accountNumber, 1250);
+        await first.close();
+
+        const second = new LowdbRepository(file);
+        await second.connect();
+        const [account] = await second.findAccounts('jane@example.com');
+        expect(account.balance).toBe(1250);
+        expect(account.userId.equals(user._id)).toBe(true);
+        const { entries } = await second.queryTransactions(accountNumber);
+        expect(entries[0].timestamp).toBeInstanceOf(Date);
+        // The audit chain still verifies, so ids and dates were restored exactly
+        expect(await second.verifyAuditChain()).toMatchObject({ valid: true, checked: 3 });
+        await second.deposit(accountNumber, 1);
+        expect(await second.verifyAuditChain()).toMatchObject({ valid: true, checked: 4 });
+    });
+
+    test('hold the outbox deliveries of a change even if its event is never published', async () => {
+        const file = path.join(dir, 'outbox.json');
+        const first = new LowdbRepository(file);
+        const webhook = await first.saveWebhook({ url: 'https://example.com/hooks', events: ['transaction.deposit'], secret: 'whsec_test', enabled: true });
+        const { accounts } = await first.create('Jane Doe', 'jane@example.com', 'hash');
+        // As if the process died right after the deposit was written, before the bus called anyone
+        const publish = jest.spyOn(eventBus, 'publish').mockImplementation(() => {});
+        try {
+            await first.deposit(accounts[0].accountNumber, 1250);
+        } finally {
+            publish.mockRestore();
+        }
+
+        const second = new LowdbRepository(file);
+        const [delivery] = await second.listWebhookDeliveries({ webhookId: webhook._id });
+        expect(delivery).toMatchObject({ status: 'pending', event: { type: 'transaction.deposit', data: { account: { balance: '12.50' } } } });
+        expect(await second.claimWebhookDelivery(new Date(), new Date(Date.now() + 60000))).toMatchObject({ _id: delivery._id });
+    });
+
+    test('are read before every operation, each of which says whether it writes', () => {
+        // An operation added to the in-memory repository must be added here too, through save or read
+        const operations = Object.getOwnPropertyNames(MemoryRepository.prototype).filter(name => name !== 'constructor');
+        const missing = operations.filter(name => !Object.prototype.hasOwnProperty.call(LowdbRepository.prototype, name));
+        expect(missing).toEqual([]);
+    });
+
+    test('are not written for operations that fail', async () => {
+        const file = path.join(dir, 'failed.json');
+        const repository = new LowdbRepository(file);
+        const { accounts } = await repository.create('Jane Doe', 'jane@example.com', 'hash');
+        const before = fs.readFileSync(file, 'utf8');
+        await expect(repository.withdraw(accounts[0].accountNumber, 100)).rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS' });
+        expect(fs.readFileSync(file, 'utf8')).toBe(before);
+    });
+});
+
+describe('createRepository', () => {
+    test('rejects unknown backends', () => {
+        expect(() => createRepository('postgres')).toThrow('Unknown storage backend "postgres"');
+    });
+});
@@ -0,0 +1,656 @@
+// repositoryContract.js
+// ./backend/test/repositoryContract.js
+//
+// Behaviour every storage backend must share (see repositories/repository.js). Each backend's
+// test file runs it with a function that returns an empty, connected repository.
+
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { generateAccountNumber, isValidAccountNumber } = require('../utils/accountNumber');
+const { formatAmount } = require('../utils/money');
+const { MONGO_FEATURES } = require('../repositories/repository');
+
+/**
+ * Defines the contract tests for a storage backend.
+ * @param {string} name - The backend name, used in test names.
+ * @param {Function} setup - Returns (a promise of) an empty, connected repository; called before each test.
+ * @param {Function} [reopen] - Given a repository, returns a new one over the same data that is not
+ * connected yet; for backends whose data outlives the repository object.
+ */
+function describeRepositoryContract(name, setup, reopen) {
+    describe(`${name} repository`, () => {
+        let repository;
+
+        beforeEach(async () => {
+            repository = await setup();
+        });
+
+        // Creates a user and returns the number of the checking account opened with it
+        async function openChecking(email) {
+            const user = await repository.create('Test User', email, 'hash');
+            return user.accounts[0].accountNumber;
+        }
+
+        async function balanceOf(accountNumber) {
+            return (await repository.findAccount(accountNumber)).balance;
+        }
+
+        test('provides the features implemented directly on MongoDB only on MongoDB', () => {
+            for (const feature of MONGO_FEATURES) {
+                expect(repository.supports(feature)).toBe(name === 'mongo');
+            }
+            expect(repository.supports('teleportation')).toBe(false);
+        });
+
+        describe('users', () => {
+            test('creates a customer with a checking account', async () => {
+                const user = await repository.create('Jane Doe', 'jane@example.com', 'hash');
+                expect(user).toMatchObject({ name: 'Jane Doe', email: 'jane@example.com', role: 'customer', emailVerifiedAt: null });
+                expect(user.accounts).toHaveLength(1);
+                expect(user.accounts[0]).toMatchObject({ type: 'checking', balance: 0, currency: 'USD' });
+                expect(isValidAccountNumber(user.accounts[0].accountNumber)).toBe(true);
+            });
+
+            test('refuses a second user with the same email', async () => {
+                await repository.create('Jane Doe', 'jane@example.com', 'hash');
+                await expect(repository.create('Jane Other', 'jane@example.com', 'hash')).rejects.toMatchObject({ statusCode: 409 });
+                expect(await repository.find('jane@example.com')).toHaveLength(1);
+                expect(await repository.findAccounts('jane@example.com')).toHaveLength(1);
+            });
+
+            test('finds users by email and id', async () => {
+                const { _id } = await repository.create('Jane Doe', 'jane@example.com', 'hash');
+                expect(await repository.find('jane@example.com')).toHaveLength(1);
+                expect(await repository.find('nobody@example.com')).toEqual([]);
+                expect((await repository.findOne('jane@example.com')).name).toBe('Jane Doe');
+                expect((await repository.findUserById(_id)).email).toBe('jane@example.com');
+                await expect(repository.findOne('nobody@example.com')).rejects.toMatchObject({ statusCode: 404 });
+            });
+
+            test('updates fields and roles', async () => {
+                await repository.create('Jane Doe', 'jane@example.com', 'hash');
+                expect((await repository.update('jane@example.com', { name: 'Janet Doe' })).name).toBe('Janet Doe');
+                expect(await repository.update('nobody@example.com', { name: 'X' })).toBeNull();
+                expect((await repository.setRole('jane@example.com', 'teller')).role).toBe('teller');
+                await expect(repository.setRole('jane@example.com', 'owner')).rejects.toMatchObject({ statusCode: 400 });
+            });
+
+            test('lists users a page at a time, oldest first', async () => {
+                for (const email of ['a@example.com', 'b@example.com', 'c@example.com']) {
+                    await repository.create('User', email, 'hash');
+                }
+                const first = await repository.listUsers({ limit: 2 });
+                expect(first.users.map(u => u.email)).toEqual(['a@example.com', 'b@example.com']);
+                const second = await repository.listUsers({ limit: 2, cursor: first.nextCursor });
+                expect(second.users.map(u => u.email)).toEqual(['c@example.com']);
+                expect(second.nextCursor).toBeNull();
+            });
+
+            test('returns copies, not the stored documents', async () => {
+                const user = await repository.findOne((await repository.create('Jane', 'jane@example.com', 'hash')).email);
+                user.name = 'Changed';
+                expect((await repository.findOne('jane@example.com')).name).toBe('Jane');
+            });
+        });
+
+        describe('accounts and money', () => {
+            test('opens additional accounts', async () => {
+                await openChecking('jane@example.com');
+                const savings = await repository.openAccount('jane@example.com', 'savings');
+                const accounts = await repository.findAccounts('jane@example.com');
+                expect(accounts.map(a => a.type)).toEqual(['checking', 'savings']);
+                expect(accounts[1].accountNumber).toBe(savings.accountNumber);
+                await expect(repository.openAccount('jane@example.com', 'crypto')).rejects.toMatchObject({ statusCode: 400 });
+            });
+
+            test('picks another account number when the generated one is taken', async () => {
+                // Draw the digits of these account number bodies, in order
+                const digits = [...'111111111' + '111111111' + '222222222' + '222222222' + '333333333'].map(Number);
+                const randomInt = jest.spyOn(crypto, 'randomInt').mockImplementation(() => digits.shift());
+                try {
+                    expect(await openChecking('jane@example.com')).toBe('1111111116');
+                    const john = await repository.create('John Doe', 'john@example.com', 'hash');
+                    expect(john.accounts[0].accountNumber).toBe('2222222222');
+                    expect((await repository.openAccount('john@example.com', 'savings')).accountNumber).toBe('3333333338');
+                } finally {
+                    randomInt.mockRestore();
+                }
+                expect(digits).toEqual([]);
+                expect(await repository.findAccounts('john@example.com')).toHaveLength(2);
+            });
+
+            test('deposits and withdraws', async () => {
+                const accountNumber = await openChecking('jane@example.com');
+                expect((await repository.deposit(accountNumber, 10000)).balance).toBe(10000);
+                expect((await repository.withdraw(accountNumber, 2550)).balance).toBe(7450);
+            });
+
+            test('rejects withdrawals the balance does not cover, without changing it', async () => {
+                const accountNumber = await openChecking('jane@example.com');
+                await repository.deposit(accountNumber, 1000);
+                await expect(repository.withdraw(accountNumber, 1001)).rejects.toMatchObject({
+                    statusCode: 422,
+                    code: 'INSUFFICIENT_FUNDS',
+                    details: { available: formatAmount(1000, 'USD') },
+                });
+                expect(await balanceOf(accountNumber)).toBe(1000);
+            });
+
+            test('rejects malformed and unknown accounts and non-positive amounts', async () => {
+                const accountNumber = await openChecking('jane@example.com');
+                await expect(repository.deposit('123', 100)).rejects.toMatchObject({ statusCode: 400 });
+                await expect(repository.deposit(accountNumber, 0)).rejects.toMatchObject({ statusCode: 400 });
+                await expect(repository.deposit(accountNumber, 1.5)).rejects.toMatchObject({ statusCode: 400 });
+                await expect(repository.findAccount(generateAccountNumber())).rejects.toMatchObject({ statusCode: 404 });
+            });
+
+            test('transfers between accounts', async () => {
+                const source = await openChecking('jane@example.com');
+                const destination = await openChecking('john@example.com');
+                await repository.deposit(source, 5000);
+                const result = await repository.transfer(source, destination, 2000, 'Rent');
+                expect(result.source.balance).toBe(3000);
+                expect(result.destination.balance).toBe(2000);
+                const [debit] = (await repository.queryTransactions(source)).entries;
+                const [credit] = (await repository.queryTransactions(destination)).entries;
+                expect(debit).toMatchObject({ type: 'transfer', amount: -2000, description: 'Rent' });
+                expect(credit).toMatchObject({ type: 'transfer', amount: 2000, description: 'Rent' });
+                expect(String(debit.transferId)).toBe(String(credit.transferId));
+            });
+
+            test('rejects failed transfers without moving money', async () => {
+                const source = await openChecking('jane@example.com');
+                const destination = await openChecking('john@example.com');
+                await repository.deposit(source, 1000);
+                await expect(repository.transfer(source, source, 100)).rejects.toMatchObject({ statusCode: 400 });
+                await expect(repository.transfer(source, destination, 1500)).rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS' });
+                expect(await balanceOf(source)).toBe(1000);
+                expect(await balanceOf(destination)).toBe(0);
+            });
+
+            test('posts typed entries, which need a covering balance for debits', async () => {
+                const accountNumber = await openChecking('jane@example.com');
+                const entry = await repository.createTransaction(accountNumber, 'adjustment', 500, 'Correction');
+                expect(entry).toMatchObject({ type: 'adjustment', amount: 500, balance: 500 });
+                await expect(repository.createTransaction(accountNumber, 'fee', -600)).rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS' });
+                await expect(repository.createTransaction(accountNumber, 'gift', 100)).rejects.toMatchObject({ statusCode: 400 });
+                expect(await balanceOf(accountNumber)).toBe(500);
+            });
+        });
+
+        describe('limits', () => {
+            test('enforces the per-transaction limit', async () => {
+                const accountNumber = await openChecking('jane@example.com');
+                await repository.deposit(accountNumber, 100000);
+                await repository.setAccountLimits(accountNumber, { perTransaction: 5000 });
+                await expect(repository.withdraw(accountNumber, 5001)).rejects.toMatchObject({
+                    statusCode: 422,
+                    code: 'TRANSACTION_LIMIT_EXCEEDED',
+                });
+                expect((await repository.withdraw(accountNumber, 5000)).balance).toBe(95000);
+            });
+
+            test('enforces the daily withdrawal cap across debits and reports what remains', async () => {
+                const source = await openChecking('jane@example.com');
+                const destination = await openChecking('john@example.com');
+                await repository.deposit(source, 100000);
+                await repository.setAccountLimits(source, { dailyWithdrawal: 10000 });
+                await repository.withdraw(source, 6000);
+                await repository.transfer(source, destination, 3000);
+                await expect(repository.withdraw(source, 1001)).rejects.toMatchObject({
+                    code: 'DAILY_LIMIT_EXCEEDED',
+                    details: { remaining: formatAmount(1000, 'USD') },
+                });
+                const { remaining } = await repository.getAccountLimits(source);
+                expect(remaining.daily).toBe(formatAmount(1000, 'USD'));
+            });
+
+            test('allows an overdraft and charges its fee', async () => {
+                const accountNumber = await openChecking('jane@example.com');
+                await repository.deposit(accountNumber, 1000);
+                await repository.setAccountLimits(accountNumber, { overdraft: 5000, overdraftFee: 2500 });
+                expect((await repository.withdraw(accountNumber, 3000)).balance).toBe(-4500);
+                const { entries } = await repository.queryTransactions(accountNumber, { type: 'fee' });
+                expect(entries).toHaveLength(1);
+                expect(entries[0]).toMatchObject({ amount: -2500, description: 'Overdraft fee' });
+                await expect(repository.withdraw(accountNumber, 1000)).rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS' });
+            });
+
+            test('removes overrides set to null', async () => {
+                const accountNumber = await openChecking('jane@example.com');
+                await repository.setAccountLimits(accountNumber, { overdraft: 5000 });
+                await repository.setAccountLimits(accountNumber, { overdraft: null });
+                expect((await repository.getAccountLimits(accountNumber)).available).toBe(formatAmount(0, 'USD'));
+                await expect(repository.setAccountLimits(accountNumber, {})).rejects.toMatchObject({ statusCode: 400 });
+            });
+        });
+
+        describe('account status', () => {
+            const reason = 'Customer request';
+
+            test('opens accounts active, or pending until activated', async () => {
+                const accountNumber = await openChecking('jane@example.com');
+                expect((await repository.findAccount(accountNumber)).status).toBe('active');
+                const { accountNumber: pending } = await repository.openAccount('jane@example.com', 'savings', { pending: true });
+                await expect(repository.deposit(pending, 100)).rejects.toMatchObject({ code: 'ACCOUNT_PENDING' });
+                const account = await repository.changeAccountStatus(pending, 'activate', { reason });
+                expect(account).toMatchObject({ status: 'active', statusReason: reason });
+                expect((await repository.deposit(pending, 100)).balance).toBe(100);
+            });
+
+            test('frozen accounts take credits but reject debits', async () => {
+                const accountNumber = await openChecking('jane@example.com');
+                const other = await openChecking('john@example.com');
+                await repository.deposit(accountNumber, 1000);
+                await repository.deposit(other, 1000);
+                await repository.changeAccountStatus(accountNumber, 'freeze', {
+                    reason: 'Suspected fraud',
+                    changedBy: { email: 'admin@example.com', role: 'admin' },
+                });
+
+                await expect(repository.withdraw(accountNumber, 100)).rejects.toMatchObject({ statusCode: 409, code: 'ACCOUNT_FROZEN' });
+                await expect(repository.transfer(accountNumber, other, 100)).rejects.toMatchObject({ code: 'ACCOUNT_FROZEN' });
+                await expect(repository.createTransaction(accountNumber, 'fee', -100)).rejects.toMatchObject({ code: 'ACCOUNT_FROZEN' });
+                await repository.deposit(accountNumber, 100);
+                await repository.transfer(other, accountNumber, 100);
+                expect(await balanceOf(accountNumber)).toBe(1200);
+
+                await repository.changeAccountStatus(accountNumber, 'unfreeze', { reason: 'Cleared' });
+                expect((await repository.withdraw(accountNumber, 200)).balance).toBe(1000);
+            });
+
+            test('closed accounts reject every balance change and are kept', async () => {
+                const accountNumber = await openChecking('jane@example.com');
+                const other = await openChecking('john@example.com');
+                await repository.deposit(other, 1000);
+                const closed = await repository.changeAccountStatus(accountNumber, 'close', { reason });
+                expect(closed.status).toBe('closed');
+
+                await expect(repository.deposit(accountNumber, 100)).rejects.toMatchObject({ code: 'ACCOUNT_CLOSED' });
+                await expect(repository.transfer(other, accountNumber, 100)).rejects.toMatchObject({ code: 'ACCOUNT_CLOSED' });
+                expect(await balanceOf(other)).toBe(1000);
+                expect((await repository.findAccounts('jane@example.com')).map(a => a.status)).toEqual(['closed']);
+                await expect(repository.changeAccountStatus(accountNumber, 'freeze', { reason })).rejects.toMatchObject({ statusCode: 409 });
+
+                await repository.changeAccountStatus(accountNumber, 'reopen', { reason: 'Customer returned' });
+                expect((await repository.deposit(accountNumber, 100)).balance).toBe(100);
+            });
+
+            test('closing needs a zero balance or a payout', async () => {
+                const accountNumber = await openChecking('jane@example.com');
+                const payoutTo = await openChecking('john@example.com');
+                await repository.deposit(accountNumber, 1500);
+                await repository.changeAccountStatus(accountNumber, 'freeze', { reason });
+
+                await expect(repository.changeAccountStatus(accountNumber, 'close', { reason })).rejects.toMatchObject({ statusCode: 409 });
+                const closed = await repository.changeAccountStatus(accountNumber, 'close', { reason, payoutTo });
+                expect(closed).toMatchObject({ status: 'closed', balance: 0 });
+                expect(await balanceOf(payoutTo)).toBe(1500);
+                const [payout] = (await repository.queryTransactions(accountNumber)).entries;
+                expect(payout).toMatchObject({ type: 'transfer', amount: -1500, description: `Closing payout to ${payoutTo}` });
+            });
+
+            test('requires a reason and records the change', async () => {
+                const accountNumber = await openChecking('jane@example.com');
+                await expect(repository.changeAccountStatus(accountNumber, 'freeze', { reason: ' ' })).rejects.toMatchObject({ statusCode: 400 });
+                await expect(repository.changeAccountStatus(accountNumber, 'freeze', { reason, payoutTo: accountNumber }))
+                    .rejects.toMatchObject({ statusCode: 400 });
+                await repository.changeAccountStatus(accountNumber, 'freeze', { reason });
+                const { events: [event] } = await repository.queryAuditEvents({ action: 'account.status' });
+                expect(event.changes.status).toEqual({ before: 'active', after: 'frozen' });
+                expect(event.details).toEqual({ transition: 'freeze', reason });
+            });
+        });
+
+        describe('history', () => {
+            test('filters, sorts and pages ledger entries', async () => {
+                const accountNumber = await openChecking('jane@example.com');
+                for (const amount of [300, 100, 200]) {
+                    await repository.deposit(accountNumber, amount);
+                }
+                await repository.withdraw(accountNumber, 50);
+
+                const newest = await repository.queryTransactions(accountNumber, { limit: 3 });
+                expect(newest.entries.map(e => e.amount)).toEqual([-50, 200, 100]);
+                const rest = await repository.queryTransactions(accountNumber, { limit: 3, cursor: newest.nextCursor });
+                expect(rest.entries.map(e => e.amount)).toEqual([300]);
+                expect(rest.nextCursor).toBeNull();
+
+                const byAmount = await repository.queryTransactions(accountNumber, { sort: 'amount', minAmount: 0, limit: 2 });
+                expect(byAmount.entries.map(e => e.amount)).toEqual([100, 200]);
+                const more = await repository.queryTransactions(accountNumber, { sort: 'amount', minAmount: 0, limit: 2, cursor: byAmount.nextCursor });
+                expect(more.entries.map(e => e.amount)).toEqual([300]);
+
+                const withdrawals = await repository.queryTransactions(accountNumber, { search: 'withdr' });
+                expect(withdrawals.entries).toHaveLength(1);
+                await expect(repository.queryTransactions(accountNumber, { cursor: 'garbage' })).rejects.toMatchObject({ statusCode: 400 });
+            });
+
+            test('prepares statements with opening and closing balances', async () => {
+                const accountNumber = await openChecking('jane@example.com');
+                await repository.deposit(accountNumber, 1000);
+                const from = new Date(Date.now() + 1);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                await repository.deposit(accountNumber, 500);
+                await repository.withdraw(accountNumber, 200);
+
+                const statement = await repository.getStatement(accountNumber, from, new Date());
+                const entries = [];
+                for await (const entry of statement.entries) entries.push(entry);
+                await statement.entries.close();
+                expect(statement.openingBalance).toBe(1000);
+                expect(statement.closingBalance).toBe(1300);
+                expect(entries.map(e => e.amount)).toEqual([500, -200]);
+            });
+        });
+
+        describe('audit log', () => {
+            test('records changes in a verifiable chain', async () => {
+                const accountNumber = await openChecking('jane@example.com');
+                await repository.deposit(accountNumber, 1000);
+                await repository.recordAuditEvent('user.login', { type: 'user', id: 'jane@example.com' });
+
+                const { events } = await repository.queryAuditEvents({ targetId: accountNumber });
+                expect(events.map(e => e.action)).toEqual(['account.deposit', 'account.open']);
+                expect(events[0].changes.balance).toEqual({ before: 0, after: 1000 });
+                expect(await repository.verifyAuditChain()).toEqual({ valid: true, checked: 4, brokenAt: null });
+            });
+
+            test('keeps one chain per changed object', async () => {
+                const jane = await openChecking('jane@example.com');
+                const john = await openChecking('john@example.com');
+                await Promise.all([repository.deposit(jane, 100), repository.deposit(john, 200), repository.deposit(jane, 300)]);
+
+                const { events } = await repository.queryAuditEvents({ targetId: jane });
+                expect(events.map(e => [e.chain, e.seq])).toEqual([[`account:${jane}`, 3], [`account:${jane}`, 2], [`account:${jane}`, 1]]);
+                expect(events[0].prevHash).toBe(events[1].hash);
+                const [johnsDeposit] = (await repository.queryAuditEvents({ targetId: john, action: 'account.deposit' })).events;
+                expect(johnsDeposit).toMatchObject({ chain: `account:${john}`, seq: 2 });
+                expect(await repository.verifyAuditChain()).toEqual({ valid: true, checked: 7, brokenAt: null });
+            });
+
+            test('pages audit events newest first', async () => {
+                await openChecking('jane@example.com');
+                const first = await repository.queryAuditEvents({ limit: 1 });
+                expect(first.events[0].action).toBe('account.open');
+                const second = await repository.queryAuditEvents({ limit: 1, cursor: first.nextCursor });
+                expect(second.events[0].action).toBe('user.create');
+                expect(second.nextCursor).toBeNull();
+            });
+        });
+
+        describe('sessions, login security and idempotency keys', () => {
+            test('lets a refresh token be claimed once', async () => {
+                const now = new Date();
+                await repository.saveRefreshToken({
+                    tokenHash: 'abc', familyId: 'f1', userId: null, email: 'jane@example.com',
+                    createdAt: now, expiresAt: new Date(now.getTime() + 60000), usedAt: null, revokedAt: null,
+                });
+                const claims = await Promise.all([repository.claimRefreshToken('abc', now), repository.claimRefreshToken('abc', now)]);
+                expect(claims.filter(Boolean)).toHaveLength(1);
+                expect((await repository.findRefreshToken('abc')).usedAt).toEqual(now);
+
+                await repository.revokeSession('f1', 'logout', new Date(now.getTime() + 60000));
+                expect((await repository.findRefreshToken('abc')).revokedAt).toBeInstanceOf(Date);
+                expect(await repository.isTokenRevoked({ familyId: 'f1' })).toBe(true);
+                expect(await repository.isTokenRevoked({ jti: 'j1', familyId: 'f2' })).toBe(false);
+            });
+
+            test('revokes all of a user\'s sessions but the one kept', async () => {
+                const { _id: userId } = await repository.create('Jane Doe', 'jane@example.com', 'hash');
+                const now = new Date();
+                for (const familyId of ['f1', 'f2', 'f3']) {
+                    await repository.saveRefreshToken({
+                        tokenHash: `hash-${familyId}`, familyId, userId, email: 'jane@example.com',
+                        createdAt: now, expiresAt: new Date(now.getTime() + 60000), usedAt: null, revokedAt: null,
+                    });
+                }
+                await repository.revokeUserSessions(userId, 'password-change', new Date(now.getTime() + 60000), 'f2');
+                expect(await repository.isTokenRevoked({ familyId: 'f1' })).toBe(true);
+                expect(await repository.isTokenRevoked({ familyId: 'f2' })).toBe(false);
+                expect(await repository.isTokenRevoked({ familyId: 'f3' })).toBe(true);
+                expect(await repository.claimRefreshToken('hash-f3', now)).toBeNull();
+                expect(await repository.claimRefreshToken('hash-f2', now)).toMatchObject({ familyId: 'f2' });
+            });
+
+            test('lets a user token be claimed once, for its purpose, until a newer one is sent', async () => {
+                const { _id: userId } = await repository.create('Jane Doe', 'jane@example.com', 'hash');
+                const now = new Date();
+                const token = {
+                    purpose: 'resetPassword', userId, email: 'jane@example.com',
+                    createdAt: now, expiresAt: new Date(now.getTime() + 60000), usedAt: null, revokedAt: null,
+                };
+                await repository.saveUserToken({ ...token, tokenHash: 't1' });
+                expect(await repository.claimUserToken('t1', 'verifyEmail', now)).toBeNull();
+                const claims = await Promise.all([repository.claimUserToken('t1', 'resetPassword', now), repository.claimUserToken('t1', 'resetPassword', now)]);
+                expect(claims.filter(Boolean)).toEqual([expect.objectContaining({ email: 'jane@example.com', usedAt: null })]);
+
+                await repository.saveUserToken({ ...token, tokenHash: 't2' });
+                await repository.saveUserToken({ ...token, tokenHash: 't3' });
+                expect(await repository.claimUserToken('t2', 'resetPassword', now)).toBeNull();
+                const later = new Date(now.getTime() + 60000);
+                expect(await repository.claimUserToken('t3', 'resetPassword', later)).toBeNull();
+                expect(await repository.claimUserToken('t3', 'resetPassword', now)).not.toBeNull();
+            });
+
+            test('counts failed logins per key until they expire or are cleared', async () => {
+                const start = new Date();
+                const at = seconds => new Date(start.getTime() + seconds * 1000);
+                expect(await repository.recordLoginFailure('email:jane@example.com', start, at(60))).toMatchObject({ failures: 1, previousFailureAt: null });
+                await repository.recordLoginFailure('ip:10.0.0.1', at(1), at(61));
+                const second = await repository.recordLoginFailure('email:jane@example.com', at(2), at(62));
+                expect(second).toMatchObject({ key: 'email:jane@example.com', failures: 2, firstFailureAt: start, lastFailureAt: at(2), expiresAt: at(62), previousFailureAt: start });
+
+                const found = await repository.findLoginFailures(['email:jane@example.com', 'email:john@example.com'], at(3));
+                expect(found.map(record => record.failures)).toEqual([2]);
+                expect((await repository.listLoginFailures(at(3))).map(record => record.key)).toEqual(['email:jane@example.com', 'ip:10.0.0.1']);
+                expect(await repository.listLoginFailures(at(3), 1)).toHaveLength(1);
+                expect(await repository.findLoginFailures(['email:jane@example.com'], at(62))).toEqual([]);
+
+                // An expired count starts afresh
+                expect(await repository.recordLoginFailure('email:jane@example.com', at(70), at(130))).toMatchObject({ failures: 1, firstFailureAt: at(70) });
+                expect(await repository.clearLoginFailures('email:jane@example.com')).toBe(true);
+                expect(await repository.clearLoginFailures('email:jane@example.com')).toBe(false);
+                expect(await repository.findLoginFailures(['email:jane@example.com'], at(71))).toEqual([]);
+            });
+
+            test('counts concurrent failed logins one after another and takes them back', async () => {
+                const now = new Date();
+                const expiresAt = new Date(now.getTime() + 60000);
+                const records = await Promise.all([1, 2, 3].map(() => repository.recordLoginFailure('ip:10.0.0.1', now, expiresAt)));
+                expect(records.map(record => record.failures).sort()).toEqual([1, 2, 3]);
+
+                const earlier = new Date(now.getTime() - 1000);
+                await repository.forgetLoginFailure('ip:10.0.0.1', earlier);
+                expect(await repository.findLoginFailures(['ip:10.0.0.1'], now)).toEqual([
+                    expect.objectContaining({ failures: 2, lastFailureAt: earlier }),
+                ]);
+                await repository.forgetLoginFailure('ip:10.0.0.1', earlier);
+                await repository.forgetLoginFailure('ip:10.0.0.1', null);
+                expect(await repository.findLoginFailures(['ip:10.0.0.1'], now)).toEqual([]);
+                await repository.forgetLoginFailure('ip:10.0.0.1', null);
+            });
+
+            test('accepts each two-factor step and recovery code once', async () => {
+                const user = await repository.create('Jane Doe', 'jane@example.com', 'hash');
+                expect(await repository.claimTotpStep(user._id, 100)).toBe(false);
+                await repository.update('jane@example.com', { twoFactor: { enabled: true, secret: 'S', lastUsedStep: 100, recoveryCodes: ['r1', 'r2'] } });
+
+                expect(await repository.claimTotpStep(user._id, 100)).toBe(false);
+                const claims = await Promise.all([repository.claimTotpStep(user._id, 101), repository.claimTotpStep(user._id, 101)]);
+                expect(claims.filter(Boolean)).toHaveLength(1);
+                expect(await repository.claimTotpStep(user._id, 100)).toBe(false);
+
+                expect(await repository.claimRecoveryCode(user._id, 'r3')).toBe(false);
+                expect(await repository.claimRecoveryCode(user._id, 'r2')).toBe(true);
+                expect(await repository.claimRecoveryCode(user._id, 'r2')).toBe(false);
+                expect((await repository.findUserById(user._id)).twoFactor).toMatchObject({ lastUsedStep: 101, recoveryCodes: ['r1'] });
+            });
+
+            test('reserves an idempotency key for one request', async () => {
+                const now = new Date();
+                const record = {
+                    key: 'k1', owner: 'jane@example.com', fingerprint: 'fp', status: 'processing',
+                    createdAt: now, lockedUntil: new Date(now.getTime() + 30000), expiresAt: new Date(now.getTime() + 60000),
+                };
+                expect(await repository.reserveIdempotencyKey(record)).toEqual({ reserved: true });
+                expect(await repository.reserveIdempotencyKey({ ...record, owner: 'john@example.com' })).toEqual({ reserved: true });
+
+                const retry = await repository.reserveIdempotencyKey(record);
+                expect(retry.reserved).toBe(false);
+                expect(retry.existing.status).toBe('processing');
+
+                await repository.completeIdempotencyKey('k1', 'jane@example.com', { statusCode: 200, body: { ok: true } });
+                expect((await repository.reserveIdempotencyKey(record)).existing.response).toEqual({ statusCode: 200, body: { ok: true } });
+
+                await repository.releaseIdempotencyKey('k1', 'jane@example.com');
+                expect(await repository.reserveIdempotencyKey(record)).toEqual({ reserved: true });
+            });
+
+            test('lets a retry take over an idempotency key whose request died', async () => {
+                const now = new Date();
+                const at = seconds => new Date(now.getTime() + seconds * 1000);
+                const record = { key: 'k1', owner: 'jane@example.com', fingerprint: 'fp', status: 'processing', createdAt: now, lockedUntil: at(30), expiresAt: at(3600) };
+                expect(await repository.reserveIdempotencyKey(record)).toEqual({ reserved: true });
+                expect((await repository.reserveIdempotencyKey({ ...record, createdAt: at(29) })).reserved).toBe(false);
+
+                const takeover = { ...record, createdAt: at(30), lockedUntil: at(60) };
+                expect(await repository.reserveIdempotencyKey(takeover)).toEqual({ reserved: true });
+                const retry = await repository.reserveIdempotencyKey({ ...record, createdAt: at(31) });
+                expect(retry.existing.lockedUntil).toEqual(at(60));
+
+                // A completed key is replayed however old its lease
+                await repository.completeIdempotencyKey('k1', 'jane@example.com', { statusCode: 200, body: {} });
+                expect((await repository.reserveIdempotencyKey({ ...record, createdAt: at(600) })).existing.status).toBe('completed');
+            });
+        });
+
+        describe('webhooks', () => {
+            function saveWebhook(events, enabled = true) {
+                return repository.saveWebhook({
+                    url: 'https://partner.example.com/hooks', events, secret: 'whsec_test', description: null,
+                    enabled, createdBy: { email: 'admin@example.com', role: 'admin' }, createdAt: new Date(),
+                });
+            }
+
+            // Makes one deposit per due time, so each webhook subscribed to deposits gets a delivery due then
+            async function queueDeposits(...dueTimes) {
+                const accountNumber = await openChecking('jane@example.com');
+                for (const dueAt of dueTimes) {
+                    await repository.deposit(accountNumber, 100);
+                    const [newest] = await repository.listWebhookDeliveries({ limit: 1 });
+                    for (const delivery of await repository.listWebhookDeliveries()) {
+                        if (delivery.event.id === newest.event.id) {
+                            await repository.updateWebhookDelivery(delivery._id, 'pending', { nextAttemptAt: dueAt });
+                        }
+                    }
+                }
+                return (await repository.listWebhookDeliveries()).reverse();
+            }
+
+            test('stores an event for each subscribed webhook with the change that raised it', async () => {
+                const deposits = await saveWebhook(['transaction.deposit']);
+                const all = await saveWebhook(['*']);
+                const disabled = await saveWebhook(['*'], false);
+                const before = new Date();
+                const accountNumber = await openChecking('jane@example.com');
+                await repository.deposit(accountNumber, 1234);
+                await expect(repository.withdraw(accountNumber, 5000)).rejects.toMatchObject({ statusCode: 422 });
+
+                const [delivery] = await repository.listWebhookDeliveries({ webhookId: deposits._id });
+                expect(delivery).toMatchObject({ status: 'pending', attempts: 0 });
+                expect(delivery.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before.getTime());
+                expect(delivery.event).toMatchObject({
+                    type: 'transaction.deposit',
+                    data: { account: { accountNumber, balance: '12.34' }, transaction: { type: 'deposit', amount: '12.34' } },
+                });
+                const everything = await repository.listWebhookDeliveries({ webhookId: all._id });
+                expect(everything.map(d => d.event.type)).toEqual(['transaction.deposit', 'account.opened']);
+                expect(everything[0].event.id).toBe(delivery.event.id);
+                expect(await repository.listWebhookDeliveries({ webhookId: disabled._id })).toEqual([]);
+            });
+
+            test('stores webhooks and finds the enabled subscribers of an event', async () => {
+                const deposits = await saveWebhook(['transaction.deposit']);
+                const all = await saveWebhook(['*']);
+                const disabled = await saveWebhook(['transaction.deposit'], false);
+                expect(deposits._id).toBeInstanceOf(ObjectId);
+                expect(await repository.findWebhook(deposits._id)).toMatchObject({ events: ['transaction.deposit'], secret: 'whsec_test' });
+
+                expect((await repository.listWebhooks()).map(w => String(w._id))).toEqual([deposits, all, disabled].map(w => String(w._id)));
+                expect((await repository.listWebhooks({ event: 'transaction.deposit' })).map(w => String(w._id)))
+                    .toEqual([deposits, all].map(w => String(w._id)));
+                expect((await repository.listWebhooks({ event: 'account.opened' })).map(w => String(w._id))).toEqual([String(all._id)]);
+
+                expect(await repository.updateWebhook(disabled._id, { enabled: true })).toMatchObject({ enabled: true });
+                expect(await repository.listWebhooks({ event: 'transaction.deposit' })).toHaveLength(3);
+                expect(await repository.updateWebhook(new ObjectId(), { enabled: true })).toBeNull();
+
+                expect(await repository.deleteWebhook(all._id)).toBe(true);
+                expect(await repository.deleteWebhook(all._id)).toBe(false);
+                expect(await repository.findWebhook(all._id)).toBeNull();
+            });
+
+            test('claims each due delivery once, oldest first, until its lease runs out', async () => {
+                const webhook = await saveWebhook(['transaction.deposit']);
+                const now = new Date();
+                const at = seconds => new Date(now.getTime() + seconds * 1000);
+                const [first, second, later] = (await queueDeposits(at(-10), at(-20), at(30))).map(d => d.event.id);
+
+                const claims = await Promise.all([repository.claimWebhookDelivery(now, at(300)), repository.claimWebhookDelivery(now, at(300))]);
+                expect(claims.map(claim => claim.event.id).sort()).toEqual([first, second].sort());
+                expect(claims.every(claim => claim.status === 'sending' && claim.nextAttemptAt.getTime() === at(300).getTime())).toBe(true);
+                expect(await repository.claimWebhookDelivery(now, at(300))).toBeNull();
+
+                // The later delivery comes due first, then the deliveries whose lease ran out
+                expect((await repository.claimWebhookDelivery(at(301), at(600))).event.id).toBe(later);
+                expect([first, second]).toContain((await repository.claimWebhookDelivery(at(301), at(600))).event.id);
+                expect(await repository.listWebhookDeliveries({ webhookId: webhook._id, status: 'sending' })).toHaveLength(3);
+            });
+
+            test('updates a delivery only from the expected status and lists them newest first', async () => {
+                const webhook = await saveWebhook(['transaction.deposit']);
+                const other = await saveWebhook(['transaction.deposit']);
+                const now = new Date();
+                await queueDeposits(now);
+                const claimed = await repository.claimWebhookDelivery(now, new Date(now.getTime() + 300000));
+                expect(String(claimed.webhookId)).toBe(String(webhook._id));
+
+                expect(await repository.updateWebhookDelivery(claimed._id, 'dead', { status: 'pending' })).toBeNull();
+                const dead = await repository.updateWebhookDelivery(claimed._id, 'sending', { status: 'dead', attempts: 8, lastError: 'HTTP 500' });
+                expect(dead).toMatchObject({ status: 'dead', attempts: 8, lastError: 'HTTP 500' });
+                expect(await repository.findWebhookDelivery(claimed._id)).toMatchObject({ status: 'dead' });
+                expect(await repository.findWebhookDelivery(new ObjectId())).toBeNull();
+
+                expect(await repository.listWebhookDeliveries({ status: 'dead' })).toHaveLength(1);
+                expect(await repository.listWebhookDeliveries({ webhookId: other._id, status: 'dead' })).toEqual([]);
+                const listed = await repository.listWebhookDeliveries();
+                expect(listed).toHaveLength(2);
+                expect(String(listed[0].webhookId)).toBe(String(other._id));
+                expect(await repository.listWebhookDeliveries({ limit: 1 })).toHaveLength(1);
+            });
+        });
+
+        describe('connecting', () => {
+            (reopen ? test : test.skip)('answers reads made before connect is called from the stored data', async () => {
+                const user = await repository.create('Jane Doe', 'jane@example.com', 'hash');
+                const { accountNumber } = user.accounts[0];
+                await repository.deposit(accountNumber, 1250);
+                await repository.saveWebhook({ url: 'https://example.com/hooks', events: ['*'], secret: 'whsec_test', enabled: true, createdAt: new Date() });
+
+                const fresh = await reopen(repository);
+                expect(await fresh.find('jane@example.com')).toHaveLength(1);
+                expect((await fresh.findOne('jane@example.com')).name).toBe('Jane Doe');
+                expect((await fresh.findUserById(user._id)).email).toBe('jane@example.com');
+                expect((await fresh.listUsers()).users).toHaveLength(1);
+                expect((await fresh.findAccount(accountNumber)).balance).toBe(1250);
+                expect(await fresh.findAccounts('jane@example.com')).toHaveLength(1);
+                expect((await fresh.queryTransactions(accountNumber)).entries).toHaveLength(1);
+                expect(await fresh.verifyAuditChain()).toMatchObject({ valid: true, checked: 3 });
+                expect(await fresh.listWebhooks({ event: 'transaction.deposit' })).toHaveLength(1);
+            });
+        });
+    });
+}
+
+module.exports = { describeRepositoryContract };
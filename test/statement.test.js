@@ -0,0 +1,67 @@
+const { STATEMENT_FORMATS } = require('../utils/statementFormats');
+
+const statement = {
+    accountNumber: '1000000008',
+    type: 'checking',
+    currency: 'USD',
+    from: new Date('2024-01-01T00:00:00.000Z'),
+    to: new Date('2024-01-31T23:59:59.999Z'),
+    openingBalance: 10000,
+    closingBalance: 7550,
+};
+
+const entries = [
+    { _id: 'a1', type: 'withdrawal', amount: -2500, balance: 7500, description: 'Rent, "January"', timestamp: new Date('2024-01-05T10:00:00.000Z') },
+    { _id: 'a2', type: 'deposit', amount: 50, balance: 7550, description: '=HYPERLINK("x")', timestamp: new Date('2024-01-06T12:30:00.000Z') },
+];
+
+// Renders a statement the way the controller streams it
+function render(format) {
+    return format.header(statement)
+        + entries.map((entry, index) => format.entry(entry, index, statement)).join('')
+        + format.footer(statement);
+}
+
+describe('statement formats', () => {
+    test('JSON statements parse to balances and entries', () => {
+        const parsed = JSON.parse(render(STATEMENT_FORMATS['application/json']));
+        expect(parsed).toMatchObject({
+            accountNumber: '1000000008',
+            currency: 'USD',
+            openingBalance: '100.00',
+            closingBalance: '75.50',
+        });
+        expect(parsed.entries.map(e => [e.id, e.amount, e.balance])).toEqual([
+            ['a1', '-25.00', '75.00'],
+            ['a2', '0.50', '75.50'],
+        ]);
+    });
+
+    test('JSON statements without entries are valid', () => {
+        const format = STATEMENT_FORMATS['application/json'];
+        const parsed = JSON.parse(format.header(statement) + format.footer(statement));
+        expect(parsed.entries).toEqual([]);
+    });
+
+    test('CSV statements quote fields and neutralise formulas', () => {
+        const lines = render(STATEMENT_FORMATS['text/csv']).trim().split('\r\n');
+        expect(lines[0]).toBe('Date,Type,Description,Amount,Balance,Currency');
+        expect(lines[1]).toBe('2024-01-01T00:00:00.000Z,opening,Opening balance,,100.00,USD');
+        expect(lines[2]).toBe('2024-01-05T10:00:00.000Z,withdrawal,"Rent, ""January""",-25.00,75.00,USD');
+        expect(lines[3]).toBe('2024-01-06T12:30:00.000Z,deposit,"\'=HYPERLINK(""x"")",0.50,75.50,USD');
+        expect(lines[4]).toBe('2024-01-31T23:59:59.999Z,closing,Closing balance,,75.50,USD');
+    });
+
+    test('OFX statements carry the account, entries and ledger balance', () => {
+        const ofx = render(STATEMENT_FORMATS['application/x-ofx']);
+        expect(ofx).toMatch(/^<\?xml version="1\.0"/);
+        expect(ofx).toContain('<?OFX OFXHEADER="200" VERSION="220"');
+        expect(ofx).toContain('<ACCTID>1000000008</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE>');
+        expect(ofx).toContain('<DTSTART>20240101000000.000[0:GMT]</DTSTART>');
+        expect(ofx).toContain('<TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20240105100000.000[0:GMT]</DTPOSTED><TRNAMT>-25.00</TRNAMT><FITID>a1</FITID>');
+        expect(ofx).toContain('<NAME>Rent, &quot;January&quot;</NAME>');
+        expect(ofx).toContain('<TRNTYPE>DEP</TRNTYPE>');
+        expect(ofx).toContain('<LEDGERBAL><BALAMT>75.50</BALAMT>');
+        expect(ofx.trim()).toMatch(/<\/OFX>$/);
+    });
+});
@@ -0,0 +1,50 @@
+// The middleware and the routers use the application's repository, so pick it first
+process.env.STORAGE_BACKEND = 'memory';
+
+const express = require('express');
+const { requireStorageFeature } = require('../middlewares/storageMiddleware');
+const { errorHandler } = require('../middlewares/errorMiddleware');
+const scheduledPaymentRouter = require('../controllers/scheduledPaymentController');
+
+describe('requireStorageFeature', () => {
+    test('refuses features the storage backend does not provide', () => {
+        const next = jest.fn();
+        requireStorageFeature('interest')({}, {}, next);
+        expect(next.mock.calls[0][0]).toMatchObject({
+            name: 'NotImplementedError',
+            statusCode: 501,
+            message: 'The memory storage backend does not support interest accrual; use mongo.',
+        });
+    });
+
+    describe('on the scheduled payment routes', () => {
+        let server;
+        let baseUrl;
+
+        beforeAll(done => {
+            const app = express();
+            app.use(express.json());
+            app.use('/scheduled-payments', scheduledPaymentRouter);
+            app.use(errorHandler);
+            server = app.listen(0, () => {
+                baseUrl = `http://127.0.0.1:${server.address().port}`;
+                done();
+            });
+        });
+
+        afterAll(done => {
+            server.close(done);
+        });
+
+        test('answers 501 instead of reaching for MongoDB', async () => {
+            for (const [method, path] of [['GET', ''], ['POST', ''], ['DELETE', '/0123456789abcdef01234567']]) {
+                const response = await fetch(`${baseUrl}/scheduled-payments${path}`, { method });
+                expect(response.status).toBe(501);
+                expect((await response.json()).error).toMatchObject({
+                    name: 'NotImplementedError',
+                    message: 'The memory storage backend does not support scheduled payments; use mongo.',
+                });
+            }
+        });
+    });
+});
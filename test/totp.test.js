@@ -0,0 +1,56 @@
+const { base32Encode, base32Decode, generateSecret, hotp, totp, verifyTotp, otpauthUri } = require('../utils/totp');
+
+// The RFC 6238 test secret (SHA-1), base32-encoded
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+    test('round-trips bytes', () => {
+        const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+        expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+        expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+        expect(base32Decode('mzxw 6ytb oi==').toString()).toBe('foobar');
+        expect(() => base32Decode('MZ1')).toThrow('Invalid base32 character "1".');
+    });
+
+    test('generates 160-bit secrets', () => {
+        expect(base32Decode(generateSecret())).toHaveLength(20);
+        expect(generateSecret()).not.toBe(generateSecret());
+    });
+});
+
+describe('TOTP', () => {
+    test('matches the RFC 4226 and RFC 6238 test vectors', () => {
+        expect(hotp(SECRET, 0)).toBe('755224');
+        expect(hotp(SECRET, 9)).toBe('520489');
+        // RFC 6238 lists 8-digit codes; authenticator apps show their last 6 digits
+        expect(totp(SECRET, 59 * 1000)).toBe('287082');
+        expect(totp(SECRET, 1111111109 * 1000)).toBe('081804');
+        expect(totp(SECRET, 2000000000 * 1000)).toBe('279037');
+    });
+
+    test('accepts codes from one step either side, and returns the step matched', () => {
+        const now = 1700000000 * 1000;
+        const step = Math.floor(now / 30000);
+        expect(verifyTotp(SECRET, totp(SECRET, now), now)).toBe(step);
+        expect(verifyTotp(SECRET, totp(SECRET, now - 30000), now)).toBe(step - 1);
+        expect(verifyTotp(SECRET, totp(SECRET, now + 30000), now)).toBe(step + 1);
+        expect(verifyTotp(SECRET, totp(SECRET, now - 60000), now)).toBeNull();
+        expect(verifyTotp(SECRET, totp(SECRET, now + 60000), now)).toBeNull();
+    });
+
+    test('rejects malformed codes', () => {
+        expect(verifyTotp(SECRET, '12345')).toBeNull();
+        expect(verifyTotp(SECRET, '12345a')).toBeNull();
+        expect(verifyTotp(SECRET, 123456)).toBeNull();
+    });
+
+    test('builds otpauth URIs for authenticator apps', () => {
+        const uri = new URL(otpauthUri(SECRET, 'jane@example.com'));
+        expect(uri.protocol).toBe('otpauth:');
+        expect(uri.host).toBe('totp');
+        expect(decodeURIComponent(uri.pathname)).toBe('/Bank of Brown:jane@example.com');
+        expect(Object.fromEntries(uri.searchParams)).toEqual({
+            secret: SECRET, issuer: 'Bank of Brown', algorithm: 'SHA1', digits: '6', period: '30',
+        });
+    });
+});
@@ -0,0 +1,153 @@
+// The services use the application's repository and read their policy on load, so set both first
+process.env.STORAGE_BACKEND = 'memory';
+process.env.TWO_FACTOR_REQUIRED_ROLES = 'admin';
+process.env.TWO_FACTOR_TRANSFER_THRESHOLD = '1000';
+
+const jwt = require('jsonwebtoken');
+const { repository } = require('../repositories');
+const twoFactor = require('../services/twoFactor');
+const tokenService = require('../services/tokenService');
+const { authorize } = require('../middlewares/authMiddleware');
+const { isStaff } = require('../services/accountAccess');
+const { totp } = require('../utils/totp');
+
+process.env.JWT_SECRET_KEY = process.env.JWT_SECRET_KEY || 'test-secret';
+
+let counter = 0;
+
+// Creates a user with two-factor authentication enabled; returns the user, secret and recovery codes
+async function enrolledUser() {
+    const { _id } = await repository.create('Jane Doe', `jane${++counter}@example.com`, 'hash');
+    const { secret } = await twoFactor.startEnrollment(await repository.findUserById(_id));
+    // The confirmation uses up the current step, so later checks use the next one
+    const recoveryCodes = await twoFactor.confirmEnrollment(await repository.findUserById(_id), totp(secret));
+    return { user: await repository.findUserById(_id), secret, recoveryCodes };
+}
+
+// The code of the next time step, accepted thanks to the drift tolerance
+function nextCode(secret) {
+    return totp(secret, Date.now() + 30000);
+}
+
+describe('enrollment', () => {
+    test('is enabled by a matching first code', async () => {
+        const user = await repository.create('John Doe', 'john@example.com', 'hash');
+        const { secret, otpauthUri } = await twoFactor.startEnrollment(user);
+        expect(otpauthUri).toContain(`secret=${secret}`);
+        const pending = await repository.findUserById(user._id);
+        expect(twoFactor.isEnabled(pending)).toBe(false);
+
+        // A code from five minutes ago is outside the drift tolerance
+        await expect(twoFactor.confirmEnrollment(pending, totp(secret, Date.now() - 5 * 60 * 1000)))
+            .rejects.toMatchObject({ statusCode: 400 });
+        const codes = await twoFactor.confirmEnrollment(pending, totp(secret));
+        expect(codes).toHaveLength(10);
+        expect(codes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+
+        const enabled = await repository.findUserById(user._id);
+        expect(twoFactor.isEnabled(enabled)).toBe(true);
+        // Only hashes of the recovery codes are stored
+        expect(enabled.twoFactor.recoveryCodes).not.toContain(codes[0]);
+        await expect(twoFactor.startEnrollment(enabled)).rejects.toMatchObject({ statusCode: 409 });
+        await expect(twoFactor.confirmEnrollment(enabled, totp(secret))).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('keeps the secret out of the audit log', async () => {
+        const { user, secret } = await enrolledUser();
+        const { events } = await repository.queryAuditEvents({ targetType: 'user', targetId: user.email });
+        expect(JSON.stringify(events)).not.toContain(secret);
+    });
+});
+
+describe('two-step login', () => {
+    test('exchanges a challenge and a code for the user, once', async () => {
+        const { user, secret } = await enrolledUser();
+        const challenge = await twoFactor.startLogin(user);
+        const { user: loggedIn, method } = await twoFactor.completeLogin(challenge, nextCode(secret));
+        expect(loggedIn.email).toBe(user.email);
+        expect(method).toBe('totp');
+        await expect(twoFactor.completeLogin(challenge, nextCode(secret))).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    test('does not accept a code twice', async () => {
+        const { user, secret } = await enrolledUser();
+        const code = nextCode(secret);
+        await twoFactor.completeLogin(await twoFactor.startLogin(user), code);
+        const replay = twoFactor.completeLogin(await twoFactor.startLogin(user), code);
+        await expect(replay).rejects.toMatchObject({ statusCode: 401, user: expect.objectContaining({ email: user.email }) });
+    });
+
+    test('uses up a challenge on a wrong code', async () => {
+        const { user, secret } = await enrolledUser();
+        const challenge = await twoFactor.startLogin(user);
+        await expect(twoFactor.completeLogin(challenge, 'abcde-12345')).rejects.toMatchObject({ statusCode: 401 });
+        await expect(twoFactor.completeLogin(challenge, nextCode(secret))).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    test('accepts each recovery code once', async () => {
+        const { user, recoveryCodes } = await enrolledUser();
+        const code = recoveryCodes[3].toUpperCase().replace('-', '');
+        expect((await twoFactor.completeLogin(await twoFactor.startLogin(user), code)).method).toBe('recovery');
+        await expect(twoFactor.completeLogin(await twoFactor.startLogin(user), recoveryCodes[3])).rejects.toMatchObject({ statusCode: 401 });
+        const { twoFactor: settings } = await repository.findUserById(user._id);
+        expect(settings.recoveryCodes).toHaveLength(9);
+    });
+
+    test('keeps the second factor in the session across refreshes', async () => {
+        const { user } = await enrolledUser();
+        const { refreshToken } = await tokenService.issueTokens(user, undefined, ['pwd', 'mfa']);
+        const { accessToken } = await tokenService.rotateRefreshToken(refreshToken);
+        expect(twoFactor.hasSecondFactor(jwt.decode(accessToken))).toBe(true);
+    });
+});
+
+describe('settings changes', () => {
+    test('replace the recovery codes and disable, given a code', async () => {
+        const { user, secret, recoveryCodes } = await enrolledUser();
+        await expect(twoFactor.regenerateRecoveryCodes(user, '12345')).rejects.toMatchObject({ statusCode: 400 });
+        const fresh = await twoFactor.regenerateRecoveryCodes(user, recoveryCodes[0]);
+        expect(fresh).toHaveLength(10);
+        await expect(twoFactor.disable(user, recoveryCodes[1])).rejects.toMatchObject({ statusCode: 400 });
+
+        // The code used for the change cannot be replayed
+        const code = nextCode(secret);
+        await twoFactor.disable(await repository.findUserById(user._id), code);
+        const disabled = await repository.findUserById(user._id);
+        expect(twoFactor.isEnabled(disabled)).toBe(false);
+        await expect(twoFactor.disable(disabled, fresh[0])).rejects.toMatchObject({ statusCode: 409 });
+    });
+});
+
+describe('policies', () => {
+    test('ask for a fresh code on transfers at or over the threshold', async () => {
+        const { user, secret } = await enrolledUser();
+        const caller = { email: user.email, role: 'customer' };
+        await twoFactor.checkTransfer(caller, 99999, 'USD');
+        await expect(twoFactor.checkTransfer(caller, 100000, 'USD')).rejects.toMatchObject({ statusCode: 403, code: 'TWO_FACTOR_REQUIRED' });
+        await expect(twoFactor.checkTransfer(caller, 100000, 'USD', '000000')).rejects.toMatchObject({ code: 'TWO_FACTOR_REQUIRED' });
+        await twoFactor.checkTransfer(caller, 100000, 'USD', nextCode(secret));
+
+        const plain = await repository.create('Bob Doe', 'bob@example.com', 'hash');
+        await expect(twoFactor.checkTransfer({ email: plain.email, role: 'customer' }, 100000, 'USD', '123456'))
+            .rejects.toThrow('Enable two-factor authentication first.');
+    });
+
+    test('keep required roles out of staff routes without a second factor', () => {
+        const res = { status: jest.fn(() => res), json: jest.fn() };
+        const next = jest.fn();
+        authorize('teller', 'admin')({ user: { email: 'a@example.com', role: 'admin', amr: ['pwd'] } }, res, next);
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'TWO_FACTOR_REQUIRED' }));
+        expect(next).not.toHaveBeenCalled();
+
+        authorize('teller', 'admin')({ user: { email: 'a@example.com', role: 'admin', amr: ['pwd', 'mfa'] } }, res, next);
+        authorize('teller', 'admin')({ user: { email: 't@example.com', role: 'teller', amr: ['pwd'] } }, res, next);
+        expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    test('do not grant staff powers to sessions that miss a required second factor', () => {
+        expect(isStaff({ role: 'admin', amr: ['pwd'] })).toBe(false);
+        expect(isStaff({ role: 'admin', amr: ['pwd', 'mfa'] })).toBe(true);
+        expect(isStaff({ role: 'teller' })).toBe(true);
+    });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The services use the application's repository and mail transport, so choose them before loading
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bankofbrown-mail-'));
+process.env.STORAGE_BACKEND = 'memory';
+process.env.MAIL_OUTBOX_DIR = dir;
+
+const { repository } = require('../repositories');
+const { transport, createTransport } = require('../mail');
+const userTokens = require('../services/userTokens');
+const tokenService = require('../services/tokenService');
+
+afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Returns the token from the link in the latest message sent to an address
+async function latestToken(email) {
+    const messages = await transport.list(email);
+    return messages[messages.length - 1].text.match(/token=([\w-]+)/)[1];
+}
+
+describe('outbox mail transport', () => {
+    test('writes messages to files, in sending order', async () => {
+        const outbox = createTransport('outbox');
+        outbox.dir = path.join(dir, 'outbox-test');
+        expect(await outbox.list()).toEqual([]);
+        const { id } = await outbox.send({ to: 'a@example.com', subject: 'First', text: 'Hello' });
+        await outbox.send({ to: 'b@example.com', subject: 'Second', text: 'Hello again' });
+        const messages = await outbox.list();
+        expect(messages.map(m => m.subject)).toEqual(['First', 'Second']);
+        expect(messages[0]).toMatchObject({ id, to: 'a@example.com', text: 'Hello' });
+        expect(await outbox.list('b@example.com')).toHaveLength(1);
+    });
+
+    test('rejects unknown transports', () => {
+        expect(() => createTransport('carrier-pigeon')).toThrow('Unknown mail transport "carrier-pigeon"');
+    });
+});
+
+describe('email verification', () => {
+    test('verifies the address with the emailed token, once', async () => {
+        const user = await repository.create('Jane Doe', 'jane@example.com', 'hash');
+        await userTokens.sendVerificationEmail(user);
+        const [message] = await transport.list('jane@example.com');
+        expect(message.subject).toBe('Verify your Bank of Brown email address');
+
+        const token = await latestToken('jane@example.com');
+        const verified = await userTokens.verifyEmail(token);
+        expect(verified.emailVerifiedAt).toBeInstanceOf(Date);
+        await expect(userTokens.verifyEmail(token)).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('only resends links to unverified users', async () => {
+        await userTokens.resendVerificationEmail('nobody@example.com');
+        expect(await transport.list('nobody@example.com')).toEqual([]);
+
+        const user = await repository.create('John Doe', 'john@example.com', 'hash');
+        await userTokens.sendVerificationEmail(user);
+        const first = await latestToken('john@example.com');
+        await userTokens.resendVerificationEmail('john@example.com');
+        // Only the newest link works
+        await expect(userTokens.verifyEmail(first)).rejects.toMatchObject({ statusCode: 400 });
+        await userTokens.verifyEmail(await latestToken('john@example.com'));
+        await userTokens.resendVerificationEmail('john@example.com');
+        expect(await transport.list('john@example.com')).toHaveLength(2);
+    });
+});
+
+describe('password reset', () => {
+    test('sends nothing for unknown addresses', async () => {
+        await userTokens.sendPasswordReset('ghost@example.com');
+        expect(await transport.list('ghost@example.com')).toEqual([]);
+    });
+
+    test('sets the new password and ends every session', async () => {
+        const user = await repository.create('Ann Doe', 'ann@example.com', 'old-hash');
+        const { refreshToken } = await tokenService.issueTokens(user);
+        await userTokens.sendPasswordReset('ann@example.com');
+        const token = await latestToken('ann@example.com');
+
+        // A verification token cannot be used to reset the password, nor the other way round
+        await expect(userTokens.verifyEmail(token)).rejects.toMatchObject({ statusCode: 400 });
+        const updated = await userTokens.resetPassword(token, 'new-hash');
+        expect(updated).toMatchObject({ password: 'new-hash', emailVerifiedAt: expect.any(Date) });
+        await expect(tokenService.rotateRefreshToken(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+        await expect(userTokens.resetPassword(token, 'other-hash')).rejects.toMatchObject({ statusCode: 400 });
+
+        const { events } = await repository.queryAuditEvents({ action: 'user.passwordReset' });
+        expect(events).toHaveLength(1);
+    });
+
+    test('rejects expired links', async () => {
+        await repository.create('Bob Doe', 'bob@example.com', 'hash');
+        await userTokens.sendPasswordReset('bob@example.com');
+        const token = await latestToken('bob@example.com');
+        jest.useFakeTimers({ now: Date.now() + 31 * 60 * 1000, doNotFake: ['nextTick', 'setImmediate'] });
+        try {
+            await expect(userTokens.resetPassword(token, 'new-hash')).rejects.toMatchObject({ statusCode: 400 });
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
@@ -0,0 +1,121 @@
+const { validate } = require('../middlewares/validationMiddleware');
+const { ValidationError } = require('../middlewares/errorMiddleware');
+
+describe('validate middleware', () => {
+    let mockNext;
+
+    beforeEach(() => {
+        mockNext = jest.fn();
+    });
+
+    const updateSchema = { body: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        password: { type: 'password' },
+    } };
+
+    test('strips fields the schema does not declare', () => {
+        const req = { body: { name: 'Johnny', balance: 1000000, role: 'admin' } };
+        validate(updateSchema)(req, {}, mockNext);
+        expect(mockNext).toHaveBeenCalledWith();
+        expect(req.body).toEqual({ name: 'Johnny' });
+    });
+
+    test('reports every failing field', () => {
+        const schema = { body: {
+            email: { type: 'email', required: true },
+            password: { type: 'password', required: true },
+            amount: { type: 'amount', required: true, min: '0.01', max: '1000000.00' },
+            type: { type: 'enum', values: ['checking', 'savings'] },
+        } };
+        const req = { body: { email: 'not-an-email', password: 'short', amount: '1e5', type: 'brokerage' } };
+        validate(schema)(req, {}, mockNext);
+
+        const error = mockNext.mock.calls[0][0];
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.errors.map(e => e.field)).toEqual(['body.email', 'body.password', 'body.amount', 'body.type']);
+    });
+
+    test('passes explicit nulls only for nullable fields', () => {
+        const schema = { body: {
+            overdraft: { type: 'amount', nullable: true },
+            dailyWithdrawal: { type: 'amount' },
+        } };
+        const req = { body: { overdraft: null, dailyWithdrawal: null } };
+        validate(schema)(req, {}, mockNext);
+        expect(mockNext).toHaveBeenCalledWith();
+        expect(req.body).toEqual({ overdraft: null });
+    });
+
+    test('reports missing required fields', () => {
+        validate({ body: { email: { type: 'email', required: true } } })({ body: {} }, {}, mockNext);
+        expect(mockNext.mock.calls[0][0].errors).toEqual([{ field: 'body.email', message: 'is required' }]);
+    });
+
+    test('enforces password strength and amount limits', () => {
+        const schema = { body: { password: { type: 'password' }, amount: { type: 'amount', min: '0.01', max: '100.00' } } };
+        validate(schema)({ body: { password: 'longbutnodigits', amount: '100.01' } }, {}, mockNext);
+        expect(mockNext.mock.calls[0][0].errors).toEqual([
+            { field: 'body.password', message: 'must contain at least one letter and one number' },
+            { field: 'body.amount', message: 'must be at most 100.00' },
+        ]);
+    });
+
+    test('converts query and params strings to their declared types', () => {
+        const schema = {
+            query: { limit: { type: 'integer', min: 1, max: 100 }, from: { type: 'date' } },
+            params: { accountNumber: { type: 'accountNumber', required: true } },
+        };
+        const req = { query: { limit: '25', from: '2024-01-01', extra: 'x' }, params: { accountNumber: '1000000008' } };
+        validate(schema)(req, {}, mockNext);
+        expect(mockNext).toHaveBeenCalledWith();
+        expect(req.query).toEqual({ limit: 25, from: new Date('2024-01-01') });
+        expect(req.params).toEqual({ accountNumber: '1000000008' });
+    });
+
+    test('lower-cases emails', () => {
+        const req = { body: { email: 'Jane.Doe@Example.com' } };
+        validate({ body: { email: { type: 'email', required: true } } })(req, {}, mockNext);
+        expect(mockNext).toHaveBeenCalledWith();
+        expect(req.body.email).toBe('jane.doe@example.com');
+    });
+
+    test('accepts only ISO 8601 dates', () => {
+        const schema = { query: { from: { type: 'date' } } };
+        for (const from of ['2024-01-31', '2024-01-31T12:00:00Z', '2024-01-31T12:00:00.000+02:00']) {
+            const req = { query: { from } };
+            validate(schema)(req, {}, mockNext);
+            expect(req.query.from).toEqual(new Date(from));
+        }
+        expect(mockNext.mock.calls).toEqual([[], [], []]);
+
+        for (const from of ['1', 'March 5', 'Wed, 31 Jan 2024 12:00:00 GMT', '2024/01/31', '2024-13-01']) {
+            mockNext.mockClear();
+            validate(schema)({ query: { from } }, {}, mockNext);
+            expect(mockNext.mock.calls[0][0].errors).toEqual([
+                { field: 'query.from', message: 'must be an ISO 8601 date' },
+            ]);
+        }
+    });
+
+    test('checks URLs and every item of an array', () => {
+        const schema = { body: {
+            url: { type: 'url', required: true },
+            events: { type: 'array', minItems: 1, maxItems: 2, items: { type: 'enum', values: ['a', 'b'] } },
+        } };
+        const valid = { body: { url: 'https://example.com/hooks', events: ['a', 'b'] } };
+        validate(schema)(valid, {}, mockNext);
+        expect(mockNext).toHaveBeenCalledWith();
+
+        validate(schema)({ body: { url: 'ftp://example.com', events: ['a', 'c'] } }, {}, mockNext);
+        expect(mockNext.mock.calls[1][0].errors).toEqual([
+            { field: 'body.url', message: 'must be an http or https URL' },
+            { field: 'body.events', message: 'item 1 must be one of: a, b' },
+        ]);
+
+        validate(schema)({ body: { url: 'not a url', events: [] } }, {}, mockNext);
+        expect(mockNext.mock.calls[2][0].errors).toEqual([
+            { field: 'body.url', message: 'must be an http or https URL' },
+            { field: 'body.events', message: 'must have at least 1 item' },
+        ]);
+    });
+});
@@ -0,0 +1,318 @@
+// The service uses the application's repository and reads its settings on load, so set both first
+process.env.STORAGE_BACKEND = 'memory';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_BACKOFF_BASE_SECONDS = '30';
+process.env.WEBHOOK_TIMEOUT_SECONDS = '1';
+// The test receiver listens on loopback, which webhooks may not reach otherwise
+process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1,receiver.test';
+
+const dns = require('dns');
+const http = require('http');
+const net = require('net');
+const { repository } = require('../repositories');
+const webhooks = require('../services/webhooks');
+const eventBus = require('../services/eventBus');
+const { isBlockedAddress } = require('../utils/webhooks');
+const { ValidationError, NotFoundError, ConflictError } = require('../middlewares/errorMiddleware');
+
+const ADMIN = { email: 'admin@example.com', role: 'admin' };
+
+// Local receiver: records every request and answers with `status`, or never answers when `hang` is set
+let receiver;
+let receiverUrl;
+let received;
+let status;
+let hang;
+// Stubbed DNS, so no test depends on the machine's resolver: names resolve to their address in
+// `hosts`, except that a delivery connecting to a name in `rebound` gets that address instead
+let hosts;
+let rebound;
+
+function resolve(table, hostname) {
+    const address = table[hostname];
+    if (!address) {
+        throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' });
+    }
+    return [{ address, family: net.isIPv6(address) ? 6 : 4 }];
+}
+
+beforeAll(done => {
+    receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ method: req.method, headers: req.headers, body });
+            if (!hang) {
+                res.writeHead(status).end();
+            }
+        });
+    });
+    receiver.listen(0, '127.0.0.1', () => {
+        receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+        done();
+    });
+});
+
+afterAll(done => {
+    receiver.closeAllConnections();
+    receiver.close(done);
+});
+
+beforeEach(() => {
+    hosts = { localhost: '127.0.0.1', 'receiver.test': '127.0.0.1' };
+    rebound = {};
+    jest.spyOn(dns.promises, 'lookup').mockImplementation(async hostname => resolve(hosts, hostname));
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        let results;
+        try {
+            results = resolve({ ...hosts, ...rebound }, hostname);
+        } catch (err) {
+            return process.nextTick(callback, err);
+        }
+        return options.all
+            ? process.nextTick(callback, null, results)
+            : process.nextTick(callback, null, results[0].address, results[0].family);
+    });
+    repository.users = [];
+    repository.accounts = [];
+    repository.webhooks = [];
+    repository.webhookDeliveries = [];
+    received = [];
+    status = 200;
+    hang = false;
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+// Opens an account and queues one transaction.deposit delivery for a new webhook
+async function queueDeposit() {
+    const webhook = await webhooks.createWebhook({ url: receiverUrl, events: ['transaction.deposit'] }, ADMIN);
+    const user = await repository.create('Jane Doe', 'jane@example.com', 'hash');
+    await repository.deposit(user.accounts[0].accountNumber, 1234);
+    const [delivery] = await repository.listWebhookDeliveries({ webhookId: webhook._id });
+    return { webhook, delivery, accountNumber: user.accounts[0].accountNumber };
+}
+
+test('writes each event to the outbox of the webhooks subscribed to it, with the change', async () => {
+    const deposits = await webhooks.createWebhook({ url: receiverUrl, events: ['transaction.deposit'] }, ADMIN);
+    const everything = await webhooks.createWebhook({ url: receiverUrl, events: ['*'] }, ADMIN);
+    const disabled = await webhooks.createWebhook({ url: receiverUrl, events: ['*'] }, ADMIN);
+    await webhooks.updateWebhook(String(disabled._id), { enabled: false });
+
+    const user = await repository.create('Jane Doe', 'jane@example.com', 'hash');
+    const { accountNumber } = user.accounts[0];
+    await repository.deposit(accountNumber, 1234);
+
+    const [delivery] = await repository.listWebhookDeliveries({ webhookId: deposits._id });
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 0 });
+    expect(delivery.event).toMatchObject({
+        type: 'transaction.deposit',
+        data: {
+            account: { accountNumber, balance: '12.34' },
+            transaction: { type: 'deposit', amount: '12.34', balance: '12.34', description: 'Deposit' },
+        },
+    });
+    expect((await repository.listWebhookDeliveries({ webhookId: everything._id })).map(d => d.event.type))
+        .toEqual(['transaction.deposit', 'account.opened']);
+    expect(await repository.listWebhookDeliveries({ webhookId: disabled._id })).toEqual([]);
+});
+
+test('delivers the events of a change even if the bus never publishes them', async () => {
+    // As if the process died right after the change was committed, before the bus called anyone
+    const publish = jest.spyOn(eventBus, 'publish').mockImplementation(() => {});
+    try {
+        const { delivery } = await queueDeposit();
+        expect(publish).toHaveBeenCalled();
+        expect(delivery).toMatchObject({ status: 'pending', event: { type: 'transaction.deposit' } });
+    } finally {
+        publish.mockRestore();
+    }
+
+    expect(await webhooks.deliverDue()).toEqual({ delivered: 1 });
+    expect(JSON.parse(received[0].body).type).toBe('transaction.deposit');
+});
+
+test('sends deliveries signed with the webhook secret', async () => {
+    const { webhook, delivery } = await queueDeposit();
+    const now = new Date();
+
+    expect(await webhooks.deliverDue(now)).toEqual({ delivered: 1 });
+    expect(received).toHaveLength(1);
+    const [request] = received;
+    expect(request.method).toBe('POST');
+    expect(request.headers).toMatchObject({
+        'content-type': 'application/json',
+        'x-webhook-id': delivery.event.id,
+        'x-webhook-event': 'transaction.deposit',
+        'x-webhook-delivery': String(delivery._id),
+    });
+    expect(JSON.parse(request.body)).toEqual(delivery.event);
+    expect(webhooks.verifySignature(webhook.secret, request.headers['x-webhook-signature'], request.body, { now })).toBe(true);
+
+    expect(await repository.findWebhookDelivery(delivery._id)).toMatchObject({
+        status: 'delivered', attempts: 1, lastStatusCode: 200, lastError: null, deliveredAt: now,
+    });
+    expect(await webhooks.deliverDue(now)).toEqual({});
+});
+
+test('retries failed deliveries with exponential backoff, then dead-letters them until replayed', async () => {
+    const { delivery } = await queueDeposit();
+    const start = new Date();
+    const at = seconds => new Date(start.getTime() + seconds * 1000);
+    status = 500;
+
+    expect(await webhooks.deliverDue(start)).toEqual({ retrying: 1 });
+    expect(await repository.findWebhookDelivery(delivery._id)).toMatchObject({
+        status: 'pending', attempts: 1, lastStatusCode: 500, lastError: 'HTTP 500', nextAttemptAt: at(30),
+    });
+    expect(await webhooks.deliverDue(at(29))).toEqual({});
+    expect(await webhooks.deliverDue(at(30))).toEqual({ retrying: 1 });
+    expect((await repository.findWebhookDelivery(delivery._id)).nextAttemptAt).toEqual(at(90));
+    expect(await webhooks.deliverDue(at(90))).toEqual({ dead: 1 });
+    expect(await repository.findWebhookDelivery(delivery._id)).toMatchObject({ status: 'dead', attempts: 3, deadAt: at(90), nextAttemptAt: null });
+    expect(received).toHaveLength(3);
+    expect(await webhooks.deliverDue(at(10000))).toEqual({});
+
+    status = 204;
+    expect(await webhooks.replayDelivery(String(delivery._id))).toMatchObject({ status: 'pending', attempts: 0 });
+    await expect(webhooks.replayDelivery(String(delivery._id))).rejects.toThrow(ConflictError);
+    expect(await webhooks.deliverDue()).toEqual({ delivered: 1 });
+    expect(received).toHaveLength(4);
+    expect(JSON.parse(received[3].body).id).toBe(delivery.event.id);
+
+    await expect(webhooks.replayDelivery('0123456789abcdef01234567')).rejects.toThrow(NotFoundError);
+    await expect(webhooks.replayDelivery('nope')).rejects.toThrow(NotFoundError);
+});
+
+test('counts a receiver that does not answer in time as a failure', async () => {
+    const { delivery } = await queueDeposit();
+    hang = true;
+
+    expect(await webhooks.deliverDue()).toEqual({ retrying: 1 });
+    expect(await repository.findWebhookDelivery(delivery._id)).toMatchObject({ lastStatusCode: null, lastError: 'Timed out after 1s' });
+});
+
+test('dead-letters the deliveries of disabled and deleted webhooks without sending them', async () => {
+    const { webhook, delivery } = await queueDeposit();
+    await webhooks.updateWebhook(String(webhook._id), { enabled: false });
+
+    expect(await webhooks.deliverDue()).toEqual({ dead: 1 });
+    expect(await repository.findWebhookDelivery(delivery._id)).toMatchObject({ status: 'dead', attempts: 0, lastError: 'Webhook is disabled' });
+
+    await webhooks.deleteWebhook(String(webhook._id));
+    await webhooks.replayDelivery(String(delivery._id));
+    expect(await webhooks.deliverDue()).toEqual({ dead: 1 });
+    expect(await repository.findWebhookDelivery(delivery._id)).toMatchObject({ status: 'dead', lastError: 'Webhook was deleted' });
+    expect(received).toEqual([]);
+});
+
+test('refuses URLs that point to private, loopback or link-local addresses', async () => {
+    const blocked = 'Webhook URLs must not point to private, loopback or link-local addresses.';
+    for (const url of [
+        'http://localhost/hooks',
+        'http://10.1.2.3/hooks',
+        'http://192.168.0.10:8080/hooks',
+        'http://169.254.169.254/latest/meta-data',
+        'http://0xa9fea9fe/latest/meta-data',
+        'http://[::1]/hooks',
+        'http://[::ffff:192.168.0.1]/hooks',
+    ]) {
+        await expect(webhooks.createWebhook({ url, events: ['*'] }, ADMIN)).rejects.toThrow(blocked);
+    }
+    await expect(webhooks.createWebhook({ url: 'https://no-such-host.invalid/hooks', events: ['*'] }, ADMIN))
+        .rejects.toThrow(ValidationError);
+
+    const webhook = await webhooks.createWebhook({ url: receiverUrl, events: ['*'] }, ADMIN);
+    await expect(webhooks.updateWebhook(String(webhook._id), { url: 'http://172.16.0.1/hooks' })).rejects.toThrow(blocked);
+    expect(await repository.listWebhooks()).toHaveLength(1);
+});
+
+test('checks the URL again before each delivery', async () => {
+    const { webhook, delivery } = await queueDeposit();
+    // E.g. the host now resolves to a private address
+    await repository.updateWebhook(webhook._id, { url: 'http://10.0.0.1/hooks' });
+
+    expect(await webhooks.deliverDue()).toEqual({ retrying: 1 });
+    expect(await repository.findWebhookDelivery(delivery._id)).toMatchObject({
+        attempts: 1, lastStatusCode: null, lastError: 'Webhook URLs must not point to private, loopback or link-local addresses.',
+    });
+    expect(received).toEqual([]);
+});
+
+test('refuses connections to a host that resolves to a blocked address after its URL was checked', async () => {
+    // Public when checked, loopback when connected to (DNS rebinding)
+    hosts['rebind.test'] = '93.184.216.34';
+    rebound['rebind.test'] = '127.0.0.1';
+    const webhook = await webhooks.createWebhook({ url: `http://rebind.test:${receiver.address().port}/hooks`, events: ['*'] }, ADMIN);
+    const user = await repository.create('Jane Doe', 'jane@example.com', 'hash');
+    const [delivery] = await repository.listWebhookDeliveries({ webhookId: webhook._id });
+
+    expect(await webhooks.deliverDue()).toEqual({ retrying: 1 });
+    expect(await repository.findWebhookDelivery(delivery._id)).toMatchObject({
+        event: { type: 'account.opened', data: { account: { accountNumber: user.accounts[0].accountNumber } } },
+        attempts: 1,
+        lastStatusCode: null,
+        lastError: 'Webhook URLs must not point to private, loopback or link-local addresses.',
+    });
+    expect(received).toEqual([]);
+});
+
+test('connects to hosts listed in WEBHOOK_ALLOWED_HOSTS whatever they resolve to', async () => {
+    const webhook = await webhooks.createWebhook({ url: `http://receiver.test:${receiver.address().port}/hooks`, events: ['*'] }, ADMIN);
+    await repository.create('Jane Doe', 'jane@example.com', 'hash');
+
+    expect(await webhooks.deliverDue()).toEqual({ delivered: 1 });
+    expect(received).toHaveLength(1);
+    expect(received[0].headers['x-webhook-id']).toBeDefined();
+    expect(dns.lookup).toHaveBeenCalledWith('receiver.test', expect.anything(), expect.any(Function));
+    expect(await repository.listWebhookDeliveries({ webhookId: webhook._id })).toEqual([expect.objectContaining({ status: 'delivered' })]);
+});
+
+test('classifies addresses that are not on the public internet', () => {
+    for (const address of ['127.0.0.1', '10.0.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+        '224.0.0.1', '255.255.255.255', '192.0.0.8', '198.18.0.1', '198.19.255.255', '::1', '::', 'fd00::1', 'fe80::1',
+        '::ffff:127.0.0.1', '64:ff9b::a9fe:a9fe']) {
+        expect([address, isBlockedAddress(address)]).toEqual([address, true]);
+    }
+    for (const address of ['93.184.216.34', '172.32.0.1', '8.8.8.8', '198.20.0.1', '2606:4700::1111', '::ffff:8.8.8.8']) {
+        expect([address, isBlockedAddress(address)]).toEqual([address, false]);
+    }
+});
+
+test('rotates the secret on request', async () => {
+    const webhook = await webhooks.createWebhook({ url: receiverUrl, events: ['*'], description: 'Partner' }, ADMIN);
+    expect(webhook.secret).toMatch(/^whsec_/);
+    const rotated = await webhooks.updateWebhook(String(webhook._id), { rotateSecret: true });
+    expect(rotated.secret).toMatch(/^whsec_/);
+    expect(rotated.secret).not.toBe(webhook.secret);
+    await expect(webhooks.updateWebhook(String(webhook._id), {})).rejects.toThrow('Nothing to update.');
+});
+
+describe('verifySignature', () => {
+    const secret = 'whsec_test';
+    const body = '{"id":"evt-1"}';
+    const now = new Date('2024-06-01T12:00:00Z');
+    const timestamp = Math.floor(now.getTime() / 1000);
+
+    test('accepts a fresh signature of the exact body', () => {
+        const header = webhooks.signPayload(secret, timestamp, body);
+        expect(header).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+        expect(webhooks.verifySignature(secret, header, body, { now })).toBe(true);
+    });
+
+    test('rejects a changed body, another secret, an old timestamp and malformed headers', () => {
+        const header = webhooks.signPayload(secret, timestamp, body);
+        expect(webhooks.verifySignature(secret, header, '{"id":"evt-2"}', { now })).toBe(false);
+        expect(webhooks.verifySignature('whsec_other', header, body, { now })).toBe(false);
+        expect(webhooks.verifySignature(secret, header, body, { now: new Date(now.getTime() + 301000) })).toBe(false);
+        expect(webhooks.verifySignature(secret, 'v1=abc', body, { now })).toBe(false);
+        expect(webhooks.verifySignature(secret, undefined, body, { now })).toBe(false);
+    });
+});
+
+test('backs off exponentially up to the maximum', () => {
+    expect([1, 2, 3, 4].map(webhooks.backoffSeconds)).toEqual([30, 60, 120, 240]);
+    expect(webhooks.backoffSeconds(20)).toBe(6 * 60 * 60);
+});
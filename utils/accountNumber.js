@@ -0,0 +1,55 @@
+// accountNumber.js
+// ./backend/utils/accountNumber.js
+
+const crypto = require('crypto');
+
+// Account numbers are 9 random digits followed by a Luhn check digit.
+const BODY_LENGTH = 9;
+
+/**
+ * Computes the Luhn check digit for a string of digits.
+ * @param {string} digits - The digits to protect.
+ * @returns {number} The check digit (0-9).
+ */
+function luhnCheckDigit(digits) {
+    let sum = 0;
+    // Double every second digit, starting from the rightmost one
+    for (let i = digits.length - 1, double = true; i >= 0; i--, double = !double) {
+        let digit = Number(digits[i]);
+        if (double) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Generates a new random account number with a trailing check digit.
+ * The first digit is never zero so the number keeps its length when parsed.
+ * @returns {string} A 10-digit account number.
+ */
+function generateAccountNumber() {
+    let body = String(crypto.randomInt(1, 10));
+    while (body.length < BODY_LENGTH) {
+        body += crypto.randomInt(0, 10);
+    }
+    return body + luhnCheckDigit(body);
+}
+
+/**
+ * Checks the format and check digit of an account number.
+ * Catches single-digit typos and most transpositions before hitting the database.
+ * @param {string} accountNumber - The account number to check.
+ * @returns {boolean} True if the account number is well-formed.
+ */
+function isValidAccountNumber(accountNumber) {
+    if (typeof accountNumber !== 'string' || !/^[1-9]\d{9}$/.test(accountNumber)) {
+        return false;
+    }
+    const body = accountNumber.slice(0, BODY_LENGTH);
+    return luhnCheckDigit(body) === Number(accountNumber[BODY_LENGTH]);
+}
+
+module.exports = { generateAccountNumber, isValidAccountNumber };
@@ -0,0 +1,98 @@
+// accountStatus.js
+// ./backend/utils/accountStatus.js
+
+const { ValidationError, ConflictError, AccountStatusError } = require('../middlewares/errorMiddleware');
+
+// Statuses an account can have. Accounts stored before statuses existed have none and are active.
+const ACCOUNT_STATUSES = ['pending', 'active', 'frozen', 'closed'];
+
+/**
+ * Transitions between statuses, by name: the statuses each one starts from and the status it leads to.
+ * - activate: a pending account is approved
+ * - freeze / unfreeze: debits are suspended, e.g. during a fraud investigation, and resumed
+ * - close: the account stops taking any balance change; it is kept, with its history, for the record
+ * - reopen: a closed account is taken back into use
+ */
+const ACCOUNT_TRANSITIONS = {
+    activate: { from: ['pending'], to: 'active' },
+    freeze: { from: ['active'], to: 'frozen' },
+    unfreeze: { from: ['frozen'], to: 'active' },
+    close: { from: ['pending', 'active', 'frozen'], to: 'closed' },
+    reopen: { from: ['closed'], to: 'active' },
+};
+
+// Statuses that reject each kind of balance change
+const BLOCKED_STATUSES = {
+    credit: ['pending', 'closed'],
+    debit: ['pending', 'frozen', 'closed'],
+};
+
+/**
+ * Returns the status of an account.
+ * @param {Object} account - The account document.
+ * @returns {string} One of ACCOUNT_STATUSES.
+ */
+function statusOf(account) {
+    return account.status || 'active';
+}
+
+/**
+ * Returns the statuses that reject a balance change.
+ * @param {number} amount - The signed change; negative for debits.
+ * @returns {string[]} The statuses.
+ */
+function blockedStatuses(amount) {
+    return amount < 0 ? BLOCKED_STATUSES.debit : BLOCKED_STATUSES.credit;
+}
+
+/**
+ * Creates the error for a balance change the account's status rejects.
+ * @param {Object} account - The account document.
+ * @returns {AccountStatusError} The error.
+ */
+function accountStatusError(account) {
+    const status = statusOf(account);
+    return new AccountStatusError(`Account ${account.accountNumber} is ${status}.`, `ACCOUNT_${status.toUpperCase()}`, { status });
+}
+
+/**
+ * Checks that an account's status allows a balance change.
+ * @param {Object} account - The account document.
+ * @param {number} amount - The signed change; negative for debits.
+ * @throws {AccountStatusError} If the status rejects the change.
+ */
+function assertStatusAllows(account, amount) {
+    if (blockedStatuses(amount).includes(statusOf(account))) {
+        throw accountStatusError(account);
+    }
+}
+
+/**
+ * Resolves the status a transition leads to from an account's current status.
+ * @param {Object} account - The account document.
+ * @param {string} transition - One of the ACCOUNT_TRANSITIONS names.
+ * @returns {string} The new status.
+ * @throws {ValidationError} If the transition is unknown.
+ * @throws {ConflictError} If the transition does not start from the account's status.
+ */
+function nextStatus(account, transition) {
+    const rule = ACCOUNT_TRANSITIONS[transition];
+    if (!rule) {
+        throw new ValidationError(`Status change must be one of: ${Object.keys(ACCOUNT_TRANSITIONS).join(', ')}.`);
+    }
+    const status = statusOf(account);
+    if (!rule.from.includes(status)) {
+        throw new ConflictError(`Cannot ${transition} an account that is ${status}.`);
+    }
+    return rule.to;
+}
+
+module.exports = {
+    ACCOUNT_STATUSES,
+    ACCOUNT_TRANSITIONS,
+    statusOf,
+    blockedStatuses,
+    accountStatusError,
+    assertStatusAllows,
+    nextStatus,
+};
@@ -0,0 +1,161 @@
+// audit.js
+// ./backend/utils/audit.js
+
+const crypto = require('crypto');
+const { getRequestContext } = require('./requestContext');
+
+// prevHash of the first event in a chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Fields whose values are never copied into audit events; a change is still recorded
+const REDACTED_FIELDS = ['password', 'twoFactor', 'secret'];
+
+// Actors of changes made by unauthenticated requests (e.g. sign-up) and outside of any request (e.g. the scheduler)
+const ANONYMOUS_ACTOR = { email: null, role: 'anonymous' };
+const SYSTEM_ACTOR = { email: null, role: 'system' };
+
+/**
+ * Serializes a value to JSON with object keys sorted, so an event hashes the same before it is
+ * stored and after it is read back. Dates and ObjectIds are serialized through their toJSON.
+ * @param {*} value - The value to serialize.
+ * @returns {string} The canonical JSON string.
+ */
+function canonicalJson(value) {
+    if (value && typeof value.toJSON === 'function') {
+        return canonicalJson(value.toJSON());
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Names the audit chain of a changed object. Each object's events form a chain of their own, so
+ * changes to different objects never contend for the same chain head.
+ * @param {Object} target - The changed object's type and id, e.g. { type: 'account', id: accountNumber }.
+ * @returns {string} The chain, e.g. 'account:1234567897'.
+ */
+function chainOf(target) {
+    return `${target.type}:${target.id}`;
+}
+
+/**
+ * Computes the hash of an audit event: SHA-256 over its canonical JSON, which includes its chain
+ * and the previous event's hash, so changing or removing any event breaks every link after it.
+ * @param {Object} event - The event; its `_id` and `hash` fields are ignored.
+ * @returns {string} A hex SHA-256 digest.
+ */
+function hashEvent(event) {
+    const { _id, hash, ...content } = event;
+    return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+/**
+ * Lists the top-level fields that differ between two versions of a document.
+ * @param {Object} [before] - The document before the change (omitted for creations).
+ * @param {Object} [after] - The document after the change (omitted for deletions).
+ * @returns {Object} For each changed field, its `before` and `after` value (null when absent).
+ */
+function diffDocuments(before = {}, after = {}) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const field of fields) {
+        if (field === '_id') continue;
+        const from = (before || {})[field];
+        const to = (after || {})[field];
+        if (canonicalJson(from) === canonicalJson(to)) continue;
+        changes[field] = REDACTED_FIELDS.includes(field)
+            ? { before: from === undefined ? null : '[redacted]', after: to === undefined ? null : '[redacted]' }
+            : { before: from === undefined ? null : from, after: to === undefined ? null : to };
+    }
+    return changes;
+}
+
+/**
+ * Builds the next event of the target's audit chain (see chainOf). Who, from where and in which
+ * request come from the request context unless an actor is given.
+ * @param {Object} head - The head of the target's chain: `seq` and `hash` of its last event (seq 0 and GENESIS_HASH when empty).
+ * @param {string} action - What was done, e.g. 'user.update' or 'account.deposit'.
+ * @param {Object} target - The changed object's type and id, e.g. { type: 'account', id: accountNumber }.
+ * @param {Object} [options] - The object `before` and `after` the change, action-specific `details` and the `actor`.
+ * @returns {Object} The event, including its hash.
+ */
+function createAuditEvent(head, action, target, { before, after, details, actor } = {}) {
+    const context = getRequestContext();
+    const event = {
+        chain: chainOf(target),
+        seq: head.seq + 1,
+        at: new Date(),
+        actor: actor || context.actor || (context.requestId ? ANONYMOUS_ACTOR : SYSTEM_ACTOR),
+        action,
+        target,
+        changes: diffDocuments(before, after),
+        details: details || {},
+        ip: context.ip || null,
+        userAgent: context.userAgent || null,
+        requestId: context.requestId || null,
+        prevHash: head.hash,
+    };
+    event.hash = hashEvent(event);
+    return event;
+}
+
+/**
+ * Checks every link of the audit chains: within a chain, sequence numbers have no gaps, each event
+ * points at the previous event's hash, and each hash matches the event's contents. Every chain must
+ * also end where its recorded head says, so removing the newest events of a chain is detected too.
+ * Events past their chain's head (or in a chain with no head) were recorded after the heads were
+ * read, and are left for the next check.
+ * @param {AsyncIterable<Object>|Iterable<Object>} events - The events, each chain's together and in sequence order.
+ * @param {Map<string, Object>} heads - The recorded head (`seq` and `hash`) of each chain.
+ * @returns {Promise<Object>} `valid`, the number of events `checked` and, if invalid, the first
+ * broken link found (`brokenAt`: the chain, the sequence number, and `reason`).
+ */
+async function verifyEvents(events, heads) {
+    const broken = (chain, seq, reason, checked) => ({ valid: false, checked, brokenAt: { chain, seq, reason } });
+    const reachesHead = last => last.seq === heads.get(last.chain).seq && last.hash === heads.get(last.chain).hash;
+    const seen = new Set();
+    let previous = null;
+    let checked = 0;
+    for await (const event of events) {
+        const head = heads.get(event.chain);
+        if (!head || event.seq > head.seq) {
+            continue;
+        }
+        if (!previous || event.chain !== previous.chain) {
+            if (previous && !reachesHead(previous)) {
+                return broken(previous.chain, previous.seq + 1, 'Event is missing.', checked);
+            }
+            seen.add(event.chain);
+            previous = { chain: event.chain, seq: 0, hash: GENESIS_HASH };
+        }
+        if (event.seq !== previous.seq + 1) {
+            return broken(event.chain, previous.seq + 1, 'Event is missing.', checked);
+        }
+        if (event.prevHash !== previous.hash) {
+            return broken(event.chain, event.seq, 'Event does not link to the previous event.', checked);
+        }
+        if (hashEvent(event) !== event.hash) {
+            return broken(event.chain, event.seq, 'Event contents do not match its hash.', checked);
+        }
+        checked++;
+        previous = event;
+    }
+    if (previous && !reachesHead(previous)) {
+        return broken(previous.chain, previous.seq + 1, 'Event is missing.', checked);
+    }
+    // Chains whose events were all removed
+    for (const chain of heads.keys()) {
+        if (!seen.has(chain)) {
+            return broken(chain, 1, 'Event is missing.', checked);
+        }
+    }
+    return { valid: true, checked, brokenAt: null };
+}
+
+module.exports = { GENESIS_HASH, canonicalJson, chainOf, hashEvent, diffDocuments, createAuditEvent, verifyEvents };
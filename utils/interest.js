@@ -0,0 +1,60 @@
+// interest.js
+// ./backend/utils/interest.js
+
+const { getCurrency } = require('./money');
+
+// Accrued interest is kept in millionths of a minor unit, so daily accruals on small
+// balances are not lost to rounding before the monthly posting
+const ACCRUAL_SCALE = 1000000;
+
+// Interest is accrued on an Actual/365 Fixed basis
+const DAYS_PER_YEAR = 365;
+
+/**
+ * Interest products by account type. Each tier applies its annual rate (in basis points, 150 = 1.50%)
+ * to the part of the balance up to `upTo` (in whole units of the account's currency) that lies
+ * above the previous tier; the last tier has no upper bound. Account types without a product earn nothing.
+ * Can be replaced through the INTEREST_PRODUCTS environment variable (JSON of the same shape).
+ */
+const INTEREST_PRODUCTS = process.env.INTEREST_PRODUCTS ? JSON.parse(process.env.INTEREST_PRODUCTS) : {
+    savings: {
+        tiers: [
+            { upTo: 10000, rateBps: 150 },
+            { upTo: 100000, rateBps: 200 },
+            { rateBps: 250 },
+        ],
+    },
+};
+
+/**
+ * Computes one day of interest on an end-of-day balance.
+ * @param {number} balance - The end-of-day balance in minor units; negative balances earn nothing.
+ * @param {Object} product - The interest product (see INTEREST_PRODUCTS).
+ * @param {string} currency - The account's currency, used to read the tier bounds.
+ * @returns {number} The day's interest in millionths of a minor unit (see ACCRUAL_SCALE).
+ */
+function dailyAccrual(balance, product, currency) {
+    const unit = 10 ** getCurrency(currency).decimals;
+    let lower = 0;
+    // BigInt keeps balance x rate x scale exact; it would overflow a double for large balances
+    let total = 0n;
+    for (const tier of product.tiers) {
+        const upper = tier.upTo === undefined ? Infinity : tier.upTo * unit;
+        const portion = Math.min(balance, upper) - lower;
+        if (portion <= 0) break;
+        total += BigInt(portion) * BigInt(tier.rateBps);
+        lower = upper;
+    }
+    return Number(total * BigInt(ACCRUAL_SCALE) / BigInt(10000 * DAYS_PER_YEAR));
+}
+
+/**
+ * Converts accrued interest to whole minor units, rounding half up.
+ * @param {number} accrued - Interest in millionths of a minor unit.
+ * @returns {number} The interest in minor units.
+ */
+function toMinorUnits(accrued) {
+    return Math.floor((accrued + ACCRUAL_SCALE / 2) / ACCRUAL_SCALE);
+}
+
+module.exports = { ACCRUAL_SCALE, INTEREST_PRODUCTS, dailyAccrual, toMinorUnits };
@@ -0,0 +1,57 @@
+// limits.js
+// ./backend/utils/limits.js
+
+const { getCurrency } = require('./money');
+
+// Names of the limits an account can have
+const LIMIT_FIELDS = ['overdraft', 'overdraftFee', 'dailyWithdrawal', 'monthlyWithdrawal', 'perTransaction'];
+
+/**
+ * Default limits by account type, in whole units of the account's currency:
+ * - overdraft: how far the balance may go below zero
+ * - overdraftFee: charged for each debit that leaves the balance below zero
+ * - dailyWithdrawal, monthlyWithdrawal: caps on withdrawals and outgoing transfers per UTC day / month
+ * - perTransaction: the largest single withdrawal or outgoing transfer
+ * null means no cap. Individual accounts can override any of them (see setAccountLimits in repositories/repository.js).
+ * Can be replaced through the ACCOUNT_LIMITS environment variable (JSON of the same shape).
+ */
+const ACCOUNT_LIMITS = process.env.ACCOUNT_LIMITS ? JSON.parse(process.env.ACCOUNT_LIMITS) : {
+    checking: { overdraft: 0, overdraftFee: 0, dailyWithdrawal: 10000, monthlyWithdrawal: 100000, perTransaction: 10000 },
+    savings: { overdraft: 0, overdraftFee: 0, dailyWithdrawal: 5000, monthlyWithdrawal: 20000, perTransaction: 5000 },
+};
+
+/**
+ * Resolves the limits that apply to an account: its own overrides (stored in minor units)
+ * over the defaults of its type.
+ * @param {Object} account - The account document.
+ * @returns {Object} Each limit in minor units, or null where there is no cap.
+ */
+function resolveLimits(account) {
+    const unit = 10 ** getCurrency(account.currency).decimals;
+    const defaults = ACCOUNT_LIMITS[account.type] || {};
+    const overrides = account.limits || {};
+    const limits = {};
+    for (const field of LIMIT_FIELDS) {
+        if (overrides[field] !== undefined) {
+            limits[field] = overrides[field];
+        } else if (defaults[field] === undefined || defaults[field] === null) {
+            // Without a configured value there is no overdraft or fee, and no cap
+            limits[field] = field === 'overdraft' || field === 'overdraftFee' ? 0 : null;
+        } else {
+            limits[field] = defaults[field] * unit;
+        }
+    }
+    return limits;
+}
+
+/**
+ * Returns the keys of the usage periods a debit at a given time counts towards.
+ * @param {Date} date - The time of the debit.
+ * @returns {Object} The UTC day ('2024-05-31') and month ('2024-05').
+ */
+function usagePeriods(date) {
+    const day = date.toISOString().slice(0, 10);
+    return { day, month: day.slice(0, 7) };
+}
+
+module.exports = { LIMIT_FIELDS, ACCOUNT_LIMITS, resolveLimits, usagePeriods };
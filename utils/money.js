@@ -0,0 +1,89 @@
+// money.js
+// ./backend/utils/money.js
+
+const { ValidationError } = require('../middlewares/errorMiddleware');
+
+// Money is stored and computed in integer minor units (e.g. cents) so balances never
+// pick up floating point rounding errors. Decimal strings only exist at the API edge.
+const CURRENCIES = {
+    USD: { decimals: 2 },
+    EUR: { decimals: 2 },
+    GBP: { decimals: 2 },
+    JPY: { decimals: 0 },
+};
+
+const DEFAULT_CURRENCY = 'USD';
+
+// Plain decimal notation only: no exponents, signs other than a leading minus, separators or spaces
+const AMOUNT_PATTERN = /^(-?)(\d+)(?:\.(\d+))?$/;
+
+/**
+ * Looks up the settings of a supported currency.
+ * @param {string} currency - ISO 4217 currency code.
+ * @returns {Object} The currency settings.
+ * @throws {ValidationError} If the currency is not supported.
+ */
+function getCurrency(currency) {
+    const settings = CURRENCIES[currency];
+    if (!settings) {
+        throw new ValidationError(`Unsupported currency: ${currency}.`);
+    }
+    return settings;
+}
+
+/**
+ * Parses a decimal amount from a request into integer minor units.
+ * Accepts JSON numbers and numeric strings such as "10", "10.5" or "-3.25".
+ *
+ * @param {number|string} input - The amount as sent by the client.
+ * @param {string} [currency=USD] - Currency whose decimal places apply.
+ * @returns {number} The amount in minor units (a safe integer, possibly negative).
+ * @throws {ValidationError} If the input is not a plain decimal, has too many decimal places or is too large.
+ */
+function parseAmount(input, currency = DEFAULT_CURRENCY) {
+    const { decimals } = getCurrency(currency);
+    let text;
+    if (typeof input === 'number') {
+        if (!Number.isFinite(input)) {
+            throw new ValidationError('Amount must be a finite number.');
+        }
+        text = String(input);
+    } else if (typeof input === 'string') {
+        text = input.trim();
+    } else {
+        throw new ValidationError('Amount is required.');
+    }
+
+    const match = AMOUNT_PATTERN.exec(text);
+    if (!match) {
+        throw new ValidationError('Amount must be a plain decimal number.');
+    }
+    const [, sign, whole, fraction = ''] = match;
+    if (fraction.length > decimals) {
+        throw new ValidationError(`Amount cannot have more than ${decimals} decimal places for ${currency}.`);
+    }
+
+    const minor = BigInt(whole) * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0');
+    if (minor > BigInt(Number.MAX_SAFE_INTEGER)) {
+        throw new ValidationError('Amount is too large.');
+    }
+    return sign && minor ? -Number(minor) : Number(minor);
+}
+
+/**
+ * Formats integer minor units as a fixed-point decimal string, e.g. 1050 -> "10.50".
+ * @param {number} minor - The amount in minor units.
+ * @param {string} [currency=USD] - Currency whose decimal places apply.
+ * @returns {string} The formatted amount.
+ */
+function formatAmount(minor, currency = DEFAULT_CURRENCY) {
+    const { decimals } = getCurrency(currency);
+    const sign = minor < 0 ? '-' : '';
+    const digits = String(Math.abs(minor)).padStart(decimals + 1, '0');
+    if (!decimals) {
+        return sign + digits;
+    }
+    return `${sign}${digits.slice(0, -decimals)}.${digits.slice(-decimals)}`;
+}
+
+module.exports = { parseAmount, formatAmount, getCurrency, CURRENCIES, DEFAULT_CURRENCY };
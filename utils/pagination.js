@@ -0,0 +1,68 @@
+// pagination.js
+// ./backend/utils/pagination.js
+
+const { ValidationError } = require('../middlewares/errorMiddleware');
+
+// Page sizes for list endpoints
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Encodes the position after the last item of a page as an opaque cursor.
+ * The cursor records the sort it was created for, so it cannot be replayed against another order.
+ * @param {string} sort - The sort order of the listing, e.g. '-date'.
+ * @param {*} value - The sort key of the last item (a Date, number or string).
+ * @param {*} id - The id of the last item, which breaks ties between equal sort keys.
+ * @returns {string} A URL-safe cursor.
+ */
+function encodeCursor(sort, value, id) {
+    const key = value instanceof Date ? { date: value.toISOString() } : { value };
+    return Buffer.from(JSON.stringify({ sort, ...key, id: String(id) })).toString('base64url');
+}
+
+/**
+ * Decodes a cursor produced by encodeCursor.
+ * @param {string} cursor - The cursor sent by the client.
+ * @param {string} sort - The sort order of the current request.
+ * @returns {Object} The sort key `value` (a Date for date cursors) and the `id` of the last item seen.
+ * @throws {ValidationError} If the cursor is malformed or was created for another sort order.
+ */
+function decodeCursor(cursor, sort) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (err) {
+        decoded = null;
+    }
+    if (!decoded || typeof decoded.id !== 'string' || !('date' in decoded || 'value' in decoded)) {
+        throw new ValidationError('Request validation failed.', [{ field: 'query.cursor', message: 'is invalid' }]);
+    }
+    if (decoded.sort !== sort) {
+        throw new ValidationError('Request validation failed.', [{ field: 'query.cursor', message: 'does not match the sort order' }]);
+    }
+    const value = 'date' in decoded ? new Date(decoded.date) : decoded.value;
+    if (value instanceof Date && Number.isNaN(value.getTime())) {
+        throw new ValidationError('Request validation failed.', [{ field: 'query.cursor', message: 'is invalid' }]);
+    }
+    return { value, id: decoded.id };
+}
+
+/**
+ * Splits a sort parameter such as '-amount' into its key and direction.
+ * @param {string} sort - The sort parameter; a leading '-' means descending.
+ * @returns {Object} The sort `key` and `direction` (1 ascending, -1 descending).
+ */
+function parseSort(sort) {
+    return sort.startsWith('-') ? { key: sort.slice(1), direction: -1 } : { key: sort, direction: 1 };
+}
+
+/**
+ * Escapes text for literal use inside a regular expression, e.g. for substring searches.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, encodeCursor, decodeCursor, parseSort, escapeRegExp };
@@ -0,0 +1,63 @@
+// recurrence.js
+// ./backend/utils/recurrence.js
+
+// How often a scheduled payment repeats
+const FREQUENCIES = ['once', 'daily', 'weekly', 'monthly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the number of days in a month (UTC).
+ * @param {number} year - The full year.
+ * @param {number} month - The month, 0-11.
+ * @returns {number} The number of days.
+ */
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Computes the date of the n-th occurrence (0-based) of a schedule.
+ *
+ * Occurrences are always derived from the start date rather than from the previous occurrence,
+ * so monthly schedules keep their day: a schedule starting on 31 January runs on 29 February
+ * (or the 28th), then on 31 March again. All dates are in UTC.
+ *
+ * @param {Object} schedule - The schedule: frequency, startAt and optionally count and endDate.
+ * @param {number} index - The occurrence number, starting at 0.
+ * @returns {Date|null} The occurrence, or null if the schedule has ended by then.
+ */
+function occurrenceAt(schedule, index) {
+    const { frequency, startAt, count, endDate } = schedule;
+    let date;
+    switch (frequency) {
+        case 'once':
+            date = index === 0 ? new Date(startAt) : null;
+            break;
+        case 'daily':
+            date = new Date(startAt.getTime() + index * DAY_MS);
+            break;
+        case 'weekly':
+            date = new Date(startAt.getTime() + index * 7 * DAY_MS);
+            break;
+        case 'monthly': {
+            const year = startAt.getUTCFullYear();
+            const month = startAt.getUTCMonth() + index;
+            // Date.UTC normalises months past December into later years
+            const first = new Date(Date.UTC(year, month, 1));
+            const day = Math.min(startAt.getUTCDate(), daysInMonth(first.getUTCFullYear(), first.getUTCMonth()));
+            date = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), day,
+                startAt.getUTCHours(), startAt.getUTCMinutes(), startAt.getUTCSeconds(), startAt.getUTCMilliseconds()));
+            break;
+        }
+        default:
+            throw new Error(`Unknown frequency: ${frequency}`);
+    }
+
+    if (!date) return null;
+    if (Number.isInteger(count) && index >= count) return null;
+    if (endDate && date > endDate) return null;
+    return date;
+}
+
+module.exports = { FREQUENCIES, occurrenceAt };
@@ -0,0 +1,85 @@
+// redact.js
+// ./backend/utils/redact.js
+
+const { isValidAccountNumber } = require('./accountNumber');
+
+// Fields whose values are never logged
+const SECRET_FIELDS = /pass(word)?|token|secret|authorization|cookie|hash/i;
+// Fields that hold account numbers, logged masked: the request fields naming accounts (transfers,
+// closing payouts) and any field named like one (e.g. counterpartyAccountNumber)
+const ACCOUNT_FIELDS = /^(accountNumber|source|destination|payoutTo)$|AccountNumber$/;
+// Secrets that can appear inside free text: JWTs, bcrypt hashes and bearer credentials
+const SECRET_PATTERNS = [
+    /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g,
+    /\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}/g,
+    /\bBearer\s+\S+/gi,
+];
+const REDACTED = '[REDACTED]';
+// Nesting below this depth is dropped rather than walked
+const MAX_DEPTH = 8;
+
+/**
+ * Masks an account number, keeping its last four digits.
+ * @param {string} accountNumber - The account number.
+ * @returns {string} E.g. '******1234'.
+ */
+function maskAccountNumber(accountNumber) {
+    return '*'.repeat(accountNumber.length - 4) + accountNumber.slice(-4);
+}
+
+/**
+ * Removes secrets and masks account numbers in free text. Only 10-digit numbers with a valid
+ * check digit are masked, so most other numbers (amounts, timestamps) are left readable.
+ * @param {string} text - The text to clean.
+ * @returns {string} The cleaned text.
+ */
+function redactText(text) {
+    let result = text;
+    for (const pattern of SECRET_PATTERNS) {
+        result = result.replace(pattern, REDACTED);
+    }
+    return result.replace(/\b\d{10}\b/g, digits => (isValidAccountNumber(digits) ? maskAccountNumber(digits) : digits));
+}
+
+/**
+ * Returns a copy of a value that is safe to log: secret fields are replaced, account numbers are
+ * masked and strings are cleaned with redactText. Errors become their message and stack.
+ * Objects other than plain objects, arrays and errors (Dates, ObjectIds...) are kept as they are.
+ * @param {*} value - The value to clean.
+ * @param {number} [depth=0] - The current nesting depth.
+ * @returns {*} The cleaned copy.
+ */
+function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return redactText(value);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[Truncated]';
+    }
+    if (value instanceof Error) {
+        return { name: value.name, message: redactText(value.message), stack: value.stack && redactText(value.stack) };
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype !== Object.prototype && prototype !== null) {
+        return value;
+    }
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        if (SECRET_FIELDS.test(key) && item !== null && item !== undefined) {
+            result[key] = REDACTED;
+        } else if (ACCOUNT_FIELDS.test(key) && typeof item === 'string' && item.length > 4) {
+            result[key] = maskAccountNumber(item);
+        } else {
+            result[key] = redact(item, depth + 1);
+        }
+    }
+    return result;
+}
+
+module.exports = { redact, redactText, maskAccountNumber };
@@ -0,0 +1,27 @@
+// requestContext.js
+// ./backend/utils/requestContext.js
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Holds the context of the request being handled, for code that has no access to req (the repositories, the logger)
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs a function inside a request context; everything it starts, including awaited work, sees the context.
+ * @param {Object} context - The request id, ip, user agent and actor.
+ * @param {Function} fn - The function to run.
+ * @returns {*} What the function returns.
+ */
+function runWithContext(context, fn) {
+    return storage.run(context, fn);
+}
+
+/**
+ * Returns the context of the request being handled.
+ * @returns {Object} The request id, ip, user agent and actor; an empty object outside of a request (e.g. background jobs).
+ */
+function getRequestContext() {
+    return storage.getStore() || {};
+}
+
+module.exports = { runWithContext, getRequestContext };
@@ -0,0 +1,171 @@
+// serializers.js
+// ./backend/utils/serializers.js
+
+const { formatAmount, DEFAULT_CURRENCY } = require('./money');
+const { toMinorUnits } = require('./interest');
+const { statusOf } = require('./accountStatus');
+
+/**
+ * Converts a user document into its API representation.
+ * Only whitelisted fields are copied, so password hashes and other internal fields never leave the server.
+ *
+ * @param {Object} user - The user document.
+ * @returns {Object} The user as returned to clients.
+ */
+function serializeUser(user) {
+    return {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role || 'customer',
+        emailVerified: Boolean(user.emailVerifiedAt),
+        twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+        createdAt: user.createdAt,
+        ...(user.accounts && { accounts: user.accounts.map(serializeAccount) }),
+    };
+}
+
+/**
+ * Converts an account document into its API representation.
+ * Amounts are rendered as fixed-point decimal strings in the account currency.
+ *
+ * @param {Object} account - The account document.
+ * @returns {Object} The account as returned to clients.
+ */
+function serializeAccount(account) {
+    const currency = account.currency || DEFAULT_CURRENCY;
+    return {
+        accountNumber: account.accountNumber,
+        type: account.type,
+        status: statusOf(account),
+        currency,
+        balance: formatAmount(account.balance, currency),
+        // Interest accrued since the last monthly posting, not yet part of the balance
+        accruedInterest: formatAmount(toMinorUnits(account.accruedInterest || 0), currency),
+        createdAt: account.createdAt,
+    };
+}
+
+/**
+ * Converts a ledger entry into its API representation.
+ *
+ * @param {Object} entry - The ledger entry document.
+ * @returns {Object} The entry as returned to clients.
+ */
+function serializeTransaction(entry) {
+    const currency = entry.currency || DEFAULT_CURRENCY;
+    return {
+        id: entry._id,
+        type: entry.type,
+        currency,
+        amount: formatAmount(entry.amount, currency),
+        balance: formatAmount(entry.balance, currency),
+        description: entry.description,
+        timestamp: entry.timestamp,
+        ...(entry.transferId && { transferId: entry.transferId }),
+    };
+}
+
+/**
+ * Converts a scheduled payment into its API representation.
+ *
+ * @param {Object} schedule - The scheduled payment document.
+ * @returns {Object} The scheduled payment as returned to clients.
+ */
+function serializeScheduledPayment(schedule) {
+    const currency = schedule.currency || DEFAULT_CURRENCY;
+    return {
+        id: schedule._id,
+        source: schedule.source,
+        destination: schedule.destination,
+        amount: formatAmount(schedule.amount, currency),
+        currency,
+        memo: schedule.memo,
+        frequency: schedule.frequency,
+        startAt: schedule.startAt,
+        ...(Number.isInteger(schedule.count) && { count: schedule.count }),
+        ...(schedule.endDate && { endDate: schedule.endDate }),
+        status: schedule.status,
+        nextRunAt: schedule.nextRunAt,
+        ...(schedule.attempts > 0 && { retryAt: schedule.dueAt, attempts: schedule.attempts }),
+        lastRun: schedule.lastRun,
+        createdAt: schedule.createdAt,
+    };
+}
+
+/**
+ * Converts an audit event into its API representation. The chain, sequence number and hashes
+ * are included so the chains can be checked independently of the server.
+ *
+ * @param {Object} event - The audit event document.
+ * @returns {Object} The event as returned to clients.
+ */
+function serializeAuditEvent(event) {
+    return {
+        chain: event.chain,
+        seq: event.seq,
+        at: event.at,
+        actor: event.actor,
+        action: event.action,
+        target: event.target,
+        changes: event.changes,
+        details: event.details,
+        ip: event.ip,
+        userAgent: event.userAgent,
+        requestId: event.requestId,
+        prevHash: event.prevHash,
+        hash: event.hash,
+    };
+}
+
+/**
+ * Converts a webhook into its API representation. The secret is left out; it is only returned
+ * when it is generated (see services/webhooks.js).
+ *
+ * @param {Object} webhook - The webhook document.
+ * @returns {Object} The webhook as returned to clients.
+ */
+function serializeWebhook(webhook) {
+    return {
+        id: webhook._id,
+        url: webhook.url,
+        events: webhook.events,
+        description: webhook.description,
+        enabled: webhook.enabled,
+        createdAt: webhook.createdAt,
+        ...(webhook.updatedAt && { updatedAt: webhook.updatedAt }),
+    };
+}
+
+/**
+ * Converts a webhook delivery into its API representation, with the event it carries.
+ *
+ * @param {Object} delivery - The delivery document.
+ * @returns {Object} The delivery as returned to clients.
+ */
+function serializeWebhookDelivery(delivery) {
+    return {
+        id: delivery._id,
+        webhookId: delivery.webhookId,
+        event: delivery.event,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+        lastAttemptAt: delivery.lastAttemptAt || null,
+        lastStatusCode: delivery.lastStatusCode || null,
+        lastError: delivery.lastError || null,
+        ...(delivery.deliveredAt && { deliveredAt: delivery.deliveredAt }),
+        ...(delivery.deadAt && { deadAt: delivery.deadAt }),
+        createdAt: delivery.createdAt,
+    };
+}
+
+module.exports = {
+    serializeUser,
+    serializeAccount,
+    serializeTransaction,
+    serializeScheduledPayment,
+    serializeAuditEvent,
+    serializeWebhook,
+    serializeWebhookDelivery,
+};
@@ -0,0 +1,177 @@
+// statementFormats.js
+// ./backend/utils/statementFormats.js
+
+const { formatAmount } = require('./money');
+
+// Routing number reported in OFX files; set BANK_ROUTING_NUMBER in production
+const BANK_ID = process.env.BANK_ROUTING_NUMBER || '000000000';
+
+/**
+ * Each statement format renders a statement in three parts so entries can be streamed:
+ * `header(statement)` before the first entry, `entry(entry, index, statement)` per entry,
+ * and `footer(statement)` after the last one. Every part returns a string chunk.
+ *
+ * A statement has: accountNumber, type, currency, from, to, openingBalance and closingBalance
+ * (minor units). Entries are ledger entries in chronological order.
+ */
+
+/**
+ * Quotes a CSV field when needed and neutralises spreadsheet formulas.
+ * @param {string} value - The field value.
+ * @returns {string} The escaped field.
+ */
+function csvField(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    // A leading =, +, - or @ makes spreadsheet apps evaluate the cell as a formula
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+const csv = {
+    contentType: 'text/csv',
+    extension: 'csv',
+    header(statement) {
+        return [
+            'Date,Type,Description,Amount,Balance,Currency',
+            [statement.from.toISOString(), 'opening', 'Opening balance', '',
+                formatAmount(statement.openingBalance, statement.currency), statement.currency].join(','),
+        ].join('\r\n') + '\r\n';
+    },
+    entry(entry, index, statement) {
+        return [
+            entry.timestamp.toISOString(),
+            entry.type,
+            csvField(entry.description),
+            formatAmount(entry.amount, statement.currency),
+            formatAmount(entry.balance, statement.currency),
+            statement.currency,
+        ].join(',') + '\r\n';
+    },
+    footer(statement) {
+        return [statement.to.toISOString(), 'closing', 'Closing balance', '',
+            formatAmount(statement.closingBalance, statement.currency), statement.currency].join(',') + '\r\n';
+    },
+};
+
+const json = {
+    contentType: 'application/json',
+    extension: 'json',
+    header(statement) {
+        const summary = JSON.stringify({
+            accountNumber: statement.accountNumber,
+            currency: statement.currency,
+            from: statement.from,
+            to: statement.to,
+            openingBalance: formatAmount(statement.openingBalance, statement.currency),
+            closingBalance: formatAmount(statement.closingBalance, statement.currency),
+        });
+        // Reopen the summary object to append the streamed entries array
+        return `${summary.slice(0, -1)},"entries":[`;
+    },
+    entry(entry, index, statement) {
+        const item = JSON.stringify({
+            id: entry._id,
+            timestamp: entry.timestamp,
+            type: entry.type,
+            description: entry.description,
+            amount: formatAmount(entry.amount, statement.currency),
+            balance: formatAmount(entry.balance, statement.currency),
+        });
+        return index === 0 ? item : `,${item}`;
+    },
+    footer() {
+        return ']}';
+    },
+};
+
+/**
+ * Escapes text for an OFX (XML) element.
+ * @param {string} value - The text.
+ * @returns {string} The escaped text.
+ */
+function xml(value) {
+    return String(value || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats a date as an OFX datetime, e.g. 20240131120000.000[0:GMT].
+ * @param {Date} date - The date.
+ * @returns {string} The OFX datetime.
+ */
+function ofxDate(date) {
+    const iso = date.toISOString(); // 2024-01-31T12:00:00.000Z
+    return `${iso.slice(0, 4)}${iso.slice(5, 7)}${iso.slice(8, 10)}${iso.slice(11, 13)}${iso.slice(14, 16)}${iso.slice(17, 23)}[0:GMT]`;
+}
+
+// Ledger entry types mapped to OFX transaction types
+const OFX_TRANSACTION_TYPES = {
+    deposit: 'DEP',
+    withdrawal: 'DEBIT',
+    transfer: 'XFER',
+    fee: 'FEE',
+    interest: 'INT',
+};
+
+const ofx = {
+    contentType: 'application/x-ofx',
+    extension: 'ofx',
+    header(statement) {
+        return [
+            '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+            '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+            '<OFX>',
+            '<SIGNONMSGSRSV1><SONRS>',
+            '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+            `<DTSERVER>${ofxDate(new Date())}</DTSERVER><LANGUAGE>ENG</LANGUAGE>`,
+            '</SONRS></SIGNONMSGSRSV1>',
+            '<BANKMSGSRSV1><STMTTRNRS>',
+            '<TRNUID>0</TRNUID><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+            '<STMTRS>',
+            `<CURDEF>${statement.currency}</CURDEF>`,
+            `<BANKACCTFROM><BANKID>${BANK_ID}</BANKID><ACCTID>${statement.accountNumber}</ACCTID>` +
+                `<ACCTTYPE>${statement.type === 'savings' ? 'SAVINGS' : 'CHECKING'}</ACCTTYPE></BANKACCTFROM>`,
+            `<BANKTRANLIST><DTSTART>${ofxDate(statement.from)}</DTSTART><DTEND>${ofxDate(statement.to)}</DTEND>`,
+        ].join('\n') + '\n';
+    },
+    entry(entry, index, statement) {
+        const type = OFX_TRANSACTION_TYPES[entry.type] || (entry.amount < 0 ? 'DEBIT' : 'CREDIT');
+        return [
+            '<STMTTRN>',
+            `<TRNTYPE>${type}</TRNTYPE>`,
+            `<DTPOSTED>${ofxDate(entry.timestamp)}</DTPOSTED>`,
+            `<TRNAMT>${formatAmount(entry.amount, statement.currency)}</TRNAMT>`,
+            `<FITID>${entry._id}</FITID>`,
+            `<NAME>${xml((entry.description || entry.type).slice(0, 32))}</NAME>`,
+            entry.description ? `<MEMO>${xml(entry.description.slice(0, 255))}</MEMO>` : '',
+            '</STMTTRN>',
+        ].join('') + '\n';
+    },
+    footer(statement) {
+        return [
+            '</BANKTRANLIST>',
+            `<LEDGERBAL><BALAMT>${formatAmount(statement.closingBalance, statement.currency)}</BALAMT>` +
+                `<DTASOF>${ofxDate(statement.to)}</DTASOF></LEDGERBAL>`,
+            '</STMTRS>',
+            '</STMTTRNRS></BANKMSGSRSV1>',
+            '</OFX>',
+        ].join('\n') + '\n';
+    },
+};
+
+// Formats keyed by the media type used for content negotiation
+const STATEMENT_FORMATS = {
+    'application/json': json,
+    'text/csv': csv,
+    'application/x-ofx': ofx,
+};
+
+module.exports = { STATEMENT_FORMATS };
@@ -0,0 +1,139 @@
+// totp.js
+// ./backend/utils/totp.js
+
+const crypto = require('crypto');
+
+// RFC 4648 base32 alphabet, used by authenticator apps for secrets
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+// Authenticator app defaults (RFC 6238): HMAC-SHA1, 30-second steps, 6 digits
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Steps accepted either side of the current one, for clocks that have drifted
+const DRIFT_STEPS = 1;
+
+/**
+ * Encodes bytes as unpadded base32.
+ * @param {Buffer} bytes - The bytes to encode.
+ * @returns {string} The base32 text.
+ */
+function base32Encode(bytes) {
+    let bits = 0;
+    let value = 0;
+    let text = '';
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            text += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        text += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return text;
+}
+
+/**
+ * Decodes base32 text, ignoring case, spaces and padding.
+ * @param {string} text - The base32 text.
+ * @returns {Buffer} The decoded bytes.
+ * @throws {Error} If the text contains a character outside the alphabet.
+ */
+function base32Decode(text) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of text.toUpperCase().replace(/[\s=]/g, '')) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character "${char}".`);
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generates a random TOTP secret.
+ * @returns {string} 160 random bits, base32-encoded.
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Computes an HOTP code (RFC 4226).
+ * @param {string} secret - The base32 secret.
+ * @param {number} counter - The moving factor; for TOTP, the time step.
+ * @param {number} [digits=6] - The code length.
+ * @returns {string} The code, zero-padded.
+ */
+function hotp(secret, counter, digits = DIGITS) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = digest[digest.length - 1] & 15;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Returns the TOTP time step a moment falls in.
+ * @param {number} [time=Date.now()] - The moment, in milliseconds since the epoch.
+ * @returns {number} The step number.
+ */
+function timeStep(time = Date.now()) {
+    return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Computes the TOTP code (RFC 6238) for a moment.
+ * @param {string} secret - The base32 secret.
+ * @param {number} [time=Date.now()] - The moment, in milliseconds since the epoch.
+ * @returns {string} The code.
+ */
+function totp(secret, time = Date.now()) {
+    return hotp(secret, timeStep(time));
+}
+
+/**
+ * Checks a TOTP code against the current step and the steps either side of it.
+ * Returns the step the code matched, so the caller can refuse to accept it again (replay protection).
+ * @param {string} secret - The base32 secret.
+ * @param {string} code - The code entered by the user.
+ * @param {number} [time=Date.now()] - The moment to check at, in milliseconds since the epoch.
+ * @returns {number|null} The matched step, or null if the code does not match.
+ */
+function verifyTotp(secret, code, time = Date.now()) {
+    if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+        return null;
+    }
+    const current = timeStep(time);
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+        if (crypto.timingSafeEqual(Buffer.from(hotp(secret, step)), Buffer.from(code))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * Builds the otpauth:// URI authenticator apps read (usually from a QR code) to add an account.
+ * @param {string} secret - The base32 secret.
+ * @param {string} accountName - The user's name for the account, e.g. their email.
+ * @param {string} [issuer='Bank of Brown'] - The service name shown by the app.
+ * @returns {string} The URI.
+ */
+function otpauthUri(secret, accountName, issuer = 'Bank of Brown') {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = { base32Encode, base32Decode, generateSecret, hotp, timeStep, totp, verifyTotp, otpauthUri };
@@ -0,0 +1,72 @@
+// webhooks.js
+// ./backend/utils/webhooks.js
+
+const net = require('net');
+
+// Addresses webhooks must not reach: the server's own networks, and cloud metadata services such as 169.254.169.254
+const BLOCKED_ADDRESSES = new net.BlockList();
+BLOCKED_ADDRESSES.addSubnet('0.0.0.0', 8, 'ipv4'); // "this" network
+BLOCKED_ADDRESSES.addSubnet('10.0.0.0', 8, 'ipv4'); // private (RFC 1918)
+BLOCKED_ADDRESSES.addSubnet('100.64.0.0', 10, 'ipv4'); // carrier-grade NAT
+BLOCKED_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4'); // loopback
+BLOCKED_ADDRESSES.addSubnet('169.254.0.0', 16, 'ipv4'); // link-local
+BLOCKED_ADDRESSES.addSubnet('172.16.0.0', 12, 'ipv4'); // private (RFC 1918)
+BLOCKED_ADDRESSES.addSubnet('192.0.0.0', 24, 'ipv4'); // IETF protocol assignments
+BLOCKED_ADDRESSES.addSubnet('192.168.0.0', 16, 'ipv4'); // private (RFC 1918)
+BLOCKED_ADDRESSES.addSubnet('198.18.0.0', 15, 'ipv4'); // benchmarking
+BLOCKED_ADDRESSES.addSubnet('224.0.0.0', 3, 'ipv4'); // multicast, reserved and broadcast
+BLOCKED_ADDRESSES.addAddress('::', 'ipv6'); // unspecified
+BLOCKED_ADDRESSES.addAddress('::1', 'ipv6'); // loopback
+BLOCKED_ADDRESSES.addSubnet('64:ff9b::', 96, 'ipv6'); // NAT64, which reaches any IPv4 address, private ones included
+BLOCKED_ADDRESSES.addSubnet('fc00::', 7, 'ipv6'); // unique local
+BLOCKED_ADDRESSES.addSubnet('fe80::', 10, 'ipv6'); // link-local
+BLOCKED_ADDRESSES.addSubnet('ff00::', 8, 'ipv6'); // multicast
+
+/**
+ * Checks whether an IP address is private, loopback, link-local or otherwise not on the public
+ * internet. IPv4 addresses mapped into IPv6 (e.g. ::ffff:127.0.0.1) are checked as IPv4.
+ * @param {string} address - The IPv4 or IPv6 address.
+ * @returns {boolean} Whether webhooks must not be sent to the address.
+ */
+function isBlockedAddress(address) {
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Checks whether a webhook receives events of a type: it is enabled and subscribed to the type, or to all ('*').
+ * @param {Object} webhook - The webhook.
+ * @param {string} type - The event type.
+ * @returns {boolean} Whether the webhook receives the events.
+ */
+function subscribes(webhook, type) {
+    return webhook.enabled && (webhook.events.includes(type) || webhook.events.includes('*'));
+}
+
+/**
+ * The MongoDB filter matching the webhooks that receive events of a type (see subscribes).
+ * @param {string} type - The event type.
+ * @returns {Object} The filter.
+ */
+function subscriberFilter(type) {
+    return { enabled: true, events: { $in: [type, '*'] } };
+}
+
+/**
+ * Builds an event's outbox deliveries: one per webhook, due at once.
+ * @param {Array<Object>} webhooks - The webhooks that receive the event.
+ * @param {Object} event - The event (see services/eventBus.js).
+ * @param {Date} [now] - The time the event was raised.
+ * @returns {Array<Object>} The deliveries, without ids.
+ */
+function newDeliveries(webhooks, event, now = new Date()) {
+    return webhooks.map(webhook => ({
+        webhookId: webhook._id,
+        event,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        createdAt: now,
+    }));
+}
+
+module.exports = { isBlockedAddress, subscribes, subscriberFilter, newDeliveries };